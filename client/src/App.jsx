@@ -10,6 +10,10 @@ import TaskList from './components/Tasks/TaskList';
 import CalendarView from './components/Calendar/CalendarView';
 import IdeasList from './components/Ideas/IdeasList';
 import SearchResults from './components/Search/SearchResults';
+import TagsPage from './components/Tags/TagsPage';
+import HistoryPage from './components/History/HistoryPage';
+import TrashPage from './components/Trash/TrashPage';
+import TimesheetPage from './components/Time/TimesheetPage';
 
 function ProtectedRoute({ children }) {
   const { user, loading } = useAuth();
@@ -81,7 +85,11 @@ function App() {
           <Route path="tasks" element={<TaskList />} />
           <Route path="calendar" element={<CalendarView />} />
           <Route path="ideas" element={<IdeasList />} />
+          <Route path="timesheet" element={<TimesheetPage />} />
           <Route path="search" element={<SearchResults />} />
+          <Route path="tags" element={<TagsPage />} />
+          <Route path="history" element={<HistoryPage />} />
+          <Route path="trash" element={<TrashPage />} />
         </Route>
       </Routes>
     </AuthProvider>
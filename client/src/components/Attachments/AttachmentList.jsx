@@ -0,0 +1,196 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { attachmentsAPI } from '../../services/api';
+
+// File types the server accepts
+const ACCEPTED_TYPES = 'image/png,image/jpeg,image/gif,image/webp,.pdf,.txt,.md,.csv,.json,.zip,'
+  + '.doc,.docx,.xls,.xlsx,.ppt,.pptx,.odt,.ods';
+
+// Timestamps from SQLite are UTC without a zone
+const timeAgo = (value) => formatDistanceToNow(parseISO(`${value.replace(' ', 'T')}Z`), { addSuffix: true });
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files on a task, project or event. Anyone who can see it can download
+// them; editors can attach and remove files.
+function AttachmentList({ entityType, entityId }) {
+  const [attachments, setAttachments] = useState([]);
+  const [canEdit, setCanEdit] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    loadAttachments();
+  }, [entityType, entityId]);
+
+  const loadAttachments = async () => {
+    try {
+      const res = await attachmentsAPI.getAll(entityType, entityId);
+      setAttachments(res.data.attachments);
+      setCanEdit(res.data.can_edit);
+    } catch (error) {
+      console.error('Failed to load attachments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await attachmentsAPI.upload(entityType, entityId, file);
+      loadAttachments();
+    } catch (error) {
+      console.error('Failed to attach file:', error);
+      showError(error);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const res = await attachmentsAPI.download(attachment.id);
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download attachment:', error);
+      alert('Failed to download the file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!confirm(`Remove "${attachment.filename}"?`)) return;
+
+    try {
+      await attachmentsAPI.delete(attachment.id);
+      loadAttachments();
+    } catch (error) {
+      console.error('Failed to remove attachment:', error);
+      showError(error);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading files...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {attachments.length === 0 && <p className="text-sm text-gray-500">No files attached</p>}
+
+      <ul className="space-y-2">
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className="flex items-center gap-3 p-2 bg-gray-50 rounded-lg">
+            {attachment.has_thumbnail ? (
+              <Thumbnail attachment={attachment} onClick={() => handleDownload(attachment)} />
+            ) : (
+              <div className="w-12 h-12 flex-shrink-0 flex items-center justify-center bg-white border border-gray-200 rounded text-xs font-medium text-gray-500 uppercase">
+                {attachment.filename.includes('.') ? attachment.filename.split('.').pop().slice(0, 4) : 'file'}
+              </div>
+            )}
+            <div className="min-w-0 flex-1">
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                className="block max-w-full truncate text-sm font-medium text-gray-900 hover:text-deck-600"
+                title={attachment.filename}
+              >
+                {attachment.filename}
+              </button>
+              <p className="text-xs text-gray-500">
+                {formatSize(attachment.size)}
+                {' · '}
+                {attachment.username || 'Someone'} {timeAgo(attachment.created_at)}
+              </p>
+            </div>
+            {canEdit && (
+              <button
+                type="button"
+                onClick={() => handleDelete(attachment)}
+                className="text-xs text-red-600 hover:text-red-700"
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (
+        <div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_TYPES}
+            onChange={handleUpload}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+            className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          >
+            {uploading ? 'Uploading...' : 'Attach file'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// An image attachment's thumbnail, fetched with the user's token
+function Thumbnail({ attachment, onClick }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    attachmentsAPI.getThumbnail(attachment.id)
+      .then((res) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(res.data);
+        setSrc(url);
+      })
+      .catch((error) => console.error('Failed to load thumbnail:', error));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id]);
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="w-12 h-12 flex-shrink-0 overflow-hidden bg-white border border-gray-200 rounded"
+      title={attachment.filename}
+    >
+      {src && <img src={src} alt={attachment.filename} className="w-full h-full object-cover" />}
+    </button>
+  );
+}
+
+export default AttachmentList;
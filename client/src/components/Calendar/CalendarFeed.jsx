@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { feedAPI } from '../../services/api';
+
+const SOURCE_LABELS = {
+  local: 'The Deck',
+  google: 'Google',
+  outlook: 'Outlook',
+  caldav: 'CalDAV',
+  ics: 'Subscriptions',
+  tasks: 'Task due dates',
+};
+
+function CalendarFeed({ projects }) {
+  const [feed, setFeed] = useState(null);
+  const [projectId, setProjectId] = useState('');
+  const [sources, setSources] = useState([]);
+  const [tasksAs, setTasksAs] = useState('event');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    loadFeed();
+  }, []);
+
+  const loadFeed = async () => {
+    try {
+      const res = await feedAPI.get();
+      setFeed(res.data);
+      setSources(res.data.sources);
+    } catch (error) {
+      console.error('Failed to load calendar feed:', error);
+    }
+  };
+
+  const resetFeed = async () => {
+    if (!confirm('Reset the feed link? Calendar apps subscribed to the current link will stop updating.')) {
+      return;
+    }
+    try {
+      const res = await feedAPI.reset();
+      setFeed(res.data);
+    } catch (error) {
+      console.error('Failed to reset calendar feed:', error);
+    }
+  };
+
+  const toggleSource = (source) => {
+    // At least one source has to stay selected
+    if (sources.length === 1 && sources[0] === source) return;
+    setSources(sources.includes(source) ? sources.filter((s) => s !== source) : [...sources, source]);
+  };
+
+  if (!feed) return null;
+
+  const feedUrl = new URL(feed.url);
+  if (projectId) feedUrl.searchParams.set('project_id', projectId);
+  if (sources.length < feed.sources.length) {
+    feedUrl.searchParams.set('source', sources.join(','));
+  }
+  if (tasksAs !== 'event' && sources.includes('tasks')) feedUrl.searchParams.set('tasks', tasksAs);
+  const url = feedUrl.toString();
+
+  const copyUrl = async () => {
+    await navigator.clipboard.writeText(url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-gray-200 text-left">
+      <h3 className="text-sm font-medium text-gray-700 mb-1">Subscribe in Other Apps</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Add this link to your phone or desktop calendar to see your events and task due dates there.
+        Anyone with the link can read the feed.
+      </p>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <select
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+          className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+        >
+          <option value="">All projects</option>
+          {projects.map((project) => (
+            <option key={project.id} value={project.id}>{project.name}</option>
+          ))}
+        </select>
+        <select
+          value={tasksAs}
+          onChange={(e) => setTasksAs(e.target.value)}
+          disabled={!sources.includes('tasks')}
+          className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500 disabled:opacity-50"
+        >
+          <option value="event">Tasks as events</option>
+          <option value="todo">Tasks as to-dos</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3">
+        {feed.sources.map((source) => (
+          <label key={source} className="flex items-center gap-1.5 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={sources.includes(source)}
+              onChange={() => toggleSource(source)}
+              className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+            />
+            {SOURCE_LABELS[source] || source}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-1.5 text-xs text-gray-600 bg-gray-50 border border-gray-300 rounded-lg"
+        />
+        <button
+          onClick={copyUrl}
+          className="px-3 py-1.5 text-sm bg-deck-50 text-deck-700 rounded hover:bg-deck-100"
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <div className="flex justify-between mt-2">
+        <a href={url.replace(/^https?:/, 'webcal:')} className="text-xs text-deck-600 hover:text-deck-700">
+          Open in calendar app
+        </a>
+        <button onClick={resetFeed} className="text-xs text-red-600 hover:text-red-700">
+          Reset link
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarFeed;
@@ -1,12 +1,26 @@
 import { useState, useEffect } from 'react';
 import { format, parseISO } from 'date-fns';
 import { calendarsAPI } from '../../services/api';
+import CalendarFeed from './CalendarFeed';
 
-function CalendarSettings({ onClose, onSync }) {
+const PROVIDER_STYLES = {
+  google: { label: 'Google', className: 'bg-red-100 text-red-600' },
+  outlook: { label: 'Outlook', className: 'bg-blue-100 text-blue-600' },
+  caldav: { label: 'CalDAV', className: 'bg-green-100 text-green-600' },
+  ics: { label: 'ICS subscription', className: 'bg-purple-100 text-purple-600' },
+};
+
+const EMPTY_CONNECT_FORM = { url: '', username: '', password: '', name: '' };
+
+function CalendarSettings({ projects = [], onClose, onSync }) {
   const [accounts, setAccounts] = useState([]);
   const [providers, setProviders] = useState({ google: false, outlook: false });
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState({});
+  const [connectForm, setConnectForm] = useState(null);
+  const [connectData, setConnectData] = useState(EMPTY_CONNECT_FORM);
+  const [connecting, setConnecting] = useState(false);
+  const [connectError, setConnectError] = useState('');
 
   useEffect(() => {
     loadAccounts();
@@ -44,14 +58,33 @@ function CalendarSettings({ onClose, onSync }) {
     }
   };
 
+  const openConnectForm = (provider) => {
+    setConnectForm(connectForm === provider ? null : provider);
+    setConnectData(EMPTY_CONNECT_FORM);
+    setConnectError('');
+  };
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    setConnecting(true);
+    setConnectError('');
+    try {
+      await calendarsAPI.connectAccount(connectForm, connectData);
+      setConnectForm(null);
+      await loadAccounts();
+      onSync();
+    } catch (error) {
+      console.error('Failed to connect calendar:', error);
+      setConnectError(error.response?.data?.error || 'Failed to connect calendar');
+    } finally {
+      setConnecting(false);
+    }
+  };
+
   const syncAccount = async (account) => {
     setSyncing({ ...syncing, [account.id]: true });
     try {
-      if (account.provider === 'google') {
-        await calendarsAPI.syncGoogle(account.id);
-      } else {
-        await calendarsAPI.syncOutlook(account.id);
-      }
+      await calendarsAPI.syncAccount(account);
       await loadAccounts();
       onSync();
     } catch (error) {
@@ -84,6 +117,16 @@ function CalendarSettings({ onClose, onSync }) {
     }
   };
 
+  const toggleWriteBack = async (id) => {
+    try {
+      await calendarsAPI.toggleWriteBack(id);
+      await loadAccounts();
+      onSync();
+    } catch (error) {
+      console.error('Failed to toggle write-back:', error);
+    }
+  };
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto">
       <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:p-0">
@@ -141,9 +184,81 @@ function CalendarSettings({ onClose, onSync }) {
                 </div>
                 {(!providers.google && !providers.outlook) && (
                   <p className="text-xs text-amber-600 mt-2">
-                    Calendar sync is not configured. Please contact the administrator.
+                    Google and Outlook sync are not configured. Please contact the administrator.
                   </p>
                 )}
+                <div className="flex gap-3 mt-3">
+                  <button
+                    onClick={() => openConnectForm('caldav')}
+                    className={`flex-1 px-4 py-2 border rounded-lg text-sm font-medium transition-colors hover:bg-gray-50 ${
+                      connectForm === 'caldav' ? 'border-deck-500 text-deck-700' : 'border-gray-300'
+                    }`}
+                    title="Nextcloud, Fastmail, iCloud and other CalDAV servers"
+                  >
+                    CalDAV
+                  </button>
+                  <button
+                    onClick={() => openConnectForm('ics')}
+                    className={`flex-1 px-4 py-2 border rounded-lg text-sm font-medium transition-colors hover:bg-gray-50 ${
+                      connectForm === 'ics' ? 'border-deck-500 text-deck-700' : 'border-gray-300'
+                    }`}
+                    title="Subscribe to a published .ics calendar (read-only)"
+                  >
+                    ICS URL
+                  </button>
+                </div>
+
+                {connectForm && (
+                  <form onSubmit={handleConnect} className="mt-3 space-y-2 text-left">
+                    <input
+                      type="text"
+                      value={connectData.url}
+                      onChange={(e) => setConnectData({ ...connectData, url: e.target.value })}
+                      className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                      placeholder={connectForm === 'caldav' ? 'Server URL, e.g. https://cloud.example.com/remote.php/dav' : 'Feed URL (https:// or webcal://)'}
+                      required
+                    />
+                    {connectForm === 'caldav' ? (
+                      <>
+                        <input
+                          type="text"
+                          value={connectData.username}
+                          onChange={(e) => setConnectData({ ...connectData, username: e.target.value })}
+                          className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                          placeholder="Username"
+                          autoComplete="off"
+                          required
+                        />
+                        <input
+                          type="password"
+                          value={connectData.password}
+                          onChange={(e) => setConnectData({ ...connectData, password: e.target.value })}
+                          className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                          placeholder="App password"
+                          autoComplete="new-password"
+                          required
+                        />
+                      </>
+                    ) : (
+                      <input
+                        type="text"
+                        value={connectData.name}
+                        onChange={(e) => setConnectData({ ...connectData, name: e.target.value })}
+                        className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                        placeholder="Name (optional)"
+                      />
+                    )}
+                    {connectError && <p className="text-xs text-red-600">{connectError}</p>}
+                    <div className="flex justify-end gap-2">
+                      <button type="button" onClick={() => setConnectForm(null)} className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200">
+                        Cancel
+                      </button>
+                      <button type="submit" disabled={connecting} className="px-3 py-1.5 text-sm bg-deck-600 text-white rounded-lg hover:bg-deck-700 disabled:opacity-50">
+                        {connecting ? 'Connecting...' : connectForm === 'caldav' ? 'Connect' : 'Subscribe'}
+                      </button>
+                    </div>
+                  </form>
+                )}
               </div>
 
               {/* Connected Accounts */}
@@ -151,7 +266,7 @@ function CalendarSettings({ onClose, onSync }) {
                 <h3 className="text-sm font-medium text-gray-700 mb-3">Connected Calendars</h3>
                 {accounts.length === 0 ? (
                   <p className="text-gray-500 text-sm py-4 text-center">
-                    No calendars connected yet. Click Google or Outlook above to connect your calendar.
+                    No calendars connected yet. Choose a calendar above to connect it.
                   </p>
                 ) : (
                   <ul className="space-y-3">
@@ -160,21 +275,18 @@ function CalendarSettings({ onClose, onSync }) {
                         <div className="flex items-center justify-between">
                           <div className="flex items-center gap-3">
                             <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
-                              account.provider === 'google' ? 'bg-red-100' : 'bg-blue-100'
+                              PROVIDER_STYLES[account.provider]?.className || 'bg-gray-100 text-gray-600'
                             }`}>
-                              {account.provider === 'google' ? (
-                                <svg className="w-4 h-4 text-red-600" viewBox="0 0 24 24" fill="currentColor">
-                                  <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0z"/>
-                                </svg>
-                              ) : (
-                                <svg className="w-4 h-4 text-blue-600" viewBox="0 0 24 24" fill="currentColor">
-                                  <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0z"/>
-                                </svg>
-                              )}
+                              <svg className="w-4 h-4" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M12 0C5.373 0 0 5.373 0 12s5.373 12 12 12 12-5.373 12-12S18.627 0 12 0z"/>
+                              </svg>
                             </div>
-                            <div>
-                              <p className="font-medium text-gray-900">{account.email}</p>
-                              <p className="text-xs text-gray-500 capitalize">{account.provider}</p>
+                            <div className="min-w-0">
+                              <p className="font-medium text-gray-900 truncate">{account.email}</p>
+                              <p className="text-xs text-gray-500 truncate">
+                                {PROVIDER_STYLES[account.provider]?.label || account.provider}
+                                {account.server_url && account.server_url !== account.email && ` · ${account.server_url}`}
+                              </p>
                             </div>
                           </div>
                           <label className="relative inline-flex items-center cursor-pointer">
@@ -188,12 +300,41 @@ function CalendarSettings({ onClose, onSync }) {
                           </label>
                         </div>
 
+                        {account.writable ? (
+                          <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(account.write_enabled)}
+                              onChange={() => toggleWriteBack(account.id)}
+                              className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                            />
+                            Two-way sync (push events created or edited here)
+                          </label>
+                        ) : (
+                          <p className="mt-3 text-xs text-gray-500">Read-only subscription</p>
+                        )}
+
                         {account.last_synced_at && (
                           <p className="text-xs text-gray-400 mt-2">
                             Last synced: {format(parseISO(account.last_synced_at), 'MMM d, yyyy h:mm a')}
                           </p>
                         )}
 
+                        {account.sync_failures > 0 && account.last_sync_error && (
+                          <div className="mt-2 p-2 bg-red-50 rounded text-xs text-red-700">
+                            <p>
+                              Sync failed{account.sync_failures > 1 ? ` ${account.sync_failures} times in a row` : ''}
+                              {account.last_sync_error_at && ` (last ${format(parseISO(account.last_sync_error_at), 'MMM d, h:mm a')})`}:
+                              {' '}{account.last_sync_error}
+                            </p>
+                            {account.enabled && account.next_sync_at && (
+                              <p className="text-red-500 mt-1">
+                                Retrying {format(parseISO(account.next_sync_at), 'MMM d, h:mm a')}
+                              </p>
+                            )}
+                          </div>
+                        )}
+
                         <div className="flex gap-2 mt-3">
                           <button
                             onClick={() => syncAccount(account)}
@@ -226,6 +367,8 @@ function CalendarSettings({ onClose, onSync }) {
                   </ul>
                 )}
               </div>
+
+              <CalendarFeed projects={projects} />
             </>
           )}
         </div>
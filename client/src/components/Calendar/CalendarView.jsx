@@ -1,11 +1,25 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { Calendar, dateFnsLocalizer } from 'react-big-calendar';
-import { format, parse, startOfWeek, getDay, parseISO } from 'date-fns';
+import {
+  format,
+  parse,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  addDays,
+  getDay,
+  parseISO,
+} from 'date-fns';
 import { enUS } from 'date-fns/locale';
 import { eventsAPI, projectsAPI, calendarsAPI } from '../../services/api';
 import EventForm from './EventForm';
 import CalendarSettings from './CalendarSettings';
+import ImportEvents from './ImportEvents';
+import RecurrenceScopeDialog from './RecurrenceScopeDialog';
+import TagFilter from '../Tags/TagFilter';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
 
 const locales = { 'en-US': enUS };
@@ -18,18 +32,45 @@ const localizer = dateFnsLocalizer({
   locales,
 });
 
+const SOURCE_COLORS = {
+  google: '#ea4335',
+  outlook: '#0078d4',
+  caldav: '#0d9488',
+  ics: '#64748b',
+};
+
+// The dates shown by the month view around a day
+const getMonthRange = (date) => ({
+  start: startOfWeek(startOfMonth(date)),
+  end: endOfWeek(endOfMonth(date)),
+});
+
+const isRecurring = (event) => Boolean(event.recurrence_rule || event.recurrence_parent_id);
+
 function CalendarView() {
   const [searchParams] = useSearchParams();
   const [events, setEvents] = useState([]);
   const [projects, setProjects] = useState([]);
+  const [writableCalendars, setWritableCalendars] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [editingEvent, setEditingEvent] = useState(null);
   const [selectedSlot, setSelectedSlot] = useState(null);
+  const [range, setRange] = useState(() => getMonthRange(new Date()));
+  const [scopePrompt, setScopePrompt] = useState(null);
+  const [tagFilter, setTagFilter] = useState('');
 
+  // Events are loaded for the visible range, which is where recurring events are expanded
   useEffect(() => {
     loadData();
+  }, [range, tagFilter]);
+
+  // Tasks with due dates are shown as events, and a finished sync may have brought in changes
+  useLiveUpdates(['event', 'task', 'project', 'calendar_sync'], loadData);
+
+  useEffect(() => {
     // Check for OAuth callback
     const connected = searchParams.get('connected');
     const error = searchParams.get('error');
@@ -43,9 +84,14 @@ function CalendarView() {
 
   const loadData = async () => {
     try {
-      const [eventsRes, projectsRes] = await Promise.all([
-        eventsAPI.getAll(),
+      const [eventsRes, projectsRes, accountsRes] = await Promise.all([
+        eventsAPI.getAll({
+          start_after: format(range.start, "yyyy-MM-dd'T'HH:mm"),
+          start_before: format(range.end, "yyyy-MM-dd'T'HH:mm"),
+          tag: tagFilter || undefined,
+        }),
         projectsAPI.getAll(),
+        calendarsAPI.getAccounts(),
       ]);
 
       const formattedEvents = eventsRes.data.events.map((event) => ({
@@ -57,6 +103,9 @@ function CalendarView() {
 
       setEvents(formattedEvents);
       setProjects(projectsRes.data.projects);
+      setWritableCalendars(
+        accountsRes.data.accounts.filter((account) => account.enabled && account.write_enabled)
+      );
     } catch (error) {
       console.error('Failed to load data:', error);
     } finally {
@@ -64,6 +113,15 @@ function CalendarView() {
     }
   };
 
+  // Week and day views report the days shown, month and agenda views a start and end
+  const handleRangeChange = useCallback((visible) => {
+    if (Array.isArray(visible)) {
+      setRange({ start: visible[0], end: addDays(visible[visible.length - 1], 1) });
+    } else {
+      setRange({ start: visible.start, end: visible.end });
+    }
+  }, []);
+
   const handleSelectSlot = useCallback(({ start, end }) => {
     setSelectedSlot({ start, end });
     setEditingEvent(null);
@@ -71,19 +129,40 @@ function CalendarView() {
   }, []);
 
   const handleSelectEvent = useCallback((event) => {
-    // Don't allow editing synced events
-    if (event.source && event.source !== 'local') {
+    // Synced events are only editable when their calendar has two-way sync on
+    const writable = writableCalendars.some((account) => account.id === event.calendar_account_id);
+    if (event.source && event.source !== 'local' && !writable) {
       return;
     }
     setEditingEvent(event);
     setSelectedSlot(null);
     setShowForm(true);
-  }, []);
+  }, [writableCalendars]);
+
+  // Ask before overwriting changes made on the provider since the last sync
+  const confirmOverwrite = (error, action) => {
+    if (error.response?.status !== 409) return false;
+    return confirm(`${error.response.data.error}. ${action}?`);
+  };
 
   const handleSave = async (data) => {
+    if (editingEvent && isRecurring(editingEvent)) {
+      setScopePrompt({ action: 'save', data });
+      return;
+    }
+    await saveEvent(data);
+  };
+
+  const saveEvent = async (data, scope) => {
     try {
       if (editingEvent) {
-        await eventsAPI.update(editingEvent.id, data);
+        const changes = scope ? { ...data, scope, recurrence_id: editingEvent.recurrence_id } : data;
+        try {
+          await eventsAPI.update(editingEvent.id, changes);
+        } catch (error) {
+          if (!confirmOverwrite(error, 'Save your changes anyway')) throw error;
+          await eventsAPI.update(editingEvent.id, { ...changes, force: true });
+        }
       } else {
         await eventsAPI.create(data);
       }
@@ -93,40 +172,61 @@ function CalendarView() {
       loadData();
     } catch (error) {
       console.error('Failed to save event:', error);
+      if ([400, 403, 502].includes(error.response?.status)) {
+        alert(error.response.data.error);
+      }
     }
   };
 
   const handleDelete = async () => {
     if (!editingEvent) return;
-    if (!confirm('Are you sure you want to delete this event?')) return;
+    if (isRecurring(editingEvent)) {
+      setScopePrompt({ action: 'delete' });
+      return;
+    }
+    const message = editingEvent.calendar_account_id
+      ? 'Delete this event? Events on connected calendars are deleted for good.'
+      : 'Move this event to the trash?';
+    if (!confirm(message)) return;
+    await deleteEvent();
+  };
 
+  const deleteEvent = async (scope) => {
+    const params = scope ? { scope, recurrence_id: editingEvent.recurrence_id } : {};
     try {
-      await eventsAPI.delete(editingEvent.id);
+      try {
+        await eventsAPI.delete(editingEvent.id, params);
+      } catch (error) {
+        if (!confirmOverwrite(error, 'Delete it anyway')) throw error;
+        await eventsAPI.delete(editingEvent.id, { ...params, force: true });
+      }
       setShowForm(false);
       setEditingEvent(null);
       loadData();
     } catch (error) {
       console.error('Failed to delete event:', error);
+      if ([400, 403, 502].includes(error.response?.status)) {
+        alert(error.response.data.error);
+      }
+    }
+  };
+
+  const handleScopeSelect = (scope) => {
+    const { action, data } = scopePrompt;
+    setScopePrompt(null);
+    if (action === 'delete') {
+      deleteEvent(scope);
+    } else {
+      saveEvent(data, scope);
     }
   };
 
   const eventStyleGetter = (event) => {
     // Different colors for synced calendars
-    if (event.source === 'google') {
+    if (SOURCE_COLORS[event.source]) {
       return {
         style: {
-          backgroundColor: '#ea4335',
-          borderRadius: '4px',
-          opacity: 0.9,
-          color: 'white',
-          border: 'none',
-        },
-      };
-    }
-    if (event.source === 'outlook') {
-      return {
-        style: {
-          backgroundColor: '#0078d4',
+          backgroundColor: SOURCE_COLORS[event.source],
           borderRadius: '4px',
           opacity: 0.9,
           color: 'white',
@@ -171,6 +271,7 @@ function CalendarView() {
       <div className="flex items-center justify-between">
         <h1 className="text-2xl font-bold text-gray-900">Calendar</h1>
         <div className="flex gap-2">
+          <TagFilter value={tagFilter} onChange={setTagFilter} />
           <button
             onClick={() => setShowSettings(true)}
             className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
@@ -181,6 +282,15 @@ function CalendarView() {
             </svg>
             Sync Settings
           </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+            </svg>
+            Import
+          </button>
           <button
             onClick={() => {
               setEditingEvent(null);
@@ -203,6 +313,7 @@ function CalendarView() {
           selectable
           onSelectSlot={handleSelectSlot}
           onSelectEvent={handleSelectEvent}
+          onRangeChange={handleRangeChange}
           eventPropGetter={eventStyleGetter}
           views={['month', 'week', 'day', 'agenda']}
           defaultView="month"
@@ -244,6 +355,7 @@ function CalendarView() {
           event={editingEvent}
           selectedSlot={selectedSlot}
           projects={projects}
+          calendars={writableCalendars}
           onSave={handleSave}
           onDelete={editingEvent ? handleDelete : null}
           onClose={() => {
@@ -254,13 +366,32 @@ function CalendarView() {
         />
       )}
 
+      {/* Recurring event scope */}
+      {scopePrompt && (
+        <RecurrenceScopeDialog
+          action={scopePrompt.action}
+          onSelect={handleScopeSelect}
+          onClose={() => setScopePrompt(null)}
+        />
+      )}
+
       {/* Settings Modal */}
       {showSettings && (
         <CalendarSettings
+          projects={projects}
           onClose={() => setShowSettings(false)}
           onSync={loadData}
         />
       )}
+
+      {/* Import Modal */}
+      {showImport && (
+        <ImportEvents
+          projects={projects}
+          onClose={() => setShowImport(false)}
+          onImport={loadData}
+        />
+      )}
     </div>
   );
 }
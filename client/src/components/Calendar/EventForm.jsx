@@ -1,7 +1,34 @@
 import { useState } from 'react';
 import { format, parseISO } from 'date-fns';
+import TagPicker from '../Tags/TagPicker';
+import AttachmentList from '../Attachments/AttachmentList';
+import Reminders from '../Notifications/Reminders';
 
-function EventForm({ event, selectedSlot, projects, onSave, onDelete, onClose }) {
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'FREQ=DAILY', label: 'Daily' },
+  { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+  { value: 'FREQ=WEEKLY', label: 'Weekly' },
+  { value: 'FREQ=MONTHLY', label: 'Monthly' },
+  { value: 'FREQ=YEARLY', label: 'Yearly' },
+];
+
+// Split a recurrence rule into the repeat option and its end date
+const parseRule = (rule) => {
+  const parts = rule ? rule.split(';') : [];
+  const until = parts.find((part) => part.startsWith('UNTIL='));
+  return {
+    repeat: parts.filter((part) => !part.startsWith('UNTIL=')).join(';'),
+    repeat_until: until ? `${until.slice(6, 10)}-${until.slice(10, 12)}-${until.slice(12, 14)}` : '',
+  };
+};
+
+const buildRule = (repeat, until) => {
+  if (!repeat) return null;
+  return until ? `${repeat};UNTIL=${until.replace(/-/g, '')}T235959` : repeat;
+};
+
+function EventForm({ event, selectedSlot, projects, calendars = [], onSave, onDelete, onClose }) {
   const getInitialDate = (date) => {
     if (!date) return '';
     return format(date instanceof Date ? date : parseISO(date), "yyyy-MM-dd'T'HH:mm");
@@ -18,18 +45,36 @@ function EventForm({ event, selectedSlot, projects, onSave, onDelete, onClose })
       ? getInitialDate(event.end_time)
       : getInitialDate(selectedSlot?.end),
     all_day: event?.all_day || false,
+    calendar_account_id: '',
+    tag_ids: event?.tags?.map((tag) => tag.id) || [],
+    ...parseRule(event?.recurrence_rule),
   });
   const [loading, setLoading] = useState(false);
 
+  // Synced events and single changed occurrences of a series can't set a rule
+  const canRepeat = !event?.recurrence_parent_id
+    && (!event?.source || event.source === 'local')
+    && !formData.calendar_account_id;
+  const repeatOptions = REPEAT_OPTIONS.some((option) => option.value === formData.repeat)
+    ? REPEAT_OPTIONS
+    : [...REPEAT_OPTIONS, { value: formData.repeat, label: `Custom (${formData.repeat})` }];
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     try {
+      const { repeat, repeat_until, ...fields } = formData;
       const data = {
-        ...formData,
+        ...fields,
         project_id: formData.project_id || null,
         end_time: formData.end_time || null,
+        calendar_account_id: formData.calendar_account_id || null,
       };
+      // Only send the rule when it changed, so edits to part of a series keep theirs
+      const rule = buildRule(repeat, repeat_until);
+      if (canRepeat && rule !== (event?.recurrence_rule || null)) {
+        data.recurrence_rule = rule;
+      }
       await onSave(data);
     } finally {
       setLoading(false);
@@ -86,6 +131,24 @@ function EventForm({ event, selectedSlot, projects, onSave, onDelete, onClose })
               </select>
             </div>
 
+            {!event && calendars.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Calendar</label>
+                <select
+                  value={formData.calendar_account_id}
+                  onChange={(e) => setFormData({ ...formData, calendar_account_id: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                >
+                  <option value="">The Deck only</option>
+                  {calendars.map((account) => (
+                    <option key={account.id} value={account.id}>
+                      {account.email} ({account.provider})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="flex items-center gap-2">
               <input
                 type="checkbox"
@@ -120,6 +183,55 @@ function EventForm({ event, selectedSlot, projects, onSave, onDelete, onClose })
               />
             </div>
 
+            {canRepeat && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Repeat</label>
+                  <select
+                    value={formData.repeat}
+                    onChange={(e) => setFormData({ ...formData, repeat: e.target.value })}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                  >
+                    {repeatOptions.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {formData.repeat && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Until</label>
+                    <input
+                      type="date"
+                      value={formData.repeat_until}
+                      onChange={(e) => setFormData({ ...formData, repeat_until: e.target.value })}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <TagPicker
+              value={formData.tag_ids}
+              onChange={(tagIds) => setFormData({ ...formData, tag_ids: tagIds })}
+            />
+
+            {event && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Reminders</span>
+                <Reminders entityType="event" entityId={event.id} />
+              </div>
+            )}
+
+            {event && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Files</span>
+                <AttachmentList entityType="event" entityId={event.id} />
+              </div>
+            )}
+
             <div className="flex justify-between pt-4">
               <div>
                 {onDelete && (
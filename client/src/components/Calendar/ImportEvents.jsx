@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { eventsAPI } from '../../services/api';
+
+function ImportEvents({ projects, onClose, onImport }) {
+  const [file, setFile] = useState(null);
+  const [projectId, setProjectId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setFile(selected || null);
+    setPreview(null);
+    setError('');
+    if (!selected) return;
+
+    setLoading(true);
+    try {
+      const res = await eventsAPI.import(selected, { preview: true });
+      setPreview(res.data);
+    } catch (err) {
+      console.error('Failed to read calendar file:', err);
+      setError(err.response?.data?.error || 'Failed to read calendar file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await eventsAPI.import(file, { projectId });
+      onImport();
+      onClose();
+    } catch (err) {
+      console.error('Failed to import events:', err);
+      setError(err.response?.data?.error || 'Failed to import events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatTime = (event) => {
+    const start = parseISO(event.start_time);
+    return event.all_day ? format(start, 'MMM d, yyyy') : format(start, 'MMM d, yyyy h:mm a');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:p-0">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl w-full max-w-lg p-6 text-left">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Import Events</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Calendar file (.ics)</label>
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-700 file:mr-3 file:px-3 file:py-1.5 file:border-0 file:rounded file:bg-deck-50 file:text-deck-700 hover:file:bg-deck-100"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Events imported before are matched by their UID and updated instead of duplicated.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Project</label>
+              <select
+                value={projectId}
+                onChange={(e) => setProjectId(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+              >
+                <option value="">No project</option>
+                {projects.map((project) => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            {preview && (
+              <div>
+                <p className="text-sm text-gray-700 mb-2">
+                  {preview.created} new, {preview.updated} to update
+                </p>
+                <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {preview.events.map((event) => (
+                    <li key={event.external_id} className="flex items-center justify-between gap-3 px-3 py-2">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{event.title}</p>
+                        <p className="text-xs text-gray-500">
+                          {formatTime(event)}
+                          {event.recurrence_rule && (
+                            <> · Repeats{event.overrides?.length > 0 && `, ${event.overrides.length} changed`}</>
+                          )}
+                        </p>
+                      </div>
+                      <span
+                        className={`shrink-0 px-2 py-0.5 text-xs rounded ${
+                          event.action === 'create' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'
+                        }`}
+                      >
+                        {event.action === 'create' ? 'New' : 'Update'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {preview.warnings?.map((warning) => (
+                  <p key={warning} className="text-xs text-yellow-700 mt-2">{warning}</p>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={loading || !preview || preview.events.length === 0}
+                className="px-4 py-2 bg-deck-600 text-white rounded-lg hover:bg-deck-700 disabled:opacity-50"
+              >
+                {loading && preview ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportEvents;
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+const SCOPE_OPTIONS = [
+  { value: 'this', label: 'This event' },
+  { value: 'following', label: 'This and following events' },
+  { value: 'all', label: 'All events' },
+];
+
+// Ask which occurrences of a recurring event an edit or delete applies to
+function RecurrenceScopeDialog({ action, onSelect, onClose }) {
+  const [scope, setScope] = useState('this');
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:p-0">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl w-full max-w-sm p-6 text-left">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {action === 'delete' ? 'Delete recurring event' : 'Edit recurring event'}
+          </h2>
+
+          <div className="space-y-2">
+            {SCOPE_OPTIONS.map((option) => (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="scope"
+                  value={option.value}
+                  checked={scope === option.value}
+                  onChange={() => setScope(option.value)}
+                  className="w-4 h-4 text-deck-600 border-gray-300 focus:ring-deck-500"
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => onSelect(scope)}
+              className={
+                action === 'delete'
+                  ? 'px-4 py-2 text-white bg-red-600 rounded-lg hover:bg-red-700'
+                  : 'px-4 py-2 bg-deck-600 text-white rounded-lg hover:bg-deck-700'
+              }
+            >
+              {action === 'delete' ? 'Delete' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RecurrenceScopeDialog;
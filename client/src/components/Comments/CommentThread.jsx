@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { commentsAPI } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+import MarkdownBody from './MarkdownBody';
+
+const FIELD_LABELS = {
+  title: 'title',
+  name: 'name',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  due_date: 'due date',
+  project_id: 'project',
+  assignee_id: 'assignee',
+  category: 'category',
+  user_id: 'owner',
+};
+
+// Timestamps from SQLite are UTC without a zone
+const timeAgo = (value) => formatDistanceToNow(parseISO(`${value.replace(' ', 'T')}Z`), { addSuffix: true });
+
+const describeActivity = (entry, entityType) => {
+  const field = FIELD_LABELS[entry.field] || entry.field;
+  switch (entry.action) {
+    case 'created':
+      return `created this ${entityType}`;
+    case 'joined':
+      return `joined as ${entry.new_value === 'editor' ? 'an' : 'a'} ${entry.new_value}`;
+    case 'member_removed':
+      return entry.old_value === entry.username ? 'left the project' : `removed ${entry.old_value || 'a member'}`;
+    case 'attached':
+      return `attached ${entry.new_value}`;
+    case 'attachment_removed':
+      return `removed the attachment ${entry.old_value}`;
+    case 'changed':
+      if (entry.field === 'description') return 'updated the description';
+      return `changed ${field} ${entry.old_value || 'none'} → ${entry.new_value || 'none'}`;
+    default:
+      return entry.action;
+  }
+};
+
+// Discussion on a task or project: markdown comments with nested replies,
+// interleaved with activity such as status changes
+function CommentThread({ entityType, entityId }) {
+  const [thread, setThread] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadThread();
+  }, [entityType, entityId]);
+
+  const loadThread = async () => {
+    try {
+      const res = await commentsAPI.getThread(entityType, entityId);
+      setThread(res.data.thread);
+    } catch (error) {
+      console.error('Failed to load comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePost = async (body, parentId = null) => {
+    try {
+      await commentsAPI.create(entityType, entityId, { body, parent_id: parentId });
+      loadThread();
+      return true;
+    } catch (error) {
+      console.error('Failed to post comment:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+      return false;
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading comments...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {thread.length === 0 && <p className="text-sm text-gray-500">No comments yet</p>}
+
+      <ul className="space-y-3">
+        {thread.map((entry) => (
+          entry.kind === 'activity' ? (
+            <li key={`activity-${entry.id}`} className="text-xs text-gray-500 flex items-center gap-2">
+              <span className="w-1.5 h-1.5 rounded-full bg-gray-300 flex-shrink-0" />
+              <span>
+                <span className="font-medium text-gray-700">{entry.username || 'The Deck'}</span>{' '}
+                {describeActivity(entry, entityType)}
+                {' · '}
+                {timeAgo(entry.created_at)}
+              </span>
+            </li>
+          ) : (
+            <li key={`comment-${entry.id}`}>
+              <Comment comment={entry} onReply={handlePost} onChange={loadThread} />
+            </li>
+          )
+        ))}
+      </ul>
+
+      <CommentForm onSubmit={(body) => handlePost(body)} placeholder="Write a comment… (markdown, @username to mention)" />
+    </div>
+  );
+}
+
+function Comment({ comment, onReply, onChange }) {
+  const { user } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [replying, setReplying] = useState(false);
+
+  const isAuthor = comment.user_id === user?.id;
+
+  const handleUpdate = async (body) => {
+    try {
+      await commentsAPI.update(comment.id, { body });
+      setEditing(false);
+      onChange();
+      return true;
+    } catch (error) {
+      console.error('Failed to update comment:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+      return false;
+    }
+  };
+
+  const handleDelete = async () => {
+    const message = comment.replies.length
+      ? 'Delete this comment and its replies?'
+      : 'Delete this comment?';
+    if (!confirm(message)) return;
+
+    try {
+      await commentsAPI.delete(comment.id);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+    }
+  };
+
+  return (
+    <div>
+      <div className="p-3 bg-gray-50 rounded-lg">
+        <div className="flex items-center justify-between mb-1">
+          <p className="text-xs text-gray-500">
+            <span className="font-medium text-gray-900">{comment.username}</span>
+            {' · '}
+            {timeAgo(comment.created_at)}
+            {comment.updated_at !== comment.created_at && ' (edited)'}
+          </p>
+          <div className="flex gap-3 text-xs">
+            <button onClick={() => setReplying(!replying)} className="text-gray-500 hover:text-gray-700">
+              Reply
+            </button>
+            {isAuthor && (
+              <>
+                <button onClick={() => setEditing(true)} className="text-gray-500 hover:text-gray-700">
+                  Edit
+                </button>
+                <button onClick={handleDelete} className="text-red-600 hover:text-red-700">
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {editing ? (
+          <CommentForm
+            initialBody={comment.body}
+            submitLabel="Save"
+            onSubmit={handleUpdate}
+            onCancel={() => setEditing(false)}
+          />
+        ) : (
+          <MarkdownBody body={comment.body} mentions={comment.mentions} />
+        )}
+      </div>
+
+      {(comment.replies.length > 0 || replying) && (
+        <div className="mt-2 ml-6 space-y-2">
+          {comment.replies.map((reply) => (
+            <Comment key={reply.id} comment={reply} onReply={onReply} onChange={onChange} />
+          ))}
+          {replying && (
+            <CommentForm
+              placeholder={`Reply to ${comment.username}…`}
+              submitLabel="Reply"
+              onSubmit={async (body) => {
+                const saved = await onReply(body, comment.id);
+                if (saved) setReplying(false);
+                return saved;
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CommentForm({ initialBody = '', placeholder, submitLabel = 'Comment', onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(body);
+    setSaving(false);
+    if (saved && !initialBody) setBody('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={2}
+        placeholder={placeholder}
+        className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+      />
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !body.trim()}
+          className="px-3 py-1 text-sm bg-deck-600 text-white rounded-lg hover:bg-deck-700 disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,38 @@
+import Markdown from 'react-markdown';
+
+// Tailwind has no prose styles here, so each element gets its own classes
+const COMPONENTS = {
+  p: ({ children }) => <p className="mb-2 last:mb-0">{children}</p>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-deck-600 underline hover:text-deck-700">
+      {children}
+    </a>
+  ),
+  ul: ({ children }) => <ul className="mb-2 list-disc pl-5">{children}</ul>,
+  ol: ({ children }) => <ol className="mb-2 list-decimal pl-5">{children}</ol>,
+  blockquote: ({ children }) => (
+    <blockquote className="mb-2 pl-3 border-l-2 border-gray-300 text-gray-600">{children}</blockquote>
+  ),
+  code: ({ children }) => <code className="px-1 bg-gray-100 rounded text-sm">{children}</code>,
+  pre: ({ children }) => <pre className="mb-2 p-2 bg-gray-100 rounded overflow-x-auto">{children}</pre>,
+  strong: ({ children }) => <strong className="font-semibold">{children}</strong>,
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A comment body rendered as markdown, with @mentions of the given users highlighted
+function MarkdownBody({ body, mentions = [] }) {
+  let text = body;
+  for (const mention of mentions) {
+    const pattern = new RegExp(`(^|[^\\w@])@${escapeRegExp(mention.username)}(?![\\w-])`, 'gi');
+    text = text.replace(pattern, `$1**@${mention.username}**`);
+  }
+
+  return (
+    <div className="text-sm text-gray-800 break-words">
+      <Markdown components={COMPONENTS}>{text}</Markdown>
+    </div>
+  );
+}
+
+export default MarkdownBody;
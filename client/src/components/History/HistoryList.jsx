@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { historyAPI } from '../../services/api';
+
+// Links between rows that the server keeps up to date itself
+const HIDDEN_FIELDS = ['event_id', 'next_task_id', 'external_updated_at'];
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'changed',
+  delete: 'deleted',
+  restore: 'restored an earlier version of',
+};
+
+// Timestamps from SQLite are UTC without a zone
+const timeAgo = (value) => formatDistanceToNow(parseISO(`${value.replace(' ', 'T')}Z`), { addSuffix: true });
+
+const formatValue = (value) => {
+  if (value === null || value === '') return 'none';
+  const text = String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+const entityLabel = (entry) => entry.snapshot.title || entry.snapshot.name || `#${entry.entity_id}`;
+
+// Audit log entries, newest first: the history of one item (entityType and
+// entityId), or the changes someone made (params, e.g. { user_id: 'me' }).
+// Restoring an entry puts the item back the way it was at that point, and
+// brings it back if it has since been deleted.
+function HistoryList({ entityType, entityId, params, onRestore }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const query = entityType ? { entity_type: entityType, entity_id: entityId } : params;
+
+  useEffect(() => {
+    loadEntries();
+  }, [JSON.stringify(query)]);
+
+  const loadEntries = async () => {
+    try {
+      const res = await historyAPI.getAll(query);
+      setEntries(res.data.entries);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    if (!confirm(`Restore "${entityLabel(entry)}" to how it was ${timeAgo(entry.created_at)}?`)) return;
+
+    try {
+      const res = await historyAPI.restore(entry.id);
+      loadEntries();
+      onRestore?.(res.data);
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {entries.map((entry, index) => {
+        const changes = Object.entries(entry.changes).filter(([field]) => !HIDDEN_FIELDS.includes(field));
+        // The newest entry of an item that still exists is how it is now
+        const isCurrent = entityType && index === 0 && entry.action !== 'delete';
+
+        return (
+          <li key={entry.id} className="py-3">
+            <div className="flex items-start justify-between gap-3">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium text-gray-900">{entry.username || 'Someone'}</span>{' '}
+                {ACTION_LABELS[entry.action]} {entityType ? `this ${entityType}` : entry.entity_type}
+                {!entityType && <span className="font-medium text-gray-900"> {entityLabel(entry)}</span>}
+                <span className="text-xs text-gray-500"> · {timeAgo(entry.created_at)}</span>
+              </p>
+              {!isCurrent && (
+                <button
+                  onClick={() => handleRestore(entry)}
+                  className="text-xs text-deck-600 hover:text-deck-700 whitespace-nowrap"
+                >
+                  {entry.action === 'delete' ? 'Restore' : 'Restore this version'}
+                </button>
+              )}
+            </div>
+            {(entry.action === 'update' || entry.action === 'restore') && changes.length > 0 && (
+              <ul className="mt-1 space-y-0.5">
+                {changes.map(([field, { from, to }]) => (
+                  <li key={field} className="text-xs text-gray-500">
+                    <span className="text-gray-700">{field.replace(/_/g, ' ')}:</span>{' '}
+                    <span className="line-through">{formatValue(from)}</span> → {formatValue(to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default HistoryList;
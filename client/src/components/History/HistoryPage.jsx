@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import HistoryList from './HistoryList';
+
+const ENTITY_TYPES = [
+  { value: '', label: 'Everything' },
+  { value: 'task', label: 'Tasks' },
+  { value: 'project', label: 'Projects' },
+  { value: 'event', label: 'Events' },
+  { value: 'idea', label: 'Ideas' },
+];
+
+// Everything the current user has created, changed or deleted, with the
+// option to go back to an earlier version or bring a deleted item back
+function HistoryPage() {
+  const [entityType, setEntityType] = useState('');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">History</h1>
+        <select
+          value={entityType}
+          onChange={(e) => setEntityType(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+        >
+          {ENTITY_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow px-6 py-2">
+        <HistoryList params={{ user_id: 'me', entity_type: entityType || undefined, limit: 100 }} />
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPage;
@@ -1,10 +1,12 @@
 import { useState, useRef } from 'react';
+import TagPicker from '../Tags/TagPicker';
 
 function IdeaForm({ idea, onSave, onClose }) {
   const [formData, setFormData] = useState({
     title: idea?.title || '',
     content: idea?.content || '',
     category: idea?.category || '',
+    tag_ids: idea?.tags?.map((tag) => tag.id) || [],
   });
   const [audioBlob, setAudioBlob] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
@@ -132,6 +134,11 @@ function IdeaForm({ idea, onSave, onClose }) {
               />
             </div>
 
+            <TagPicker
+              value={formData.tag_ids}
+              onChange={(tagIds) => setFormData({ ...formData, tag_ids: tagIds })}
+            />
+
             {/* Audio Recording */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -3,6 +3,9 @@ import { format, parseISO } from 'date-fns';
 import { ideasAPI } from '../../services/api';
 import IdeaForm from './IdeaForm';
 import AudioPlayer from './AudioPlayer';
+import TagBadges from '../Tags/TagBadges';
+import TagFilter from '../Tags/TagFilter';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
 
 function IdeasList() {
   const [ideas, setIdeas] = useState([]);
@@ -10,14 +13,19 @@ function IdeasList() {
   const [showForm, setShowForm] = useState(false);
   const [editingIdea, setEditingIdea] = useState(null);
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
 
   useEffect(() => {
     loadIdeas();
-  }, [categoryFilter]);
+  }, [categoryFilter, tagFilter]);
+
+  useLiveUpdates(['idea'], loadIdeas);
 
   const loadIdeas = async () => {
     try {
-      const params = categoryFilter ? { category: categoryFilter } : {};
+      const params = {};
+      if (categoryFilter) params.category = categoryFilter;
+      if (tagFilter) params.tag = tagFilter;
       const res = await ideasAPI.getAll(params);
       setIdeas(res.data.ideas);
     } catch (error) {
@@ -43,7 +51,7 @@ function IdeasList() {
   };
 
   const handleDelete = async (id) => {
-    if (!confirm('Are you sure you want to delete this idea?')) return;
+    if (!confirm('Move this idea to the trash?')) return;
 
     try {
       await ideasAPI.delete(id);
@@ -80,33 +88,37 @@ function IdeasList() {
       </div>
 
       {/* Filter */}
-      {categories.length > 0 && (
-        <div className="flex gap-2 flex-wrap">
-          <button
-            onClick={() => setCategoryFilter('')}
-            className={`px-3 py-1 rounded-full text-sm ${
-              !categoryFilter
-                ? 'bg-deck-500 text-white'
-                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-            }`}
-          >
-            All
-          </button>
-          {categories.map((category) => (
+      <div className="flex gap-4 flex-wrap items-center">
+        {categories.length > 0 && (
+          <div className="flex gap-2 flex-wrap">
             <button
-              key={category}
-              onClick={() => setCategoryFilter(category)}
+              onClick={() => setCategoryFilter('')}
               className={`px-3 py-1 rounded-full text-sm ${
-                categoryFilter === category
+                !categoryFilter
                   ? 'bg-deck-500 text-white'
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              {category}
+              All
             </button>
-          ))}
-        </div>
-      )}
+            {categories.map((category) => (
+              <button
+                key={category}
+                onClick={() => setCategoryFilter(category)}
+                className={`px-3 py-1 rounded-full text-sm ${
+                  categoryFilter === category
+                    ? 'bg-deck-500 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {category}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <TagFilter value={tagFilter} onChange={setTagFilter} />
+      </div>
 
       {/* Ideas Grid */}
       {ideas.length === 0 ? (
@@ -185,6 +197,8 @@ function IdeaCard({ idea, onEdit, onDelete }) {
           <p className="mt-3 text-sm text-gray-600 whitespace-pre-wrap">{idea.content}</p>
         )}
 
+        <TagBadges tags={idea.tags} className="mt-3" />
+
         {idea.audio_path && (
           <div className="mt-4">
             <AudioPlayer ideaId={idea.id} />
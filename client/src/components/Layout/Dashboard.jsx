@@ -2,10 +2,13 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { format, isToday, isTomorrow, parseISO } from 'date-fns';
 import { projectsAPI, tasksAPI, eventsAPI, ideasAPI } from '../../services/api';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
 
 function Dashboard() {
   const [projects, setProjects] = useState([]);
+  const [allProjects, setAllProjects] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [assignedTasks, setAssignedTasks] = useState([]);
   const [events, setEvents] = useState([]);
   const [ideas, setIdeas] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -14,17 +17,22 @@ function Dashboard() {
     loadDashboardData();
   }, []);
 
+  useLiveUpdates(['project', 'task', 'event', 'idea'], loadDashboardData);
+
   const loadDashboardData = async () => {
     try {
-      const [projectsRes, tasksRes, eventsRes, ideasRes] = await Promise.all([
-        projectsAPI.getAll({ status: 'active' }),
+      const [projectsRes, tasksRes, assignedRes, eventsRes, ideasRes] = await Promise.all([
+        projectsAPI.getAll(),
         tasksAPI.getAll({ status: 'pending' }),
+        tasksAPI.getAll({ assignee: 'me' }),
         eventsAPI.getAll(),
         ideasAPI.getAll(),
       ]);
 
-      setProjects(projectsRes.data.projects.slice(0, 5));
+      setAllProjects(projectsRes.data.projects);
+      setProjects(projectsRes.data.projects.filter((project) => project.status === 'active').slice(0, 5));
       setTasks(tasksRes.data.tasks.slice(0, 5));
+      setAssignedTasks(assignedRes.data.tasks.filter((task) => task.status !== 'completed'));
       setEvents(eventsRes.data.events.filter(e => {
         const eventDate = parseISO(e.start_time);
         return eventDate >= new Date();
@@ -37,6 +45,8 @@ function Dashboard() {
     }
   };
 
+  const getProjectName = (projectId) => allProjects.find((project) => project.id === projectId)?.name;
+
   const formatEventDate = (dateStr) => {
     const date = parseISO(dateStr);
     if (isToday(date)) return 'Today';
@@ -163,6 +173,36 @@ function Dashboard() {
           )}
         </div>
 
+        {/* My Assignments */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Assigned to Me</h2>
+            <Link to="/tasks" className="text-sm text-deck-600 hover:text-deck-700">
+              View all
+            </Link>
+          </div>
+          {assignedTasks.length === 0 ? (
+            <p className="text-gray-500 text-sm">Nothing assigned to you</p>
+          ) : (
+            <ul className="space-y-3">
+              {assignedTasks.map((task) => (
+                <li key={task.id} className="flex items-center justify-between p-3 rounded-lg hover:bg-gray-50">
+                  <div>
+                    <p className="font-medium text-gray-900">{task.title}</p>
+                    <p className="text-sm text-gray-500">
+                      {getProjectName(task.project_id) || 'No project'}
+                      {task.due_date && ` · Due ${format(parseISO(task.due_date), 'MMM d, yyyy')}`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-1 text-xs rounded-full status-${task.status}`}>
+                    {task.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Upcoming Events */}
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-4">
@@ -176,7 +216,7 @@ function Dashboard() {
           ) : (
             <ul className="space-y-3">
               {events.map((event) => (
-                <li key={event.id} className="flex items-center p-3 rounded-lg hover:bg-gray-50">
+                <li key={`${event.id}-${event.recurrence_id || ''}`} className="flex items-center p-3 rounded-lg hover:bg-gray-50">
                   <div className="flex-shrink-0 w-12 h-12 bg-deck-100 rounded-lg flex items-center justify-center mr-3">
                     <span className="text-deck-700 font-semibold text-sm">
                       {formatEventDate(event.start_time)}
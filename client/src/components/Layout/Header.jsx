@@ -1,12 +1,17 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
+import NotificationBell from '../Notifications/NotificationBell';
+import EmailSettings from '../Notifications/EmailSettings';
+import AccessTokens from '../Tokens/AccessTokens';
 
 function Header({ onMenuClick }) {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [searchQuery, setSearchQuery] = useState('');
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showEmailSettings, setShowEmailSettings] = useState(false);
+  const [showAccessTokens, setShowAccessTokens] = useState(false);
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -57,35 +62,60 @@ function Header({ onMenuClick }) {
           </div>
         </form>
 
-        <div className="relative">
-          <button
-            onClick={() => setShowUserMenu(!showUserMenu)}
-            className="flex items-center space-x-2 p-2 rounded-lg hover:bg-gray-100"
-          >
-            <div className="w-8 h-8 bg-deck-500 rounded-full flex items-center justify-center text-white font-medium">
-              {user?.username?.charAt(0).toUpperCase()}
-            </div>
-            <span className="hidden sm:block text-sm font-medium text-gray-700">
-              {user?.username}
-            </span>
-          </button>
+        <div className="flex items-center space-x-2">
+          <NotificationBell />
 
-          {showUserMenu && (
-            <div className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-lg py-1 border border-gray-200">
-              <div className="px-4 py-2 border-b border-gray-100">
-                <p className="text-sm font-medium text-gray-900">{user?.username}</p>
-                <p className="text-xs text-gray-500">{user?.email}</p>
+          <div className="relative">
+            <button
+              onClick={() => setShowUserMenu(!showUserMenu)}
+              className="flex items-center space-x-2 p-2 rounded-lg hover:bg-gray-100"
+            >
+              <div className="w-8 h-8 bg-deck-500 rounded-full flex items-center justify-center text-white font-medium">
+                {user?.username?.charAt(0).toUpperCase()}
+              </div>
+              <span className="hidden sm:block text-sm font-medium text-gray-700">
+                {user?.username}
+              </span>
+            </button>
+
+            {showUserMenu && (
+              <div className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-lg py-1 border border-gray-200">
+                <div className="px-4 py-2 border-b border-gray-100">
+                  <p className="text-sm font-medium text-gray-900">{user?.username}</p>
+                  <p className="text-xs text-gray-500">{user?.email}</p>
+                </div>
+                <button
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowEmailSettings(true);
+                  }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  Email notifications
+                </button>
+                <button
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowAccessTokens(true);
+                  }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  Access tokens
+                </button>
+                <button
+                  onClick={handleLogout}
+                  className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+                >
+                  Sign out
+                </button>
               </div>
-              <button
-                onClick={handleLogout}
-                className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
-              >
-                Sign out
-              </button>
-            </div>
-          )}
+            )}
+          </div>
         </div>
       </div>
+
+      {showEmailSettings && <EmailSettings onClose={() => setShowEmailSettings(false)} />}
+      {showAccessTokens && <AccessTokens onClose={() => setShowAccessTokens(false)} />}
     </header>
   );
 }
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { emailAPI } from '../../services/api';
+
+const DIGEST_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: 'daily', label: 'Daily agenda' },
+  { value: 'weekly', label: 'Weekly, on Mondays' },
+];
+
+// Whether reminders are emailed, and the opt-in digest of overdue tasks,
+// upcoming events and new ideas
+function EmailSettings({ onClose }) {
+  const [settings, setSettings] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    emailAPI.getSettings()
+      .then((res) => setSettings(res.data.settings))
+      .catch((error) => console.error('Failed to load email settings:', error));
+  }, []);
+
+  const update = async (changes) => {
+    try {
+      const res = await emailAPI.updateSettings(changes);
+      setSettings(res.data.settings);
+    } catch (error) {
+      console.error('Failed to update email settings:', error);
+      alert(error.response?.data?.error || 'Failed to update email settings');
+    }
+  };
+
+  const send = async (request) => {
+    setSending(true);
+    try {
+      const res = await request();
+      alert(res.data.message);
+    } catch (error) {
+      console.error('Failed to send email:', error);
+      alert(error.response?.data?.error || 'Failed to send email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl w-full max-w-md p-6">
+          <h2 className="text-lg font-semibold text-gray-900">Email notifications</h2>
+
+          {!settings ? (
+            <p className="mt-4 text-sm text-gray-500">Loading...</p>
+          ) : (
+            <div className="mt-4 space-y-4">
+              {!settings.enabled && (
+                <p className="p-3 text-sm text-yellow-800 bg-yellow-50 rounded-lg">
+                  Email isn't set up on this server yet, so nothing will be sent until an administrator
+                  configures SMTP.
+                </p>
+              )}
+              <p className="text-sm text-gray-600">
+                Sent to <span className="font-medium text-gray-900">{settings.email}</span>
+              </p>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={settings.email_reminders}
+                  onChange={(e) => update({ email_reminders: e.target.checked })}
+                  className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                />
+                Email me my task and event reminders
+              </label>
+
+              <label className="block text-sm text-gray-700">
+                Digest of overdue tasks, upcoming events and new ideas
+                <select
+                  value={settings.digest_frequency}
+                  onChange={(e) => update({ digest_frequency: e.target.value })}
+                  className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+                >
+                  {DIGEST_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+
+              {settings.enabled && (
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    disabled={sending}
+                    onClick={() => send(emailAPI.sendTest)}
+                    className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Send test email
+                  </button>
+                  <button
+                    type="button"
+                    disabled={sending}
+                    onClick={() => send(() => emailAPI.sendDigest())}
+                    className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Send digest now
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end pt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-white bg-deck-600 rounded-lg hover:bg-deck-700"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EmailSettings;
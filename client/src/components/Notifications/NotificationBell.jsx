@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { notificationsAPI } from '../../services/api';
+
+// How often the unread count is refreshed
+const POLL_MS = 60 * 1000;
+
+const LINKS = {
+  task: () => '/tasks',
+  event: () => '/calendar',
+  project: (id) => `/projects/${id}`,
+};
+
+// Timestamps are stored in UTC without a zone
+const timeAgo = (value) => formatDistanceToNow(parseISO(`${value.replace(' ', 'T')}Z`), { addSuffix: true });
+
+// The bell in the header: the unread count, and a dropdown of reminders and
+// mentions that can be opened, marked read or unread, and dismissed
+function NotificationBell() {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    loadNotifications();
+    const interval = setInterval(loadNotifications, POLL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadNotifications = async () => {
+    try {
+      const res = await notificationsAPI.getAll({ limit: 20 });
+      setNotifications(res.data.notifications);
+      setUnreadCount(res.data.unread_count);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      await handleToggleRead(notification);
+    }
+    navigate(LINKS[notification.entity_type](notification.entity_id));
+  };
+
+  const handleToggleRead = async (notification) => {
+    try {
+      if (notification.read) {
+        await notificationsAPI.markUnread(notification.id);
+      } else {
+        await notificationsAPI.markRead(notification.id);
+      }
+      loadNotifications();
+    } catch (error) {
+      console.error('Failed to update notification:', error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      loadNotifications();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const handleDismiss = async (notification) => {
+    try {
+      await notificationsAPI.dismiss(notification.id);
+      loadNotifications();
+    } catch (error) {
+      console.error('Failed to dismiss notification:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title="Notifications"
+        className="relative p-2 rounded-lg text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[1.1rem] h-[1.1rem] px-1 flex items-center justify-center text-[10px] font-semibold text-white bg-red-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-900">Notifications</p>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-deck-600 hover:text-deck-700">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">You're all caught up</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id} className={`px-4 py-3 ${notification.read ? '' : 'bg-deck-50'}`}>
+                  <button onClick={() => handleOpen(notification)} className="w-full text-left">
+                    <p className={`text-sm text-gray-900 ${notification.read ? '' : 'font-medium'}`}>
+                      {notification.title}
+                    </p>
+                    {notification.body && (
+                      <p className="text-xs text-gray-600 line-clamp-2">{notification.body}</p>
+                    )}
+                  </button>
+                  <div className="mt-1 flex items-center gap-3 text-xs text-gray-400">
+                    <span>{timeAgo(notification.created_at)}</span>
+                    <button onClick={() => handleToggleRead(notification)} className="hover:text-gray-600">
+                      {notification.read ? 'Mark unread' : 'Mark read'}
+                    </button>
+                    <button onClick={() => handleDismiss(notification)} className="hover:text-red-600">
+                      Dismiss
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
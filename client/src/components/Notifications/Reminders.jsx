@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { remindersAPI } from '../../services/api';
+
+const PRESETS = [
+  { minutes: 0, label: 'At the time' },
+  { minutes: 5, label: '5 minutes before' },
+  { minutes: 15, label: '15 minutes before' },
+  { minutes: 30, label: '30 minutes before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 120, label: '2 hours before' },
+  { minutes: 1440, label: '1 day before' },
+  { minutes: 2880, label: '2 days before' },
+  { minutes: 10080, label: '1 week before' },
+];
+
+const describe = (minutes) => (
+  PRESETS.find((preset) => preset.minutes === minutes)?.label || `${minutes} minutes before`
+);
+
+// The user's own reminders on a task or event. They arrive in the
+// notifications inbox; date-only due dates count from 9:00.
+function Reminders({ entityType, entityId }) {
+  const [reminders, setReminders] = useState([]);
+  const [selected, setSelected] = useState('');
+
+  useEffect(() => {
+    loadReminders();
+  }, [entityType, entityId]);
+
+  const loadReminders = async () => {
+    try {
+      const res = await remindersAPI.getAll(entityType, entityId);
+      setReminders(res.data.reminders);
+    } catch (error) {
+      console.error('Failed to load reminders:', error);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    const minutes = e.target.value;
+    setSelected('');
+    if (minutes === '') return;
+
+    try {
+      await remindersAPI.create(entityType, entityId, Number(minutes));
+      loadReminders();
+    } catch (error) {
+      console.error('Failed to add reminder:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+    }
+  };
+
+  const handleRemove = async (reminder) => {
+    try {
+      await remindersAPI.delete(reminder.id);
+      loadReminders();
+    } catch (error) {
+      console.error('Failed to remove reminder:', error);
+    }
+  };
+
+  const available = PRESETS.filter((preset) => !reminders.some((r) => r.minutes_before === preset.minutes));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {reminders.map((reminder) => (
+        <span
+          key={reminder.id}
+          className="inline-flex items-center gap-1 px-2 py-1 text-xs text-deck-700 bg-deck-50 border border-deck-200 rounded-full"
+        >
+          {describe(reminder.minutes_before)}
+          <button
+            type="button"
+            onClick={() => handleRemove(reminder)}
+            title="Remove reminder"
+            className="text-deck-400 hover:text-red-600"
+          >
+            &times;
+          </button>
+        </span>
+      ))}
+      {available.length > 0 && (
+        <select
+          value={selected}
+          onChange={handleAdd}
+          className="px-2 py-1 text-xs border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+        >
+          <option value="">Add reminder...</option>
+          {available.map((preset) => (
+            <option key={preset.minutes} value={preset.minutes}>{preset.label}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default Reminders;
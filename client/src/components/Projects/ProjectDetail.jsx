@@ -1,8 +1,17 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { format, parseISO } from 'date-fns';
 import { projectsAPI, tasksAPI, eventsAPI } from '../../services/api';
 import ProjectForm from './ProjectForm';
+import SubtaskList from '../Tasks/SubtaskList';
+import TagBadges from '../Tags/TagBadges';
+import ProjectMembers from './ProjectMembers';
+import TaskDetail from '../Tasks/TaskDetail';
+import CommentThread from '../Comments/CommentThread';
+import HistoryList from '../History/HistoryList';
+import AttachmentList from '../Attachments/AttachmentList';
+import { formatDuration } from '../Time/duration';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
 
 function ProjectDetail() {
   const { id } = useParams();
@@ -12,11 +21,15 @@ function ProjectDetail() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showEditForm, setShowEditForm] = useState(false);
+  const [viewingTask, setViewingTask] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
 
   useEffect(() => {
     loadProject();
   }, [id]);
 
+  useLiveUpdates(['project', 'task', 'event'], loadProject);
+
   const loadProject = async () => {
     try {
       const res = await projectsAPI.getOne(id);
@@ -31,6 +44,12 @@ function ProjectDetail() {
     }
   };
 
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
   const handleSave = async (data) => {
     try {
       await projectsAPI.update(id, data);
@@ -38,17 +57,19 @@ function ProjectDetail() {
       loadProject();
     } catch (error) {
       console.error('Failed to update project:', error);
+      showError(error);
     }
   };
 
   const handleDelete = async () => {
-    if (!confirm('Are you sure you want to delete this project? All associated tasks and events will be unlinked.')) return;
+    if (!confirm('Move this project and its tasks and events to the trash?')) return;
 
     try {
       await projectsAPI.delete(id);
       navigate('/projects');
     } catch (error) {
       console.error('Failed to delete project:', error);
+      showError(error);
     }
   };
 
@@ -58,6 +79,7 @@ function ProjectDetail() {
       loadProject();
     } catch (error) {
       console.error('Failed to update task:', error);
+      showError(error);
     }
   };
 
@@ -73,6 +95,8 @@ function ProjectDetail() {
     return <div>Project not found</div>;
   }
 
+  const canEdit = project.role === 'owner' || project.role === 'editor';
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -84,29 +108,44 @@ function ProjectDetail() {
               <span className={`px-3 py-1 text-sm rounded-full status-${project.status}`}>
                 {project.status}
               </span>
+              {project.role !== 'owner' && (
+                <span className="px-3 py-1 text-sm rounded-full bg-gray-100 text-gray-700 capitalize">
+                  Shared · {project.role}
+                </span>
+              )}
             </div>
             {project.description && (
               <p className="mt-2 text-gray-600">{project.description}</p>
             )}
+            <TagBadges tags={project.tags} className="mt-3" />
             <div className="mt-4 flex items-center gap-4 text-sm text-gray-500">
               <span className="capitalize">{project.category}</span>
               <span>Created {format(parseISO(project.created_at), 'MMM d, yyyy')}</span>
               <span>Updated {format(parseISO(project.updated_at), 'MMM d, yyyy')}</span>
+              {project.time_spent > 0 && (
+                <Link to={`/timesheet?project_id=${project.id}`} className="hover:text-gray-700">
+                  {formatDuration(project.time_spent)} tracked
+                </Link>
+              )}
             </div>
           </div>
           <div className="flex gap-2">
-            <button
-              onClick={() => setShowEditForm(true)}
-              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
-            >
-              Edit
-            </button>
-            <button
-              onClick={handleDelete}
-              className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200"
-            >
-              Delete
-            </button>
+            {canEdit && (
+              <button
+                onClick={() => setShowEditForm(true)}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Edit
+              </button>
+            )}
+            {project.role === 'owner' && (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200"
+              >
+                Delete
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -120,31 +159,42 @@ function ProjectDetail() {
           ) : (
             <ul className="space-y-3">
               {tasks.map((task) => (
-                <li key={task.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                  <div className="flex items-center gap-3">
-                    <input
-                      type="checkbox"
-                      checked={task.status === 'completed'}
-                      onChange={() => handleTaskStatusChange(
-                        task.id,
-                        task.status === 'completed' ? 'pending' : 'completed'
-                      )}
-                      className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
-                    />
-                    <div>
-                      <p className={`font-medium ${task.status === 'completed' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
-                        {task.title}
-                      </p>
-                      {task.due_date && (
-                        <p className="text-xs text-gray-500">
-                          Due {format(parseISO(task.due_date), 'MMM d, yyyy')}
-                        </p>
-                      )}
+                <li key={task.id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="checkbox"
+                        checked={task.status === 'completed'}
+                        onChange={() => handleTaskStatusChange(
+                          task.id,
+                          task.status === 'completed' ? 'pending' : 'completed'
+                        )}
+                        disabled={!canEdit}
+                        className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                      />
+                      <div>
+                        <button
+                          onClick={() => setViewingTask(task)}
+                          className={`text-left font-medium hover:text-deck-600 ${task.status === 'completed' ? 'text-gray-400 line-through' : 'text-gray-900'}`}
+                        >
+                          {task.title}
+                        </button>
+                        {(task.due_date || task.assignee) && (
+                          <p className="text-xs text-gray-500">
+                            {task.due_date && `Due ${format(parseISO(task.due_date), 'MMM d, yyyy')}`}
+                            {task.due_date && task.assignee && ' · '}
+                            {task.assignee && `@${task.assignee.username}`}
+                          </p>
+                        )}
+                      </div>
                     </div>
+                    <span className={`px-2 py-1 text-xs rounded-full priority-${task.priority}`}>
+                      {task.priority}
+                    </span>
+                  </div>
+                  <div className="pl-7">
+                    <SubtaskList task={task} onChange={loadProject} readOnly={!canEdit} />
                   </div>
-                  <span className={`px-2 py-1 text-xs rounded-full priority-${task.priority}`}>
-                    {task.priority}
-                  </span>
                 </li>
               ))}
             </ul>
@@ -175,6 +225,47 @@ function ProjectDetail() {
         </div>
       </div>
 
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ProjectMembers project={project} onChange={loadProject} />
+
+        {/* Files */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Files</h2>
+          <AttachmentList entityType="project" entityId={project.id} />
+        </div>
+
+        {/* Discussion, or the project's change history */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">{showHistory ? 'History' : 'Discussion'}</h2>
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              {showHistory ? 'Show discussion' : 'Show history'}
+            </button>
+          </div>
+          {showHistory ? (
+            <HistoryList key={project.updated_at} entityType="project" entityId={project.id} onRestore={loadProject} />
+          ) : (
+            <CommentThread key={project.updated_at} entityType="project" entityId={project.id} />
+          )}
+        </div>
+      </div>
+
+      {viewingTask && (
+        <TaskDetail
+          task={viewingTask}
+          projectName={project.name}
+          onRestore={() => {
+            setViewingTask(null);
+            loadProject();
+          }}
+          onTimeChange={loadProject}
+          onClose={() => setViewingTask(null)}
+        />
+      )}
+
       {/* Edit Form Modal */}
       {showEditForm && (
         <ProjectForm
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import TagPicker from '../Tags/TagPicker';
 
 function ProjectForm({ project, onSave, onClose }) {
   const [formData, setFormData] = useState({
@@ -6,6 +7,7 @@ function ProjectForm({ project, onSave, onClose }) {
     description: project?.description || '',
     category: project?.category || 'personal',
     status: project?.status || 'active',
+    tag_ids: project?.tags?.map((tag) => tag.id) || [],
   });
   const [loading, setLoading] = useState(false);
 
@@ -79,6 +81,11 @@ function ProjectForm({ project, onSave, onClose }) {
               </select>
             </div>
 
+            <TagPicker
+              value={formData.tag_ids}
+              onChange={(tagIds) => setFormData({ ...formData, tag_ids: tagIds })}
+            />
+
             <div className="flex justify-end gap-3 pt-4">
               <button
                 type="button"
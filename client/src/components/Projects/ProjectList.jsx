@@ -3,23 +3,65 @@ import { Link } from 'react-router-dom';
 import { format, parseISO } from 'date-fns';
 import { projectsAPI } from '../../services/api';
 import ProjectForm from './ProjectForm';
+import TagBadges from '../Tags/TagBadges';
+import TagFilter from '../Tags/TagFilter';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
 
 function ProjectList() {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingProject, setEditingProject] = useState(null);
-  const [filters, setFilters] = useState({ category: '', status: '' });
+  const [filters, setFilters] = useState({ category: '', status: '', tag: '' });
+  const [invitations, setInvitations] = useState([]);
 
   useEffect(() => {
     loadProjects();
   }, [filters]);
 
+  useEffect(() => {
+    loadInvitations();
+  }, []);
+
+  useLiveUpdates(['project'], () => {
+    loadProjects();
+    loadInvitations();
+  });
+
+  const loadInvitations = async () => {
+    try {
+      const res = await projectsAPI.getInvitations();
+      setInvitations(res.data.invitations);
+    } catch (error) {
+      console.error('Failed to load invitations:', error);
+    }
+  };
+
+  const handleAccept = async (projectId) => {
+    try {
+      await projectsAPI.acceptInvitation(projectId);
+      loadInvitations();
+      loadProjects();
+    } catch (error) {
+      console.error('Failed to accept invitation:', error);
+    }
+  };
+
+  const handleDecline = async (projectId) => {
+    try {
+      await projectsAPI.declineInvitation(projectId);
+      loadInvitations();
+    } catch (error) {
+      console.error('Failed to decline invitation:', error);
+    }
+  };
+
   const loadProjects = async () => {
     try {
       const params = {};
       if (filters.category) params.category = filters.category;
       if (filters.status) params.status = filters.status;
+      if (filters.tag) params.tag = filters.tag;
 
       const res = await projectsAPI.getAll(params);
       setProjects(res.data.projects);
@@ -46,13 +88,16 @@ function ProjectList() {
   };
 
   const handleDelete = async (id) => {
-    if (!confirm('Are you sure you want to delete this project?')) return;
+    if (!confirm('Move this project and its tasks and events to the trash?')) return;
 
     try {
       await projectsAPI.delete(id);
       loadProjects();
     } catch (error) {
       console.error('Failed to delete project:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
     }
   };
 
@@ -84,6 +129,35 @@ function ProjectList() {
         </button>
       </div>
 
+      {/* Invitations */}
+      {invitations.length > 0 && (
+        <ul className="bg-deck-50 border border-deck-200 rounded-lg divide-y divide-deck-100">
+          {invitations.map((invitation) => (
+            <li key={invitation.project_id} className="p-4 flex items-center justify-between gap-4">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium">{invitation.invited_by || 'Someone'}</span> invited you to{' '}
+                <span className="font-medium">{invitation.project_name}</span> as {invitation.role === 'editor' ? 'an' : 'a'}{' '}
+                {invitation.role}
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleAccept(invitation.project_id)}
+                  className="px-3 py-1 text-sm bg-deck-600 text-white rounded-lg hover:bg-deck-700"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => handleDecline(invitation.project_id)}
+                  className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Decline
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
       {/* Filters */}
       <div className="flex gap-4 flex-wrap">
         <select
@@ -107,6 +181,8 @@ function ProjectList() {
           <option value="completed">Completed</option>
           <option value="on-hold">On Hold</option>
         </select>
+
+        <TagFilter value={filters.tag} onChange={(tag) => setFilters({ ...filters, tag })} />
       </div>
 
       {/* Projects Grid */}
@@ -130,22 +206,26 @@ function ProjectList() {
                     </h3>
                   </Link>
                   <div className="flex gap-1 ml-2">
-                    <button
-                      onClick={() => handleEdit(project)}
-                      className="p-1 text-gray-400 hover:text-gray-600"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-                      </svg>
-                    </button>
-                    <button
-                      onClick={() => handleDelete(project.id)}
-                      className="p-1 text-gray-400 hover:text-red-600"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                      </svg>
-                    </button>
+                    {project.role !== 'viewer' && (
+                      <button
+                        onClick={() => handleEdit(project)}
+                        className="p-1 text-gray-400 hover:text-gray-600"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                        </svg>
+                      </button>
+                    )}
+                    {project.role === 'owner' && (
+                      <button
+                        onClick={() => handleDelete(project.id)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -153,8 +233,13 @@ function ProjectList() {
                   <p className="mt-2 text-sm text-gray-600 line-clamp-2">{project.description}</p>
                 )}
 
+                <TagBadges tags={project.tags} className="mt-3" />
+
                 <div className="mt-4 flex items-center justify-between">
-                  <span className="text-xs text-gray-500 capitalize">{project.category}</span>
+                  <span className="text-xs text-gray-500 capitalize">
+                    {project.category}
+                    {project.role !== 'owner' && ` · Shared (${project.role})`}
+                  </span>
                   <span className={`px-2 py-1 text-xs rounded-full status-${project.status}`}>
                     {project.status}
                   </span>
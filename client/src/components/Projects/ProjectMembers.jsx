@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { projectsAPI } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+
+// Owner, members and pending invitations of a project. The owner invites
+// people, changes roles, removes members and hands the project over;
+// members can leave.
+function ProjectMembers({ project, onChange }) {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [members, setMembers] = useState([]);
+  const [invite, setInvite] = useState({ identifier: '', role: 'viewer' });
+
+  const isOwner = project.role === 'owner';
+
+  useEffect(() => {
+    loadMembers();
+  }, [project.id]);
+
+  const loadMembers = async () => {
+    try {
+      const res = await projectsAPI.getMembers(project.id);
+      setMembers(res.data.members);
+    } catch (error) {
+      console.error('Failed to load members:', error);
+    }
+  };
+
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!invite.identifier.trim()) return;
+
+    try {
+      const res = await projectsAPI.inviteMember(project.id, invite);
+      setMembers(res.data.members);
+      setInvite({ identifier: '', role: invite.role });
+    } catch (error) {
+      console.error('Failed to invite member:', error);
+      showError(error);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const res = await projectsAPI.updateMember(project.id, member.id, { role });
+      setMembers(res.data.members);
+    } catch (error) {
+      console.error('Failed to update member:', error);
+      showError(error);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.id === user?.id;
+    const message = leaving
+      ? `Leave "${project.name}"? You will lose access to its tasks and events.`
+      : `Remove ${member.username} from this project?`;
+    if (!confirm(message)) return;
+
+    try {
+      await projectsAPI.removeMember(project.id, member.id);
+      if (leaving) {
+        navigate('/projects');
+      } else {
+        loadMembers();
+      }
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+      showError(error);
+    }
+  };
+
+  const handleTransfer = async (member) => {
+    if (!confirm(`Make ${member.username} the owner of "${project.name}"? You will stay on as an editor.`)) return;
+
+    try {
+      await projectsAPI.transfer(project.id, member.id);
+      onChange();
+      loadMembers();
+    } catch (error) {
+      console.error('Failed to transfer project:', error);
+      showError(error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Members ({members.length})</h2>
+
+      <ul className="divide-y divide-gray-100">
+        {members.map((member) => (
+          <li key={member.id} className="py-2 flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {member.username}
+                {member.id === user?.id && <span className="text-gray-500"> (you)</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {member.email}
+                {!member.accepted_at && ' · Invitation pending'}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              {isOwner && member.role !== 'owner' ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+                >
+                  <option value="viewer">Viewer</option>
+                  <option value="editor">Editor</option>
+                </select>
+              ) : (
+                <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700 capitalize">
+                  {member.role}
+                </span>
+              )}
+              {isOwner && member.role !== 'owner' && member.accepted_at && (
+                <button
+                  onClick={() => handleTransfer(member)}
+                  className="text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Make owner
+                </button>
+              )}
+              {member.role !== 'owner' && (isOwner || member.id === user?.id) && (
+                <button
+                  onClick={() => handleRemove(member)}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  {member.id === user?.id ? 'Leave' : 'Remove'}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <form onSubmit={handleInvite} className="mt-4 flex items-center gap-2">
+          <input
+            type="text"
+            value={invite.identifier}
+            onChange={(e) => setInvite({ ...invite, identifier: e.target.value })}
+            placeholder="Username or email"
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+          >
+            <option value="viewer">Viewer</option>
+            <option value="editor">Editor</option>
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm bg-deck-600 text-white rounded-lg hover:bg-deck-700 transition-colors"
+          >
+            Invite
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ProjectMembers;
@@ -2,23 +2,25 @@ import { useState, useEffect } from 'react';
 import { useSearchParams, Link } from 'react-router-dom';
 import { format, parseISO } from 'date-fns';
 import { searchAPI } from '../../services/api';
+import TagBadges from '../Tags/TagBadges';
 
 function SearchResults() {
   const [searchParams] = useSearchParams();
   const query = searchParams.get('q') || '';
+  const tag = searchParams.get('tag') || '';
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
-    if (query) {
+    if (query || tag) {
       performSearch();
     }
-  }, [query]);
+  }, [query, tag]);
 
   const performSearch = async () => {
     setLoading(true);
     try {
-      const res = await searchAPI.search(query);
+      const res = await searchAPI.search(query, tag || undefined);
       setResults(res.data);
     } catch (error) {
       console.error('Search failed:', error);
@@ -27,7 +29,7 @@ function SearchResults() {
     }
   };
 
-  if (!query) {
+  if (!query && !tag) {
     return (
       <div className="text-center py-12">
         <p className="text-gray-500">Enter a search query to find projects, tasks, events, and ideas.</p>
@@ -49,14 +51,33 @@ function SearchResults() {
 
   const { projects, tasks, events, ideas } = results.results;
   const hasResults = results.total > 0;
+  const description = [
+    query && `"${query}"`,
+    results.tag && `tagged "${results.tag.name}"`,
+  ].filter(Boolean).join(' ');
 
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Search Results</h1>
         <p className="text-gray-500 mt-1">
-          Found {results.total} result{results.total !== 1 ? 's' : ''} for "{query}"
+          Found {results.total} result{results.total !== 1 ? 's' : ''} for {description}
         </p>
+        {results.tags.length > 0 && (
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500">Tags:</span>
+            {results.tags.map((matchingTag) => (
+              <Link
+                key={matchingTag.id}
+                to={`/search?tag=${matchingTag.id}`}
+                className="px-2 py-0.5 text-xs rounded-full text-white hover:opacity-80"
+                style={{ backgroundColor: matchingTag.color }}
+              >
+                {matchingTag.name}
+              </Link>
+            ))}
+          </div>
+        )}
       </div>
 
       {!hasResults ? (
@@ -91,6 +112,7 @@ function SearchResults() {
                         {project.description && (
                           <p className="text-sm text-gray-500 line-clamp-1">{project.description}</p>
                         )}
+                        <TagBadges tags={project.tags} className="mt-1" />
                       </div>
                       <span className={`px-2 py-1 text-xs rounded-full status-${project.status}`}>
                         {project.status}
@@ -124,6 +146,7 @@ function SearchResults() {
                         {task.description && (
                           <p className="text-sm text-gray-500 line-clamp-1">{task.description}</p>
                         )}
+                        <TagBadges tags={task.tags} className="mt-1" />
                       </div>
                       <div className="flex items-center gap-2">
                         <span className={`px-2 py-1 text-xs rounded-full priority-${task.priority}`}>
@@ -162,6 +185,7 @@ function SearchResults() {
                         {event.description && (
                           <p className="text-sm text-gray-500 line-clamp-1">{event.description}</p>
                         )}
+                        <TagBadges tags={event.tags} className="mt-1" />
                       </div>
                       <span className="text-sm text-gray-500">
                         {format(parseISO(event.start_time), 'MMM d, yyyy')}
@@ -201,6 +225,7 @@ function SearchResults() {
                       {idea.content && (
                         <p className="text-sm text-gray-500 line-clamp-1 mt-1">{idea.content}</p>
                       )}
+                      <TagBadges tags={idea.tags} className="mt-1" />
                     </div>
                   </Link>
                 ))}
@@ -0,0 +1,20 @@
+// Colored chips for an item's tags
+function TagBadges({ tags, className = '' }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag.id}
+          className="px-2 py-0.5 text-xs rounded-full text-white"
+          style={{ backgroundColor: tag.color }}
+        >
+          {tag.name}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default TagBadges;
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { tagsAPI } from '../../services/api';
+
+// Tag dropdown for list filters; the value is a tag id ('' for all)
+function TagFilter({ value, onChange }) {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const loadTags = async () => {
+    try {
+      const res = await tagsAPI.getAll();
+      setTags(res.data.tags);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  };
+
+  if (tags.length === 0) return null;
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+    >
+      <option value="">All Tags</option>
+      {tags.map((tag) => (
+        <option key={tag.id} value={tag.id}>
+          {tag.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default TagFilter;
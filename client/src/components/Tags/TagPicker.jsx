@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { tagsAPI } from '../../services/api';
+
+const DEFAULT_COLOR = '#6b7280';
+
+// Form field for choosing tags by id, with a shortcut to create a new tag
+function TagPicker({ value, onChange }) {
+  const [tags, setTags] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(DEFAULT_COLOR);
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const loadTags = async () => {
+    try {
+      const res = await tagsAPI.getAll();
+      setTags(res.data.tags);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  };
+
+  const toggleTag = (id) => {
+    onChange(value.includes(id) ? value.filter((tagId) => tagId !== id) : [...value, id]);
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+
+    try {
+      const res = await tagsAPI.create({ name: newName.trim(), color: newColor });
+      setTags([...tags, res.data.tag].sort((a, b) => a.name.localeCompare(b.name)));
+      onChange([...value, res.data.tag.id]);
+      setNewName('');
+      setNewColor(DEFAULT_COLOR);
+    } catch (error) {
+      console.error('Failed to create tag:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Tags</label>
+      {tags.length > 0 && (
+        <div className="mt-1 flex flex-wrap gap-1">
+          {tags.map((tag) => {
+            const selected = value.includes(tag.id);
+            return (
+              <button
+                key={tag.id}
+                type="button"
+                onClick={() => toggleTag(tag.id)}
+                className={`px-2 py-0.5 text-xs rounded-full border ${selected ? 'text-white' : 'text-gray-700 bg-white'}`}
+                style={selected ? { backgroundColor: tag.color, borderColor: tag.color } : { borderColor: tag.color }}
+              >
+                {tag.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      <div className="mt-2 flex items-center gap-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          placeholder="New tag"
+          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+        />
+        <input
+          type="color"
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          className="w-8 h-8 p-0 border border-gray-300 rounded"
+          title="Tag color"
+        />
+        <button
+          type="button"
+          onClick={handleCreate}
+          className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TagPicker;
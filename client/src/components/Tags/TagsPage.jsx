@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { tagsAPI } from '../../services/api';
+
+const DEFAULT_COLOR = '#6b7280';
+
+function TagsPage() {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const loadTags = async () => {
+    try {
+      const res = await tagsAPI.getAll();
+      setTags(res.data.tags);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTag.name.trim()) return;
+
+    try {
+      await tagsAPI.create(newTag);
+      setNewTag({ name: '', color: DEFAULT_COLOR });
+      loadTags();
+    } catch (error) {
+      console.error('Failed to create tag:', error);
+      showError(error);
+    }
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+
+    try {
+      await tagsAPI.update(editing.id, { name: editing.name, color: editing.color });
+      setEditing(null);
+      loadTags();
+    } catch (error) {
+      console.error('Failed to update tag:', error);
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!confirm(`Delete the tag "${tag.name}"? It will be removed from ${tag.usage_count} item(s).`)) return;
+
+    try {
+      await tagsAPI.delete(tag.id);
+      loadTags();
+    } catch (error) {
+      console.error('Failed to delete tag:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-deck-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Tags</h1>
+
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-4 flex items-center gap-3">
+        <input
+          type="text"
+          value={newTag.name}
+          onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+          placeholder="Tag name"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+        />
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+          className="w-10 h-10 p-0 border border-gray-300 rounded"
+          title="Tag color"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-deck-600 text-white rounded-lg hover:bg-deck-700 transition-colors"
+        >
+          New Tag
+        </button>
+      </form>
+
+      {tags.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="text-sm font-medium text-gray-900">No tags</h3>
+          <p className="mt-1 text-sm text-gray-500">Create tags to label your projects, tasks, events and ideas.</p>
+        </div>
+      ) : (
+        <ul className="bg-white rounded-lg shadow divide-y divide-gray-100">
+          {tags.map((tag) => (
+            <li key={tag.id} className="p-4">
+              {editing?.id === tag.id ? (
+                <form onSubmit={handleUpdate} className="flex items-center gap-3">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    className="flex-1 px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+                  />
+                  <input
+                    type="color"
+                    value={editing.color}
+                    onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                    className="w-8 h-8 p-0 border border-gray-300 rounded"
+                  />
+                  <button type="submit" className="text-sm text-deck-600 hover:text-deck-700">Save</button>
+                  <button type="button" onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <Link to={`/search?tag=${tag.id}`} className="flex items-center gap-3">
+                    <span className="px-2 py-0.5 text-sm rounded-full text-white" style={{ backgroundColor: tag.color }}>
+                      {tag.name}
+                    </span>
+                    <span className="text-sm text-gray-500">
+                      {tag.usage_count} item{tag.usage_count !== 1 ? 's' : ''}
+                    </span>
+                  </Link>
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => setEditing({ id: tag.id, name: tag.name, color: tag.color })}
+                      className="text-sm text-gray-600 hover:text-gray-900"
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(tag)} className="text-sm text-red-600 hover:text-red-700">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagsPage;
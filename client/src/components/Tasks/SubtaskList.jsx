@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { tasksAPI } from '../../services/api';
+
+// Checklist of a task's subtasks with a progress bar and an inline add field.
+// readOnly shows progress only, for viewers of a shared project.
+function SubtaskList({ task, onChange, readOnly = false }) {
+  const [title, setTitle] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const subtasks = task.subtasks || [];
+  const progress = subtasks.length ? Math.round((task.subtasks_completed / subtasks.length) * 100) : 0;
+
+  const handleToggle = async (subtask) => {
+    try {
+      await tasksAPI.update(subtask.id, {
+        status: subtask.status === 'completed' ? 'pending' : 'completed',
+      });
+      onChange();
+    } catch (error) {
+      console.error('Failed to update subtask:', error);
+    }
+  };
+
+  const handleDelete = async (subtask) => {
+    try {
+      await tasksAPI.delete(subtask.id);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete subtask:', error);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    setAdding(true);
+    try {
+      await tasksAPI.create({ title: title.trim(), parent_task_id: task.id });
+      setTitle('');
+      onChange();
+    } catch (error) {
+      console.error('Failed to add subtask:', error);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      {subtasks.length > 0 && (
+        <>
+          <div className="flex items-center gap-2">
+            <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-full bg-green-500" style={{ width: `${progress}%` }} />
+            </div>
+            <span className="text-xs text-gray-500">
+              {task.subtasks_completed}/{subtasks.length}
+            </span>
+          </div>
+
+          <ul className="mt-2 space-y-1">
+            {subtasks.map((subtask) => (
+              <li key={subtask.id} className="group flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={subtask.status === 'completed'}
+                  onChange={() => handleToggle(subtask)}
+                  disabled={readOnly}
+                  className="w-3.5 h-3.5 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                />
+                <span className={`flex-1 ${subtask.status === 'completed' ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                  {subtask.title}
+                </span>
+                {!readOnly && (
+                  <button
+                    onClick={() => handleDelete(subtask)}
+                    className="text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                    title="Delete subtask"
+                  >
+                    &times;
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {!readOnly && (
+        <form onSubmit={handleAdd} className="mt-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            disabled={adding}
+            placeholder="Add subtask"
+            className="w-full px-2 py-1 text-sm border border-gray-200 rounded focus:ring-2 focus:ring-deck-500"
+          />
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SubtaskList;
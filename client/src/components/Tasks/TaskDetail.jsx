@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import TagBadges from '../Tags/TagBadges';
+import CommentThread from '../Comments/CommentThread';
+import HistoryList from '../History/HistoryList';
+import AttachmentList from '../Attachments/AttachmentList';
+import TimeEntries from '../Time/TimeEntries';
+import Reminders from '../Notifications/Reminders';
+
+// A task's details with the user's reminders, its comment and activity
+// thread, attached files, tracked time, and its full change history. onRestore is called after an
+// earlier version is restored, onTimeChange after time is tracked.
+function TaskDetail({ task, projectName, onEdit, onRestore, onTimeChange, onClose }) {
+  const [tab, setTab] = useState('comments');
+
+  const tabClass = (name) => `text-sm font-semibold ${
+    tab === name ? 'text-gray-900' : 'text-gray-500 hover:text-gray-700'
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:p-0">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl w-full max-w-2xl p-6 text-left">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">{task.title}</h2>
+              {projectName && <p className="text-sm text-deck-600 mt-1">{projectName}</p>}
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className={`px-2 py-0.5 text-xs rounded-full status-${task.status}`}>{task.status}</span>
+            <span className={`px-2 py-0.5 text-xs rounded-full priority-${task.priority}`}>{task.priority}</span>
+            {task.assignee && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                @{task.assignee.username}
+              </span>
+            )}
+            {task.due_date && (
+              <span className="text-xs text-gray-500">Due {format(parseISO(task.due_date), 'MMM d, yyyy')}</span>
+            )}
+          </div>
+
+          {task.description && (
+            <p className="mt-3 text-sm text-gray-600 whitespace-pre-wrap">{task.description}</p>
+          )}
+
+          <TagBadges tags={task.tags} className="mt-3" />
+
+          {task.due_date && task.status !== 'completed' && (
+            <div className="mt-3">
+              <Reminders entityType="task" entityId={task.id} />
+            </div>
+          )}
+
+          <div className="mt-6 border-t border-gray-200 pt-4">
+            <div className="flex gap-4 mb-3">
+              <button onClick={() => setTab('comments')} className={tabClass('comments')}>
+                Comments & Activity
+              </button>
+              <button onClick={() => setTab('files')} className={tabClass('files')}>
+                Files
+              </button>
+              <button onClick={() => setTab('time')} className={tabClass('time')}>
+                Time
+              </button>
+              <button onClick={() => setTab('history')} className={tabClass('history')}>
+                History
+              </button>
+            </div>
+            {tab === 'comments' && <CommentThread entityType="task" entityId={task.id} />}
+            {tab === 'files' && <AttachmentList entityType="task" entityId={task.id} />}
+            {tab === 'time' && <TimeEntries task={task} onChange={onTimeChange} />}
+            {tab === 'history' && <HistoryList entityType="task" entityId={task.id} onRestore={onRestore} />}
+          </div>
+
+          {onEdit && (
+            <div className="flex justify-end pt-4">
+              <button
+                onClick={onEdit}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Edit
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TaskDetail;
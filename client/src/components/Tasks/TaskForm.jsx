@@ -1,25 +1,101 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { format, parseISO } from 'date-fns';
+import { tasksAPI, projectsAPI } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+import TagPicker from '../Tags/TagPicker';
+
+const TASK_REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'FREQ=DAILY', label: 'Daily' },
+  { value: 'FREQ=WEEKLY', label: 'Weekly' },
+  { value: 'FREQ=MONTHLY', label: 'Monthly' },
+  { value: 'FREQ=YEARLY', label: 'Yearly' },
+  { value: 'after', label: 'Days after completion' },
+];
 
 function TaskForm({ task, projects, onSave, onClose }) {
+  const { user } = useAuth();
   const [formData, setFormData] = useState({
     title: task?.title || '',
     description: task?.description || '',
     project_id: task?.project_id || '',
+    assignee_id: task?.assignee_id || '',
     priority: task?.priority || 'medium',
     status: task?.status || 'pending',
     due_date: task?.due_date ? format(parseISO(task.due_date), 'yyyy-MM-dd') : '',
+    repeat: task?.recurrence_after_days ? 'after' : task?.recurrence_rule || '',
+    repeat_after_days: task?.recurrence_after_days || 7,
+    complete_with_subtasks: Boolean(task?.complete_with_subtasks),
+    depends_on: task?.depends_on || [],
+    tag_ids: task?.tags?.map((tag) => tag.id) || [],
   });
   const [loading, setLoading] = useState(false);
+  const [otherTasks, setOtherTasks] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+
+  useEffect(() => {
+    loadOtherTasks();
+  }, []);
+
+  useEffect(() => {
+    loadAssignees();
+  }, [formData.project_id]);
+
+  // People who can be assigned: the project's members, or just you outside a
+  // project. An assignee who can't see the newly chosen project is cleared.
+  const loadAssignees = async () => {
+    try {
+      let candidates = user ? [user] : [];
+      if (formData.project_id) {
+        const res = await projectsAPI.getMembers(formData.project_id);
+        candidates = res.data.members.filter((member) => member.accepted_at);
+      }
+      setAssignees(candidates);
+      setFormData((current) => (
+        candidates.some((candidate) => String(candidate.id) === String(current.assignee_id))
+          ? current
+          : { ...current, assignee_id: '' }
+      ));
+    } catch (error) {
+      console.error('Failed to load members:', error);
+    }
+  };
+
+  // Tasks this one can depend on: open ones, plus any it already depends on
+  const loadOtherTasks = async () => {
+    try {
+      const res = await tasksAPI.getAll();
+      const allTasks = res.data.tasks.flatMap((t) => [t, ...t.subtasks]);
+      setOtherTasks(allTasks.filter((t) => t.id !== task?.id
+        && (t.status !== 'completed' || formData.depends_on.includes(t.id))));
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+    }
+  };
+
+  const toggleDependency = (id) => {
+    const dependsOn = formData.depends_on.includes(id)
+      ? formData.depends_on.filter((dependencyId) => dependencyId !== id)
+      : [...formData.depends_on, id];
+    setFormData({ ...formData, depends_on: dependsOn });
+  };
+
+  const repeatOptions = TASK_REPEAT_OPTIONS.some((option) => option.value === formData.repeat)
+    ? TASK_REPEAT_OPTIONS
+    : [...TASK_REPEAT_OPTIONS, { value: formData.repeat, label: `Custom (${formData.repeat})` }];
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     try {
+      const { repeat, repeat_after_days, ...fields } = formData;
       const data = {
-        ...formData,
+        ...fields,
         project_id: formData.project_id || null,
+        assignee_id: formData.assignee_id || null,
         due_date: formData.due_date || null,
+        recurrence_rule: repeat && repeat !== 'after' ? repeat : null,
+        recurrence_after_days: repeat === 'after' ? Number(repeat_after_days) : null,
       };
       await onSave(data);
     } finally {
@@ -77,6 +153,22 @@ function TaskForm({ task, projects, onSave, onClose }) {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Assignee</label>
+              <select
+                value={formData.assignee_id}
+                onChange={(e) => setFormData({ ...formData, assignee_id: e.target.value })}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+              >
+                <option value="">Unassigned</option>
+                {assignees.map((assignee) => (
+                  <option key={assignee.id} value={assignee.id}>
+                    {assignee.username}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700">Priority</label>
@@ -115,6 +207,84 @@ function TaskForm({ task, projects, onSave, onClose }) {
               />
             </div>
 
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Repeat</label>
+                <select
+                  value={formData.repeat}
+                  onChange={(e) => setFormData({ ...formData, repeat: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                >
+                  {repeatOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {formData.repeat === 'after' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Days</label>
+                  <input
+                    type="number"
+                    min="1"
+                    required
+                    value={formData.repeat_after_days}
+                    onChange={(e) => setFormData({ ...formData, repeat_after_days: e.target.value })}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-2 focus:ring-deck-500"
+                  />
+                </div>
+              )}
+            </div>
+
+            {formData.repeat && (
+              <p className="text-xs text-gray-500 -mt-2">
+                {formData.repeat === 'after'
+                  ? 'Completing this task creates the next one, due this many days later.'
+                  : 'Completing this task creates the next one on the schedule, counted from its due date.'}
+              </p>
+            )}
+
+            <TagPicker
+              value={formData.tag_ids}
+              onChange={(tagIds) => setFormData({ ...formData, tag_ids: tagIds })}
+            />
+
+            {otherTasks.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Blocked by</label>
+                <div className="mt-1 max-h-32 overflow-y-auto border border-gray-300 rounded-lg px-3 py-2 space-y-1">
+                  {otherTasks.map((other) => (
+                    <label key={other.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.depends_on.includes(other.id)}
+                        onChange={() => toggleDependency(other.id)}
+                        className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                      />
+                      <span className={other.status === 'completed' ? 'text-gray-400 line-through' : ''}>
+                        {other.title}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">This task can't start until these are completed.</p>
+              </div>
+            )}
+
+            {!task?.parent_task_id && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.complete_with_subtasks}
+                  onChange={(e) => setFormData({ ...formData, complete_with_subtasks: e.target.checked })}
+                  className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+                />
+                Complete when all subtasks are done
+              </label>
+            )}
+
             <div className="flex justify-end gap-3 pt-4">
               <button
                 type="button"
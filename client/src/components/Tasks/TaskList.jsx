@@ -2,6 +2,22 @@ import { useState, useEffect } from 'react';
 import { format, parseISO, isAfter, isBefore, startOfToday } from 'date-fns';
 import { tasksAPI, projectsAPI } from '../../services/api';
 import TaskForm from './TaskForm';
+import TaskDetail from './TaskDetail';
+import SubtaskList from './SubtaskList';
+import TagBadges from '../Tags/TagBadges';
+import TagFilter from '../Tags/TagFilter';
+import { formatDuration } from '../Time/duration';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
+
+const REPEAT_LABELS = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
+
+const describeRepeat = (task) => {
+  if (task.recurrence_after_days) {
+    return `Repeats ${task.recurrence_after_days} days after completion`;
+  }
+  const frequency = task.recurrence_rule.match(/FREQ=(\w+)/)?.[1];
+  return `Repeats ${REPEAT_LABELS[frequency] || 'on a schedule'}`;
+};
 
 function TaskList() {
   const [tasks, setTasks] = useState([]);
@@ -9,22 +25,29 @@ function TaskList() {
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [viewingTask, setViewingTask] = useState(null);
   const [filters, setFilters] = useState({
     status: '',
     priority: '',
     project_id: '',
+    assignee: '',
+    tag: '',
   });
 
   useEffect(() => {
     loadData();
   }, [filters]);
 
+  useLiveUpdates(['task', 'project'], loadData);
+
   const loadData = async () => {
     try {
       const params = {};
       if (filters.status) params.status = filters.status;
       if (filters.priority) params.priority = filters.priority;
       if (filters.project_id) params.project_id = filters.project_id;
+      if (filters.assignee) params.assignee = filters.assignee;
+      if (filters.tag) params.tag = filters.tag;
 
       const [tasksRes, projectsRes] = await Promise.all([
         tasksAPI.getAll(params),
@@ -40,41 +63,70 @@ function TaskList() {
     }
   };
 
+  // Ask before starting a task whose dependencies aren't finished yet
+  const confirmStartBlocked = (error) => {
+    if (error.response?.status !== 409) return false;
+    const titles = error.response.data.blocked_by.map((blocker) => blocker.title).join(', ');
+    return confirm(`${error.response.data.error} (${titles}). Start it anyway?`);
+  };
+
   const handleSave = async (data) => {
     try {
-      if (editingTask) {
-        await tasksAPI.update(editingTask.id, data);
-      } else {
-        await tasksAPI.create(data);
+      const save = (changes) => (editingTask
+        ? tasksAPI.update(editingTask.id, changes)
+        : tasksAPI.create(changes));
+      try {
+        await save(data);
+      } catch (error) {
+        if (!confirmStartBlocked(error)) throw error;
+        await save({ ...data, force: true });
       }
       setShowForm(false);
       setEditingTask(null);
       loadData();
     } catch (error) {
       console.error('Failed to save task:', error);
+      if ([400, 403].includes(error.response?.status)) {
+        alert(error.response.data.error);
+      }
     }
   };
 
   const handleDelete = async (id) => {
-    if (!confirm('Are you sure you want to delete this task?')) return;
+    if (!confirm('Move this task to the trash?')) return;
 
     try {
       await tasksAPI.delete(id);
       loadData();
     } catch (error) {
       console.error('Failed to delete task:', error);
+      if (error.response?.status === 403) {
+        alert(error.response.data.error);
+      }
     }
   };
 
   const handleStatusChange = async (task, newStatus) => {
     try {
-      await tasksAPI.update(task.id, { status: newStatus });
+      try {
+        await tasksAPI.update(task.id, { status: newStatus });
+      } catch (error) {
+        if (!confirmStartBlocked(error)) throw error;
+        await tasksAPI.update(task.id, { status: newStatus, force: true });
+      }
       loadData();
     } catch (error) {
       console.error('Failed to update task:', error);
+      if (error.response?.status === 403) {
+        alert(error.response.data.error);
+      }
     }
   };
 
+  const getBlockerTitles = (task) => task.blocked_by
+    .map((id) => tasks.find((t) => t.id === id)?.title || `Task #${id}`)
+    .join(', ');
+
   const getProjectName = (projectId) => {
     const project = projects.find((p) => p.id === projectId);
     return project?.name || '';
@@ -148,6 +200,17 @@ function TaskList() {
             </option>
           ))}
         </select>
+
+        <select
+          value={filters.assignee}
+          onChange={(e) => setFilters({ ...filters, assignee: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+        >
+          <option value="">Anyone</option>
+          <option value="me">Assigned to me</option>
+        </select>
+
+        <TagFilter value={filters.tag} onChange={(tag) => setFilters({ ...filters, tag })} />
       </div>
 
       {/* Kanban-style columns */}
@@ -164,6 +227,7 @@ function TaskList() {
                 key={task.id}
                 task={task}
                 projectName={getProjectName(task.project_id)}
+                blockerTitles={task.blocked ? getBlockerTitles(task) : ''}
                 isOverdue={isOverdue(task)}
                 onStatusChange={handleStatusChange}
                 onEdit={() => {
@@ -171,6 +235,8 @@ function TaskList() {
                   setShowForm(true);
                 }}
                 onDelete={() => handleDelete(task.id)}
+                onSubtasksChange={loadData}
+                onOpen={() => setViewingTask(task)}
               />
             ))}
           </div>
@@ -188,6 +254,7 @@ function TaskList() {
                 key={task.id}
                 task={task}
                 projectName={getProjectName(task.project_id)}
+                blockerTitles={task.blocked ? getBlockerTitles(task) : ''}
                 isOverdue={isOverdue(task)}
                 onStatusChange={handleStatusChange}
                 onEdit={() => {
@@ -195,6 +262,8 @@ function TaskList() {
                   setShowForm(true);
                 }}
                 onDelete={() => handleDelete(task.id)}
+                onSubtasksChange={loadData}
+                onOpen={() => setViewingTask(task)}
               />
             ))}
           </div>
@@ -212,6 +281,7 @@ function TaskList() {
                 key={task.id}
                 task={task}
                 projectName={getProjectName(task.project_id)}
+                blockerTitles={task.blocked ? getBlockerTitles(task) : ''}
                 isOverdue={false}
                 onStatusChange={handleStatusChange}
                 onEdit={() => {
@@ -219,12 +289,33 @@ function TaskList() {
                   setShowForm(true);
                 }}
                 onDelete={() => handleDelete(task.id)}
+                onSubtasksChange={loadData}
+                onOpen={() => setViewingTask(task)}
               />
             ))}
           </div>
         </div>
       </div>
 
+      {/* Detail Modal */}
+      {viewingTask && (
+        <TaskDetail
+          task={viewingTask}
+          projectName={getProjectName(viewingTask.project_id)}
+          onEdit={() => {
+            setEditingTask(viewingTask);
+            setViewingTask(null);
+            setShowForm(true);
+          }}
+          onRestore={() => {
+            setViewingTask(null);
+            loadData();
+          }}
+          onTimeChange={loadData}
+          onClose={() => setViewingTask(null)}
+        />
+      )}
+
       {/* Form Modal */}
       {showForm && (
         <TaskForm
@@ -241,14 +332,18 @@ function TaskList() {
   );
 }
 
-function TaskCard({ task, projectName, isOverdue, onStatusChange, onEdit, onDelete }) {
+function TaskCard({
+  task, projectName, blockerTitles, isOverdue, onStatusChange, onEdit, onDelete, onSubtasksChange, onOpen,
+}) {
   const [showMenu, setShowMenu] = useState(false);
 
   return (
     <div className={`bg-white rounded-lg shadow p-4 ${isOverdue ? 'border-l-4 border-red-500' : ''}`}>
       <div className="flex items-start justify-between">
         <div className="flex-1">
-          <h4 className="font-medium text-gray-900">{task.title}</h4>
+          <button onClick={onOpen} className="text-left font-medium text-gray-900 hover:text-deck-600">
+            {task.title}
+          </button>
           {projectName && (
             <p className="text-xs text-deck-600 mt-1">{projectName}</p>
           )}
@@ -291,10 +386,41 @@ function TaskCard({ task, projectName, isOverdue, onStatusChange, onEdit, onDele
         <p className="text-sm text-gray-500 mt-2 line-clamp-2">{task.description}</p>
       )}
 
+      <TagBadges tags={task.tags} className="mt-2" />
+
+      <SubtaskList task={task} onChange={onSubtasksChange} />
+
       <div className="mt-3 flex items-center justify-between">
-        <span className={`px-2 py-0.5 text-xs rounded-full priority-${task.priority}`}>
-          {task.priority}
-        </span>
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 text-xs rounded-full priority-${task.priority}`}>
+            {task.priority}
+          </span>
+          {task.blocked && (
+            <span
+              className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700"
+              title={`Waiting on: ${blockerTitles}`}
+            >
+              Blocked
+            </span>
+          )}
+          {task.assignee && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700" title="Assignee">
+              @{task.assignee.username}
+            </span>
+          )}
+          {task.time_spent > 0 && (
+            <span className="text-xs text-gray-500" title="Time tracked">
+              {formatDuration(task.time_spent)}
+            </span>
+          )}
+          {(task.recurrence_rule || task.recurrence_after_days) && (
+            <span className="text-gray-400" title={describeRepeat(task)}>
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+            </span>
+          )}
+        </div>
         {task.due_date && (
           <span className={`text-xs ${isOverdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
             {isOverdue ? 'Overdue: ' : 'Due: '}
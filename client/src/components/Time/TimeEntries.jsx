@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import { timeAPI } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDuration, formatClock } from './duration';
+
+const emptyEntry = () => ({
+  started_at: format(new Date(), "yyyy-MM-dd'T'HH:mm"),
+  duration_minutes: '',
+  note: '',
+});
+
+// Time spent on a task: a start/stop timer, entries added by hand, and
+// everyone's entries with the total. onChange is called when time is added
+// or removed.
+function TimeEntries({ task, onChange }) {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [canEdit, setCanEdit] = useState(false);
+  const [timer, setTimer] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyEntry);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadEntries();
+  }, [task.id]);
+
+  // Tick while this task's timer runs
+  const runningHere = timer?.task_id === task.id;
+  useEffect(() => {
+    if (!runningHere) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [runningHere]);
+
+  const loadEntries = async () => {
+    try {
+      const [entriesRes, timerRes] = await Promise.all([
+        timeAPI.getEntries({ task_id: task.id }),
+        timeAPI.getTimer(),
+      ]);
+      setEntries(entriesRes.data.entries.filter((entry) => entry.ended_at));
+      setCanEdit(entriesRes.data.can_edit);
+      setTimer(timerRes.data.timer);
+      setNow(Date.now());
+    } catch (error) {
+      console.error('Failed to load time entries:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
+  const handleTimer = async () => {
+    try {
+      if (runningHere) {
+        await timeAPI.stopTimer();
+      } else {
+        await timeAPI.startTimer(task.id);
+      }
+      loadEntries();
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to change timer:', error);
+      showError(error);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await timeAPI.createEntry({
+        task_id: task.id,
+        started_at: new Date(formData.started_at).toISOString(),
+        duration_minutes: Number(formData.duration_minutes),
+        note: formData.note,
+      });
+      setFormData(emptyEntry());
+      setShowForm(false);
+      loadEntries();
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to add time entry:', error);
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm('Delete this time entry?')) return;
+
+    try {
+      await timeAPI.deleteEntry(entry.id);
+      loadEntries();
+      onChange?.();
+    } catch (error) {
+      console.error('Failed to delete time entry:', error);
+      showError(error);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading time...</p>;
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.duration, 0);
+  const elapsed = runningHere ? Math.max(0, (now - Date.parse(timer.started_at)) / 1000) : 0;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-700">
+          <span className="font-medium text-gray-900">{formatDuration(total + elapsed)}</span> tracked
+        </p>
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(!showForm)}
+              className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Add time
+            </button>
+            <button
+              type="button"
+              onClick={handleTimer}
+              title={timer && !runningHere ? `Stops the timer on "${timer.task_title}"` : undefined}
+              className={`px-3 py-1.5 text-sm text-white rounded-lg ${
+                runningHere ? 'bg-red-600 hover:bg-red-700' : 'bg-deck-600 hover:bg-deck-700'
+              }`}
+            >
+              {runningHere ? `Stop ${formatClock(elapsed)}` : 'Start timer'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleAdd} className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              Started
+              <input
+                type="datetime-local"
+                required
+                value={formData.started_at}
+                onChange={(e) => setFormData({ ...formData, started_at: e.target.value })}
+                className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Minutes
+              <input
+                type="number"
+                min="1"
+                max="1440"
+                required
+                value={formData.duration_minutes}
+                onChange={(e) => setFormData({ ...formData, duration_minutes: e.target.value })}
+                className="mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+              />
+            </label>
+          </div>
+          <input
+            type="text"
+            placeholder="Note (optional)"
+            value={formData.note}
+            onChange={(e) => setFormData({ ...formData, note: e.target.value })}
+            className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-3 py-1 text-sm text-white bg-deck-600 rounded-lg hover:bg-deck-700">
+              Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No time tracked yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map((entry) => (
+            <li key={entry.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+              <div className="min-w-0">
+                <p className="text-gray-900">
+                  <span className="font-medium">{formatDuration(entry.duration)}</span>
+                  <span className="text-gray-500">
+                    {' · '}
+                    {format(parseISO(entry.started_at), 'MMM d, h:mm a')}
+                    {' · '}
+                    {entry.username}
+                  </span>
+                </p>
+                {entry.note && <p className="text-xs text-gray-500 truncate">{entry.note}</p>}
+              </div>
+              {entry.user_id === user?.id && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  className="text-xs text-red-600 hover:text-red-700"
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TimeEntries;
@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format, parseISO, startOfMonth } from 'date-fns';
+import { timeAPI, projectsAPI } from '../../services/api';
+import { formatDuration } from './duration';
+
+const GROUP_OPTIONS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'project', label: 'Project' },
+  { value: 'category', label: 'Category' },
+];
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Tracked time between two dates, grouped by day, week, project or
+// category, with a CSV export for invoicing. A project's owner can include
+// everyone's time on it.
+function TimesheetPage() {
+  const [searchParams] = useSearchParams();
+  const [filters, setFilters] = useState({
+    from: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd'),
+    group_by: 'day',
+    project_id: searchParams.get('project_id') || '',
+    all_users: false,
+  });
+  const [timesheet, setTimesheet] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    projectsAPI.getAll()
+      .then((res) => setProjects(res.data.projects))
+      .catch((error) => console.error('Failed to load projects:', error));
+  }, []);
+
+  useEffect(() => {
+    loadTimesheet();
+  }, [filters]);
+
+  const selectedProject = projects.find((project) => String(project.id) === String(filters.project_id));
+  const canSeeEveryone = selectedProject?.role === 'owner';
+
+  const getParams = () => ({
+    from: filters.from,
+    to: filters.to,
+    group_by: filters.group_by,
+    tz: timeZone,
+    project_id: filters.project_id || undefined,
+    all_users: filters.project_id && filters.all_users ? 'true' : undefined,
+  });
+
+  const loadTimesheet = async () => {
+    try {
+      const res = await timeAPI.getTimesheet(getParams());
+      setTimesheet(res.data.timesheet);
+    } catch (error) {
+      console.error('Failed to load timesheet:', error);
+      if (error.response?.data?.error) {
+        alert(error.response.data.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const res = await timeAPI.exportTimesheet(getParams());
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `timesheet-${filters.from}-to-${filters.to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export timesheet:', error);
+      alert('Failed to export the timesheet');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Timesheet</h1>
+        <button
+          onClick={handleExport}
+          className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-700">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className={`block mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className={`block mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Group by
+          <select
+            value={filters.group_by}
+            onChange={(e) => setFilters({ ...filters, group_by: e.target.value })}
+            className={`block mt-1 ${inputClass}`}
+          >
+            {GROUP_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Project
+          <select
+            value={filters.project_id}
+            onChange={(e) => setFilters({ ...filters, project_id: e.target.value, all_users: false })}
+            className={`block mt-1 ${inputClass}`}
+          >
+            <option value="">All projects</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>{project.name}</option>
+            ))}
+          </select>
+        </label>
+        {canSeeEveryone && (
+          <label className="flex items-center gap-2 py-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.all_users}
+              onChange={(e) => setFilters({ ...filters, all_users: e.target.checked })}
+              className="w-4 h-4 text-deck-600 border-gray-300 rounded focus:ring-deck-500"
+            />
+            Everyone's time
+          </label>
+        )}
+      </div>
+
+      {loading || !timesheet ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-deck-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow">
+          {timesheet.groups.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No time tracked in this period</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {timesheet.groups.map((group) => (
+                <li key={group.key} className="p-4">
+                  <div className="flex items-center justify-between">
+                    <h2 className="font-semibold text-gray-900 capitalize">
+                      {filters.group_by === 'day' ? format(parseISO(group.key), 'EEE, MMM d, yyyy') : group.label}
+                    </h2>
+                    <span className="font-medium text-gray-900">{formatDuration(group.seconds)}</span>
+                  </div>
+                  <ul className="mt-2 space-y-1">
+                    {group.entries.map((entry) => (
+                      <li key={entry.id} className="flex items-center justify-between gap-3 text-sm text-gray-600">
+                        <span className="min-w-0 truncate">
+                          <span className="text-gray-500">
+                            {entry.date} {entry.start_time}–{entry.end_time}
+                          </span>
+                          {' · '}
+                          <span className="text-gray-900">{entry.task_title}</span>
+                          {entry.project_name && <span className="text-deck-600"> · {entry.project_name}</span>}
+                          {entry.note && <span> · {entry.note}</span>}
+                          {filters.all_users && <span> · {entry.username}</span>}
+                        </span>
+                        <span className="flex-shrink-0">{formatDuration(entry.duration)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="p-4 border-t border-gray-200 flex justify-between font-semibold text-gray-900">
+            <span>Total</span>
+            <span>{formatDuration(timesheet.total_seconds)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TimesheetPage;
@@ -0,0 +1,15 @@
+// Seconds as hours and minutes, e.g. "1h 30m"
+export const formatDuration = (seconds) => {
+  const minutes = Math.floor((seconds || 0) / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+};
+
+// Seconds as a running clock, e.g. "1:05:09"
+export const formatClock = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+};
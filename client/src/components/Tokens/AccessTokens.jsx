@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import { format, parseISO, addDays } from 'date-fns';
+import { tokensAPI } from '../../services/api';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+// Turn ['tasks:read', 'tasks:write', ...] into ['tasks', ...]
+const getResources = (scopes) => [...new Set(scopes.map((scope) => scope.split(':')[0]))];
+
+const formatDate = (value) => (value ? format(parseISO(value), 'MMM d, yyyy') : null);
+
+// Personal access tokens for scripts, with a scope per resource
+function AccessTokens({ onClose }) {
+  const [tokens, setTokens] = useState(null);
+  const [resources, setResources] = useState([]);
+  const [name, setName] = useState('');
+  const [expiry, setExpiry] = useState('90');
+  const [access, setAccess] = useState({});
+  const [created, setCreated] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      const res = await tokensAPI.getAll();
+      setTokens(res.data.tokens);
+      setResources(getResources(res.data.scopes));
+    } catch (error) {
+      console.error('Failed to load access tokens:', error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await tokensAPI.create({
+        name,
+        scopes: Object.entries(access)
+          .filter(([, level]) => level)
+          .map(([resource, level]) => `${resource}:${level}`),
+        expires_at: expiry ? addDays(new Date(), Number(expiry)).toISOString() : null,
+      });
+      setCreated(res.data.token);
+      setName('');
+      setAccess({});
+      loadTokens();
+    } catch (error) {
+      console.error('Failed to create access token:', error);
+      alert(error.response?.data?.error || 'Failed to create access token');
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await tokensAPI.revoke(token.id);
+      if (created?.id === token.id) setCreated(null);
+      loadTokens();
+    } catch (error) {
+      console.error('Failed to revoke access token:', error);
+    }
+  };
+
+  const copyToken = async () => {
+    await navigator.clipboard.writeText(created.token);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900">Access tokens</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Use a token in place of signing in from scripts and cron jobs, as an{' '}
+            <code className="text-xs">Authorization: Bearer</code> header.
+          </p>
+
+          {created && (
+            <div className="mt-4 p-3 bg-green-50 rounded-lg">
+              <p className="text-sm text-green-800">
+                Copy your new token now. It won't be shown again.
+              </p>
+              <div className="flex gap-2 mt-2">
+                <input
+                  type="text"
+                  value={created.token}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-1.5 text-xs text-gray-600 bg-white border border-gray-300 rounded-lg"
+                />
+                <button
+                  type="button"
+                  onClick={copyToken}
+                  className="px-3 py-1.5 text-sm text-white bg-deck-600 rounded-lg hover:bg-deck-700"
+                >
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!tokens ? (
+            <p className="mt-4 text-sm text-gray-500">Loading...</p>
+          ) : (
+            <ul className="mt-4 divide-y divide-gray-100">
+              {tokens.length === 0 && (
+                <li className="py-2 text-sm text-gray-500">No access tokens yet</li>
+              )}
+              {tokens.map((token) => (
+                <li key={token.id} className="flex items-start justify-between gap-3 py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {token.name}{' '}
+                      <span className="font-normal text-gray-400">…{token.token_hint}</span>
+                    </p>
+                    <p className="text-xs text-gray-500 break-words">{token.scopes.join(', ')}</p>
+                    <p className="text-xs text-gray-400">
+                      {token.expires_at ? `Expires ${formatDate(token.expires_at)}` : 'Never expires'}
+                      {' · '}
+                      {token.last_used_at ? `Last used ${formatDate(token.last_used_at)}` : 'Never used'}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(token)}
+                    className="text-sm text-red-600 hover:text-red-700"
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="mt-4 pt-4 space-y-3 border-t border-gray-200">
+            <h3 className="text-sm font-medium text-gray-700">New token</h3>
+            <div className="grid grid-cols-3 gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name, e.g. Nightly backup"
+                required
+                className="col-span-2 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+              />
+              <select
+                value={expiry}
+                onChange={(e) => setExpiry(e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+              {resources.map((resource) => (
+                <label key={resource} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                  <span className="capitalize">{resource}</span>
+                  <select
+                    value={access[resource] || ''}
+                    onChange={(e) => setAccess({ ...access, [resource]: e.target.value })}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded-lg focus:ring-2 focus:ring-deck-500"
+                  >
+                    <option value="">No access</option>
+                    <option value="read">Read</option>
+                    <option value="write">Read & write</option>
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <button
+              type="submit"
+              disabled={!Object.values(access).some(Boolean)}
+              className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+            >
+              Create token
+            </button>
+          </form>
+
+          <div className="flex justify-end pt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-white bg-deck-600 rounded-lg hover:bg-deck-700"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccessTokens;
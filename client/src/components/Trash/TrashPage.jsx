@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { format, formatDistanceToNow, parseISO } from 'date-fns';
+import { trashAPI } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+
+const TYPE_LABELS = {
+  project: 'Project',
+  task: 'Task',
+  event: 'Event',
+  idea: 'Idea',
+};
+
+// Timestamps from SQLite are UTC without a zone
+const timeAgo = (value) => formatDistanceToNow(parseISO(`${value.replace(' ', 'T')}Z`), { addSuffix: true });
+
+const describeContents = (entry) => {
+  const parts = [];
+  if (entry.task_count > 0) {
+    const noun = entry.entity_type === 'task' ? 'subtask' : 'task';
+    parts.push(`${entry.task_count} ${noun}${entry.task_count !== 1 ? 's' : ''}`);
+  }
+  if (entry.event_count > 0) {
+    parts.push(`${entry.event_count} event${entry.event_count !== 1 ? 's' : ''}`);
+  }
+  return parts.length > 0 ? `with ${parts.join(' and ')}` : '';
+};
+
+// Deleted projects, tasks, events and ideas, which can be restored with
+// everything that was deleted along with them until they are purged
+function TrashPage() {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async () => {
+    try {
+      const res = await trashAPI.getAll();
+      setEntries(res.data.entries);
+      setRetentionDays(res.data.retention_days);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error) => {
+    if (error.response?.data?.error) {
+      alert(error.response.data.error);
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    try {
+      await trashAPI.restore(entry.id);
+      loadTrash();
+    } catch (error) {
+      console.error('Failed to restore:', error);
+      showError(error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    const extra = entry.entity_type === 'project'
+      ? ' Tasks and events deleted from it that are still in the trash go with it.'
+      : '';
+    if (!confirm(`Delete "${entry.title}" permanently?${extra} This can't be undone.`)) return;
+
+    try {
+      await trashAPI.delete(entry.id);
+      loadTrash();
+    } catch (error) {
+      console.error('Failed to delete permanently:', error);
+      showError(error);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirm("Permanently delete everything you moved to the trash? This can't be undone.")) return;
+
+    try {
+      await trashAPI.empty();
+      loadTrash();
+    } catch (error) {
+      console.error('Failed to empty trash:', error);
+      showError(error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-deck-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {retentionDays
+              ? `Items are deleted permanently ${retentionDays} days after they're moved here.`
+              : 'Items stay here until you delete them permanently.'}
+          </p>
+        </div>
+        {entries.some((entry) => entry.user_id === user?.id) && (
+          <button
+            onClick={handleEmpty}
+            className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="text-sm font-medium text-gray-900">Trash is empty</h3>
+          <p className="mt-1 text-sm text-gray-500">Deleted projects, tasks, events and ideas show up here.</p>
+        </div>
+      ) : (
+        <ul className="bg-white rounded-lg shadow divide-y divide-gray-100">
+          {entries.map((entry) => (
+            <li key={entry.id} className="p-4 flex items-center justify-between gap-4">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  <span className="px-2 py-0.5 mr-2 text-xs rounded-full bg-gray-100 text-gray-700">
+                    {TYPE_LABELS[entry.entity_type]}
+                  </span>
+                  {entry.title}
+                  <span className="font-normal text-gray-500"> {describeContents(entry)}</span>
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Deleted {timeAgo(entry.deleted_at)}
+                  {entry.user_id !== user?.id && ` by ${entry.username}`}
+                  {entry.purge_at && ` · deleted permanently on ${format(parseISO(entry.purge_at), 'MMM d, yyyy')}`}
+                </p>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleRestore(entry)}
+                  className="text-sm text-deck-600 hover:text-deck-700"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handleDelete(entry)}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  Delete permanently
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TrashPage;
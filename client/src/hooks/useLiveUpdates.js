@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/realtime';
+
+// A burst of changes, like a project moved to the trash with its tasks, is
+// applied with one reload
+const DEBOUNCE_MS = 300;
+
+// Call onUpdate when something of the given kinds ('project', 'task',
+// 'event', 'idea' or 'calendar_sync') changes on the server, whether in
+// another tab or by a collaborator. It's also called after a dropped
+// connection comes back, as changes may have been missed.
+export function useLiveUpdates(kinds, onUpdate) {
+  const callback = useRef(onUpdate);
+  const key = kinds.join(',');
+
+  useEffect(() => {
+    callback.current = onUpdate;
+  });
+
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = subscribe((event, data) => {
+      const kind = event === 'change' ? data.entity_type : event;
+      if (kind !== 'resync' && !key.split(',').includes(kind)) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => callback.current(), DEBOUNCE_MS);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [key]);
+}
@@ -19,11 +19,12 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle auth errors
+// Handle auth errors. A missing, invalid or expired token is a 401; a 403
+// means the user is signed in but may not do that, e.g. edit as a viewer.
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
+    if (error.response?.status === 401) {
       localStorage.removeItem('token');
       localStorage.removeItem('user');
       window.location.href = '/login';
@@ -47,6 +48,14 @@ export const projectsAPI = {
   create: (data) => api.post('/projects', data),
   update: (id, data) => api.put(`/projects/${id}`, data),
   delete: (id) => api.delete(`/projects/${id}`),
+  getMembers: (id) => api.get(`/projects/${id}/members`),
+  inviteMember: (id, data) => api.post(`/projects/${id}/members`, data),
+  updateMember: (id, userId, data) => api.put(`/projects/${id}/members/${userId}`, data),
+  removeMember: (id, userId) => api.delete(`/projects/${id}/members/${userId}`),
+  transfer: (id, userId) => api.post(`/projects/${id}/transfer`, { user_id: userId }),
+  getInvitations: () => api.get('/projects/invitations'),
+  acceptInvitation: (id) => api.post(`/projects/invitations/${id}/accept`),
+  declineInvitation: (id) => api.delete(`/projects/invitations/${id}`),
 };
 
 // Tasks API
@@ -64,7 +73,16 @@ export const eventsAPI = {
   getOne: (id) => api.get(`/events/${id}`),
   create: (data) => api.post('/events', data),
   update: (id, data) => api.put(`/events/${id}`, data),
-  delete: (id) => api.delete(`/events/${id}`),
+  delete: (id, params) => api.delete(`/events/${id}`, { params }),
+  import: (file, { projectId, preview } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (projectId) formData.append('project_id', projectId);
+    if (preview) formData.append('preview', 'true');
+    return api.post('/events/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
 };
 
 // Ideas API
@@ -99,7 +117,101 @@ export const ideasAPI = {
 
 // Search API
 export const searchAPI = {
-  search: (query) => api.get('/search', { params: { q: query } }),
+  search: (query, tag) => api.get('/search', { params: { q: query || undefined, tag } }),
+};
+
+// Tags API
+export const tagsAPI = {
+  getAll: () => api.get('/tags'),
+  create: (data) => api.post('/tags', data),
+  update: (id, data) => api.put(`/tags/${id}`, data),
+  delete: (id) => api.delete(`/tags/${id}`),
+};
+
+// Comments API
+export const commentsAPI = {
+  getThread: (entityType, entityId) => api.get(`/comments/${entityType}/${entityId}`),
+  create: (entityType, entityId, data) => api.post(`/comments/${entityType}/${entityId}`, data),
+  update: (id, data) => api.put(`/comments/${id}`, data),
+  delete: (id) => api.delete(`/comments/${id}`),
+};
+
+// History API
+export const historyAPI = {
+  getAll: (params) => api.get('/history', { params }),
+  restore: (id) => api.post(`/history/${id}/restore`),
+};
+
+// Trash API
+export const trashAPI = {
+  getAll: () => api.get('/trash'),
+  restore: (id) => api.post(`/trash/${id}/restore`),
+  delete: (id) => api.delete(`/trash/${id}`),
+  empty: () => api.delete('/trash'),
+};
+
+// Attachments API. Files are fetched as blobs so the auth header goes along.
+export const attachmentsAPI = {
+  getAll: (entityType, entityId) => api.get(`/attachments/${entityType}/${entityId}`),
+  upload: (entityType, entityId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/attachments/${entityType}/${entityId}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  download: (id) => api.get(`/attachments/${id}/download`, { responseType: 'blob' }),
+  getThumbnail: (id) => api.get(`/attachments/${id}/thumbnail`, { responseType: 'blob' }),
+  delete: (id) => api.delete(`/attachments/${id}`),
+};
+
+// Time Tracking API
+export const timeAPI = {
+  getEntries: (params) => api.get('/time/entries', { params }),
+  createEntry: (data) => api.post('/time/entries', data),
+  updateEntry: (id, data) => api.put(`/time/entries/${id}`, data),
+  deleteEntry: (id) => api.delete(`/time/entries/${id}`),
+  getTimer: () => api.get('/time/timer'),
+  startTimer: (taskId) => api.post('/time/timer/start', { task_id: taskId }),
+  stopTimer: () => api.post('/time/timer/stop'),
+  getTimesheet: (params) => api.get('/time/timesheet', { params }),
+  exportTimesheet: (params) => api.get('/time/timesheet', {
+    params: { ...params, format: 'csv' },
+    responseType: 'blob',
+  }),
+};
+
+// Reminders API
+export const remindersAPI = {
+  getAll: (entityType, entityId) => api.get(`/reminders/${entityType}/${entityId}`),
+  create: (entityType, entityId, minutesBefore) => (
+    api.post(`/reminders/${entityType}/${entityId}`, { minutes_before: minutesBefore })
+  ),
+  delete: (id) => api.delete(`/reminders/${id}`),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  markRead: (id) => api.post(`/notifications/${id}/read`),
+  markUnread: (id) => api.post(`/notifications/${id}/unread`),
+  markAllRead: () => api.post('/notifications/read-all'),
+  dismiss: (id) => api.delete(`/notifications/${id}`),
+};
+
+// Email API
+export const emailAPI = {
+  getSettings: () => api.get('/email/settings'),
+  updateSettings: (data) => api.put('/email/settings', data),
+  sendTest: () => api.post('/email/test'),
+  sendDigest: (frequency) => api.post('/email/digest', { frequency }),
+};
+
+// Personal Access Tokens API
+export const tokensAPI = {
+  getAll: () => api.get('/tokens'),
+  create: (data) => api.post('/tokens', data),
+  revoke: (id) => api.delete(`/tokens/${id}`),
 };
 
 // Calendar Sync API
@@ -107,11 +219,18 @@ export const calendarsAPI = {
   getAccounts: () => api.get('/calendars/accounts'),
   deleteAccount: (id) => api.delete(`/calendars/accounts/${id}`),
   toggleAccount: (id) => api.patch(`/calendars/accounts/${id}/toggle`),
+  toggleWriteBack: (id) => api.patch(`/calendars/accounts/${id}/write-back`),
   getGoogleAuthUrl: () => api.get('/calendars/google/auth-url'),
-  syncGoogle: (accountId) => api.post(`/calendars/google/sync/${accountId}`),
   getOutlookAuthUrl: () => api.get('/calendars/outlook/auth-url'),
-  syncOutlook: (accountId) => api.post(`/calendars/outlook/sync/${accountId}`),
+  syncAccount: (account) => api.post(`/calendars/${account.provider}/sync/${account.id}`),
+  connectAccount: (provider, data) => api.post(`/calendars/${provider}/connect`, data),
   syncAll: () => api.post('/calendars/sync-all'),
 };
 
+// Calendar Feed API
+export const feedAPI = {
+  get: () => api.get('/feed'),
+  reset: () => api.post('/feed/reset'),
+};
+
 export default api;
@@ -0,0 +1,108 @@
+// Live updates from the server over Server-Sent Events. The stream is read
+// with fetch rather than EventSource so the token can go in the Authorization
+// header. One stream is shared by every listener, reopened when it drops, and
+// closed a little while after the last listener goes.
+
+const STREAM_URL = '/api/realtime/stream';
+const RETRY_MS = 5000;
+const IDLE_CLOSE_MS = 30 * 1000;
+
+const listeners = new Set();
+let controller = null;
+let streamToken = null;
+let retryTimer = null;
+let closeTimer = null;
+let connectedBefore = false;
+
+function dispatch(event, data) {
+  for (const listener of listeners) {
+    listener(event, data);
+  }
+}
+
+function handleEvent(event, data) {
+  if (event === 'ready') {
+    // Changes made while we were disconnected were missed
+    if (connectedBefore) dispatch('resync', {});
+    connectedBefore = true;
+    return;
+  }
+  dispatch(event, data);
+}
+
+// Handle the complete messages in a chunk of the stream, returning the
+// incomplete rest
+function parseMessages(buffer) {
+  const messages = buffer.split('\n\n');
+  const rest = messages.pop();
+
+  for (const message of messages) {
+    let event = 'message';
+    let data = '';
+    for (const line of message.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (data) handleEvent(event, JSON.parse(data));
+  }
+  return rest;
+}
+
+async function connect() {
+  const token = localStorage.getItem('token');
+  if (!token) return;
+
+  const current = new AbortController();
+  controller = current;
+  streamToken = token;
+
+  try {
+    const response = await fetch(STREAM_URL, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: current.signal,
+    });
+    // A rejected token is dealt with by the next API request
+    if (response.status === 401) return;
+    if (!response.ok) throw new Error(`Stream responded with ${response.status}`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer = parseMessages(buffer + value);
+    }
+  } catch (error) {
+    if (current.signal.aborted) return;
+    console.error('Live updates disconnected:', error);
+  }
+
+  if (controller === current) {
+    retryTimer = setTimeout(connect, RETRY_MS);
+  }
+}
+
+function close() {
+  clearTimeout(retryTimer);
+  controller?.abort();
+  controller = null;
+  connectedBefore = false;
+}
+
+// Listen for updates: listener(event, data) gets 'change' and
+// 'calendar_sync' messages, and 'resync' after a reconnect. Returns a
+// function that stops listening.
+export function subscribe(listener) {
+  listeners.add(listener);
+  clearTimeout(closeTimer);
+  // Someone else may have signed in since the stream was opened
+  if (controller && streamToken !== localStorage.getItem('token')) close();
+  if (!controller) connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      closeTimer = setTimeout(close, IDLE_CLOSE_MS);
+    }
+  };
+}
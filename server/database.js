@@ -15,6 +15,63 @@ const db = new Database(dbPath);
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Work to do once the outermost transaction commits, like telling clients
+// about the changes made in it. Work queued in a transaction that rolls back
+// is dropped with it.
+const afterCommitQueue = [];
+
+function afterCommit(callback) {
+  if (db.inTransaction) {
+    afterCommitQueue.push(callback);
+  } else {
+    callback();
+  }
+}
+
+function runAfterCommit() {
+  for (const callback of afterCommitQueue.splice(0)) {
+    try {
+      callback();
+    } catch (error) {
+      console.error('After commit error:', error);
+    }
+  }
+}
+
+// Transactions run the work queued in them with afterCommit once they commit
+const createTransaction = db.transaction.bind(db);
+db.transaction = (fn) => {
+  const transaction = createTransaction(fn);
+  const withAfterCommit = (run) => function (...args) {
+    const outermost = !db.inTransaction;
+    const queued = afterCommitQueue.length;
+    let result;
+    try {
+      result = run.apply(this, args);
+    } catch (error) {
+      afterCommitQueue.length = queued;
+      throw error;
+    }
+    if (outermost) runAfterCommit();
+    return result;
+  };
+
+  const wrapped = withAfterCommit(transaction);
+  for (const mode of ['deferred', 'immediate', 'exclusive']) {
+    wrapped[mode] = withAfterCommit(transaction[mode]);
+  }
+  return wrapped;
+};
+
+// Helper: Add a column to an existing table if it isn't there yet
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Migration: Added ${column} column to ${table} table`);
+  }
+}
+
 // Initialize database schema
 function initializeDatabase() {
   db.exec(`
@@ -24,6 +81,7 @@ function initializeDatabase() {
       username TEXT UNIQUE NOT NULL,
       email TEXT UNIQUE NOT NULL,
       password_hash TEXT NOT NULL,
+      feed_token TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -51,10 +109,17 @@ function initializeDatabase() {
       priority TEXT CHECK(priority IN ('low', 'medium', 'high')) DEFAULT 'medium',
       status TEXT CHECK(status IN ('pending', 'in-progress', 'completed')) DEFAULT 'pending',
       due_date DATETIME,
+      recurrence_rule TEXT,
+      recurrence_after_days INTEGER,
+      next_task_id INTEGER,
+      parent_task_id INTEGER,
+      complete_with_subtasks BOOLEAN DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
-      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL,
+      FOREIGN KEY (next_task_id) REFERENCES tasks(id) ON DELETE SET NULL,
+      FOREIGN KEY (parent_task_id) REFERENCES tasks(id) ON DELETE CASCADE
     );
 
     -- Events table
@@ -69,11 +134,17 @@ function initializeDatabase() {
       all_day BOOLEAN DEFAULT 0,
       source TEXT DEFAULT 'local',
       external_id TEXT,
+      external_updated_at DATETIME,
       calendar_account_id INTEGER,
+      recurrence_rule TEXT,
+      recurrence_exdates TEXT,
+      recurrence_parent_id INTEGER,
+      recurrence_id TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
-      FOREIGN KEY (calendar_account_id) REFERENCES calendar_accounts(id) ON DELETE CASCADE
+      FOREIGN KEY (calendar_account_id) REFERENCES calendar_accounts(id) ON DELETE CASCADE,
+      FOREIGN KEY (recurrence_parent_id) REFERENCES events(id) ON DELETE CASCADE
     );
 
     -- User OAuth configurations (per-user OAuth app credentials)
@@ -89,23 +160,256 @@ function initializeDatabase() {
       UNIQUE(user_id, provider)
     );
 
-    -- Calendar accounts table (for Google/Outlook sync)
+    -- Calendar accounts table (Google/Outlook via OAuth, CalDAV, ICS subscriptions).
+    -- CalDAV accounts keep the app password in access_token and the calendar URL in calendar_id.
     CREATE TABLE IF NOT EXISTS calendar_accounts (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
-      provider TEXT NOT NULL CHECK(provider IN ('google', 'outlook')),
+      provider TEXT NOT NULL CHECK(provider IN ('google', 'outlook', 'caldav', 'ics')),
       email TEXT NOT NULL,
       access_token TEXT NOT NULL,
       refresh_token TEXT,
       token_expires_at DATETIME,
       calendar_id TEXT,
+      server_url TEXT,
       enabled BOOLEAN DEFAULT 1,
+      write_enabled BOOLEAN DEFAULT 0,
       last_synced_at DATETIME,
+      sync_cursor TEXT,
+      sync_cursor_at DATETIME,
+      last_sync_error TEXT,
+      last_sync_error_at DATETIME,
+      sync_failures INTEGER DEFAULT 0,
+      next_sync_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
       UNIQUE(user_id, provider, email)
     );
 
+    -- Project members besides the owner (projects.user_id). Invitations are
+    -- rows that haven't been accepted yet and grant no access.
+    CREATE TABLE IF NOT EXISTS project_members (
+      project_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'editor')),
+      invited_by INTEGER,
+      accepted_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (project_id, user_id),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Task dependencies (finish-to-start: task_id can't start until depends_on_id is completed)
+    CREATE TABLE IF NOT EXISTS task_dependencies (
+      task_id INTEGER NOT NULL,
+      depends_on_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, depends_on_id),
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (depends_on_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+
+    -- Tags, user-defined labels with a color
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      color TEXT NOT NULL DEFAULT '#6b7280',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, name)
+    );
+
+    -- Tags attached to tasks, projects, events and ideas. Rows are removed
+    -- by the triggers below when the entity is deleted.
+    CREATE TABLE IF NOT EXISTS entity_tags (
+      tag_id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project', 'event', 'idea')),
+      entity_id INTEGER NOT NULL,
+      PRIMARY KEY (tag_id, entity_type, entity_id),
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );
+
+    -- Trash: deleted projects, tasks, events and ideas. The items themselves
+    -- stay in their tables with trash_id set, together with everything
+    -- deleted along with them, until they are restored or purged.
+    CREATE TABLE IF NOT EXISTS trash (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project', 'event', 'idea')),
+      entity_id INTEGER NOT NULL,
+      project_id INTEGER,
+      title TEXT NOT NULL,
+      deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Audit log: every create, update, delete and restore of a task, project,
+    -- event or idea. changes holds the field-level diff ({ field: { from, to } })
+    -- and snapshot the whole row after the change (before it, for deletes).
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project', 'event', 'idea')),
+      entity_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete', 'restore')),
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Comments on tasks and projects. Replies point at the comment they answer.
+    CREATE TABLE IF NOT EXISTS comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project')),
+      entity_id INTEGER NOT NULL,
+      parent_id INTEGER,
+      body TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE
+    );
+
+    -- Users @mentioned in a comment
+    CREATE TABLE IF NOT EXISTS comment_mentions (
+      comment_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      PRIMARY KEY (comment_id, user_id),
+      FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- System activity on tasks and projects, e.g. a status change
+    CREATE TABLE IF NOT EXISTS activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project')),
+      entity_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      field TEXT,
+      old_value TEXT,
+      new_value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Files attached to tasks, projects and events. path is where the file
+    -- is stored in the uploader's directory; images also get a thumbnail.
+    -- Files of deleted items are removed once the item itself is gone.
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project', 'event')),
+      entity_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      thumbnail_path TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Time spent on tasks, from a timer or entered by hand. Times are ISO
+    -- 8601 in UTC. A running timer has no ended_at or duration (seconds) yet.
+    CREATE TABLE IF NOT EXISTS time_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      task_id INTEGER NOT NULL,
+      started_at TEXT NOT NULL,
+      ended_at TEXT,
+      duration INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    );
+
+    -- Reminders a user set on a task's due date or an event's start.
+    -- notified_for is the (UTC) time the last reminder was sent for, so each
+    -- due date or occurrence is only reminded of once.
+    CREATE TABLE IF NOT EXISTS reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'event')),
+      entity_id INTEGER NOT NULL,
+      minutes_before INTEGER NOT NULL,
+      notified_for TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, entity_type, entity_id, minutes_before),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- A user's notifications inbox, e.g. a reminder firing or a mention
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('reminder', 'mention')),
+      entity_type TEXT NOT NULL CHECK(entity_type IN ('task', 'project', 'event')),
+      entity_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT,
+      read_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Outgoing webhooks a user registered. events is a JSON array of event
+    -- names such as "task.completed", or ["*"] for all of them.
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Each event sent to a webhook, kept as its delivery log. Pending
+    -- deliveries are (re)tried at next_attempt_at.
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_attempt_at DATETIME,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      redelivery_of INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    );
+
+    -- Personal access tokens. Only a hash of the token is kept, with its last
+    -- four characters to tell tokens apart. scopes is a JSON array such as
+    -- ["tasks:read", "events:write"].
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_hint TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
     -- Ideas table
     CREATE TABLE IF NOT EXISTS ideas (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -125,6 +429,8 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id);
     CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
     CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+    CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_id);
     CREATE INDEX IF NOT EXISTS idx_events_user ON events(user_id);
     CREATE INDEX IF NOT EXISTS idx_events_project ON events(project_id);
     CREATE INDEX IF NOT EXISTS idx_events_start_time ON events(start_time);
@@ -132,8 +438,55 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_calendar_accounts_user ON calendar_accounts(user_id);
     CREATE INDEX IF NOT EXISTS idx_events_external ON events(external_id, calendar_account_id);
     CREATE INDEX IF NOT EXISTS idx_user_oauth_configs ON user_oauth_configs(user_id, provider);
+    CREATE INDEX IF NOT EXISTS idx_entity_tags_entity ON entity_tags(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_trash_user ON trash(user_id);
+    CREATE INDEX IF NOT EXISTS idx_trash_project ON trash(project_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
+    CREATE INDEX IF NOT EXISTS idx_comments_entity ON comments(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_activity_entity ON activity(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_attachments_entity ON attachments(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id);
+    CREATE INDEX IF NOT EXISTS idx_time_entries_user ON time_entries(user_id, started_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_reminders_entity ON reminders(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens(user_id);
   `);
 
+  for (const [table, entityType] of [['tasks', 'task'], ['projects', 'project'], ['events', 'event'], ['ideas', 'idea']]) {
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_delete_tags AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM entity_tags WHERE entity_type = '${entityType}' AND entity_id = OLD.id;
+      END;
+    `);
+  }
+
+  for (const [table, entityType] of [['tasks', 'task'], ['projects', 'project']]) {
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_delete_thread AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM comments WHERE entity_type = '${entityType}' AND entity_id = OLD.id;
+        DELETE FROM activity WHERE entity_type = '${entityType}' AND entity_id = OLD.id;
+      END;
+    `);
+  }
+
+  for (const [table, entityType] of [['tasks', 'task'], ['projects', 'project'], ['events', 'event']]) {
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_delete_notifications AFTER DELETE ON ${table}
+      BEGIN
+        DELETE FROM reminders WHERE entity_type = '${entityType}' AND entity_id = OLD.id;
+        DELETE FROM notifications WHERE entity_type = '${entityType}' AND entity_id = OLD.id;
+      END;
+    `);
+  }
+
   // Migration: Add new columns to events if they don't exist
   const eventColumns = db.prepare("PRAGMA table_info(events)").all();
   const hasSource = eventColumns.some(col => col.name === 'source');
@@ -152,7 +505,87 @@ function initializeDatabase() {
     console.log('Migration: Added event_id column to tasks table');
   }
 
+  // Migration: Two-way calendar sync
+  addColumnIfMissing('calendar_accounts', 'write_enabled', 'BOOLEAN DEFAULT 0');
+  addColumnIfMissing('events', 'external_updated_at', 'DATETIME');
+
+  // Migration: Incremental calendar sync cursors
+  addColumnIfMissing('calendar_accounts', 'sync_cursor', 'TEXT');
+  addColumnIfMissing('calendar_accounts', 'sync_cursor_at', 'DATETIME');
+
+  // Migration: Background sync health
+  addColumnIfMissing('calendar_accounts', 'last_sync_error', 'TEXT');
+  addColumnIfMissing('calendar_accounts', 'last_sync_error_at', 'DATETIME');
+  addColumnIfMissing('calendar_accounts', 'sync_failures', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('calendar_accounts', 'next_sync_at', 'DATETIME');
+
+  // Migration: CalDAV and ICS subscription providers. SQLite can't change a
+  // CHECK constraint in place, so the accounts table is rebuilt.
+  addColumnIfMissing('calendar_accounts', 'server_url', 'TEXT');
+  const accountsTable = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'calendar_accounts'"
+  ).get();
+  if (!accountsTable.sql.includes("'caldav'")) {
+    const createSql = accountsTable.sql
+      .replace(/CREATE TABLE "?calendar_accounts"?/, 'CREATE TABLE calendar_accounts_new')
+      .replace("CHECK(provider IN ('google', 'outlook'))", "CHECK(provider IN ('google', 'outlook', 'caldav', 'ics'))");
+
+    // Foreign keys must be off, or dropping the old table would cascade to synced events
+    db.pragma('foreign_keys = OFF');
+    db.transaction(() => {
+      db.exec(createSql);
+      db.exec('INSERT INTO calendar_accounts_new SELECT * FROM calendar_accounts');
+      db.exec('DROP TABLE calendar_accounts');
+      db.exec('ALTER TABLE calendar_accounts_new RENAME TO calendar_accounts');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_calendar_accounts_user ON calendar_accounts(user_id)');
+    })();
+    db.pragma('foreign_keys = ON');
+    console.log('Migration: Added caldav and ics providers to calendar_accounts table');
+  }
+
+  // Migration: iCalendar feed tokens
+  addColumnIfMissing('users', 'feed_token', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_feed_token ON users(feed_token)');
+
+  // Migration: Recurring events. Overrides of single occurrences point at
+  // their series and are deleted with it.
+  addColumnIfMissing('events', 'recurrence_rule', 'TEXT');
+  addColumnIfMissing('events', 'recurrence_exdates', 'TEXT');
+  addColumnIfMissing('events', 'recurrence_parent_id', 'INTEGER REFERENCES events(id) ON DELETE CASCADE');
+  addColumnIfMissing('events', 'recurrence_id', 'TEXT');
+  // The time zone an imported series repeats in (see services/recurrence.js)
+  addColumnIfMissing('events', 'timezone', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_recurrence_parent ON events(recurrence_parent_id)');
+
+  // Migration: Recurring tasks. next_task_id marks a completed task whose
+  // next instance has been created, so completing it again doesn't repeat it.
+  addColumnIfMissing('tasks', 'recurrence_rule', 'TEXT');
+  addColumnIfMissing('tasks', 'recurrence_after_days', 'INTEGER');
+  addColumnIfMissing('tasks', 'next_task_id', 'INTEGER REFERENCES tasks(id) ON DELETE SET NULL');
+
+  // Migration: Subtasks
+  addColumnIfMissing('tasks', 'parent_task_id', 'INTEGER REFERENCES tasks(id) ON DELETE CASCADE');
+  addColumnIfMissing('tasks', 'complete_with_subtasks', 'BOOLEAN DEFAULT 0');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id)');
+
+  // Migration: Task assignees
+  addColumnIfMissing('tasks', 'assignee_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee_id)');
+
+  // Migration: Trash. Rows with a trash_id are deleted but can be restored.
+  for (const table of ['tasks', 'projects', 'events', 'ideas']) {
+    addColumnIfMissing(table, 'trash_id', 'INTEGER REFERENCES trash(id)');
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_trash ON ${table}(trash_id)`);
+  }
+
+  // Migration: Email settings. Reminders are emailed unless turned off; the
+  // digest ('daily' or 'weekly') is opt-in. digest_sent_at stops it going
+  // out twice.
+  addColumnIfMissing('users', 'email_reminders', 'BOOLEAN DEFAULT 1');
+  addColumnIfMissing('users', 'digest_frequency', "TEXT DEFAULT 'off'");
+  addColumnIfMissing('users', 'digest_sent_at', 'DATETIME');
+
   console.log('Database initialized successfully');
 }
 
-module.exports = { db, initializeDatabase };
+module.exports = { db, initializeDatabase, afterCommit };
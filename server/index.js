@@ -4,12 +4,18 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { initializeDatabase } = require('./database');
+const { startSyncScheduler } = require('./services/syncScheduler');
+const { startTrashPurge } = require('./services/trash');
+const { uploadPath } = require('./services/uploads');
+const { startAttachmentCleanup } = require('./services/attachments');
+const { startReminderScheduler } = require('./services/reminders');
+const { startDigestScheduler } = require('./services/digest');
+const { startWebhookDelivery } = require('./services/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Ensure upload directory exists
-const uploadPath = process.env.UPLOAD_PATH || './data/uploads';
 if (!fs.existsSync(uploadPath)) {
   fs.mkdirSync(uploadPath, { recursive: true });
 }
@@ -26,7 +32,20 @@ app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/events', require('./routes/events'));
 app.use('/api/ideas', require('./routes/ideas'));
 app.use('/api/search', require('./routes/search'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/history', require('./routes/history'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/attachments', require('./routes/attachments'));
+app.use('/api/time', require('./routes/time'));
+app.use('/api/reminders', require('./routes/reminders'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/email', require('./routes/email'));
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/tokens', require('./routes/tokens'));
 app.use('/api/calendars', require('./routes/calendars'));
+app.use('/api/feed', require('./routes/feed'));
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -45,6 +64,12 @@ app.use((err, req, res, next) => {
 
 // Initialize database and start server
 initializeDatabase();
+startSyncScheduler();
+startTrashPurge();
+startAttachmentCleanup();
+startReminderScheduler();
+startDigestScheduler();
+startWebhookDelivery();
 
 app.listen(PORT, () => {
   console.log(`The Deck server running on port ${PORT}`);
@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { isAccessToken, useToken, getRequiredScope, hasScope } = require('../services/accessTokens');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key';
 
+// Accepts the login JWT, or a personal access token with a scope for the API
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -10,15 +12,37 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isAccessToken(token)) {
+    return authenticateAccessToken(token, req, res, next);
+  }
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
     req.user = user;
     next();
   });
 }
 
+function authenticateAccessToken(token, req, res, next) {
+  const accessToken = useToken(token);
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  const scope = getRequiredScope(req.baseUrl, req.method);
+  if (!scope) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used with this endpoint' });
+  }
+  if (!hasScope(accessToken.scopes, scope)) {
+    return res.status(403).json({ error: `This token does not have the ${scope} scope` });
+  }
+
+  req.user = { id: accessToken.user_id, username: accessToken.username, email: accessToken.email };
+  next();
+}
+
 function generateToken(user) {
   return jwt.sign(
     { id: user.id, username: user.username, email: user.email },
@@ -0,0 +1,163 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { authenticateToken } = require('../middleware/auth');
+const { recordActivity } = require('../services/activity');
+const { describeUploadError, removeFiles } = require('../services/uploads');
+const {
+  upload,
+  findEntity,
+  canEdit,
+  listAttachments,
+  findAttachment,
+  addAttachment,
+  deleteAttachment,
+} = require('../services/attachments');
+
+const router = express.Router();
+
+// Task and project threads show files being added and removed
+const ACTIVITY_ENTITY_TYPES = ['task', 'project'];
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: Find an attachment the user can see, responding with a 404 if there isn't one
+function findVisibleAttachment(req, res) {
+  const found = findAttachment(req.params.id, req.user.id);
+  if (!found) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  return found;
+}
+
+// Helper: Send a stored file, or a 404 if it has gone missing
+function sendStoredFile(res, filePath, options) {
+  const resolved = filePath && path.resolve(filePath);
+  if (!resolved || !fs.existsSync(resolved)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.sendFile(resolved, options);
+}
+
+// Download an attachment under its original name
+router.get('/:id/download', (req, res) => {
+  try {
+    const found = findVisibleAttachment(req, res);
+    if (!found) return;
+
+    const { attachment } = found;
+    res.attachment(attachment.filename);
+    sendStoredFile(res, attachment.path, { headers: { 'Content-Type': attachment.mime_type } });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Thumbnail preview of an image attachment
+router.get('/:id/thumbnail', (req, res) => {
+  try {
+    const found = findVisibleAttachment(req, res);
+    if (!found) return;
+
+    if (!found.attachment.thumbnail_path) {
+      return res.status(404).json({ error: 'No thumbnail for this attachment' });
+    }
+
+    sendStoredFile(res, found.attachment.thumbnail_path);
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to fetch thumbnail' });
+  }
+});
+
+// Get the files on a task, project or event, and whether the user can
+// add and remove them
+router.get('/:entityType/:entityId', (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    const found = findEntity(entityType, entityId, req.user.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    res.json({
+      attachments: listAttachments(entityType, found.entity.id),
+      can_edit: canEdit(found.role),
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Attach a file (multipart field "file") to a task, project or event
+router.post('/:entityType/:entityId', (req, res, next) => {
+  const found = findEntity(req.params.entityType, req.params.entityId, req.user.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!canEdit(found.role)) {
+    return res.status(403).json({ error: 'You only have view access to this project' });
+  }
+  req.entity = found.entity;
+
+  upload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: describeUploadError(uploadError) });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { entityType } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+
+    const attachment = await addAttachment(entityType, req.entity.id, req.file, req.user.id);
+    if (ACTIVITY_ENTITY_TYPES.includes(entityType)) {
+      recordActivity(entityType, req.entity.id, req.user.id, 'attached', { newValue: attachment.filename });
+    }
+
+    res.status(201).json({ message: 'File attached', attachment });
+  } catch (error) {
+    if (req.file) {
+      removeFiles([req.file.path]);
+    }
+    console.error('Add attachment error:', error);
+    res.status(500).json({ error: 'Failed to attach file' });
+  }
+});
+
+// Remove an attachment and its file
+router.delete('/:id', (req, res) => {
+  try {
+    const found = findVisibleAttachment(req, res);
+    if (!found) return;
+
+    const { attachment, role } = found;
+    if (!canEdit(role)) {
+      return res.status(403).json({ error: 'You only have view access to this project' });
+    }
+
+    deleteAttachment(attachment);
+    if (ACTIVITY_ENTITY_TYPES.includes(attachment.entity_type)) {
+      recordActivity(attachment.entity_type, attachment.entity_id, req.user.id, 'attachment_removed', {
+        oldValue: attachment.filename,
+      });
+    }
+
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ error: 'Failed to remove attachment' });
+  }
+});
+
+module.exports = router;
@@ -1,60 +1,48 @@
 const express = require('express');
 const { google } = require('googleapis');
-const msal = require('@azure/msal-node');
 const { Client } = require('@microsoft/microsoft-graph-client');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  APP_URL,
+  GOOGLE_SCOPES,
+  OUTLOOK_SCOPES,
+  googleOAuth2Client,
+  msalClient,
+  CalendarAuthError,
+} = require('../services/calendarClients');
+const { syncAccount } = require('../services/calendarSync');
+const { providers, getProvider, supportsWriteBack } = require('../services/calendarProviders');
+const { CalendarConnectError } = require('../services/calendarProviders/common');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Server-level OAuth configuration
-const APP_URL = process.env.APP_URL || 'http://localhost:3000';
-
-// Google OAuth client (created once at startup if configured)
-let googleOAuth2Client = null;
-if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
-  googleOAuth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    `${APP_URL}/api/calendars/google/callback`
-  );
-}
-
-// Microsoft MSAL client (created once at startup if configured)
-let msalClient = null;
-if (process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET) {
-  msalClient = new msal.ConfidentialClientApplication({
-    auth: {
-      clientId: process.env.MICROSOFT_CLIENT_ID,
-      clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
-      authority: 'https://login.microsoftonline.com/common',
-    },
-  });
-}
-
 // ==================== CALENDAR ACCOUNTS ====================
 
 // Get all connected calendar accounts
 router.get('/accounts', (req, res) => {
   try {
     const accounts = db.prepare(`
-      SELECT id, provider, email, enabled, last_synced_at, created_at
+      SELECT id, provider, email, server_url, enabled, write_enabled, last_synced_at,
+             last_sync_error, last_sync_error_at, sync_failures, next_sync_at, created_at
       FROM calendar_accounts
       WHERE user_id = ?
       ORDER BY created_at DESC
-    `).all(req.user.id);
+    `).all(req.user.id).map((account) => ({
+      ...account,
+      writable: supportsWriteBack(getProvider(account.provider)),
+    }));
 
     // Also return which providers are configured
-    res.json({
-      accounts,
-      providers: {
-        google: !!googleOAuth2Client,
-        outlook: !!msalClient,
-      }
-    });
+    const configured = {};
+    for (const provider of Object.values(providers)) {
+      configured[provider.name] = provider.isConfigured();
+    }
+
+    res.json({ accounts, providers: configured });
   } catch (error) {
     console.error('Get calendar accounts error:', error);
     res.status(500).json({ error: 'Failed to fetch calendar accounts' });
@@ -106,6 +94,31 @@ router.patch('/accounts/:id/toggle', (req, res) => {
   }
 });
 
+// Toggle writing local event changes back to the provider
+router.patch('/accounts/:id/write-back', (req, res) => {
+  try {
+    const account = db.prepare(
+      'SELECT * FROM calendar_accounts WHERE id = ? AND user_id = ?'
+    ).get(req.params.id, req.user.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Calendar account not found' });
+    }
+
+    if (!account.write_enabled && !supportsWriteBack(getProvider(account.provider))) {
+      return res.status(400).json({ error: 'This calendar is read-only' });
+    }
+
+    db.prepare('UPDATE calendar_accounts SET write_enabled = ? WHERE id = ?')
+      .run(account.write_enabled ? 0 : 1, account.id);
+
+    res.json({ write_enabled: !account.write_enabled });
+  } catch (error) {
+    console.error('Toggle calendar write-back error:', error);
+    res.status(500).json({ error: 'Failed to toggle calendar write-back' });
+  }
+});
+
 // ==================== GOOGLE CALENDAR ====================
 
 // Get Google OAuth URL
@@ -118,7 +131,7 @@ router.get('/google/auth-url', (req, res) => {
 
   const authUrl = googleOAuth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: ['https://www.googleapis.com/auth/calendar.readonly', 'https://www.googleapis.com/auth/userinfo.email'],
+    scope: GOOGLE_SCOPES,
     prompt: 'consent',
     state: req.user.id.toString(),
   });
@@ -156,7 +169,8 @@ router.get('/google/callback', async (req, res) => {
     if (existing) {
       db.prepare(`
         UPDATE calendar_accounts
-        SET access_token = ?, refresh_token = ?, token_expires_at = ?, calendar_id = ?
+        SET access_token = ?, refresh_token = ?, token_expires_at = ?, calendar_id = ?,
+            sync_cursor = NULL, sync_failures = 0, last_sync_error = NULL, next_sync_at = NULL
         WHERE id = ?
       `).run(
         tokens.access_token,
@@ -187,104 +201,6 @@ router.get('/google/callback', async (req, res) => {
   }
 });
 
-// Sync Google Calendar
-router.post('/google/sync/:accountId', async (req, res) => {
-  try {
-    const account = db.prepare(
-      'SELECT * FROM calendar_accounts WHERE id = ? AND user_id = ? AND provider = ?'
-    ).get(req.params.accountId, req.user.id, 'google');
-
-    if (!account) {
-      return res.status(404).json({ error: 'Google Calendar account not found' });
-    }
-
-    if (!googleOAuth2Client) {
-      return res.status(400).json({ error: 'Google Calendar is not configured' });
-    }
-
-    // Set credentials for this sync
-    googleOAuth2Client.setCredentials({
-      access_token: account.access_token,
-      refresh_token: account.refresh_token,
-    });
-
-    // Refresh token if needed
-    if (account.token_expires_at && new Date(account.token_expires_at) < new Date()) {
-      const { credentials } = await googleOAuth2Client.refreshAccessToken();
-      db.prepare(`
-        UPDATE calendar_accounts SET access_token = ?, token_expires_at = ? WHERE id = ?
-      `).run(
-        credentials.access_token,
-        credentials.expiry_date ? new Date(credentials.expiry_date).toISOString() : null,
-        account.id
-      );
-      googleOAuth2Client.setCredentials(credentials);
-    }
-
-    const calendar = google.calendar({ version: 'v3', auth: googleOAuth2Client });
-
-    // Get events from the last 30 days to next 90 days
-    const timeMin = new Date();
-    timeMin.setDate(timeMin.getDate() - 30);
-    const timeMax = new Date();
-    timeMax.setDate(timeMax.getDate() + 90);
-
-    const { data } = await calendar.events.list({
-      calendarId: account.calendar_id || 'primary',
-      timeMin: timeMin.toISOString(),
-      timeMax: timeMax.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 500,
-    });
-
-    let synced = 0;
-    for (const event of data.items || []) {
-      if (event.status === 'cancelled') continue;
-
-      const startTime = event.start.dateTime || event.start.date;
-      const endTime = event.end?.dateTime || event.end?.date || startTime;
-      const allDay = !event.start.dateTime;
-
-      const existing = db.prepare(
-        'SELECT id FROM events WHERE external_id = ? AND calendar_account_id = ?'
-      ).get(event.id, account.id);
-
-      if (existing) {
-        db.prepare(`
-          UPDATE events SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ?
-          WHERE id = ?
-        `).run(event.summary || 'Untitled', event.description || null, startTime, endTime, allDay ? 1 : 0, existing.id);
-      } else {
-        db.prepare(`
-          INSERT INTO events (user_id, title, description, start_time, end_time, all_day, source, external_id, calendar_account_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(
-          req.user.id,
-          event.summary || 'Untitled',
-          event.description || null,
-          startTime,
-          endTime,
-          allDay ? 1 : 0,
-          'google',
-          event.id,
-          account.id
-        );
-      }
-      synced++;
-    }
-
-    // Update last synced time
-    db.prepare('UPDATE calendar_accounts SET last_synced_at = ? WHERE id = ?')
-      .run(new Date().toISOString(), account.id);
-
-    res.json({ message: `Synced ${synced} events from Google Calendar` });
-  } catch (error) {
-    console.error('Google Calendar sync error:', error);
-    res.status(500).json({ error: 'Failed to sync Google Calendar' });
-  }
-});
-
 // ==================== OUTLOOK CALENDAR ====================
 
 // Get Microsoft OAuth URL
@@ -301,7 +217,7 @@ router.get('/outlook/auth-url', (req, res) => {
     `client_id=${process.env.MICROSOFT_CLIENT_ID}` +
     `&response_type=code` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
-    `&scope=${encodeURIComponent('offline_access User.Read Calendars.Read')}` +
+    `&scope=${encodeURIComponent(OUTLOOK_SCOPES.join(' '))}` +
     `&state=${req.user.id}` +
     `&prompt=consent`;
 
@@ -322,7 +238,7 @@ router.get('/outlook/callback', async (req, res) => {
 
     const tokenResponse = await msalClient.acquireTokenByCode({
       code,
-      scopes: ['offline_access', 'User.Read', 'Calendars.Read'],
+      scopes: OUTLOOK_SCOPES,
       redirectUri,
     });
 
@@ -342,7 +258,8 @@ router.get('/outlook/callback', async (req, res) => {
     if (existing) {
       db.prepare(`
         UPDATE calendar_accounts
-        SET access_token = ?, refresh_token = ?, token_expires_at = ?
+        SET access_token = ?, refresh_token = ?, token_expires_at = ?,
+            sync_cursor = NULL, sync_failures = 0, last_sync_error = NULL, next_sync_at = NULL
         WHERE id = ?
       `).run(
         tokenResponse.accessToken,
@@ -371,109 +288,107 @@ router.get('/outlook/callback', async (req, res) => {
   }
 });
 
-// Sync Outlook Calendar
-router.post('/outlook/sync/:accountId', async (req, res) => {
+// ==================== CALDAV & ICS SUBSCRIPTIONS ====================
+
+// Connect a calendar that signs in with a URL and credentials instead of OAuth
+router.post('/:provider/connect', async (req, res) => {
+  const provider = providers[req.params.provider];
+  if (!provider || typeof provider.connect !== 'function') {
+    return res.status(404).json({ error: 'Unknown calendar provider' });
+  }
+
   try {
-    const account = db.prepare(
-      'SELECT * FROM calendar_accounts WHERE id = ? AND user_id = ? AND provider = ?'
-    ).get(req.params.accountId, req.user.id, 'outlook');
+    const details = await provider.connect(req.body);
 
-    if (!account) {
-      return res.status(404).json({ error: 'Outlook Calendar account not found' });
-    }
+    // Store or update account
+    const existing = db.prepare(
+      'SELECT id FROM calendar_accounts WHERE user_id = ? AND provider = ? AND email = ?'
+    ).get(req.user.id, provider.name, details.email);
 
-    if (!msalClient) {
-      return res.status(400).json({ error: 'Outlook Calendar is not configured' });
+    let accountId;
+    if (existing) {
+      db.prepare(`
+        UPDATE calendar_accounts
+        SET access_token = ?, server_url = ?, calendar_id = ?,
+            sync_cursor = NULL, sync_failures = 0, last_sync_error = NULL, next_sync_at = NULL
+        WHERE id = ?
+      `).run(details.access_token, details.server_url, details.calendar_id || null, existing.id);
+      accountId = existing.id;
+    } else {
+      const result = db.prepare(`
+        INSERT INTO calendar_accounts (user_id, provider, email, access_token, server_url, calendar_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        req.user.id,
+        provider.name,
+        details.email,
+        details.access_token,
+        details.server_url,
+        details.calendar_id || null
+      );
+      accountId = result.lastInsertRowid;
     }
 
-    let accessToken = account.access_token;
-
-    // Refresh token if needed
-    if (account.token_expires_at && new Date(account.token_expires_at) < new Date() && account.refresh_token) {
-      try {
-        const tokenResponse = await msalClient.acquireTokenByRefreshToken({
-          refreshToken: account.refresh_token,
-          scopes: ['offline_access', 'User.Read', 'Calendars.Read'],
-        });
-
-        accessToken = tokenResponse.accessToken;
-        db.prepare(`
-          UPDATE calendar_accounts SET access_token = ?, refresh_token = ?, token_expires_at = ? WHERE id = ?
-        `).run(
-          tokenResponse.accessToken,
-          tokenResponse.refreshToken || account.refresh_token,
-          tokenResponse.expiresOn ? tokenResponse.expiresOn.toISOString() : null,
-          account.id
-        );
-      } catch (refreshError) {
-        console.error('Token refresh failed:', refreshError);
-        return res.status(401).json({ error: 'Please reconnect your Outlook account' });
-      }
+    // Pull events in right away. A failure is recorded on the account and
+    // retried by the background sync, so the connection itself still stands.
+    const account = db.prepare('SELECT * FROM calendar_accounts WHERE id = ?').get(accountId);
+    let synced = 0;
+    try {
+      ({ synced } = await syncAccount(account));
+    } catch (syncError) {
+      console.error(`${provider.displayName} initial sync error:`, syncError);
     }
 
-    const graphClient = Client.init({
-      authProvider: (done) => done(null, accessToken),
+    res.status(existing ? 200 : 201).json({
+      message: `Connected ${provider.displayName}`,
+      account: { id: account.id, provider: account.provider, email: account.email },
+      synced,
     });
+  } catch (error) {
+    if (error instanceof CalendarConnectError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`${provider.displayName} connect error:`, error);
+    res.status(500).json({ error: `Failed to connect ${provider.displayName}` });
+  }
+});
 
-    // Get events from the last 30 days to next 90 days
-    const timeMin = new Date();
-    timeMin.setDate(timeMin.getDate() - 30);
-    const timeMax = new Date();
-    timeMax.setDate(timeMax.getDate() + 90);
-
-    const response = await graphClient
-      .api('/me/calendar/events')
-      .query({
-        $filter: `start/dateTime ge '${timeMin.toISOString()}' and start/dateTime le '${timeMax.toISOString()}'`,
-        $top: 500,
-        $orderby: 'start/dateTime',
-      })
-      .get();
+// ==================== SYNC ====================
 
-    let synced = 0;
-    for (const event of response.value || []) {
-      if (event.isCancelled) continue;
-
-      const startTime = event.start.dateTime + (event.start.timeZone === 'UTC' ? 'Z' : '');
-      const endTime = event.end.dateTime + (event.end.timeZone === 'UTC' ? 'Z' : '');
-      const allDay = event.isAllDay;
-
-      const existing = db.prepare(
-        'SELECT id FROM events WHERE external_id = ? AND calendar_account_id = ?'
-      ).get(event.id, account.id);
-
-      if (existing) {
-        db.prepare(`
-          UPDATE events SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ?
-          WHERE id = ?
-        `).run(event.subject || 'Untitled', event.bodyPreview || null, startTime, endTime, allDay ? 1 : 0, existing.id);
-      } else {
-        db.prepare(`
-          INSERT INTO events (user_id, title, description, start_time, end_time, all_day, source, external_id, calendar_account_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(
-          req.user.id,
-          event.subject || 'Untitled',
-          event.bodyPreview || null,
-          startTime,
-          endTime,
-          allDay ? 1 : 0,
-          'outlook',
-          event.id,
-          account.id
-        );
-      }
-      synced++;
+// Sync a single calendar account
+router.post('/:provider/sync/:accountId', async (req, res) => {
+  const provider = providers[req.params.provider];
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown calendar provider' });
+  }
+
+  try {
+    const account = db.prepare(
+      'SELECT * FROM calendar_accounts WHERE id = ? AND user_id = ? AND provider = ?'
+    ).get(req.params.accountId, req.user.id, provider.name);
+
+    if (!account) {
+      return res.status(404).json({ error: `${provider.displayName} account not found` });
     }
 
-    // Update last synced time
-    db.prepare('UPDATE calendar_accounts SET last_synced_at = ? WHERE id = ?')
-      .run(new Date().toISOString(), account.id);
+    if (!provider.isConfigured()) {
+      return res.status(400).json({ error: `${provider.displayName} is not configured` });
+    }
+
+    const { synced, removed, fullSync } = await syncAccount(account);
 
-    res.json({ message: `Synced ${synced} events from Outlook Calendar` });
+    res.json({
+      message: `Synced ${synced} events from ${provider.displayName}, removed ${removed}`,
+      synced,
+      removed,
+      full_sync: fullSync,
+    });
   } catch (error) {
-    console.error('Outlook Calendar sync error:', error);
-    res.status(500).json({ error: 'Failed to sync Outlook Calendar' });
+    if (error instanceof CalendarAuthError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error(`${provider.displayName} sync error:`, error);
+    res.status(500).json({ error: `Failed to sync ${provider.displayName}` });
   }
 });
 
@@ -487,89 +402,8 @@ router.post('/sync-all', async (req, res) => {
     const results = [];
     for (const account of accounts) {
       try {
-        if (account.provider === 'google' && googleOAuth2Client) {
-          googleOAuth2Client.setCredentials({
-            access_token: account.access_token,
-            refresh_token: account.refresh_token,
-          });
-
-          const calendar = google.calendar({ version: 'v3', auth: googleOAuth2Client });
-          const timeMin = new Date();
-          timeMin.setDate(timeMin.getDate() - 30);
-          const timeMax = new Date();
-          timeMax.setDate(timeMax.getDate() + 90);
-
-          const { data } = await calendar.events.list({
-            calendarId: account.calendar_id || 'primary',
-            timeMin: timeMin.toISOString(),
-            timeMax: timeMax.toISOString(),
-            singleEvents: true,
-            maxResults: 500,
-          });
-
-          let synced = 0;
-          for (const event of data.items || []) {
-            if (event.status === 'cancelled') continue;
-            const startTime = event.start.dateTime || event.start.date;
-            const endTime = event.end?.dateTime || event.end?.date || startTime;
-            const allDay = !event.start.dateTime;
-
-            const existing = db.prepare(
-              'SELECT id FROM events WHERE external_id = ? AND calendar_account_id = ?'
-            ).get(event.id, account.id);
-
-            if (existing) {
-              db.prepare(`UPDATE events SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ? WHERE id = ?`)
-                .run(event.summary || 'Untitled', event.description || null, startTime, endTime, allDay ? 1 : 0, existing.id);
-            } else {
-              db.prepare(`INSERT INTO events (user_id, title, description, start_time, end_time, all_day, source, external_id, calendar_account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
-                .run(req.user.id, event.summary || 'Untitled', event.description || null, startTime, endTime, allDay ? 1 : 0, 'google', event.id, account.id);
-            }
-            synced++;
-          }
-          db.prepare('UPDATE calendar_accounts SET last_synced_at = ? WHERE id = ?').run(new Date().toISOString(), account.id);
-          results.push({ provider: 'google', email: account.email, synced });
-        } else if (account.provider === 'outlook' && msalClient) {
-          const graphClient = Client.init({
-            authProvider: (done) => done(null, account.access_token),
-          });
-
-          const timeMin = new Date();
-          timeMin.setDate(timeMin.getDate() - 30);
-          const timeMax = new Date();
-          timeMax.setDate(timeMax.getDate() + 90);
-
-          const response = await graphClient
-            .api('/me/calendar/events')
-            .query({
-              $filter: `start/dateTime ge '${timeMin.toISOString()}' and start/dateTime le '${timeMax.toISOString()}'`,
-              $top: 500,
-            })
-            .get();
-
-          let synced = 0;
-          for (const event of response.value || []) {
-            if (event.isCancelled) continue;
-            const startTime = event.start.dateTime + (event.start.timeZone === 'UTC' ? 'Z' : '');
-            const endTime = event.end.dateTime + (event.end.timeZone === 'UTC' ? 'Z' : '');
-            const allDay = event.isAllDay;
-
-            const existing = db.prepare(
-              'SELECT id FROM events WHERE external_id = ? AND calendar_account_id = ?'
-            ).get(event.id, account.id);
-
-            if (existing) {
-              db.prepare(`UPDATE events SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ? WHERE id = ?`)
-                .run(event.subject || 'Untitled', event.bodyPreview || null, startTime, endTime, allDay ? 1 : 0, existing.id);
-            } else {
-              db.prepare(`INSERT INTO events (user_id, title, description, start_time, end_time, all_day, source, external_id, calendar_account_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
-                .run(req.user.id, event.subject || 'Untitled', event.bodyPreview || null, startTime, endTime, allDay ? 1 : 0, 'outlook', event.id, account.id);
-            }
-            synced++;
-          }
-          db.prepare('UPDATE calendar_accounts SET last_synced_at = ? WHERE id = ?').run(new Date().toISOString(), account.id);
-          results.push({ provider: 'outlook', email: account.email, synced });
-        }
+        const { synced, removed, fullSync } = await syncAccount(account);
+        results.push({ provider: account.provider, email: account.email, synced, removed, full_sync: fullSync });
       } catch (err) {
         results.push({ provider: account.provider, email: account.email, error: err.message });
       }
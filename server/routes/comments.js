@@ -0,0 +1,130 @@
+const express = require('express');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  CommentError,
+  findEntity,
+  normalizeBody,
+  setMentions,
+  notifyMentions,
+  getComment,
+  getThread,
+} = require('../services/comments');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: Find a comment the user wrote, responding with an error if they can't change it
+function findOwnComment(req, res) {
+  const comment = db.prepare('SELECT * FROM comments WHERE id = ?').get(req.params.id);
+
+  if (!comment || !findEntity(comment.entity_type, comment.entity_id, req.user.id)) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+  if (comment.user_id !== req.user.id) {
+    res.status(403).json({ error: 'Only the author can change a comment' });
+    return null;
+  }
+  return comment;
+}
+
+// Get the thread of a task or project: comments with nested replies,
+// interleaved with activity entries
+router.get('/:entityType/:entityId', (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!findEntity(entityType, entityId, req.user.id)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    res.json({ thread: getThread(entityType, Number(entityId)) });
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Comment on a task or project, or reply to a comment there (parent_id).
+// Anyone who can see it can comment, viewers included.
+router.post('/:entityType/:entityId', (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { parent_id } = req.body;
+
+    const entity = findEntity(entityType, entityId, req.user.id);
+    if (!entity) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const body = normalizeBody(req.body.body);
+
+    if (parent_id) {
+      const parent = db.prepare(
+        'SELECT id FROM comments WHERE id = ? AND entity_type = ? AND entity_id = ?'
+      ).get(parent_id, entityType, entity.id);
+
+      if (!parent) {
+        return res.status(400).json({ error: 'Invalid parent comment' });
+      }
+    }
+
+    const result = db.prepare(`
+      INSERT INTO comments (user_id, entity_type, entity_id, parent_id, body)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(req.user.id, entityType, entity.id, parent_id || null, body);
+
+    const comment = db.prepare('SELECT * FROM comments WHERE id = ?').get(result.lastInsertRowid);
+    notifyMentions(comment, setMentions(comment), req.user);
+
+    res.status(201).json({ comment: getComment(result.lastInsertRowid) });
+  } catch (error) {
+    if (error instanceof CommentError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Edit a comment (author only)
+router.put('/:id', (req, res) => {
+  try {
+    const existing = findOwnComment(req, res);
+    if (!existing) return;
+
+    const body = normalizeBody(req.body.body);
+
+    db.prepare('UPDATE comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(body, existing.id);
+    const comment = { ...existing, body };
+    notifyMentions(comment, setMentions(comment), req.user);
+
+    res.json({ comment: getComment(existing.id) });
+  } catch (error) {
+    if (error instanceof CommentError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment and its replies (author only)
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = findOwnComment(req, res);
+    if (!existing) return;
+
+    db.prepare('DELETE FROM comments WHERE id = ?').run(existing.id);
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
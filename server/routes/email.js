@@ -0,0 +1,108 @@
+const express = require('express');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { isMailEnabled, sendMail } = require('../services/mailer');
+const { DIGEST_FREQUENCIES, sendDigest } = require('../services/digest');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: The user's email settings, and whether the server can send mail
+function getSettings(userId) {
+  const user = db.prepare('SELECT email, email_reminders, digest_frequency, digest_sent_at FROM users WHERE id = ?')
+    .get(userId);
+  return {
+    enabled: isMailEnabled(),
+    email: user.email,
+    email_reminders: Boolean(user.email_reminders),
+    digest_frequency: user.digest_frequency,
+    digest_sent_at: user.digest_sent_at,
+  };
+}
+
+// Helper: Check the server can send mail, responding with 400 if not
+function checkMailEnabled(res) {
+  if (!isMailEnabled()) {
+    res.status(400).json({ error: 'Email is not set up on this server' });
+    return false;
+  }
+  return true;
+}
+
+// Get the user's email settings
+router.get('/settings', (req, res) => {
+  try {
+    res.json({ settings: getSettings(req.user.id) });
+  } catch (error) {
+    console.error('Get email settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch email settings' });
+  }
+});
+
+// Update the user's email settings: email_reminders (true/false) and
+// digest_frequency (off, daily or weekly)
+router.put('/settings', (req, res) => {
+  try {
+    const { email_reminders, digest_frequency } = req.body;
+
+    if (digest_frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest_frequency)) {
+      return res.status(400).json({ error: 'digest_frequency must be off, daily or weekly' });
+    }
+
+    if (email_reminders !== undefined) {
+      db.prepare('UPDATE users SET email_reminders = ? WHERE id = ?').run(email_reminders ? 1 : 0, req.user.id);
+    }
+    if (digest_frequency !== undefined) {
+      db.prepare('UPDATE users SET digest_frequency = ? WHERE id = ?').run(digest_frequency, req.user.id);
+    }
+
+    res.json({ settings: getSettings(req.user.id) });
+  } catch (error) {
+    console.error('Update email settings error:', error);
+    res.status(500).json({ error: 'Failed to update email settings' });
+  }
+});
+
+// Send a test email to the user
+router.post('/test', async (req, res) => {
+  if (!checkMailEnabled(res)) return;
+
+  try {
+    const { email } = getSettings(req.user.id);
+    await sendMail({
+      to: email,
+      subject: 'Test email from The Deck',
+      text: 'Email is working. Reminders and digests will arrive at this address.',
+    });
+    res.json({ message: `Test email sent to ${email}` });
+  } catch (error) {
+    console.error('Test email error:', error);
+    res.status(502).json({ error: `Failed to send email: ${error.message}` });
+  }
+});
+
+// Send the user's digest now (frequency: daily or weekly, defaulting to
+// their setting or daily), even if there's nothing in it
+router.post('/digest', async (req, res) => {
+  if (!checkMailEnabled(res)) return;
+
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    const frequency = req.body.frequency
+      || (user.digest_frequency === 'off' ? 'daily' : user.digest_frequency);
+
+    if (!['daily', 'weekly'].includes(frequency)) {
+      return res.status(400).json({ error: 'frequency must be daily or weekly' });
+    }
+
+    const digest = await sendDigest(user, frequency);
+    res.json({ message: `Digest sent to ${user.email}`, digest });
+  } catch (error) {
+    console.error('Send digest error:', error);
+    res.status(502).json({ error: `Failed to send email: ${error.message}` });
+  }
+});
+
+module.exports = router;
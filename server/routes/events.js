@@ -1,38 +1,122 @@
 const express = require('express');
+const multer = require('multer');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { getProvider } = require('../services/calendarProviders');
+const { SyncConflictError, pushCreate, pushUpdate, pushDelete } = require('../services/calendarWriteBack');
+const { ImportError, planImport, applyImport } = require('../services/eventImport');
+const {
+  RecurrenceError,
+  parseTime,
+  normalizeRule,
+  applyEventChanges,
+  getSeries,
+  updateRecurringEvent,
+  deletesWholeSeries,
+  deleteRecurringEvent,
+} = require('../services/recurrence');
+const { TagError, resolveTagIds, setEntityTags } = require('../services/tags');
+const { withTags, listEvents } = require('../services/events');
+const { itemVisibility, getItemRole, getProjectRole, hasRole } = require('../services/projectAccess');
+const { recordAudit } = require('../services/auditLog');
+const { moveToTrash } = require('../services/trash');
+const { maxFileSize, describeUploadError } = require('../services/uploads');
 
 const router = express.Router();
 
+// .ics uploads are parsed straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize },
+});
+
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get all events for user
-router.get('/', (req, res) => {
-  try {
-    const { project_id, start_after, start_before } = req.query;
+// Helper: Get the account an event should be written back to, if any
+function getWriteBackAccount(accountId, userId) {
+  if (!accountId) return null;
+  return db.prepare(
+    'SELECT * FROM calendar_accounts WHERE id = ? AND user_id = ? AND enabled = 1 AND write_enabled = 1'
+  ).get(accountId, userId) || null;
+}
 
-    let query = 'SELECT * FROM events WHERE user_id = ?';
-    const params = [req.user.id];
+// Helper: Find an event the user can see: their own, or one in a shared project
+function findVisibleEvent(id, userId) {
+  const visibility = itemVisibility(userId);
+  return db.prepare(`SELECT * FROM events WHERE id = ? AND ${visibility.clause}`).get(id, ...visibility.params);
+}
 
-    if (project_id) {
-      query += ' AND project_id = ?';
-      params.push(project_id);
-    }
+// Helper: Check the user may change an event, responding with 403 if not.
+// Events synced from a connected calendar are only changed by its owner.
+function checkCanEdit(res, event, userId) {
+  if (!hasRole(getItemRole(event, userId), 'editor')) {
+    res.status(403).json({ error: 'You only have view access to this project' });
+    return false;
+  }
+  if (event.calendar_account_id && event.user_id !== userId) {
+    res.status(403).json({ error: 'Only the owner of a synced event can change it' });
+    return false;
+  }
+  return true;
+}
 
-    if (start_after) {
-      query += ' AND start_time >= ?';
-      params.push(start_after);
-    }
+// Helper: Check the user may add events to a project, responding with an error if not
+function checkProject(res, projectId, userId) {
+  const role = getProjectRole(projectId, userId);
+  if (!role) {
+    res.status(400).json({ error: 'Invalid project' });
+    return false;
+  }
+  if (!hasRole(role, 'editor')) {
+    res.status(403).json({ error: 'You only have view access to this project' });
+    return false;
+  }
+  return true;
+}
 
-    if (start_before) {
-      query += ' AND start_time <= ?';
-      params.push(start_before);
-    }
+// Helper: A recurring series and its overrides
+function getSeriesRows(seriesId) {
+  return db.prepare('SELECT * FROM events WHERE id = ? OR recurrence_parent_id = ?').all(seriesId, seriesId);
+}
+
+// Helper: Record the rows a change to a recurring series created, updated or deleted
+function auditSeriesChange(before, after, userId) {
+  const beforeIds = new Set(before.map((row) => row.id));
+  const afterById = new Map(after.map((row) => [row.id, row]));
 
-    query += ' ORDER BY start_time ASC';
+  for (const row of before) {
+    const current = afterById.get(row.id) || null;
+    recordAudit('event', current ? 'update' : 'delete', row, current, userId);
+  }
+  for (const row of after) {
+    if (!beforeIds.has(row.id)) recordAudit('event', 'create', null, row, userId);
+  }
+}
+
+// Helper: Respond to a failed push to a connected calendar
+function sendPushError(res, error, account) {
+  if (error instanceof SyncConflictError) {
+    return res.status(409).json({ error: error.message, conflict: error.remote });
+  }
+  console.error('Calendar write-back error:', error);
+  res.status(502).json({ error: `Failed to save changes to ${getProvider(account.provider).displayName}` });
+}
+
+// Get all events the user can see, including those in projects shared with
+// them. Recurring events are expanded into their occurrences, which carry the
+// series' id and a recurrence_id.
+router.get('/', (req, res) => {
+  try {
+    const { project_id, start_after, start_before, tag } = req.query;
+
+    const events = listEvents(req.user.id, {
+      projectId: project_id,
+      startAfter: start_after,
+      startBefore: start_before,
+      tag,
+    });
 
-    const events = db.prepare(query).all(...params);
     res.json({ events });
   } catch (error) {
     console.error('Get events error:', error);
@@ -43,44 +127,62 @@ router.get('/', (req, res) => {
 // Get single event
 router.get('/:id', (req, res) => {
   try {
-    const event = db.prepare(
-      'SELECT * FROM events WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const event = findVisibleEvent(req.params.id, req.user.id);
 
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    res.json({ event });
+    res.json({ event: withTags([event], req.user.id)[0] });
   } catch (error) {
     console.error('Get event error:', error);
     res.status(500).json({ error: 'Failed to fetch event' });
   }
 });
 
-// Create event
-router.post('/', (req, res) => {
+// Create event (optionally on a connected calendar, or repeating with recurrence_rule)
+router.post('/', async (req, res) => {
   try {
-    const { title, description, project_id, start_time, end_time, all_day } = req.body;
+    const { title, description, project_id, start_time, end_time, all_day, calendar_account_id, tag_ids } = req.body;
 
     if (!title || !start_time) {
       return res.status(400).json({ error: 'Event title and start time are required' });
     }
 
-    // Verify project belongs to user if provided
-    if (project_id) {
-      const project = db.prepare(
-        'SELECT id FROM projects WHERE id = ? AND user_id = ?'
-      ).get(project_id, req.user.id);
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
 
-      if (!project) {
-        return res.status(400).json({ error: 'Invalid project' });
+    const recurrenceRule = normalizeRule(req.body.recurrence_rule);
+    if (recurrenceRule) {
+      if (calendar_account_id) {
+        return res.status(400).json({ error: 'Repeating events can only be created locally' });
+      }
+      parseTime(start_time);
+    }
+
+    // Verify the user can add to the project if provided
+    if (project_id && !checkProject(res, project_id, req.user.id)) {
+      return;
+    }
+
+    let account = null;
+    let link = { external_id: null, external_updated_at: null };
+
+    if (calendar_account_id) {
+      account = getWriteBackAccount(calendar_account_id, req.user.id);
+      if (!account) {
+        return res.status(400).json({ error: 'Invalid calendar account' });
+      }
+
+      try {
+        link = await pushCreate(account, { title, description, start_time, end_time, all_day });
+      } catch (pushError) {
+        return sendPushError(res, pushError, account);
       }
     }
 
     const result = db.prepare(`
-      INSERT INTO events (user_id, project_id, title, description, start_time, end_time, all_day)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO events (user_id, project_id, title, description, start_time, end_time, all_day, source, external_id, external_updated_at, calendar_account_id, recurrence_rule)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       req.user.id,
       project_id || null,
@@ -88,82 +190,225 @@ router.post('/', (req, res) => {
       description || null,
       start_time,
       end_time || null,
-      all_day ? 1 : 0
+      all_day ? 1 : 0,
+      account ? account.provider : 'local',
+      link.external_id,
+      link.external_updated_at,
+      account ? account.id : null,
+      recurrenceRule
     );
 
+    setEntityTags(req.user.id, 'event', result.lastInsertRowid, tagIds);
+
     const event = db.prepare('SELECT * FROM events WHERE id = ?').get(result.lastInsertRowid);
-    res.status(201).json({ event });
+    recordAudit('event', 'create', null, event, req.user.id);
+    res.status(201).json({ event: withTags([event], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof RecurrenceError || error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create event error:', error);
     res.status(500).json({ error: 'Failed to create event' });
   }
 });
 
-// Update event
-router.put('/:id', (req, res) => {
+// Import events from an uploaded .ics file (multipart field "file").
+// With preview=true nothing is written and the planned changes are returned.
+router.post('/import', (req, res, next) => {
+  upload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: describeUploadError(uploadError) });
+    }
+    next();
+  });
+}, (req, res) => {
   try {
-    const { title, description, project_id, start_time, end_time, all_day } = req.body;
+    const { project_id, preview } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'An .ics file is required' });
+    }
+
+    // Verify the user can add to the project if provided
+    if (project_id && !checkProject(res, project_id, req.user.id)) {
+      return;
+    }
 
-    const existing = db.prepare(
-      'SELECT * FROM events WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const plan = planImport(req.user.id, req.file.buffer.toString('utf8'));
+
+    if (preview === 'true') {
+      return res.json({
+        events: plan.events,
+        warnings: plan.warnings,
+        created: plan.events.filter((event) => event.action === 'create').length,
+        updated: plan.events.filter((event) => event.action === 'update').length,
+      });
+    }
+
+    const { created, updated } = applyImport(req.user.id, plan, project_id || null);
+    res.status(201).json({
+      message: `Imported ${created + updated} events (${created} new, ${updated} updated)`,
+      created,
+      updated,
+      warnings: plan.warnings,
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import events error:', error);
+    res.status(500).json({ error: 'Failed to import events' });
+  }
+});
+
+// Update event. Linked events on writable accounts are pushed to the provider
+// first; pass force to overwrite changes made there since the last sync.
+// Recurring events take a scope (this, following or all) and the
+// recurrence_id of the occurrence being edited. Events in a shared project
+// need the editor role there.
+router.put('/:id', async (req, res) => {
+  try {
+    const { project_id, force, scope, recurrence_id, tag_ids } = req.body;
+
+    const existing = findVisibleEvent(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    if (!checkCanEdit(res, existing, req.user.id)) {
+      return;
+    }
+
+    // Verify the user can add to the project if changing
+    if (project_id !== undefined && project_id !== null && !checkProject(res, project_id, req.user.id)) {
+      return;
+    }
+
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+
+    const series = getSeries(existing);
+    if (series) {
+      const before = getSeriesRows(series.id);
+      const id = updateRecurringEvent(existing, req.body, { scope, recurrence_id });
+      const event = db.prepare('SELECT * FROM events WHERE id = ?').get(id);
+
+      // Editing this and following occurrences splits off a new series
+      const after = getSeriesRows(series.id);
+      const newSeriesId = event.recurrence_parent_id || event.id;
+      if (newSeriesId !== series.id) after.push(...getSeriesRows(newSeriesId));
+      auditSeriesChange(before, after, req.user.id);
+
+      setEntityTags(req.user.id, 'event', event.recurrence_parent_id || event.id, tagIds);
+      return res.json({ event: withTags([event], req.user.id)[0] });
+    }
 
-    // Verify project belongs to user if changing
-    if (project_id !== undefined && project_id !== null) {
-      const project = db.prepare(
-        'SELECT id FROM projects WHERE id = ? AND user_id = ?'
-      ).get(project_id, req.user.id);
+    const updated = applyEventChanges(existing, req.body);
+    updated.recurrence_rule = normalizeRule(req.body.recurrence_rule);
+    if (updated.recurrence_rule) {
+      if (existing.calendar_account_id) {
+        return res.status(400).json({ error: 'Events on connected calendars can\'t repeat' });
+      }
+      parseTime(updated.start_time);
+    }
 
-      if (!project) {
-        return res.status(400).json({ error: 'Invalid project' });
+    const account = existing.external_id
+      ? getWriteBackAccount(existing.calendar_account_id, req.user.id)
+      : null;
+
+    if (account) {
+      try {
+        const link = await pushUpdate(account, updated, { force: !!force });
+        updated.external_id = link.external_id;
+        updated.external_updated_at = link.external_updated_at;
+      } catch (pushError) {
+        return sendPushError(res, pushError, account);
       }
     }
 
     db.prepare(`
       UPDATE events
-      SET title = ?, description = ?, project_id = ?, start_time = ?, end_time = ?, all_day = ?
-      WHERE id = ? AND user_id = ?
+      SET title = ?, description = ?, project_id = ?, start_time = ?, end_time = ?, all_day = ?,
+          external_id = ?, external_updated_at = ?, recurrence_rule = ?
+      WHERE id = ?
     `).run(
-      title || existing.title,
-      description !== undefined ? description : existing.description,
-      project_id !== undefined ? project_id : existing.project_id,
-      start_time || existing.start_time,
-      end_time !== undefined ? end_time : existing.end_time,
-      all_day !== undefined ? (all_day ? 1 : 0) : existing.all_day,
-      req.params.id,
-      req.user.id
+      updated.title,
+      updated.description,
+      updated.project_id,
+      updated.start_time,
+      updated.end_time,
+      updated.all_day,
+      updated.external_id,
+      updated.external_updated_at,
+      updated.recurrence_rule,
+      req.params.id
     );
 
+    setEntityTags(req.user.id, 'event', existing.id, tagIds);
+
     const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.id);
-    res.json({ event });
+    recordAudit('event', 'update', existing, event, req.user.id);
+    res.json({ event: withTags([event], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof RecurrenceError || error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update event error:', error);
     res.status(500).json({ error: 'Failed to update event' });
   }
 });
 
-// Delete event
-router.delete('/:id', (req, res) => {
+// Delete event. Local events go to the trash, a whole series with its edited
+// occurrences; events on connected calendars are deleted for good (with
+// their provider copy on writable accounts; ?force=true skips the conflict
+// check). Recurring events take ?scope= and ?recurrence_id= as for updates.
+router.delete('/:id', async (req, res) => {
   try {
-    const existing = db.prepare(
-      'SELECT * FROM events WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const existing = findVisibleEvent(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    if (!checkCanEdit(res, existing, req.user.id)) {
+      return;
+    }
 
-    db.prepare('DELETE FROM events WHERE id = ? AND user_id = ?').run(
-      req.params.id,
-      req.user.id
-    );
+    const series = getSeries(existing);
+    const options = { scope: req.query.scope, recurrence_id: req.query.recurrence_id };
+    if (series && deletesWholeSeries(existing, options)) {
+      moveToTrash('event', series, req.user.id);
+      return res.json({ message: 'Event moved to trash' });
+    }
+    if (series) {
+      const before = getSeriesRows(series.id);
+      deleteRecurringEvent(existing, options);
+      auditSeriesChange(before, getSeriesRows(series.id), req.user.id);
+      return res.json({ message: 'Event deleted successfully' });
+    }
+    if (!existing.calendar_account_id) {
+      moveToTrash('event', existing, req.user.id);
+      return res.json({ message: 'Event moved to trash' });
+    }
+
+    const account = existing.external_id
+      ? getWriteBackAccount(existing.calendar_account_id, req.user.id)
+      : null;
+
+    if (account) {
+      try {
+        await pushDelete(account, existing, { force: req.query.force === 'true' });
+      } catch (pushError) {
+        return sendPushError(res, pushError, account);
+      }
+    }
+
+    db.prepare('DELETE FROM events WHERE id = ?').run(req.params.id);
+    recordAudit('event', 'delete', existing, null, req.user.id);
 
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
+    if (error instanceof RecurrenceError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Delete event error:', error);
     res.status(500).json({ error: 'Failed to delete event' });
   }
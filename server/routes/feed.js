@@ -0,0 +1,85 @@
+const express = require('express');
+const crypto = require('crypto');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { APP_URL } = require('../services/calendarClients');
+const { FEED_SOURCES, buildFeed } = require('../services/calendarFeed');
+
+const router = express.Router();
+
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function getFeedUrl(token) {
+  return `${APP_URL}/api/feed/${token}.ics`;
+}
+
+// Get the current user's feed URL, creating its token on first use
+router.get('/', authenticateToken, (req, res) => {
+  try {
+    let { feed_token: token } = db.prepare('SELECT feed_token FROM users WHERE id = ?').get(req.user.id);
+
+    if (!token) {
+      token = generateFeedToken();
+      db.prepare('UPDATE users SET feed_token = ? WHERE id = ?').run(token, req.user.id);
+    }
+
+    res.json({ url: getFeedUrl(token), sources: FEED_SOURCES });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Replace the feed token. Apps subscribed to the old URL stop receiving updates.
+router.post('/reset', authenticateToken, (req, res) => {
+  try {
+    const token = generateFeedToken();
+    db.prepare('UPDATE users SET feed_token = ? WHERE id = ?').run(token, req.user.id);
+
+    res.json({ url: getFeedUrl(token), sources: FEED_SOURCES });
+  } catch (error) {
+    console.error('Reset feed error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
+// The feed itself. Calendar apps can't send our Authorization header, so the
+// token in the URL is the credential.
+//   ?project_id=1,2     only these projects
+//   ?source=local,tasks only these sources (see FEED_SOURCES)
+//   ?tasks=todo         task due dates as VTODOs instead of all-day events
+router.get('/:token.ics', (req, res) => {
+  try {
+    const user = db.prepare('SELECT id FROM users WHERE feed_token = ?').get(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const sources = req.query.source ? String(req.query.source).split(',') : FEED_SOURCES;
+    if (sources.some((source) => !FEED_SOURCES.includes(source))) {
+      return res.status(400).json({ error: `Source must be one of: ${FEED_SOURCES.join(', ')}` });
+    }
+
+    const projectIds = req.query.project_id ? String(req.query.project_id).split(',').map(Number) : [];
+    if (projectIds.some((id) => !Number.isInteger(id))) {
+      return res.status(400).json({ error: 'Invalid project_id' });
+    }
+
+    const tasksAs = req.query.tasks || 'event';
+    if (!['event', 'todo'].includes(tasksAs)) {
+      return res.status(400).json({ error: 'Tasks must be either event or todo' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="the-deck.ics"');
+    res.send(buildFeed(user.id, { sources, projectIds, tasksAs }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+module.exports = router;
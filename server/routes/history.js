@@ -0,0 +1,87 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { syncTaskEvent } = require('../services/taskEvents');
+const {
+  AUDITED_TABLES,
+  AuditError,
+  canAccess,
+  getHistory,
+  getUserHistory,
+  getEntry,
+  restoreVersion,
+} = require('../services/auditLog');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Get the audit log, newest first: the history of one entity
+// (entity_type + entity_id), or the changes made by a user (user_id, 'me'
+// for yourself, optionally narrowed to one entity_type). Only entries for
+// entities the caller can see are returned.
+router.get('/', (req, res) => {
+  try {
+    const { entity_type, entity_id, user_id } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (entity_type && !AUDITED_TABLES[entity_type]) {
+      return res.status(400).json({ error: 'Invalid entity type' });
+    }
+
+    if (entity_id) {
+      if (!entity_type) {
+        return res.status(400).json({ error: 'entity_type is required with entity_id' });
+      }
+      if (!canAccess(entity_type, Number(entity_id), req.user.id)) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      return res.json({ entries: getHistory(entity_type, Number(entity_id), limit) });
+    }
+
+    const actorId = !user_id || user_id === 'me' ? req.user.id : Number(user_id);
+    res.json({ entries: getUserHistory(actorId, req.user.id, { entityType: entity_type, limit }) });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Restore the version of an entity saved in a log entry, re-creating it if it
+// was deleted. Needs edit access to the entity.
+router.post('/:id/restore', (req, res) => {
+  try {
+    const entry = getEntry(req.params.id);
+
+    if (!entry || !canAccess(entry.entity_type, entry.entity_id, req.user.id)) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    if (!canAccess(entry.entity_type, entry.entity_id, req.user.id, 'editor')) {
+      return res.status(403).json({ error: 'You only have view access to this project' });
+    }
+
+    const restored = restoreVersion(entry, req.user.id);
+    if (entry.entity_type === 'task') {
+      syncTaskEvent(restored);
+    }
+
+    res.json({ entity_type: entry.entity_type, entity: restored });
+  } catch (error) {
+    if (error instanceof AuditError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+module.exports = router;
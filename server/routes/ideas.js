@@ -1,43 +1,20 @@
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { TagError, resolveTagIds, setEntityTags, tagFilter, attachTags } = require('../services/tags');
+const { recordAudit } = require('../services/auditLog');
+const { moveToTrash } = require('../services/trash');
+const { createUpload } = require('../services/uploads');
 
 const router = express.Router();
 
-// Configure multer for audio uploads
-const uploadPath = process.env.UPLOAD_PATH || './data/uploads';
-const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const userDir = path.join(uploadPath, req.user.id.toString());
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    cb(null, userDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    cb(null, `${uuidv4()}${ext}`);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: maxFileSize },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/webm', 'audio/ogg', 'audio/mp4'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only audio files are allowed.'));
-    }
-  }
-});
+// Audio recordings
+const upload = createUpload(
+  ['audio/mpeg', 'audio/wav', 'audio/webm', 'audio/ogg', 'audio/mp4'],
+  'Invalid file type. Only audio files are allowed.'
+);
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -45,9 +22,9 @@ router.use(authenticateToken);
 // Get all ideas for user
 router.get('/', (req, res) => {
   try {
-    const { category } = req.query;
+    const { category, tag } = req.query;
 
-    let query = 'SELECT * FROM ideas WHERE user_id = ?';
+    let query = 'SELECT * FROM ideas WHERE user_id = ? AND trash_id IS NULL';
     const params = [req.user.id];
 
     if (category) {
@@ -55,9 +32,15 @@ router.get('/', (req, res) => {
       params.push(category);
     }
 
+    if (tag) {
+      const filter = tagFilter('idea', tag, req.user.id);
+      query += filter.clause;
+      params.push(...filter.params);
+    }
+
     query += ' ORDER BY created_at DESC';
 
-    const ideas = db.prepare(query).all(...params);
+    const ideas = attachTags('idea', db.prepare(query).all(...params), req.user.id);
     res.json({ ideas });
   } catch (error) {
     console.error('Get ideas error:', error);
@@ -69,14 +52,14 @@ router.get('/', (req, res) => {
 router.get('/:id', (req, res) => {
   try {
     const idea = db.prepare(
-      'SELECT * FROM ideas WHERE id = ? AND user_id = ?'
+      'SELECT * FROM ideas WHERE id = ? AND user_id = ? AND trash_id IS NULL'
     ).get(req.params.id, req.user.id);
 
     if (!idea) {
       return res.status(404).json({ error: 'Idea not found' });
     }
 
-    res.json({ idea });
+    res.json({ idea: attachTags('idea', [idea], req.user.id)[0] });
   } catch (error) {
     console.error('Get idea error:', error);
     res.status(500).json({ error: 'Failed to fetch idea' });
@@ -87,7 +70,7 @@ router.get('/:id', (req, res) => {
 router.get('/:id/audio', (req, res) => {
   try {
     const idea = db.prepare(
-      'SELECT * FROM ideas WHERE id = ? AND user_id = ?'
+      'SELECT * FROM ideas WHERE id = ? AND user_id = ? AND trash_id IS NULL'
     ).get(req.params.id, req.user.id);
 
     if (!idea) {
@@ -114,12 +97,14 @@ router.get('/:id/audio', (req, res) => {
 // Create idea (with optional audio upload)
 router.post('/', upload.single('audio'), (req, res) => {
   try {
-    const { title, content, category } = req.body;
+    const { title, content, category, tag_ids } = req.body;
 
     if (!title) {
       return res.status(400).json({ error: 'Idea title is required' });
     }
 
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+
     const audio_path = req.file ? req.file.path : null;
 
     const result = db.prepare(`
@@ -133,9 +118,15 @@ router.post('/', upload.single('audio'), (req, res) => {
       category || null
     );
 
+    setEntityTags(req.user.id, 'idea', result.lastInsertRowid, tagIds);
+
     const idea = db.prepare('SELECT * FROM ideas WHERE id = ?').get(result.lastInsertRowid);
-    res.status(201).json({ idea });
+    recordAudit('idea', 'create', null, idea, req.user.id);
+    res.status(201).json({ idea: attachTags('idea', [idea], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create idea error:', error);
     res.status(500).json({ error: 'Failed to create idea' });
   }
@@ -144,16 +135,18 @@ router.post('/', upload.single('audio'), (req, res) => {
 // Update idea
 router.put('/:id', upload.single('audio'), (req, res) => {
   try {
-    const { title, content, category } = req.body;
+    const { title, content, category, tag_ids } = req.body;
 
     const existing = db.prepare(
-      'SELECT * FROM ideas WHERE id = ? AND user_id = ?'
+      'SELECT * FROM ideas WHERE id = ? AND user_id = ? AND trash_id IS NULL'
     ).get(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Idea not found' });
     }
 
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+
     let audio_path = existing.audio_path;
 
     // If new audio uploaded, delete old and use new
@@ -177,36 +170,34 @@ router.put('/:id', upload.single('audio'), (req, res) => {
       req.user.id
     );
 
+    setEntityTags(req.user.id, 'idea', existing.id, tagIds);
+
     const idea = db.prepare('SELECT * FROM ideas WHERE id = ?').get(req.params.id);
-    res.json({ idea });
+    recordAudit('idea', 'update', existing, idea, req.user.id);
+    res.json({ idea: attachTags('idea', [idea], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update idea error:', error);
     res.status(500).json({ error: 'Failed to update idea' });
   }
 });
 
-// Delete idea
+// Delete idea (moves it to the trash; its recording is kept until the trash is purged)
 router.delete('/:id', (req, res) => {
   try {
     const existing = db.prepare(
-      'SELECT * FROM ideas WHERE id = ? AND user_id = ?'
+      'SELECT * FROM ideas WHERE id = ? AND user_id = ? AND trash_id IS NULL'
     ).get(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Idea not found' });
     }
 
-    // Delete audio file if exists
-    if (existing.audio_path && fs.existsSync(existing.audio_path)) {
-      fs.unlinkSync(existing.audio_path);
-    }
-
-    db.prepare('DELETE FROM ideas WHERE id = ? AND user_id = ?').run(
-      req.params.id,
-      req.user.id
-    );
+    moveToTrash('idea', existing, req.user.id);
 
-    res.json({ message: 'Idea deleted successfully' });
+    res.json({ message: 'Idea moved to trash' });
   } catch (error) {
     console.error('Delete idea error:', error);
     res.status(500).json({ error: 'Failed to delete idea' });
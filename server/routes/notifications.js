@@ -0,0 +1,91 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listNotifications,
+  getNotification,
+  setRead,
+  markAllRead,
+  dismissNotification,
+} = require('../services/notifications');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: Find one of the user's notifications, responding with 404 if there's none
+function findNotification(req, res) {
+  const notification = getNotification(req.params.id, req.user.id);
+  if (!notification) {
+    res.status(404).json({ error: 'Notification not found' });
+    return null;
+  }
+  return notification;
+}
+
+// Get the user's notifications, newest first, with the unread count.
+// ?unread=true lists only unread ones; ?limit= defaults to 50, max 200.
+router.get('/', (req, res) => {
+  try {
+    res.json(listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit, 10),
+    }));
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark all of the user's notifications as read
+router.post('/read-all', (req, res) => {
+  try {
+    const count = markAllRead(req.user.id);
+    res.json({ message: `${count} notification(s) marked as read` });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a notification as read
+router.post('/:id/read', (req, res) => {
+  try {
+    const notification = findNotification(req, res);
+    if (!notification) return;
+
+    res.json({ notification: setRead(notification, true) });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Mark a notification as unread again
+router.post('/:id/unread', (req, res) => {
+  try {
+    const notification = findNotification(req, res);
+    if (!notification) return;
+
+    res.json({ notification: setRead(notification, false) });
+  } catch (error) {
+    console.error('Mark notification unread error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Dismiss a notification, removing it from the inbox
+router.delete('/:id', (req, res) => {
+  try {
+    const notification = findNotification(req, res);
+    if (!notification) return;
+
+    dismissNotification(notification);
+    res.json({ message: 'Notification dismissed' });
+  } catch (error) {
+    console.error('Dismiss notification error:', error);
+    res.status(500).json({ error: 'Failed to dismiss notification' });
+  }
+});
+
+module.exports = router;
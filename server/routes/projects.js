@@ -1,19 +1,69 @@
 const express = require('express');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { attachSubtasks } = require('../services/subtasks');
+const { attachAssignees, unassignFromProject } = require('../services/assignees');
+const { attachTimeTotals, attachProjectTimeTotals } = require('../services/timeTracking');
+const { recordActivity, recordChanges } = require('../services/activity');
+const { recordAudit } = require('../services/auditLog');
+const { moveToTrash } = require('../services/trash');
+const { publishMembership } = require('../services/realtime');
+const { TagError, resolveTagIds, setEntityTags, tagFilter, attachTags } = require('../services/tags');
+const {
+  MEMBER_ROLES,
+  projectVisibility,
+  getProjectRole,
+  hasRole,
+  attachRoles,
+} = require('../services/projectAccess');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get all projects for user
+// Helper: Find a project the user can see, with their role on it
+function findVisibleProject(id, userId) {
+  const role = getProjectRole(id, userId);
+  if (!role) return null;
+  return { ...getProjectRow(id), role };
+}
+
+// Helper: Get a project as stored, for the audit log
+function getProjectRow(id) {
+  return db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+}
+
+// Helper: Respond that the user's role on a project doesn't allow a change
+function sendForbidden(res, minRole) {
+  const message = minRole === 'owner'
+    ? 'Only the project owner can do this'
+    : 'You only have view access to this project';
+  return res.status(403).json({ error: message });
+}
+
+// Helper: List a project's owner and members
+function getMembers(project) {
+  const owner = db.prepare('SELECT id, username, email FROM users WHERE id = ?').get(project.user_id);
+  const members = db.prepare(`
+    SELECT u.id, u.username, u.email, pm.role, pm.accepted_at, pm.created_at AS invited_at
+    FROM project_members pm
+    JOIN users u ON u.id = pm.user_id
+    WHERE pm.project_id = ?
+    ORDER BY pm.accepted_at IS NULL, u.username COLLATE NOCASE
+  `).all(project.id);
+
+  return [{ ...owner, role: 'owner', accepted_at: project.created_at, invited_at: null }, ...members];
+}
+
+// Get all projects the user owns or has joined, each with the user's role
 router.get('/', (req, res) => {
   try {
-    const { category, status } = req.query;
+    const { category, status, tag } = req.query;
 
-    let query = 'SELECT * FROM projects WHERE user_id = ?';
-    const params = [req.user.id];
+    const visibility = projectVisibility(req.user.id);
+    let query = `SELECT * FROM projects WHERE ${visibility.clause}`;
+    const params = [...visibility.params];
 
     if (category) {
       query += ' AND category = ?';
@@ -25,9 +75,18 @@ router.get('/', (req, res) => {
       params.push(status);
     }
 
+    if (tag) {
+      const filter = tagFilter('project', tag, req.user.id);
+      query += filter.clause;
+      params.push(...filter.params);
+    }
+
     query += ' ORDER BY updated_at DESC';
 
-    const projects = db.prepare(query).all(...params);
+    const projects = attachRoles(
+      attachProjectTimeTotals(attachTags('project', db.prepare(query).all(...params), req.user.id)),
+      req.user.id
+    );
     res.json({ projects });
   } catch (error) {
     console.error('Get projects error:', error);
@@ -35,26 +94,92 @@ router.get('/', (req, res) => {
   }
 });
 
+// Get the user's pending invitations
+router.get('/invitations', (req, res) => {
+  try {
+    const invitations = db.prepare(`
+      SELECT p.id AS project_id, p.name AS project_name, pm.role, pm.created_at AS invited_at,
+             u.username AS invited_by
+      FROM project_members pm
+      JOIN projects p ON p.id = pm.project_id
+      LEFT JOIN users u ON u.id = pm.invited_by
+      WHERE pm.user_id = ? AND pm.accepted_at IS NULL AND p.trash_id IS NULL
+      ORDER BY pm.created_at DESC
+    `).all(req.user.id);
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Accept an invitation to a project
+router.post('/invitations/:projectId/accept', (req, res) => {
+  try {
+    const result = db.prepare(`
+      UPDATE project_members SET accepted_at = CURRENT_TIMESTAMP
+      WHERE project_id = ? AND user_id = ? AND accepted_at IS NULL
+        AND project_id IN (SELECT id FROM projects WHERE trash_id IS NULL)
+    `).run(req.params.projectId, req.user.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const project = findVisibleProject(req.params.projectId, req.user.id);
+    recordActivity('project', project.id, req.user.id, 'joined', { newValue: project.role });
+    publishMembership(project.id, [], req.user.id);
+    res.json({ project: attachTags('project', [project], req.user.id)[0] });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Decline an invitation to a project
+router.delete('/invitations/:projectId', (req, res) => {
+  try {
+    const result = db.prepare(
+      'DELETE FROM project_members WHERE project_id = ? AND user_id = ? AND accepted_at IS NULL'
+    ).run(req.params.projectId, req.user.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    publishMembership(Number(req.params.projectId), [req.user.id], req.user.id);
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+});
+
 // Get single project with related tasks and events
 router.get('/:id', (req, res) => {
   try {
-    const project = db.prepare(
-      'SELECT * FROM projects WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const project = findVisibleProject(req.params.id, req.user.id);
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const tasks = db.prepare(
-      'SELECT * FROM tasks WHERE project_id = ? ORDER BY created_at DESC'
-    ).all(project.id);
+    const tasks = attachTags('task', attachTimeTotals(attachAssignees(attachSubtasks(db.prepare(`
+      SELECT * FROM tasks
+      WHERE project_id = ? AND parent_task_id IS NULL AND trash_id IS NULL
+      ORDER BY created_at DESC
+    `).all(project.id)))), req.user.id);
 
     const events = db.prepare(
-      'SELECT * FROM events WHERE project_id = ? ORDER BY start_time ASC'
+      'SELECT * FROM events WHERE project_id = ? AND trash_id IS NULL ORDER BY start_time ASC'
     ).all(project.id);
 
-    res.json({ project, tasks, events });
+    res.json({
+      project: attachProjectTimeTotals(attachTags('project', [project], req.user.id))[0],
+      tasks,
+      events,
+    });
   } catch (error) {
     console.error('Get project error:', error);
     res.status(500).json({ error: 'Failed to fetch project' });
@@ -64,12 +189,14 @@ router.get('/:id', (req, res) => {
 // Create project
 router.post('/', (req, res) => {
   try {
-    const { name, description, category, status } = req.body;
+    const { name, description, category, status, tag_ids } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Project name is required' });
     }
 
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+
     const result = db.prepare(`
       INSERT INTO projects (user_id, name, description, category, status)
       VALUES (?, ?, ?, ?, ?)
@@ -81,69 +208,274 @@ router.post('/', (req, res) => {
       status || 'active'
     );
 
-    const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(result.lastInsertRowid);
-    res.status(201).json({ project });
+    recordActivity('project', result.lastInsertRowid, req.user.id, 'created');
+    recordAudit('project', 'create', null, getProjectRow(result.lastInsertRowid), req.user.id);
+    setEntityTags(req.user.id, 'project', result.lastInsertRowid, tagIds);
+
+    const project = findVisibleProject(result.lastInsertRowid, req.user.id);
+    res.status(201).json({ project: attachTags('project', [project], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create project error:', error);
     res.status(500).json({ error: 'Failed to create project' });
   }
 });
 
-// Update project
+// Update project (editors and the owner)
 router.put('/:id', (req, res) => {
   try {
-    const { name, description, category, status } = req.body;
+    const { name, description, category, status, tag_ids } = req.body;
 
-    const existing = db.prepare(
-      'SELECT * FROM projects WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const existing = findVisibleProject(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    if (!hasRole(existing.role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+    const before = getProjectRow(existing.id);
 
     db.prepare(`
       UPDATE projects
       SET name = ?, description = ?, category = ?, status = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
+      WHERE id = ?
     `).run(
       name || existing.name,
       description !== undefined ? description : existing.description,
       category || existing.category,
       status || existing.status,
-      req.params.id,
-      req.user.id
+      req.params.id
     );
 
-    const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
-    res.json({ project });
+    setEntityTags(req.user.id, 'project', existing.id, tagIds);
+
+    const project = findVisibleProject(req.params.id, req.user.id);
+    recordChanges('project', existing, project, req.user.id);
+    recordAudit('project', 'update', before, getProjectRow(existing.id), req.user.id);
+    res.json({ project: attachTags('project', [project], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update project error:', error);
     res.status(500).json({ error: 'Failed to update project' });
   }
 });
 
-// Delete project
+// Delete project (owner only). It goes to the trash with its tasks and events.
 router.delete('/:id', (req, res) => {
   try {
-    const existing = db.prepare(
-      'SELECT * FROM projects WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const existing = findVisibleProject(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    if (existing.role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
 
-    db.prepare('DELETE FROM projects WHERE id = ? AND user_id = ?').run(
-      req.params.id,
-      req.user.id
-    );
+    moveToTrash('project', getProjectRow(existing.id), req.user.id);
 
-    res.json({ message: 'Project deleted successfully' });
+    res.json({ message: 'Project moved to trash' });
   } catch (error) {
     console.error('Delete project error:', error);
     res.status(500).json({ error: 'Failed to delete project' });
   }
 });
 
+// ==================== MEMBERS ====================
+
+// List a project's owner, members and pending invitations
+router.get('/:id/members', (req, res) => {
+  try {
+    const project = findVisibleProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ members: getMembers(project) });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Invite someone by username or email (owner only). They join once they accept.
+router.post('/:id/members', (req, res) => {
+  try {
+    const { identifier, role } = req.body;
+
+    const project = findVisibleProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (project.role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
+
+    if (identifier !== undefined && identifier !== null && typeof identifier !== 'string') {
+      return res.status(400).json({ error: 'identifier must be text' });
+    }
+    const trimmed = identifier?.trim();
+    if (!trimmed) {
+      return res.status(400).json({ error: 'Username or email is required' });
+    }
+    const memberRole = role || 'viewer';
+    if (!MEMBER_ROLES.includes(memberRole)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    const invitee = db.prepare(
+      'SELECT id FROM users WHERE username = ? OR email = ? COLLATE NOCASE'
+    ).get(trimmed, trimmed);
+
+    if (!invitee) {
+      return res.status(404).json({ error: 'No user with that username or email' });
+    }
+    if (invitee.id === req.user.id) {
+      return res.status(400).json({ error: "You can't invite yourself" });
+    }
+
+    const existing = db.prepare(
+      'SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ?'
+    ).get(project.id, invitee.id);
+
+    if (existing) {
+      return res.status(400).json({ error: 'This user is already a member or invited' });
+    }
+
+    db.prepare(`
+      INSERT INTO project_members (project_id, user_id, role, invited_by)
+      VALUES (?, ?, ?, ?)
+    `).run(project.id, invitee.id, memberRole, req.user.id);
+
+    publishMembership(project.id, [invitee.id], req.user.id);
+    res.status(201).json({ members: getMembers(project) });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({ error: 'Failed to invite member' });
+  }
+});
+
+// Change a member's role (owner only)
+router.put('/:id/members/:userId', (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const project = findVisibleProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (project.role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    const result = db.prepare(
+      'UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?'
+    ).run(role, project.id, req.params.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    publishMembership(project.id, [Number(req.params.userId)], req.user.id);
+    res.json({ members: getMembers(project) });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member or cancel an invitation (owner), or leave the project
+// (member). Their tasks in the project are unassigned.
+router.delete('/:id/members/:userId', (req, res) => {
+  try {
+    const project = findVisibleProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (project.role !== 'owner' && Number(req.params.userId) !== req.user.id) {
+      return sendForbidden(res, 'owner');
+    }
+
+    const result = db.prepare(
+      'DELETE FROM project_members WHERE project_id = ? AND user_id = ?'
+    ).run(project.id, req.params.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    for (const task of unassignFromProject(project.id, Number(req.params.userId))) {
+      recordAudit('task', 'update', task, { ...task, assignee_id: null }, req.user.id);
+    }
+    const removed = db.prepare('SELECT username FROM users WHERE id = ?').get(req.params.userId);
+    recordActivity('project', project.id, req.user.id, 'member_removed', { oldValue: removed && removed.username });
+    publishMembership(project.id, [Number(req.params.userId)], req.user.id);
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Helper: Hand a project to one of its members, keeping the previous owner on as an editor
+const transferOwnership = db.transaction((project, newOwnerId) => {
+  db.prepare('DELETE FROM project_members WHERE project_id = ? AND user_id = ?').run(project.id, newOwnerId);
+  db.prepare(`
+    INSERT INTO project_members (project_id, user_id, role, invited_by, accepted_at)
+    VALUES (?, ?, 'editor', ?, CURRENT_TIMESTAMP)
+  `).run(project.id, project.user_id, newOwnerId);
+  db.prepare('UPDATE projects SET user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(newOwnerId, project.id);
+});
+
+// Make another member the owner (owner only)
+router.post('/:id/transfer', (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    const project = findVisibleProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (project.role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
+
+    const member = db.prepare(
+      'SELECT user_id FROM project_members WHERE project_id = ? AND user_id = ? AND accepted_at IS NOT NULL'
+    ).get(project.id, user_id);
+
+    if (!member) {
+      return res.status(400).json({ error: 'The new owner must be a member of the project' });
+    }
+
+    const before = getProjectRow(project.id);
+    transferOwnership(project, member.user_id);
+    recordChanges('project', project, { ...project, user_id: member.user_id }, req.user.id);
+    recordAudit('project', 'update', before, getProjectRow(project.id), req.user.id);
+
+    const updated = findVisibleProject(project.id, req.user.id);
+    res.json({ project: attachTags('project', [updated], req.user.id)[0] });
+  } catch (error) {
+    console.error('Transfer project error:', error);
+    res.status(500).json({ error: 'Failed to transfer project' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { openStream } = require('../services/realtime');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Stream live changes to the items the user can see, as Server-Sent Events
+router.get('/stream', (req, res) => {
+  openStream(req.user.id, res);
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  ReminderError,
+  findEntity,
+  listReminders,
+  getReminder,
+  addReminder,
+  deleteReminder,
+} = require('../services/reminders');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get the user's reminders on a task or event
+router.get('/:entityType/:entityId', (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const entity = findEntity(entityType, entityId, req.user.id);
+    if (!entity) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({ reminders: listReminders(req.user.id, entityType, entity.id) });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
+  }
+});
+
+// Add a reminder minutes_before a task is due or an event starts
+router.post('/:entityType/:entityId', (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const entity = findEntity(entityType, entityId, req.user.id);
+    if (!entity) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const reminder = addReminder(req.user.id, entityType, entity, req.body.minutes_before);
+    res.status(201).json({ message: 'Reminder added', reminder });
+  } catch (error) {
+    if (error instanceof ReminderError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create reminder error:', error);
+    res.status(500).json({ error: 'Failed to add reminder' });
+  }
+});
+
+// Remove one of the user's reminders
+router.delete('/:id', (req, res) => {
+  try {
+    const reminder = getReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    deleteReminder(reminder);
+    res.json({ message: 'Reminder removed' });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({ error: 'Failed to remove reminder' });
+  }
+});
+
+module.exports = router;
@@ -1,67 +1,123 @@
 const express = require('express');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { tagFilter, attachTags } = require('../services/tags');
+const { projectVisibility, itemVisibility } = require('../services/projectAccess');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Global search across all entities
+// Helper: SQL condition matching items whose title fields or tag names match
+function matchClause(entityType, columns, idColumn) {
+  return `(${columns.map((column) => `${column} LIKE ?`).join(' OR ')} OR ${idColumn} IN (
+    SELECT et.entity_id FROM entity_tags et
+    JOIN tags t ON t.id = et.tag_id
+    WHERE et.entity_type = '${entityType}' AND t.user_id = ? AND t.name LIKE ?
+  ))`;
+}
+
+// Helper: SQL condition for items that only their creator sees
+function ownedBy(userId) {
+  return { clause: 'user_id = ? AND trash_id IS NULL', params: [userId] };
+}
+
+// Helper: Run one entity's search, optionally limited to a tag. idColumn is
+// the id tags are stored under (edited occurrences use their series' tags);
+// visibility gives the condition for the items the user can see.
+function searchEntity(entityType, config, { userId, searchTerm, tag }) {
+  const { select, table, columns, orderBy, idColumn = 'id', visibility = ownedBy } = config;
+  const visible = visibility(userId);
+  let query = `SELECT ${select}, ${idColumn} AS tag_owner_id, '${entityType}' as type FROM ${table}
+    WHERE ${visible.clause}`;
+  const params = [...visible.params];
+
+  if (searchTerm) {
+    query += ` AND ${matchClause(entityType, columns, idColumn)}`;
+    params.push(...columns.map(() => searchTerm), userId, searchTerm);
+  }
+
+  if (tag) {
+    const filter = tagFilter(entityType, tag, userId, idColumn);
+    query += filter.clause;
+    params.push(...filter.params);
+  }
+
+  query += ` ORDER BY ${orderBy} LIMIT 10`;
+  return attachTags(entityType, db.prepare(query).all(...params), userId, (item) => item.tag_owner_id)
+    .map(({ tag_owner_id, ...item }) => item);
+}
+
+// Global search across all entities. Matches titles, descriptions and tag
+// names; ?tag= limits results to one tag (and makes q optional). Projects,
+// tasks and events shared with the user are included.
 router.get('/', (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, tag } = req.query;
 
-    if (!q || q.trim().length === 0) {
+    if ((!q || q.trim().length === 0) && !tag) {
       return res.status(400).json({ error: 'Search query is required' });
     }
 
-    const searchTerm = `%${q.trim()}%`;
+    const searchTerm = q && q.trim() ? `%${q.trim()}%` : null;
+    const options = { userId: req.user.id, searchTerm, tag };
 
     // Search projects
-    const projects = db.prepare(`
-      SELECT id, name, description, category, status, 'project' as type
-      FROM projects
-      WHERE user_id = ? AND (name LIKE ? OR description LIKE ?)
-      ORDER BY updated_at DESC
-      LIMIT 10
-    `).all(req.user.id, searchTerm, searchTerm);
+    const projects = searchEntity('project', {
+      select: 'id, name, description, category, status',
+      table: 'projects',
+      columns: ['name', 'description'],
+      orderBy: 'updated_at DESC',
+      visibility: projectVisibility,
+    }, options);
 
     // Search tasks
-    const tasks = db.prepare(`
-      SELECT id, title, description, priority, status, 'task' as type
-      FROM tasks
-      WHERE user_id = ? AND (title LIKE ? OR description LIKE ?)
-      ORDER BY created_at DESC
-      LIMIT 10
-    `).all(req.user.id, searchTerm, searchTerm);
+    const tasks = searchEntity('task', {
+      select: 'id, title, description, priority, status',
+      table: 'tasks',
+      columns: ['title', 'description'],
+      orderBy: 'created_at DESC',
+      visibility: itemVisibility,
+    }, options);
 
     // Search events
-    const events = db.prepare(`
-      SELECT id, title, description, start_time, 'event' as type
-      FROM events
-      WHERE user_id = ? AND (title LIKE ? OR description LIKE ?)
-      ORDER BY start_time DESC
-      LIMIT 10
-    `).all(req.user.id, searchTerm, searchTerm);
+    const events = searchEntity('event', {
+      select: 'id, title, description, start_time',
+      table: 'events',
+      columns: ['title', 'description'],
+      orderBy: 'start_time DESC',
+      idColumn: 'COALESCE(recurrence_parent_id, id)',
+      visibility: itemVisibility,
+    }, options);
 
     // Search ideas
-    const ideas = db.prepare(`
-      SELECT id, title, content, category, 'idea' as type
-      FROM ideas
-      WHERE user_id = ? AND (title LIKE ? OR content LIKE ?)
-      ORDER BY created_at DESC
-      LIMIT 10
-    `).all(req.user.id, searchTerm, searchTerm);
+    const ideas = searchEntity('idea', {
+      select: 'id, title, content, category',
+      table: 'ideas',
+      columns: ['title', 'content'],
+      orderBy: 'created_at DESC',
+    }, options);
+
+    // Tags whose name matches the query
+    const tags = searchTerm
+      ? db.prepare('SELECT * FROM tags WHERE user_id = ? AND name LIKE ? ORDER BY name ASC').all(req.user.id, searchTerm)
+      : [];
+
+    const filterTag = tag
+      ? db.prepare('SELECT * FROM tags WHERE user_id = ? AND (id = ? OR name = ?)').get(req.user.id, tag, tag) || null
+      : null;
 
     res.json({
-      query: q,
+      query: q || '',
+      tag: filterTag,
       results: {
         projects,
         tasks,
         events,
         ideas
       },
+      tags,
       total: projects.length + tasks.length + events.length + ideas.length
     });
   } catch (error) {
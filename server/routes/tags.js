@@ -0,0 +1,113 @@
+const express = require('express');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { TagError, normalizeColor, normalizeName } = require('../services/tags');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: Whether the user already has another tag with this name
+function nameTaken(name, userId, exceptId = null) {
+  return Boolean(db.prepare(
+    'SELECT id FROM tags WHERE user_id = ? AND name = ? AND id IS NOT ?'
+  ).get(userId, name, exceptId));
+}
+
+// Get all tags for user, with how many items carry each
+router.get('/', (req, res) => {
+  try {
+    const tags = db.prepare(`
+      SELECT t.*, COUNT(et.entity_id) AS usage_count
+      FROM tags t
+      LEFT JOIN entity_tags et ON et.tag_id = t.id
+      WHERE t.user_id = ?
+      GROUP BY t.id
+      ORDER BY t.name ASC
+    `).all(req.user.id);
+
+    res.json({ tags });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Create tag
+router.post('/', (req, res) => {
+  try {
+    const name = normalizeName(req.body.name);
+    const color = normalizeColor(req.body.color);
+
+    if (nameTaken(name, req.user.id)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+
+    const result = db.prepare(
+      'INSERT INTO tags (user_id, name, color) VALUES (?, ?, ?)'
+    ).run(req.user.id, name, color);
+
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ tag });
+  } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Update tag (rename or recolor)
+router.put('/:id', (req, res) => {
+  try {
+    const existing = db.prepare(
+      'SELECT * FROM tags WHERE id = ? AND user_id = ?'
+    ).get(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const name = req.body.name !== undefined ? normalizeName(req.body.name) : existing.name;
+    const color = req.body.color !== undefined ? normalizeColor(req.body.color) : existing.color;
+
+    if (nameTaken(name, req.user.id, existing.id)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+
+    db.prepare('UPDATE tags SET name = ?, color = ? WHERE id = ?').run(name, color, existing.id);
+
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(existing.id);
+    res.json({ tag });
+  } catch (error) {
+    if (error instanceof TagError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Delete tag (removes it from everything it was on)
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = db.prepare(
+      'SELECT * FROM tags WHERE id = ? AND user_id = ?'
+    ).get(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    db.prepare('DELETE FROM tags WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,156 @@
 const express = require('express');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { RecurrenceError } = require('../services/recurrence');
+const { normalizeTaskRecurrence, getNextInstance } = require('../services/taskRecurrence');
+const { attachSubtasks } = require('../services/subtasks');
+const {
+  DependencyError,
+  parseDependsOn,
+  validateDependencies,
+  setDependencies,
+  getOpenTasks,
+  getDependencyIds,
+  attachDependencies,
+} = require('../services/taskDependencies');
+const { TagError, resolveTagIds, setEntityTags, copyEntityTags, tagFilter, attachTags } = require('../services/tags');
+const { itemVisibility, getItemRole, getProjectRole, hasRole } = require('../services/projectAccess');
+const { AssigneeError, resolveAssigneeId, canBeAssigned, attachAssignees } = require('../services/assignees');
+const { attachTimeTotals } = require('../services/timeTracking');
+const { recordActivity, recordChanges } = require('../services/activity');
+const { syncTaskEvent } = require('../services/taskEvents');
+const { recordAudit } = require('../services/auditLog');
+const { moveToTrash } = require('../services/trash');
+const { copyReminders } = require('../services/reminders');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Helper: Create or update event for a task with a due date
-function syncTaskEvent(task, userId) {
-  if (!task.due_date) {
-    // No due date - delete associated event if exists
-    if (task.event_id) {
-      db.prepare('DELETE FROM events WHERE id = ?').run(task.event_id);
-      db.prepare('UPDATE tasks SET event_id = NULL WHERE id = ?').run(task.id);
-    }
+// Helper: Create the next instance of a recurring task that was just completed
+function createNextTask(task, userId) {
+  const next = getNextInstance(task);
+  if (!next) {
     return null;
   }
 
-  const eventTitle = `Task Due: ${task.title}`;
-  const eventDescription = task.description || `Task "${task.title}" is due`;
-
-  if (task.event_id) {
-    // Update existing event
-    db.prepare(`
-      UPDATE events
-      SET title = ?, description = ?, start_time = ?, project_id = ?, all_day = 1
-      WHERE id = ?
-    `).run(eventTitle, eventDescription, task.due_date, task.project_id, task.event_id);
-    return task.event_id;
-  } else {
-    // Create new event
-    const result = db.prepare(`
-      INSERT INTO events (user_id, project_id, title, description, start_time, all_day)
-      VALUES (?, ?, ?, ?, ?, 1)
-    `).run(userId, task.project_id, eventTitle, eventDescription, task.due_date);
+  const result = db.prepare(`
+    INSERT INTO tasks (user_id, project_id, parent_task_id, assignee_id, title, description, priority, status, due_date,
+                       recurrence_rule, recurrence_after_days, complete_with_subtasks)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+  `).run(
+    task.user_id,
+    task.project_id,
+    task.parent_task_id,
+    task.assignee_id,
+    task.title,
+    task.description,
+    task.priority,
+    next.due_date,
+    next.recurrence_rule,
+    task.recurrence_after_days,
+    task.complete_with_subtasks
+  );
+
+  const nextTask = db.prepare('SELECT * FROM tasks WHERE id = ?').get(result.lastInsertRowid);
+  db.prepare('UPDATE tasks SET next_task_id = ? WHERE id = ?').run(nextTask.id, task.id);
+  copyEntityTags('task', task.id, nextTask.id);
+  copyReminders(task.id, nextTask.id);
+
+  // The next instance starts with a fresh copy of the checklist
+  const insertSubtask = db.prepare(`
+    INSERT INTO tasks (user_id, project_id, parent_task_id, assignee_id, title, description, priority)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const subtasks = db.prepare('SELECT * FROM tasks WHERE parent_task_id = ? AND trash_id IS NULL ORDER BY id')
+    .all(task.id);
+  for (const subtask of subtasks) {
+    const copy = insertSubtask.run(
+      subtask.user_id, task.project_id, nextTask.id, subtask.assignee_id,
+      subtask.title, subtask.description, subtask.priority
+    );
+    const subtaskCopy = db.prepare('SELECT * FROM tasks WHERE id = ?').get(copy.lastInsertRowid);
+    recordAudit('task', 'create', null, subtaskCopy, userId);
+  }
+
+  syncTaskEvent(nextTask);
+  const created = db.prepare('SELECT * FROM tasks WHERE id = ?').get(nextTask.id);
+  recordAudit('task', 'create', null, created, userId);
+  return created;
+}
+
+// Helper: Add subtasks, dependency state, assignees, time spent and the user's tags to tasks for a response
+function withDetails(tasks, userId) {
+  return attachTags('task', attachTimeTotals(attachAssignees(attachDependencies(attachSubtasks(tasks)))), userId);
+}
 
-    const eventId = result.lastInsertRowid;
-    db.prepare('UPDATE tasks SET event_id = ? WHERE id = ?').run(eventId, task.id);
-    return eventId;
+// Helper: Find a task the user can see: their own, or one in a shared project
+function findVisibleTask(id, userId) {
+  const visibility = itemVisibility(userId);
+  return db.prepare(`SELECT * FROM tasks WHERE id = ? AND ${visibility.clause}`).get(id, ...visibility.params);
+}
+
+// Helper: Respond that the user can see a task's project but not change it
+function sendViewOnly(res) {
+  return res.status(403).json({ error: 'You only have view access to this project' });
+}
+
+// Helper: Respond that a task can't start yet because of unfinished dependencies
+function sendBlocked(res, blockers) {
+  return res.status(409).json({
+    error: 'This task is blocked by unfinished tasks',
+    blocked_by: blockers,
+  });
+}
+
+// Helper: Complete a parent task once none of its subtasks are left, if it
+// asks for that, as done by the user who completed the last one. Returns the
+// parent's next instance when it repeats.
+function completeParentIfDone(parentId, userId) {
+  const parent = db.prepare('SELECT * FROM tasks WHERE id = ?').get(parentId);
+  if (!parent || !parent.complete_with_subtasks || parent.status === 'completed') {
+    return null;
   }
+
+  const { remaining } = db.prepare(
+    "SELECT COUNT(*) AS remaining FROM tasks WHERE parent_task_id = ? AND status != 'completed' AND trash_id IS NULL"
+  ).get(parentId);
+  if (remaining > 0) {
+    return null;
+  }
+
+  db.prepare("UPDATE tasks SET status = 'completed' WHERE id = ?").run(parentId);
+  recordChanges('task', parent, { ...parent, status: 'completed' }, userId);
+  const nextTask = parent.next_task_id ? null : createNextTask({ ...parent, status: 'completed' }, userId);
+  recordAudit('task', 'update', parent, db.prepare('SELECT * FROM tasks WHERE id = ?').get(parentId), userId);
+  return nextTask;
 }
 
-// Get all tasks for user
+// Get all tasks the user can see, including those in projects shared with
+// them. Top-level tasks come with their subtasks nested; pass parent_id to
+// list the subtasks of one task instead. ?assignee=me (or a user id) lists
+// the tasks assigned to someone, subtasks included. Each task has a computed
+// blocked flag, which ?blocked=true|false filters on.
 router.get('/', (req, res) => {
   try {
-    const { project_id, status, priority, due_before, due_after } = req.query;
+    const { project_id, parent_id, assignee, status, priority, due_before, due_after, blocked, tag } = req.query;
+
+    const visibility = itemVisibility(req.user.id);
+    let query = `SELECT * FROM tasks WHERE ${visibility.clause}`;
+    const params = [...visibility.params];
+
+    if (parent_id) {
+      query += ' AND parent_task_id = ?';
+      params.push(parent_id);
+    } else if (!assignee) {
+      query += ' AND parent_task_id IS NULL';
+    }
 
-    let query = 'SELECT * FROM tasks WHERE user_id = ?';
-    const params = [req.user.id];
+    if (assignee) {
+      query += ' AND assignee_id = ?';
+      params.push(assignee === 'me' ? req.user.id : assignee);
+    }
 
     if (project_id) {
       query += ' AND project_id = ?';
@@ -75,9 +177,18 @@ router.get('/', (req, res) => {
       params.push(due_after);
     }
 
+    if (tag) {
+      const filter = tagFilter('task', tag, req.user.id);
+      query += filter.clause;
+      params.push(...filter.params);
+    }
+
     query += ' ORDER BY due_date ASC, priority DESC, created_at DESC';
 
-    const tasks = db.prepare(query).all(...params);
+    let tasks = withDetails(db.prepare(query).all(...params), req.user.id);
+    if (blocked === 'true' || blocked === 'false') {
+      tasks = tasks.filter((task) => task.blocked === (blocked === 'true'));
+    }
     res.json({ tasks });
   } catch (error) {
     console.error('Get tasks error:', error);
@@ -88,148 +199,276 @@ router.get('/', (req, res) => {
 // Get single task
 router.get('/:id', (req, res) => {
   try {
-    const task = db.prepare(
-      'SELECT * FROM tasks WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const task = findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({ task });
+    res.json({ task: withDetails([task], req.user.id)[0] });
   } catch (error) {
     console.error('Get task error:', error);
     res.status(500).json({ error: 'Failed to fetch task' });
   }
 });
 
-// Create task
+// Create task. A subtask (parent_task_id) always belongs to its parent's project.
+// depends_on lists the tasks it can't start before, and assignee_id who is
+// responsible for it.
 router.post('/', (req, res) => {
   try {
-    const { title, description, project_id, priority, status, due_date } = req.body;
+    const {
+      title, description, project_id, parent_task_id, assignee_id, priority, status, due_date,
+      complete_with_subtasks, depends_on, force, tag_ids,
+    } = req.body;
 
     if (!title) {
       return res.status(400).json({ error: 'Task title is required' });
     }
 
-    // Verify project belongs to user if provided
-    if (project_id) {
-      const project = db.prepare(
-        'SELECT id FROM projects WHERE id = ? AND user_id = ?'
-      ).get(project_id, req.user.id);
+    const recurrence = normalizeTaskRecurrence(req.body);
+    const dependencyIds = depends_on !== undefined ? parseDependsOn(depends_on) : [];
+    validateDependencies(dependencyIds, req.user.id);
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
 
-      if (!project) {
+    if (status === 'in-progress' && !force) {
+      const blockers = getOpenTasks(dependencyIds);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    let parent = null;
+    if (parent_task_id) {
+      parent = findVisibleTask(parent_task_id, req.user.id);
+
+      if (!parent) {
+        return res.status(400).json({ error: 'Invalid parent task' });
+      }
+      if (!hasRole(getItemRole(parent, req.user.id), 'editor')) {
+        return sendViewOnly(res);
+      }
+      if (parent.parent_task_id) {
+        return res.status(400).json({ error: "Subtasks can't have subtasks of their own" });
+      }
+    }
+
+    // Verify the user can add to the project if provided
+    if (project_id && !parent) {
+      const role = getProjectRole(project_id, req.user.id);
+
+      if (!role) {
         return res.status(400).json({ error: 'Invalid project' });
       }
+      if (!hasRole(role, 'editor')) {
+        return sendViewOnly(res);
+      }
     }
 
+    const projectId = parent ? parent.project_id : project_id || null;
+    const assigneeId = resolveAssigneeId(assignee_id, { project_id: projectId, user_id: req.user.id });
+
     const result = db.prepare(`
-      INSERT INTO tasks (user_id, project_id, title, description, priority, status, due_date)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (user_id, project_id, parent_task_id, assignee_id, title, description, priority, status,
+                         due_date, recurrence_rule, recurrence_after_days, complete_with_subtasks)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       req.user.id,
-      project_id || null,
+      projectId,
+      parent ? parent.id : null,
+      assigneeId || null,
       title,
       description || null,
       priority || 'medium',
       status || 'pending',
-      due_date || null
+      due_date || null,
+      recurrence.recurrence_rule,
+      recurrence.recurrence_after_days,
+      complete_with_subtasks ? 1 : 0
     );
 
     let task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(result.lastInsertRowid);
+    recordActivity('task', task.id, req.user.id, 'created');
+    setDependencies(task.id, dependencyIds, req.user.id);
+    setEntityTags(req.user.id, 'task', task.id, tagIds);
 
     // Create associated calendar event if due date is set
     if (due_date) {
-      syncTaskEvent(task, req.user.id);
+      syncTaskEvent(task);
       task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(task.id);
     }
+    recordAudit('task', 'create', null, task, req.user.id);
 
-    res.status(201).json({ task });
+    res.status(201).json({ task: withDetails([task], req.user.id)[0] });
   } catch (error) {
+    if (error instanceof RecurrenceError || error instanceof DependencyError || error instanceof TagError
+      || error instanceof AssigneeError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create task error:', error);
     res.status(500).json({ error: 'Failed to create task' });
   }
 });
 
-// Update task
+// Update task. Completing a recurring task creates its next instance,
+// returned as next_task. Completing the last subtask of a task set to
+// complete_with_subtasks completes that task too. Moving a task to
+// in-progress while it is blocked is rejected with 409 unless force is set.
+// Tasks in a shared project need the editor role there. assignee_id (null to
+// unassign) has to be someone who can see the task. Changes are recorded in
+// the task's activity.
 router.put('/:id', (req, res) => {
   try {
-    const { title, description, project_id, priority, status, due_date } = req.body;
+    const {
+      title, description, project_id, assignee_id, priority, status, due_date, complete_with_subtasks, depends_on,
+      force, tag_ids,
+    } = req.body;
 
-    const existing = db.prepare(
-      'SELECT * FROM tasks WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const existing = findVisibleTask(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Task not found' });
     }
+    if (!hasRole(getItemRole(existing, req.user.id), 'editor')) {
+      return sendViewOnly(res);
+    }
 
-    // Verify project belongs to user if changing
-    if (project_id !== undefined && project_id !== null) {
-      const project = db.prepare(
-        'SELECT id FROM projects WHERE id = ? AND user_id = ?'
-      ).get(project_id, req.user.id);
+    // Verify the user can add to the project if changing
+    if (project_id !== undefined && project_id !== null && !existing.parent_task_id) {
+      const role = getProjectRole(project_id, req.user.id);
 
-      if (!project) {
+      if (!role) {
         return res.status(400).json({ error: 'Invalid project' });
       }
+      if (!hasRole(role, 'editor')) {
+        return sendViewOnly(res);
+      }
     }
 
     const newTitle = title || existing.title;
     const newDescription = description !== undefined ? description : existing.description;
-    const newProjectId = project_id !== undefined ? project_id : existing.project_id;
+    // Subtasks follow their parent's project
+    const newProjectId = project_id !== undefined && !existing.parent_task_id ? project_id : existing.project_id;
     const newDueDate = due_date !== undefined ? due_date : existing.due_date;
+    const newStatus = status || existing.status;
+    const recurrence = normalizeTaskRecurrence({
+      recurrence_rule: req.body.recurrence_rule !== undefined ? req.body.recurrence_rule : existing.recurrence_rule,
+      recurrence_after_days: req.body.recurrence_after_days !== undefined
+        ? req.body.recurrence_after_days
+        : existing.recurrence_after_days,
+    });
+
+    const dependencyIds = depends_on !== undefined
+      ? parseDependsOn(depends_on)
+      : getDependencyIds(existing.id);
+    const tagIds = resolveTagIds(tag_ids, req.user.id);
+
+    // Moving the task to a project its assignee can't see unassigns it
+    const movedTask = { project_id: newProjectId, user_id: existing.user_id };
+    let newAssigneeId = resolveAssigneeId(assignee_id, movedTask);
+    if (newAssigneeId === undefined) {
+      newAssigneeId = existing.assignee_id && canBeAssigned(existing.assignee_id, movedTask)
+        ? existing.assignee_id
+        : null;
+    }
 
-    db.prepare(`
-      UPDATE tasks
-      SET title = ?, description = ?, project_id = ?, priority = ?, status = ?, due_date = ?
-      WHERE id = ? AND user_id = ?
-    `).run(
-      newTitle,
-      newDescription,
-      newProjectId,
-      priority || existing.priority,
-      status || existing.status,
-      newDueDate,
-      req.params.id,
-      req.user.id
-    );
+    if (newStatus === 'in-progress' && existing.status !== 'in-progress' && !force) {
+      const blockers = getOpenTasks(dependencyIds);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    // Dependencies, tags and the update itself are saved together, so a
+    // failure part way leaves the task as it was
+    const { task, nextTask, parentTask } = db.transaction(() => {
+      if (depends_on !== undefined) {
+        setDependencies(existing.id, dependencyIds, req.user.id);
+      }
+      setEntityTags(req.user.id, 'task', existing.id, tagIds);
+
+      db.prepare(`
+        UPDATE tasks
+        SET title = ?, description = ?, project_id = ?, assignee_id = ?, priority = ?, status = ?, due_date = ?,
+            recurrence_rule = ?, recurrence_after_days = ?, complete_with_subtasks = ?
+        WHERE id = ?
+      `).run(
+        newTitle,
+        newDescription,
+        newProjectId,
+        newAssigneeId,
+        priority || existing.priority,
+        newStatus,
+        newDueDate,
+        recurrence.recurrence_rule,
+        recurrence.recurrence_after_days,
+        complete_with_subtasks !== undefined ? (complete_with_subtasks ? 1 : 0) : existing.complete_with_subtasks,
+        req.params.id
+      );
+
+      if (project_id !== undefined && !existing.parent_task_id) {
+        const subtasks = db.prepare('SELECT * FROM tasks WHERE parent_task_id = ?').all(req.params.id);
+        db.prepare('UPDATE tasks SET project_id = ? WHERE parent_task_id = ?').run(newProjectId, req.params.id);
+        for (const before of subtasks) {
+          const subtask = { ...before, project_id: newProjectId };
+          if (subtask.assignee_id && !canBeAssigned(subtask.assignee_id, subtask)) {
+            db.prepare('UPDATE tasks SET assignee_id = NULL WHERE id = ?').run(subtask.id);
+          }
+          syncTaskEvent(subtask);
+          const after = db.prepare('SELECT * FROM tasks WHERE id = ?').get(subtask.id);
+          recordAudit('task', 'update', before, after, req.user.id);
+        }
+      }
 
-    let task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+      let task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+      recordChanges('task', existing, task, req.user.id);
 
-    // Sync associated calendar event
-    syncTaskEvent(task, req.user.id);
-    task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+      // Sync associated calendar event
+      syncTaskEvent(task);
+      task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
 
-    res.json({ task });
+      // Completing a recurring task for the first time creates the next one
+      let nextTask = null;
+      if (newStatus === 'completed' && existing.status !== 'completed' && !existing.next_task_id) {
+        nextTask = createNextTask(task, req.user.id);
+        task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(req.params.id);
+      }
+      recordAudit('task', 'update', existing, task, req.user.id);
+
+      let parentTask = null;
+      if (existing.parent_task_id && newStatus !== existing.status) {
+        nextTask = completeParentIfDone(existing.parent_task_id, req.user.id) || nextTask;
+        parentTask = db.prepare('SELECT * FROM tasks WHERE id = ?').get(existing.parent_task_id);
+      }
+      return { task, nextTask, parentTask };
+    })();
+
+    res.json({ task: withDetails([task], req.user.id)[0], parent_task: parentTask, next_task: nextTask });
   } catch (error) {
+    if (error instanceof RecurrenceError || error instanceof DependencyError || error instanceof TagError
+      || error instanceof AssigneeError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update task error:', error);
     res.status(500).json({ error: 'Failed to update task' });
   }
 });
 
-// Delete task
+// Delete task (moves it, its subtasks and their due-date events to the trash)
 router.delete('/:id', (req, res) => {
   try {
-    const existing = db.prepare(
-      'SELECT * FROM tasks WHERE id = ? AND user_id = ?'
-    ).get(req.params.id, req.user.id);
+    const existing = findVisibleTask(req.params.id, req.user.id);
 
     if (!existing) {
       return res.status(404).json({ error: 'Task not found' });
     }
-
-    // Delete associated event if exists
-    if (existing.event_id) {
-      db.prepare('DELETE FROM events WHERE id = ?').run(existing.event_id);
+    if (!hasRole(getItemRole(existing, req.user.id), 'editor')) {
+      return sendViewOnly(res);
     }
 
-    db.prepare('DELETE FROM tasks WHERE id = ? AND user_id = ?').run(
-      req.params.id,
-      req.user.id
-    );
+    moveToTrash('task', existing, req.user.id);
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to trash' });
   } catch (error) {
     console.error('Delete task error:', error);
     res.status(500).json({ error: 'Failed to delete task' });
@@ -0,0 +1,211 @@
+const express = require('express');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { itemVisibility, getItemRole, hasRole } = require('../services/projectAccess');
+const {
+  TimeEntryError,
+  getEntry,
+  listTaskEntries,
+  listUserEntries,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getTimesheet,
+  timesheetToCsv,
+} = require('../services/timeTracking');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Helper: Find a task the user can see, with their role on it
+function findTask(id, userId) {
+  const visibility = itemVisibility(userId);
+  const task = db.prepare(`SELECT * FROM tasks WHERE id = ? AND ${visibility.clause}`).get(id, ...visibility.params);
+  return task ? { task, role: getItemRole(task, userId) } : null;
+}
+
+// Helper: Find a task the user can track time on, responding with an error if they can't
+function findTrackableTask(taskId, req, res) {
+  const found = taskId ? findTask(taskId, req.user.id) : null;
+  if (!found) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  if (!hasRole(found.role, 'editor')) {
+    res.status(403).json({ error: 'You only have view access to this project' });
+    return null;
+  }
+  return found.task;
+}
+
+// Helper: Find one of the user's own entries on a task they can still see
+function findOwnEntry(req, res) {
+  const entry = getEntry(req.params.id);
+  if (!entry || entry.user_id !== req.user.id || !findTask(entry.task_id, req.user.id)) {
+    res.status(404).json({ error: 'Time entry not found' });
+    return null;
+  }
+  return entry;
+}
+
+// Get time entries: everyone's on a task (?task_id=), with whether the user
+// can track time on it, or the user's own (?limit=, default 50, max 200)
+router.get('/entries', (req, res) => {
+  try {
+    if (req.query.task_id) {
+      const found = findTask(req.query.task_id, req.user.id);
+      if (!found) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      return res.json({ entries: listTaskEntries(found.task.id), can_edit: hasRole(found.role, 'editor') });
+    }
+
+    const limit = parseInt(req.query.limit, 10);
+    res.json({
+      entries: listUserEntries(req.user.id, limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT),
+    });
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Add a time entry by hand: task_id, started_at, and ended_at or
+// duration_minutes, with an optional note
+router.post('/entries', (req, res) => {
+  try {
+    const task = findTrackableTask(req.body.task_id, req, res);
+    if (!task) return;
+
+    const entry = createEntry(task, req.user.id, req.body);
+    res.status(201).json({ message: 'Time entry added', entry });
+  } catch (error) {
+    if (error instanceof TimeEntryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create time entry error:', error);
+    res.status(500).json({ error: 'Failed to add time entry' });
+  }
+});
+
+// Update one of the user's entries. A running timer only takes a new note
+// or started_at.
+router.put('/entries/:id', (req, res) => {
+  try {
+    const entry = findOwnEntry(req, res);
+    if (!entry) return;
+
+    let taskId = entry.task_id;
+    if (req.body.task_id && Number(req.body.task_id) !== entry.task_id) {
+      const task = findTrackableTask(req.body.task_id, req, res);
+      if (!task) return;
+      taskId = task.id;
+    }
+
+    res.json({ entry: updateEntry(entry, req.body, taskId) });
+  } catch (error) {
+    if (error instanceof TimeEntryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update time entry error:', error);
+    res.status(500).json({ error: 'Failed to update time entry' });
+  }
+});
+
+// Delete one of the user's entries
+router.delete('/entries/:id', (req, res) => {
+  try {
+    const entry = findOwnEntry(req, res);
+    if (!entry) return;
+
+    deleteEntry(entry);
+    res.json({ message: 'Time entry deleted' });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({ error: 'Failed to delete time entry' });
+  }
+});
+
+// Get the user's running timer, or null
+router.get('/timer', (req, res) => {
+  try {
+    res.json({ timer: getRunningTimer(req.user.id) });
+  } catch (error) {
+    console.error('Get timer error:', error);
+    res.status(500).json({ error: 'Failed to fetch timer' });
+  }
+});
+
+// Start a timer on a task (task_id, optional note). A timer already running
+// is stopped and returned as stopped.
+router.post('/timer/start', (req, res) => {
+  try {
+    const task = findTrackableTask(req.body.task_id, req, res);
+    if (!task) return;
+
+    const { entry, stopped } = startTimer(task, req.user.id, req.body.note);
+    res.status(201).json({ timer: entry, stopped });
+  } catch (error) {
+    console.error('Start timer error:', error);
+    res.status(500).json({ error: 'Failed to start timer' });
+  }
+});
+
+// Stop the running timer
+router.post('/timer/stop', (req, res) => {
+  try {
+    const entry = stopTimer(req.user.id);
+
+    if (!entry) {
+      return res.status(400).json({ error: 'No timer is running' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+// Timesheet of finished entries from..to (YYYY-MM-DD, in time zone tz;
+// defaults to this month in UTC), grouped by group_by: day, week, project or
+// category. project_id narrows it to one project, and with all_users=true a
+// project's owner gets everyone's time on it. format=csv downloads it.
+router.get('/timesheet', (req, res) => {
+  try {
+    const { from, to, group_by, tz, project_id, all_users, format } = req.query;
+
+    const timesheet = getTimesheet(req.user.id, {
+      from,
+      to,
+      groupBy: group_by || 'day',
+      timeZone: tz || 'UTC',
+      projectId: project_id ? Number(project_id) : null,
+      allUsers: all_users === 'true',
+    });
+
+    if (format === 'csv') {
+      res.attachment(`timesheet-${timesheet.from}-to-${timesheet.to}.csv`);
+      res.type('text/csv');
+      return res.send(timesheetToCsv(timesheet));
+    }
+
+    res.json({ timesheet });
+  } catch (error) {
+    if (error instanceof TimeEntryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get timesheet error:', error);
+    res.status(500).json({ error: 'Failed to build timesheet' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  TOKEN_SCOPES,
+  AccessTokenError,
+  listTokens,
+  getToken,
+  createToken,
+  revokeToken,
+} = require('../services/accessTokens');
+
+const router = express.Router();
+
+// All routes require authentication. Personal access tokens can't be used
+// here, so a token can't create or revoke others.
+router.use(authenticateToken);
+
+// Get the user's personal access tokens, and the scopes they can have
+router.get('/', (req, res) => {
+  try {
+    res.json({ tokens: listTokens(req.user.id), scopes: TOKEN_SCOPES });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Failed to fetch access tokens' });
+  }
+});
+
+// Create a token with a name, scopes and an optional expires_at. The token
+// itself is only returned here.
+router.post('/', (req, res) => {
+  try {
+    const token = createToken(req.user.id, req.body);
+    res.status(201).json({ message: 'Access token created', token });
+  } catch (error) {
+    if (error instanceof AccessTokenError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+// Revoke a token
+router.delete('/:id', (req, res) => {
+  try {
+    const token = getToken(req.params.id, req.user.id);
+    if (!token) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    revokeToken(token);
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { syncTaskEvent } = require('../services/taskEvents');
+const {
+  TrashError,
+  getRetentionDays,
+  listTrash,
+  findEntry,
+  restoreFromTrash,
+  purgeEntry,
+  emptyTrash,
+} = require('../services/trash');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get the trash: what the user deleted, and what was deleted from projects
+// they can edit. Each entry counts the tasks and events that went with it
+// and says when it will be purged (purge_at, null if never).
+router.get('/', (req, res) => {
+  try {
+    res.json({ entries: listTrash(req.user.id), retention_days: getRetentionDays() });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore an entry with everything that was deleted with it
+router.post('/:id/restore', (req, res) => {
+  try {
+    const entry = findEntry(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Trash entry not found' });
+    }
+
+    const entity = restoreFromTrash(entry, req.user.id);
+    if (entry.entity_type === 'task') {
+      syncTaskEvent(entity);
+    }
+
+    res.json({ entity_type: entry.entity_type, entity });
+  } catch (error) {
+    if (error instanceof TrashError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Restore from trash error:', error);
+    res.status(500).json({ error: 'Failed to restore from trash' });
+  }
+});
+
+// Delete an entry for good
+router.delete('/:id', (req, res) => {
+  try {
+    const entry = findEntry(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Trash entry not found' });
+    }
+
+    purgeEntry(entry);
+
+    res.json({ message: 'Deleted permanently' });
+  } catch (error) {
+    console.error('Purge trash entry error:', error);
+    res.status(500).json({ error: 'Failed to delete permanently' });
+  }
+});
+
+// Empty the trash of everything the user deleted
+router.delete('/', (req, res) => {
+  try {
+    const count = emptyTrash(req.user.id);
+
+    res.json({ message: `Deleted ${count} item(s) permanently`, count });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  formatWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  ping,
+} = require('../services/webhooks');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get the user's webhooks, and the events they can listen for
+router.get('/', (req, res) => {
+  try {
+    res.json({ webhooks: listWebhooks(req.user.id), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook: a url, the events it's sent (or ['*']) and an optional
+// description. The response includes the signing secret.
+router.post('/', (req, res) => {
+  try {
+    const webhook = createWebhook(req.user.id, req.body);
+    res.status(201).json({ message: 'Webhook created', webhook });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Get a webhook
+router.get('/:id', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook: formatWebhook(webhook) });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Update a webhook's url, events, description or enabled flag
+router.put('/:id', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook updated', webhook: updateWebhook(webhook, req.body) });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    deleteWebhook(webhook);
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Generate a new signing secret, returned in the response
+router.post('/:id/secret', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Secret regenerated', webhook: rotateSecret(webhook) });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to regenerate secret' });
+  }
+});
+
+// Send a ping event to a webhook
+router.post('/:id/ping', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(202).json({ message: 'Ping queued', delivery: ping(webhook) });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// Get a webhook's delivery log, newest first. ?status= limits it to pending,
+// succeeded or failed deliveries; ?limit= defaults to 50, max 200.
+router.get('/:id/deliveries', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = listDeliveries(webhook, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit, 10),
+    });
+    res.json({ deliveries });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Get a delivery, with its payload and the endpoint's response
+router.get('/:id/deliveries/:deliveryId', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    const delivery = webhook && getDelivery(req.params.deliveryId, webhook);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery' });
+  }
+});
+
+// Send a delivery's payload again, as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id, req.user.id);
+    const delivery = webhook && getDelivery(req.params.deliveryId, webhook);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(202).json({ message: 'Redelivery queued', delivery: redeliver(delivery) });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver' });
+  }
+});
+
+module.exports = router;
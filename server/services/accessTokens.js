@@ -0,0 +1,154 @@
+// Personal access tokens: long-lived, revocable credentials for scripts and
+// cron jobs, used in place of the login JWT. Each has a name, an optional
+// expiry and scopes such as "tasks:read" or "events:write". Only a hash of
+// the token is stored, so it's shown once, when it's created.
+const crypto = require('crypto');
+const { db } = require('../database');
+
+const TOKEN_PREFIX = 'deck_pat_';
+
+// The APIs a token can be used with, by mount path, and the resource its
+// scopes are named after. Reading needs "<resource>:read" and anything else
+// "<resource>:write", which includes reading. Everything else, like managing
+// tokens themselves, needs a login.
+const TOKEN_RESOURCES = {
+  '/api/projects': 'projects',
+  '/api/tasks': 'tasks',
+  '/api/events': 'events',
+  '/api/ideas': 'ideas',
+  '/api/tags': 'tags',
+  '/api/comments': 'comments',
+  '/api/attachments': 'attachments',
+  '/api/time': 'time',
+  '/api/reminders': 'reminders',
+  '/api/notifications': 'notifications',
+  '/api/history': 'history',
+  '/api/trash': 'trash',
+  '/api/search': 'search',
+  '/api/calendars': 'calendars',
+  '/api/webhooks': 'webhooks',
+};
+const TOKEN_SCOPES = [...new Set(Object.values(TOKEN_RESOURCES))]
+  .flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+class AccessTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessTokenError';
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isAccessToken(token) {
+  return token.startsWith(TOKEN_PREFIX);
+}
+
+function formatToken(row) {
+  const { token_hash, ...rest } = row;
+  return { ...rest, scopes: JSON.parse(row.scopes) };
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AccessTokenError('scopes must be a non-empty list such as ["tasks:read"]');
+  }
+  const unknown = scopes.filter((scope) => !TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new AccessTokenError(`Unknown scope: ${unknown.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+}
+
+// An expiry date or time in the future, or null for a token that doesn't expire
+function validateExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') return null;
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new AccessTokenError('expires_at must be a date');
+  }
+  if (date <= new Date()) {
+    throw new AccessTokenError('expires_at must be in the future');
+  }
+  return date.toISOString();
+}
+
+function listTokens(userId) {
+  return db.prepare('SELECT * FROM personal_access_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+    .all(userId)
+    .map(formatToken);
+}
+
+// One of the user's tokens, as stored
+function getToken(id, userId) {
+  return db.prepare('SELECT * FROM personal_access_tokens WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
+// Create a token, returning it with the token itself as `token`
+function createToken(userId, { name, scopes, expires_at }) {
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw new AccessTokenError('name must be text');
+  }
+  if (!name?.trim()) {
+    throw new AccessTokenError('Name is required');
+  }
+  const validScopes = validateScopes(scopes);
+  const expiresAt = validateExpiry(expires_at);
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const result = db.prepare(`
+    INSERT INTO personal_access_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, name.trim(), hashToken(token), token.slice(-4), JSON.stringify(validScopes), expiresAt);
+
+  const row = db.prepare('SELECT * FROM personal_access_tokens WHERE id = ?').get(result.lastInsertRowid);
+  return { ...formatToken(row), token };
+}
+
+function revokeToken(row) {
+  db.prepare('DELETE FROM personal_access_tokens WHERE id = ?').run(row.id);
+}
+
+// The unexpired token matching a presented one, with its user, recording
+// that it was used. Null if there's no such token.
+function useToken(token) {
+  const row = db.prepare(`
+    SELECT t.*, u.username, u.email FROM personal_access_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ?
+  `).get(hashToken(token));
+  if (!row) return null;
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+  db.prepare('UPDATE personal_access_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+  return { ...row, scopes: JSON.parse(row.scopes) };
+}
+
+// The scope a request to an API needs from a token, or null if tokens can't
+// be used with it
+function getRequiredScope(baseUrl, method) {
+  const resource = TOKEN_RESOURCES[baseUrl];
+  if (!resource) return null;
+  return `${resource}:${['GET', 'HEAD'].includes(method) ? 'read' : 'write'}`;
+}
+
+function hasScope(scopes, required) {
+  const [resource, access] = required.split(':');
+  return scopes.includes(required) || (access === 'read' && scopes.includes(`${resource}:write`));
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  AccessTokenError,
+  isAccessToken,
+  listTokens,
+  getToken,
+  createToken,
+  revokeToken,
+  useToken,
+  getRequiredScope,
+  hasScope,
+};
@@ -0,0 +1,78 @@
+// Activity entries: system notes on tasks and projects, such as a status
+// change, shown in their comment threads. Values are stored as display text
+// (a project's name rather than its id) so entries still read correctly
+// after the things they mention change.
+const { db } = require('../database');
+
+// Fields whose changes are recorded, and how to show their values. Long
+// text fields are recorded without values.
+const TRACKED_FIELDS = {
+  task: {
+    title: 'text',
+    description: 'long',
+    status: 'text',
+    priority: 'text',
+    due_date: 'text',
+    project_id: 'project',
+    assignee_id: 'user',
+  },
+  project: {
+    name: 'text',
+    description: 'long',
+    category: 'text',
+    status: 'text',
+    user_id: 'user',
+  },
+};
+
+function describeValue(kind, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (kind === 'project') {
+    const project = db.prepare('SELECT name FROM projects WHERE id = ?').get(value);
+    return project ? project.name : null;
+  }
+  if (kind === 'user') {
+    const user = db.prepare('SELECT username FROM users WHERE id = ?').get(value);
+    return user ? user.username : null;
+  }
+  return String(value);
+}
+
+// Add an activity entry. userId is null for changes the app made on its own.
+function recordActivity(entityType, entityId, userId, action, { field = null, oldValue = null, newValue = null } = {}) {
+  db.prepare(`
+    INSERT INTO activity (user_id, entity_type, entity_id, action, field, old_value, new_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, entityType, entityId, action, field, oldValue, newValue);
+}
+
+// Record an entry for each tracked field that differs between two versions
+// of a task or project
+function recordChanges(entityType, before, after, userId) {
+  for (const [field, kind] of Object.entries(TRACKED_FIELDS[entityType])) {
+    if ((before[field] ?? null) === (after[field] ?? null)) continue;
+
+    if (kind === 'long') {
+      recordActivity(entityType, after.id, userId, 'changed', { field });
+    } else {
+      recordActivity(entityType, after.id, userId, 'changed', {
+        field,
+        oldValue: describeValue(kind, before[field]),
+        newValue: describeValue(kind, after[field]),
+      });
+    }
+  }
+}
+
+// Activity on a task or project, oldest first, with who did it
+function getActivity(entityType, entityId) {
+  return db.prepare(`
+    SELECT a.id, a.user_id, u.username, a.action, a.field, a.old_value, a.new_value, a.created_at
+    FROM activity a
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.entity_type = ? AND a.entity_id = ?
+    ORDER BY a.created_at ASC, a.id ASC
+  `).all(entityType, entityId);
+}
+
+module.exports = { recordActivity, recordChanges, getActivity };
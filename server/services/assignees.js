@@ -0,0 +1,62 @@
+// Task assignees: the person responsible for a task, who may differ from its
+// creator. An assignee has to be able to see the task, so tasks outside a
+// project can only be assigned to their creator.
+const { db } = require('../database');
+const { getItemRole } = require('./projectAccess');
+
+class AssigneeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssigneeError';
+  }
+}
+
+// Validate assignee_id from a request for a task with the given project_id
+// and user_id (creator). Returns the id, null to unassign, or undefined when
+// the request leaves the assignee unchanged.
+function resolveAssigneeId(value, task) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || !canBeAssigned(id, task)) {
+    throw new AssigneeError('The assignee must be able to see this task');
+  }
+  return id;
+}
+
+// Whether a user can see, and so be assigned, a task
+function canBeAssigned(userId, task) {
+  return getItemRole(task, userId) !== null;
+}
+
+// Add assignee ({ id, username }, or null) to each task
+function attachAssignees(tasks) {
+  const ids = [...new Set(tasks.map((task) => task.assignee_id).filter(Boolean))];
+  if (ids.length === 0) return tasks.map((task) => ({ ...task, assignee: null }));
+
+  const users = db.prepare(
+    `SELECT id, username FROM users WHERE id IN (${ids.map(() => '?').join(', ')})`
+  ).all(...ids);
+
+  return tasks.map((task) => ({
+    ...task,
+    assignee: users.find((user) => user.id === task.assignee_id) || null,
+  }));
+}
+
+// Unassign a project's tasks from someone who no longer has access to it.
+// Returns those tasks as they were before.
+function unassignFromProject(projectId, userId) {
+  const tasks = db.prepare('SELECT * FROM tasks WHERE project_id = ? AND assignee_id = ?').all(projectId, userId);
+  db.prepare('UPDATE tasks SET assignee_id = NULL WHERE project_id = ? AND assignee_id = ?').run(projectId, userId);
+  return tasks;
+}
+
+module.exports = {
+  AssigneeError,
+  resolveAssigneeId,
+  canBeAssigned,
+  attachAssignees,
+  unassignFromProject,
+};
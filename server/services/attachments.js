@@ -0,0 +1,167 @@
+// Attachments: files on tasks, projects and events, such as specs,
+// screenshots and PDFs. They're stored in the uploader's upload directory,
+// and images get a thumbnail preview. Anyone who can see the item can
+// download its files; editors can add and remove them.
+const path = require('path');
+const sharp = require('sharp');
+const { db } = require('../database');
+const { getItemRole, getProjectRole, hasRole } = require('./projectAccess');
+const { createUpload, removeFiles } = require('./uploads');
+
+const ATTACHMENT_TABLES = { task: 'tasks', project: 'projects', event: 'events' };
+
+// Images that get a thumbnail
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+];
+
+// Thumbnails fit in a square this many pixels wide
+const THUMBNAIL_SIZE = 320;
+
+// How often files of items that no longer exist are looked for
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const upload = createUpload(
+  [...IMAGE_TYPES, ...DOCUMENT_TYPES],
+  'Invalid file type. Attach images, PDFs, text or office documents.'
+);
+
+// The task, project or event files are attached to, with the user's role
+// on it, if they can see it
+function findEntity(entityType, entityId, userId) {
+  const table = ATTACHMENT_TABLES[entityType];
+  if (!table) return null;
+
+  const entity = db.prepare(`SELECT * FROM ${table} WHERE id = ? AND trash_id IS NULL`).get(entityId);
+  if (!entity) return null;
+
+  const role = entityType === 'project' ? getProjectRole(entity.id, userId) : getItemRole(entity, userId);
+  return role ? { entity, role } : null;
+}
+
+function canEdit(role) {
+  return hasRole(role, 'editor');
+}
+
+// Attachments as returned by the API, without where they're stored
+function formatAttachment(attachment) {
+  const { path: filePath, thumbnail_path, ...rest } = attachment;
+  return { ...rest, has_thumbnail: Boolean(thumbnail_path) };
+}
+
+const ATTACHMENT_SQL = `
+  SELECT a.*, u.username
+  FROM attachments a
+  LEFT JOIN users u ON u.id = a.user_id
+`;
+
+// Files on an item, newest first
+function listAttachments(entityType, entityId) {
+  return db.prepare(`
+    ${ATTACHMENT_SQL}
+    WHERE a.entity_type = ? AND a.entity_id = ?
+    ORDER BY a.created_at DESC, a.id DESC
+  `).all(entityType, entityId)
+    .map(formatAttachment);
+}
+
+// An attachment and the user's role on its item, if they can see it
+function findAttachment(id, userId) {
+  const attachment = db.prepare(`${ATTACHMENT_SQL} WHERE a.id = ?`).get(id);
+  if (!attachment) return null;
+
+  const found = findEntity(attachment.entity_type, attachment.entity_id, userId);
+  return found ? { attachment, role: found.role } : null;
+}
+
+// Write a thumbnail next to an uploaded image. Files that turn out not to be
+// images just don't get one.
+async function createThumbnail(file) {
+  if (!IMAGE_TYPES.includes(file.mimetype)) return null;
+
+  const thumbnailPath = path.join(
+    path.dirname(file.path),
+    `${path.basename(file.path, path.extname(file.path))}.thumb.webp`
+  );
+  try {
+    await sharp(file.path)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toFile(thumbnailPath);
+    return thumbnailPath;
+  } catch (error) {
+    console.error('Thumbnail error:', error.message);
+    return null;
+  }
+}
+
+// Record an uploaded file on an item
+async function addAttachment(entityType, entityId, file, userId) {
+  const thumbnailPath = await createThumbnail(file);
+
+  // Multer reads multipart filenames as latin1
+  const filename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+  const result = db.prepare(`
+    INSERT INTO attachments (user_id, entity_type, entity_id, filename, mime_type, size, path, thumbnail_path)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, entityType, entityId, filename, file.mimetype, file.size, file.path, thumbnailPath);
+
+  return formatAttachment(db.prepare(`${ATTACHMENT_SQL} WHERE a.id = ?`).get(result.lastInsertRowid));
+}
+
+function deleteAttachment(attachment) {
+  db.prepare('DELETE FROM attachments WHERE id = ?').run(attachment.id);
+  removeFiles([attachment.path, attachment.thumbnail_path]);
+}
+
+// Remove the files of items that have been deleted for good. Items in the
+// trash keep theirs until they're purged.
+function removeOrphanedAttachments() {
+  try {
+    const conditions = Object.entries(ATTACHMENT_TABLES).map(([entityType, table]) => (
+      `(entity_type = '${entityType}' AND entity_id NOT IN (SELECT id FROM ${table}))`
+    ));
+    const orphaned = db.prepare(`SELECT * FROM attachments WHERE ${conditions.join(' OR ')}`).all();
+    for (const attachment of orphaned) {
+      deleteAttachment(attachment);
+    }
+  } catch (error) {
+    console.error('Attachment cleanup error:', error);
+  }
+}
+
+// Look for orphaned files in the background. Calendar sync and series edits
+// delete events on their own, so this catches whatever they leave behind.
+function startAttachmentCleanup() {
+  removeOrphanedAttachments();
+  setInterval(removeOrphanedAttachments, CLEANUP_INTERVAL_MS);
+}
+
+module.exports = {
+  upload,
+  findEntity,
+  canEdit,
+  listAttachments,
+  findAttachment,
+  addAttachment,
+  deleteAttachment,
+  removeOrphanedAttachments,
+  startAttachmentCleanup,
+};
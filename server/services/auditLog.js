@@ -0,0 +1,210 @@
+// Audit log: a field-level record of every create, update, delete and restore
+// of tasks, projects, events and ideas, with who made it and when. Each entry
+// keeps a snapshot of the row, so any earlier version can be restored.
+const fs = require('fs');
+const { db } = require('../database');
+const { getItemRole, getProjectRole, hasRole } = require('./projectAccess');
+const { canBeAssigned } = require('./assignees');
+const { publishChange } = require('./realtime');
+const { queueWebhooks } = require('./webhooks');
+
+const AUDITED_TABLES = { task: 'tasks', project: 'projects', event: 'events', idea: 'ideas' };
+const UNTRACKED_FIELDS = ['id', 'created_at', 'updated_at', 'trash_id'];
+
+// Fields a restore leaves alone: who owns the row, and links to rows that are
+// managed elsewhere, like a task's due-date event or a synced event's account
+const FIXED_FIELDS = {
+  task: ['user_id', 'event_id', 'next_task_id', 'parent_task_id'],
+  project: ['user_id'],
+  event: [
+    'user_id', 'source', 'external_id', 'external_updated_at', 'calendar_account_id',
+    'recurrence_parent_id', 'recurrence_id',
+  ],
+  idea: ['user_id'],
+};
+
+class AuditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditError';
+  }
+}
+
+// Fields that differ between two versions of a row, as { field: { from, to } }
+function diffRows(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.includes(field)) continue;
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// Record a change to a row, push it to whoever has the item open, and queue
+// it for webhooks. before is null for creates and after is null for deletes;
+// updates that change nothing aren't recorded.
+function recordAudit(entityType, action, before, after, userId) {
+  const changes = diffRows(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  const row = after || before;
+  db.prepare(`
+    INSERT INTO audit_log (user_id, entity_type, entity_id, action, changes, snapshot)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, entityType, row.id, action, JSON.stringify(changes), JSON.stringify(row));
+
+  publishChange(entityType, action, before, after, userId);
+  queueWebhooks(entityType, action, before, after, changes, userId);
+}
+
+function getRow(entityType, id) {
+  return db.prepare(`SELECT * FROM ${AUDITED_TABLES[entityType]} WHERE id = ?`).get(id) || null;
+}
+
+// The user's role on a row from the log. Rows that have been deleted stay
+// available to the people who could see them, or to whoever created them.
+function getRole(entityType, row, userId, deleted) {
+  if (entityType === 'idea') return row.user_id === userId ? 'owner' : null;
+
+  const role = entityType === 'project' ? getProjectRole(row.id, userId) : getItemRole(row, userId);
+  if (!role && deleted && row.user_id === userId) return 'owner';
+  return role;
+}
+
+// Whether the user may see (minRole viewer) or restore (editor) an entity's
+// history. Uses the current row, or the last snapshot if it was deleted or
+// is in the trash.
+function canAccess(entityType, entityId, userId, minRole = 'viewer') {
+  const current = getRow(entityType, entityId);
+  if (current && !current.trash_id) return hasRole(getRole(entityType, current, userId, false), minRole);
+
+  const last = db.prepare(`
+    SELECT snapshot FROM audit_log WHERE entity_type = ? AND entity_id = ? ORDER BY id DESC LIMIT 1
+  `).get(entityType, entityId);
+  return Boolean(last) && hasRole(getRole(entityType, JSON.parse(last.snapshot), userId, true), minRole);
+}
+
+function formatEntry(entry) {
+  return { ...entry, changes: JSON.parse(entry.changes), snapshot: JSON.parse(entry.snapshot) };
+}
+
+const ENTRY_SQL = `
+  SELECT a.*, u.username
+  FROM audit_log a
+  LEFT JOIN users u ON u.id = a.user_id
+`;
+
+// An entity's history, newest first
+function getHistory(entityType, entityId, limit) {
+  return db.prepare(`${ENTRY_SQL} WHERE a.entity_type = ? AND a.entity_id = ? ORDER BY a.id DESC LIMIT ?`)
+    .all(entityType, entityId, limit)
+    .map(formatEntry);
+}
+
+// Changes made by one user, newest first, limited to entities the viewer can see
+function getUserHistory(actorId, viewerId, { entityType, limit }) {
+  let query = `${ENTRY_SQL} WHERE a.user_id = ?`;
+  const params = [actorId];
+  if (entityType) {
+    query += ' AND a.entity_type = ?';
+    params.push(entityType);
+  }
+  query += ' ORDER BY a.id DESC';
+
+  const entries = [];
+  const access = new Map();
+  for (const entry of db.prepare(query).iterate(...params)) {
+    const key = `${entry.entity_type}:${entry.entity_id}`;
+    if (!access.has(key)) access.set(key, canAccess(entry.entity_type, entry.entity_id, viewerId));
+    if (!access.get(key)) continue;
+
+    entries.push(formatEntry(entry));
+    if (entries.length === limit) break;
+  }
+  return entries;
+}
+
+function getEntry(id) {
+  const entry = db.prepare(`${ENTRY_SQL} WHERE a.id = ?`).get(id);
+  return entry ? formatEntry(entry) : null;
+}
+
+// Put an entity back the way it was in a log entry's snapshot, re-creating
+// it if it has been deleted. Returns the restored row.
+const restoreVersion = db.transaction((entry, userId) => {
+  const { entity_type: entityType, entity_id: entityId } = entry;
+  const table = AUDITED_TABLES[entityType];
+  const version = entry.snapshot;
+  const current = getRow(entityType, entityId);
+  const owner = current || version;
+
+  if (current && current.trash_id) {
+    throw new AuditError('This item is in the trash. Restore it from there first');
+  }
+  if (entityType === 'event' && owner.calendar_account_id) {
+    throw new AuditError("Events on connected calendars can't be restored");
+  }
+
+  const fixed = [...UNTRACKED_FIELDS, ...FIXED_FIELDS[entityType]];
+  const values = {};
+  for (const { name } of db.prepare(`PRAGMA table_info(${table})`).all()) {
+    if (!fixed.includes(name) && name in version) values[name] = version[name];
+  }
+
+  if (values.project_id && !hasRole(getProjectRole(values.project_id, userId), 'editor')) {
+    throw new AuditError("This version's project no longer exists or you can't add to it");
+  }
+  if (values.assignee_id && !canBeAssigned(values.assignee_id, { ...values, user_id: owner.user_id })) {
+    values.assignee_id = null;
+  }
+  if (values.audio_path && !fs.existsSync(values.audio_path)) {
+    values.audio_path = null;
+  }
+
+  if (current) {
+    const columns = Object.keys(values);
+    const touch = entityType === 'project' ? ', updated_at = CURRENT_TIMESTAMP' : '';
+    db.prepare(`UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(', ')}${touch} WHERE id = ?`)
+      .run(...columns.map((column) => values[column]), entityId);
+  } else {
+    values.id = entityId;
+    values.user_id = version.user_id;
+    values.created_at = version.created_at;
+    if (entityType === 'task' && version.parent_task_id && getRow('task', version.parent_task_id)) {
+      values.parent_task_id = version.parent_task_id;
+    }
+    if (entityType === 'event') {
+      values.source = version.source;
+      // Overrides rejoin their series if it's still there
+      if (version.recurrence_parent_id && getRow('event', version.recurrence_parent_id)) {
+        values.recurrence_parent_id = version.recurrence_parent_id;
+        values.recurrence_id = version.recurrence_id;
+      }
+    }
+    if (!db.prepare('SELECT id FROM users WHERE id = ?').get(values.user_id)) {
+      throw new AuditError('The creator of this item no longer exists');
+    }
+
+    const columns = Object.keys(values);
+    db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(...columns.map((column) => values[column]));
+  }
+
+  const restored = getRow(entityType, entityId);
+  recordAudit(entityType, 'restore', current, restored, userId);
+  return restored;
+});
+
+module.exports = {
+  AUDITED_TABLES,
+  AuditError,
+  recordAudit,
+  canAccess,
+  getHistory,
+  getUserHistory,
+  getEntry,
+  restoreVersion,
+};
@@ -0,0 +1,64 @@
+const { google } = require('googleapis');
+const msal = require('@azure/msal-node');
+
+// Server-level OAuth configuration
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Write scopes are requested up front so an account can be switched to
+// two-way sync later without having to reconnect it
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/calendar.readonly',
+  'https://www.googleapis.com/auth/calendar.events',
+  'https://www.googleapis.com/auth/userinfo.email',
+];
+const OUTLOOK_SCOPES = ['offline_access', 'User.Read', 'Calendars.ReadWrite'];
+
+function isGoogleConfigured() {
+  return !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+}
+
+function isOutlookConfigured() {
+  return !!(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET);
+}
+
+// Google OAuth client (used for the consent flow)
+const googleOAuth2Client = isGoogleConfigured() ? createGoogleClient() : null;
+
+// Microsoft MSAL client (created once at startup if configured)
+let msalClient = null;
+if (isOutlookConfigured()) {
+  msalClient = new msal.ConfidentialClientApplication({
+    auth: {
+      clientId: process.env.MICROSOFT_CLIENT_ID,
+      clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+      authority: 'https://login.microsoftonline.com/common',
+    },
+  });
+}
+
+// Thrown when stored credentials can no longer be refreshed
+class CalendarAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarAuthError';
+  }
+}
+
+function createGoogleClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    `${APP_URL}/api/calendars/google/callback`
+  );
+}
+
+module.exports = {
+  APP_URL,
+  GOOGLE_SCOPES,
+  OUTLOOK_SCOPES,
+  googleOAuth2Client,
+  msalClient,
+  CalendarAuthError,
+  createGoogleClient,
+  isGoogleConfigured,
+};
@@ -0,0 +1,115 @@
+// iCalendar feed of a user's events and task due dates, for subscribing to
+// The Deck from phone and desktop calendar apps (see routes/feed.js).
+const { db } = require('../database');
+const { APP_URL } = require('./calendarClients');
+const { itemVisibility } = require('./projectAccess');
+const {
+  createCalendar, createEventComponent, createTodoComponent, addRecurrenceProperty, setEventTimeZone,
+} = require('./icalendar');
+const { splitExdates, toFeedRule, toFeedRecurrenceId } = require('./recurrence');
+
+// Event sources that can be included, plus 'tasks' for task due dates
+const FEED_SOURCES = ['local', 'google', 'outlook', 'caldav', 'ics', 'tasks'];
+
+// UIDs are derived from row ids so they stay the same across fetches
+const UID_DOMAIN = new URL(APP_URL).hostname;
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+function parseTimestamp(value) {
+  if (!value) return new Date();
+  return new Date(/^\d{4}-\d{2}-\d{2} /.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+}
+
+// The events the user sees in the calendar, shared projects' included
+function getFeedEvents(userId, sources, projectIds) {
+  const visibility = itemVisibility(userId);
+  let query = `
+    SELECT * FROM events
+    WHERE ${visibility.clause} AND COALESCE(source, 'local') IN (${sources.map(() => '?').join(', ')})
+      AND id NOT IN (SELECT event_id FROM tasks WHERE event_id IS NOT NULL)
+  `;
+  const params = [...visibility.params, ...sources];
+
+  if (projectIds.length > 0) {
+    query += ` AND project_id IN (${projectIds.map(() => '?').join(', ')})`;
+    params.push(...projectIds);
+  }
+
+  return db.prepare(query + ' ORDER BY start_time').all(...params);
+}
+
+function getFeedTasks(userId, projectIds, dueOnly) {
+  const visibility = itemVisibility(userId);
+  let query = `SELECT * FROM tasks WHERE ${visibility.clause}`;
+  const params = [...visibility.params];
+
+  if (dueOnly) {
+    query += ' AND due_date IS NOT NULL';
+  }
+  if (projectIds.length > 0) {
+    query += ` AND project_id IN (${projectIds.map(() => '?').join(', ')})`;
+    params.push(...projectIds);
+  }
+
+  return db.prepare(query + ' ORDER BY due_date').all(...params);
+}
+
+// Build the feed. Task due dates come from the tasks themselves rather than
+// the "Task Due:" events syncTaskEvent creates, and are written either as
+// all-day VEVENTs (shown by every calendar app) or as VTODOs.
+function buildFeed(userId, { sources = FEED_SOURCES, projectIds = [], tasksAs = 'event' } = {}) {
+  const calendar = createCalendar();
+  calendar.updatePropertyWithValue('x-wr-calname', 'The Deck');
+  calendar.updatePropertyWithValue('x-published-ttl', 'PT1H');
+
+  const eventSources = sources.filter((source) => source !== 'tasks');
+  if (eventSources.length > 0) {
+    const events = getFeedEvents(userId, eventSources, projectIds);
+    const series = new Map(events.filter((event) => event.recurrence_rule).map((event) => [event.id, event]));
+
+    for (const event of events) {
+      const updatedAt = parseTimestamp(event.external_updated_at || event.created_at);
+      // Overridden occurrences share their series' UID
+      const uid = `event-${event.recurrence_parent_id || event.id}@${UID_DOMAIN}`;
+      const vevent = createEventComponent(uid, event, updatedAt);
+      const { timezone } = series.get(event.recurrence_parent_id) || event;
+      if (timezone) {
+        setEventTimeZone(vevent, timezone);
+      }
+
+      if (event.recurrence_rule) {
+        vevent.updatePropertyWithValue('rrule', toFeedRule(event));
+        for (const exdate of splitExdates(event.recurrence_exdates)) {
+          addRecurrenceProperty(vevent, 'exdate', vevent, toFeedRecurrenceId(event, exdate));
+        }
+      } else if (event.recurrence_parent_id) {
+        const parent = series.get(event.recurrence_parent_id) || event;
+        addRecurrenceProperty(vevent, 'recurrence-id', vevent, toFeedRecurrenceId(parent, event.recurrence_id));
+      }
+
+      calendar.addSubcomponent(vevent);
+    }
+  }
+
+  if (sources.includes('tasks')) {
+    for (const task of getFeedTasks(userId, projectIds, tasksAs === 'event')) {
+      const uid = `task-${task.id}@${UID_DOMAIN}`;
+      const updatedAt = parseTimestamp(task.created_at);
+
+      if (tasksAs === 'todo') {
+        calendar.addSubcomponent(createTodoComponent(uid, task, updatedAt));
+      } else {
+        calendar.addSubcomponent(createEventComponent(uid, {
+          title: `Task Due: ${task.title}`,
+          description: task.description || `Task "${task.title}" is due`,
+          start_time: task.due_date,
+          all_day: 1,
+        }, updatedAt));
+      }
+    }
+  }
+
+  return calendar.toString();
+}
+
+module.exports = { FEED_SOURCES, buildFeed };
@@ -0,0 +1,367 @@
+const { XMLParser } = require('fast-xml-parser');
+const { v4: uuidv4 } = require('uuid');
+const { CalendarAuthError } = require('../calendarClients');
+const {
+  ICAL,
+  parseEvents,
+  expandEvent,
+  toSyncedEvent,
+  componentToInstance,
+  findEventComponent,
+  createCalendar,
+  applyEventFields,
+  addRecurrenceProperty,
+  createEventComponent,
+} = require('../icalendar');
+const {
+  SYNC_PAST_DAYS,
+  EXPAND_FUTURE_DAYS,
+  REQUEST_TIMEOUT_MS,
+  SyncConflictError,
+  CalendarConnectError,
+  daysFromNow,
+  isCursorStale,
+  isNotFound,
+  isRemoteNewer,
+  conflictMessage,
+} = require('./common');
+
+// CalDAV (Nextcloud, Fastmail, iCloud, Radicale, ...) with basic auth,
+// normally using an app password. The account stores the calendar
+// collection URL in calendar_id and the app password in access_token.
+//
+// The calendar's sync-token (or getctag) is kept as the cursor: when it
+// hasn't changed there is nothing to fetch, otherwise the sync window is
+// re-read in full. Each .ics resource is identified by its URL; instances of
+// recurring events are keyed by URL and recurrence id.
+const CURSOR_MAX_AGE_DAYS = 1;
+
+const NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:cs="http://calendarserver.org/ns/"';
+
+const provider = {
+  name: 'caldav',
+  displayName: 'CalDAV',
+  isConfigured: () => true,
+  connect,
+  getClient,
+  fetchChanges,
+  mapEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+};
+
+// ==================== HTTP ====================
+
+function createClient(username, password, calendarUrl) {
+  const authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+  async function request(method, url, { depth, body, headers = {} } = {}) {
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        Authorization: authorization,
+        ...(depth !== undefined && { Depth: String(depth) }),
+        ...(body && { 'Content-Type': 'application/xml; charset=utf-8' }),
+        ...headers,
+      },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (response.status === 401) {
+      throw new CalendarAuthError('Please check the username and app password for this CalDAV account');
+    }
+    if (!response.ok) {
+      const error = new Error(`CalDAV server returned HTTP ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  return { request, calendarUrl };
+}
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  isArray: (name) => ['response', 'propstat', 'href', 'comp'].includes(name),
+});
+
+function textOf(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'object' ? value['#text'] ?? null : String(value);
+}
+
+function hrefOf(value, baseUrl) {
+  const href = textOf(value?.href?.[0]);
+  return href ? new URL(href, baseUrl).href : null;
+}
+
+// Parse a 207 Multi-Status body into [{ href, props }] with absolute hrefs,
+// keeping only the properties the server returned successfully
+async function readMultistatus(response) {
+  const xml = xmlParser.parse(await response.text());
+  return (xml.multistatus?.response || []).map((entry) => {
+    const props = {};
+    for (const propstat of entry.propstat || []) {
+      if (/\b200\b/.test(textOf(propstat.status))) {
+        Object.assign(props, propstat.prop);
+      }
+    }
+    return { href: hrefOf(entry, response.url), props };
+  });
+}
+
+async function propfind(client, url, depth, props) {
+  const response = await client.request('PROPFIND', url, {
+    depth,
+    body: `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind ${NAMESPACES}><d:prop>${props.map((prop) => `<${prop}/>`).join('')}</d:prop></d:propfind>`,
+  });
+  return readMultistatus(response);
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+// ==================== CONNECT ====================
+
+function isEventCalendar(props) {
+  if (!props.resourcetype || !('calendar' in props.resourcetype)) return false;
+  const components = props['supported-calendar-component-set']?.comp || [];
+  return components.length === 0 || components.some((comp) => comp.name === 'VEVENT');
+}
+
+// Find the calendar to sync. The URL may point at the calendar itself, at a
+// principal or calendar home, or at the server root (tried with the
+// /.well-known/caldav redirect as a fallback). The first event calendar wins.
+async function discoverCalendar(client, serverUrl) {
+  const candidates = [serverUrl, new URL('/.well-known/caldav', serverUrl).href];
+  const props = ['d:resourcetype', 'd:current-user-principal', 'c:calendar-home-set', 'c:supported-calendar-component-set'];
+
+  for (const url of candidates) {
+    let self;
+    try {
+      [self] = await propfind(client, url, 0, props);
+    } catch (error) {
+      if (error instanceof CalendarAuthError) throw error;
+      continue;
+    }
+    if (!self) continue;
+    if (isEventCalendar(self.props)) return withTrailingSlash(self.href);
+
+    let home = hrefOf(self.props['calendar-home-set'], self.href);
+    const principal = hrefOf(self.props['current-user-principal'], self.href);
+    if (!home && principal) {
+      const [principalProps] = await propfind(client, principal, 0, ['c:calendar-home-set']);
+      home = principalProps && hrefOf(principalProps.props['calendar-home-set'], principalProps.href);
+    }
+    if (!home) continue;
+
+    const collections = await propfind(client, home, 1, ['d:resourcetype', 'c:supported-calendar-component-set']);
+    const calendar = collections.find((collection) => isEventCalendar(collection.props));
+    if (calendar) return withTrailingSlash(calendar.href);
+  }
+
+  throw new CalendarConnectError('No calendar found at this address');
+}
+
+// Validate the details entered by the user and return the account fields to store
+async function connect({ url, username, password }) {
+  if (!url || !username || !password) {
+    throw new CalendarConnectError('Server URL, username and app password are required');
+  }
+  if (!/^https?:\/\//i.test(url)) {
+    throw new CalendarConnectError('Server URL must start with http:// or https://');
+  }
+
+  const client = createClient(username, password);
+  let calendarUrl;
+  try {
+    calendarUrl = await discoverCalendar(client, url.trim());
+  } catch (error) {
+    if (error instanceof CalendarAuthError) {
+      throw new CalendarConnectError('Could not sign in. Check the username and app password.');
+    }
+    throw error;
+  }
+
+  return {
+    email: username,
+    access_token: password,
+    server_url: url.trim(),
+    calendar_id: calendarUrl,
+  };
+}
+
+async function getClient(account) {
+  return createClient(account.email, account.access_token, account.calendar_id);
+}
+
+// ==================== SYNC ====================
+
+function toCalDavTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+async function fetchChanges(client, account) {
+  const [calendar] = await propfind(client, client.calendarUrl, 0, ['d:sync-token', 'cs:getctag']);
+  const version = textOf(calendar?.props['sync-token']) || textOf(calendar?.props.getctag);
+
+  if (version && version === account.sync_cursor && !isCursorStale(account, CURSOR_MAX_AGE_DAYS)) {
+    return { events: [], cursor: version, fullSync: false };
+  }
+
+  const window = { start: daysFromNow(-SYNC_PAST_DAYS), end: daysFromNow(EXPAND_FUTURE_DAYS) };
+  const response = await client.request('REPORT', client.calendarUrl, {
+    depth: 1,
+    body: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query ${NAMESPACES}>
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDavTime(window.start)}" end="${toCalDavTime(window.end)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`,
+  });
+
+  const events = [];
+  for (const { href, props } of await readMultistatus(response)) {
+    const data = textOf(props['calendar-data']);
+    if (!data) continue;
+    for (const event of parseEvents(data)) {
+      events.push(...expandEvent(event, window).map((instance) => ({ ...instance, href })));
+    }
+  }
+
+  return { events, cursor: version || null, fullSync: true, window };
+}
+
+function mapEvent(instance) {
+  return toSyncedEvent(instance, instance.href);
+}
+
+// ==================== WRITE-BACK ====================
+
+function splitExternalId(externalId) {
+  const [href, recurrenceId] = externalId.split('#');
+  return { href, recurrenceId: recurrenceId || null };
+}
+
+// Fetch the .ics resource behind an event. Resolves to null when it's gone.
+async function getResource(client, href) {
+  let response;
+  try {
+    response = await client.request('GET', href);
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+
+  return {
+    calendar: new ICAL.Component(ICAL.parse(await response.text())),
+    etag: response.headers.get('etag'),
+  };
+}
+
+function checkRemoteUnchanged(vevent, event) {
+  const remote = componentToInstance(vevent);
+  if (isRemoteNewer(remote.updated_at, event)) {
+    throw new SyncConflictError(conflictMessage(provider), toSyncedEvent(remote, event.external_id));
+  }
+}
+
+async function putResource(client, href, calendar, headers) {
+  try {
+    await client.request('PUT', href, {
+      body: calendar.toString(),
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...headers },
+    });
+  } catch (error) {
+    // The resource changed between our read and write
+    if (error.statusCode === 412) {
+      throw new SyncConflictError(conflictMessage(provider), null);
+    }
+    throw error;
+  }
+}
+
+async function createEvent(client, account, event) {
+  const uid = uuidv4();
+  const href = new URL(`${uid}.ics`, client.calendarUrl).href;
+  const updatedAt = new Date();
+
+  const calendar = createCalendar();
+  calendar.addSubcomponent(createEventComponent(uid, event, updatedAt));
+  await putResource(client, href, calendar, { 'If-None-Match': '*' });
+
+  return { external_id: href, external_updated_at: updatedAt.toISOString() };
+}
+
+// Update an event, or one occurrence of a recurring event by writing an
+// override for it into the same resource
+async function updateEvent(client, account, event, { force }) {
+  const { href, recurrenceId } = splitExternalId(event.external_id);
+  const resource = await getResource(client, href);
+  const master = resource && findEventComponent(resource.calendar, null);
+
+  if (!resource || (recurrenceId && !master)) {
+    if (force) return createEvent(client, account, event);
+    throw new SyncConflictError(conflictMessage(provider), { deleted: true });
+  }
+
+  let vevent = findEventComponent(resource.calendar, recurrenceId);
+  if (vevent && !force) {
+    checkRemoteUnchanged(vevent, event);
+  }
+  if (!vevent) {
+    vevent = new ICAL.Component('vevent');
+    vevent.updatePropertyWithValue('uid', master.getFirstPropertyValue('uid'));
+    addRecurrenceProperty(vevent, 'recurrence-id', master, recurrenceId);
+    resource.calendar.addSubcomponent(vevent);
+  }
+
+  const updatedAt = new Date();
+  applyEventFields(vevent, event, updatedAt);
+  await putResource(client, href, resource.calendar, force || !resource.etag ? {} : { 'If-Match': resource.etag });
+
+  return { external_id: event.external_id, external_updated_at: updatedAt.toISOString() };
+}
+
+// Delete an event, or exclude one occurrence from its recurring event
+async function deleteEvent(client, account, event, { force }) {
+  const { href, recurrenceId } = splitExternalId(event.external_id);
+  const resource = await getResource(client, href);
+  if (!resource) return;
+
+  const vevent = findEventComponent(resource.calendar, recurrenceId);
+  if (vevent && !force) {
+    checkRemoteUnchanged(vevent, event);
+  }
+  const ifMatch = force || !resource.etag ? {} : { 'If-Match': resource.etag };
+
+  if (!recurrenceId) {
+    try {
+      await client.request('DELETE', href, { headers: ifMatch });
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+    return;
+  }
+
+  const master = findEventComponent(resource.calendar, null);
+  if (!master) return;
+  if (vevent) resource.calendar.removeSubcomponent(vevent);
+  addRecurrenceProperty(master, 'exdate', master, recurrenceId);
+  await putResource(client, href, resource.calendar, ifMatch);
+}
+
+module.exports = provider;
@@ -0,0 +1,103 @@
+// Helpers shared by the calendar provider modules
+
+// Full syncs start this far back
+const SYNC_PAST_DAYS = 30;
+
+// Providers that expand recurring events themselves do so this far ahead
+const EXPAND_FUTURE_DAYS = 365;
+
+// Timeout for providers we talk to over plain HTTP
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Thrown when the provider copy of an event changed after our last sync or push
+class SyncConflictError extends Error {
+  constructor(message, remote) {
+    super(message);
+    this.name = 'SyncConflictError';
+    this.remote = remote;
+  }
+}
+
+// Thrown by provider connect() when the details a user entered don't work
+class CalendarConnectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarConnectError';
+  }
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS);
+}
+
+// Providers answer 410 Gone when a sync cursor expired or was invalidated
+function isCursorInvalid(error) {
+  const status = error.response?.status || error.statusCode || error.code;
+  return status === 410 || /syncState/i.test(error.code || '');
+}
+
+// Whether the account's cursor is missing or was taken too long ago to trust
+function isCursorStale(account, maxAgeDays) {
+  if (!account.sync_cursor || !account.sync_cursor_at) return true;
+  return new Date(account.sync_cursor_at) < daysFromNow(-maxAgeDays);
+}
+
+function isNotFound(error) {
+  const status = error.code || error.statusCode || error.response?.status;
+  return status === 404 || status === 410;
+}
+
+function isRemoteNewer(remoteUpdatedAt, event) {
+  if (!remoteUpdatedAt || !event.external_updated_at) return false;
+  return new Date(remoteUpdatedAt) > new Date(event.external_updated_at);
+}
+
+function conflictMessage(provider) {
+  return `This event was changed in ${provider.displayName} since it was last synced`;
+}
+
+// Stored times always lead with the calendar date, whatever their format
+function toDateOnly(value) {
+  return String(value).slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Resolve the start/end pair we send to providers. All-day ends are exclusive
+// dates; timed events without an end default to one hour.
+function getEventRange(event) {
+  if (event.all_day) {
+    const startDate = toDateOnly(event.start_time);
+    let endDate = event.end_time ? toDateOnly(event.end_time) : startDate;
+    if (endDate <= startDate) {
+      endDate = addDays(startDate, 1);
+    }
+    return { start: startDate, end: endDate };
+  }
+
+  const start = new Date(event.start_time);
+  const end = event.end_time ? new Date(event.end_time) : new Date(start.getTime() + HOUR_MS);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+module.exports = {
+  SYNC_PAST_DAYS,
+  EXPAND_FUTURE_DAYS,
+  REQUEST_TIMEOUT_MS,
+  SyncConflictError,
+  CalendarConnectError,
+  daysFromNow,
+  isCursorInvalid,
+  isCursorStale,
+  isNotFound,
+  isRemoteNewer,
+  conflictMessage,
+  getEventRange,
+};
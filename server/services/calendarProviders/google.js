@@ -0,0 +1,197 @@
+const { google } = require('googleapis');
+const { db } = require('../../database');
+const { createGoogleClient, isGoogleConfigured } = require('../calendarClients');
+const {
+  SYNC_PAST_DAYS,
+  EXPAND_FUTURE_DAYS,
+  SyncConflictError,
+  daysFromNow,
+  isCursorInvalid,
+  isCursorStale,
+  isNotFound,
+  isRemoteNewer,
+  conflictMessage,
+  getEventRange,
+} = require('./common');
+
+// Full syncs expand recurring events (singleEvents) up to a year ahead, so
+// the sync token is renewed monthly to bring later occurrences into range
+const CURSOR_MAX_AGE_DAYS = 30;
+
+const provider = {
+  name: 'google',
+  displayName: 'Google Calendar',
+  isConfigured: isGoogleConfigured,
+  getClient,
+  fetchChanges,
+  mapEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+};
+
+// Get a Google Calendar API client for an account, refreshing its token if needed.
+// Each call gets its own OAuth client so concurrent syncs don't share credentials.
+async function getClient(account) {
+  if (!isGoogleConfigured()) {
+    throw new Error('Google Calendar is not configured');
+  }
+
+  const auth = createGoogleClient();
+  auth.setCredentials({
+    access_token: account.access_token,
+    refresh_token: account.refresh_token,
+  });
+
+  if (account.token_expires_at && new Date(account.token_expires_at) < new Date()) {
+    const { credentials } = await auth.refreshAccessToken();
+    db.prepare(`
+      UPDATE calendar_accounts SET access_token = ?, token_expires_at = ? WHERE id = ?
+    `).run(
+      credentials.access_token,
+      credentials.expiry_date ? new Date(credentials.expiry_date).toISOString() : null,
+      account.id
+    );
+    auth.setCredentials({
+      ...credentials,
+      refresh_token: credentials.refresh_token || account.refresh_token,
+    });
+  }
+
+  return google.calendar({ version: 'v3', auth });
+}
+
+// ==================== SYNC ====================
+
+async function listPages(calendar, params) {
+  const events = [];
+  let pageToken;
+  let cursor = null;
+
+  do {
+    const { data } = await calendar.events.list({ ...params, maxResults: 250, pageToken });
+    events.push(...(data.items || []));
+    pageToken = data.nextPageToken;
+    cursor = data.nextSyncToken || null;
+  } while (pageToken);
+
+  return { events, cursor };
+}
+
+// Fetch events changed since the stored sync token, or everything in the
+// sync window when there is no usable or recent token
+async function fetchChanges(calendar, account) {
+  const calendarId = account.calendar_id || 'primary';
+
+  if (!isCursorStale(account, CURSOR_MAX_AGE_DAYS)) {
+    try {
+      const changes = await listPages(calendar, {
+        calendarId,
+        syncToken: account.sync_cursor,
+        singleEvents: true,
+      });
+      return { ...changes, fullSync: false };
+    } catch (error) {
+      if (!isCursorInvalid(error)) throw error;
+      console.log(`Google sync token expired for calendar account ${account.id}, running full sync`);
+    }
+  }
+
+  const window = { start: daysFromNow(-SYNC_PAST_DAYS), end: daysFromNow(EXPAND_FUTURE_DAYS) };
+  const changes = await listPages(calendar, {
+    calendarId,
+    timeMin: window.start.toISOString(),
+    timeMax: window.end.toISOString(),
+    singleEvents: true,
+  });
+  return { ...changes, fullSync: true, window };
+}
+
+function mapEvent(remote) {
+  if (remote.status === 'cancelled') {
+    return { external_id: remote.id, removed: true };
+  }
+
+  const startTime = remote.start.dateTime || remote.start.date;
+  return {
+    external_id: remote.id,
+    title: remote.summary || 'Untitled',
+    description: remote.description || null,
+    start_time: startTime,
+    end_time: remote.end?.dateTime || remote.end?.date || startTime,
+    all_day: remote.start.dateTime ? 0 : 1,
+    external_updated_at: remote.updated || null,
+  };
+}
+
+// ==================== WRITE-BACK ====================
+
+function toGoogleEvent(event) {
+  const { start, end } = getEventRange(event);
+  return {
+    summary: event.title,
+    description: event.description || '',
+    start: event.all_day ? { date: start, dateTime: null } : { dateTime: start, date: null },
+    end: event.all_day ? { date: end, dateTime: null } : { dateTime: end, date: null },
+  };
+}
+
+async function createEvent(calendar, account, event) {
+  const { data } = await calendar.events.insert({
+    calendarId: account.calendar_id || 'primary',
+    requestBody: toGoogleEvent(event),
+  });
+  return { external_id: data.id, external_updated_at: data.updated };
+}
+
+async function updateEvent(calendar, account, event, { force }) {
+  const calendarId = account.calendar_id || 'primary';
+
+  if (!force) {
+    let remote;
+    try {
+      ({ data: remote } = await calendar.events.get({ calendarId, eventId: event.external_id }));
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    if (!remote || remote.status === 'cancelled') {
+      throw new SyncConflictError(conflictMessage(provider), { deleted: true });
+    }
+    if (isRemoteNewer(remote.updated, event)) {
+      throw new SyncConflictError(conflictMessage(provider), mapEvent(remote));
+    }
+  }
+
+  try {
+    const { data } = await calendar.events.patch({
+      calendarId,
+      eventId: event.external_id,
+      requestBody: toGoogleEvent(event),
+    });
+    return { external_id: data.id, external_updated_at: data.updated };
+  } catch (error) {
+    // Forced update of an event deleted upstream: put it back
+    if (force && isNotFound(error)) return createEvent(calendar, account, event);
+    throw error;
+  }
+}
+
+async function deleteEvent(calendar, account, event, { force }) {
+  const calendarId = account.calendar_id || 'primary';
+
+  try {
+    if (!force) {
+      const { data: remote } = await calendar.events.get({ calendarId, eventId: event.external_id });
+      if (remote.status !== 'cancelled' && isRemoteNewer(remote.updated, event)) {
+        throw new SyncConflictError(conflictMessage(provider), mapEvent(remote));
+      }
+    }
+    await calendar.events.delete({ calendarId, eventId: event.external_id });
+  } catch (error) {
+    // Already gone upstream
+    if (!isNotFound(error)) throw error;
+  }
+}
+
+module.exports = provider;
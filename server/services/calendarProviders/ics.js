@@ -0,0 +1,93 @@
+const { parseEvents, expandEvent, toSyncedEvent } = require('../icalendar');
+const {
+  SYNC_PAST_DAYS,
+  EXPAND_FUTURE_DAYS,
+  REQUEST_TIMEOUT_MS,
+  CalendarConnectError,
+  daysFromNow,
+  isCursorStale,
+} = require('./common');
+
+// Read-only subscription to a published .ics feed. Feeds have no change
+// tracking, so every sync downloads the whole feed; the ETag is kept as the
+// cursor so an unchanged feed is skipped. Recurring events are expanded
+// against a moving window, so the feed is re-read at least once a day anyway.
+const CURSOR_MAX_AGE_DAYS = 1;
+
+const provider = {
+  name: 'ics',
+  displayName: 'ICS subscription',
+  isConfigured: () => true,
+  connect,
+  getClient,
+  fetchChanges,
+  mapEvent,
+};
+
+// webcal:// links are the same feed over http(s)
+function toFeedUrl(url) {
+  return url.trim().replace(/^webcals?:\/\//i, 'https://');
+}
+
+// Check that the URL serves a calendar and return the account fields to store.
+// Subscriptions are listed under their name, or the feed URL without one.
+async function connect({ url, name }) {
+  if (!url) {
+    throw new CalendarConnectError('Feed URL is required');
+  }
+  const feedUrl = toFeedUrl(url);
+  if (!/^https?:\/\//i.test(feedUrl)) {
+    throw new CalendarConnectError('Feed URL must start with http://, https:// or webcal://');
+  }
+
+  try {
+    const feed = await fetchFeed(feedUrl);
+    parseEvents(feed.text);
+  } catch (error) {
+    throw new CalendarConnectError(`Could not read the calendar feed: ${error.message}`);
+  }
+
+  return {
+    email: name?.trim() || url.trim(),
+    access_token: '',
+    server_url: url.trim(),
+  };
+}
+
+async function getClient(account) {
+  return { url: toFeedUrl(account.server_url) };
+}
+
+// Download a feed. Resolves to null when it hasn't changed since `etag`.
+async function fetchFeed(url, etag) {
+  const headers = { Accept: 'text/calendar' };
+  if (etag) headers['If-None-Match'] = etag;
+
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (response.status === 304) return null;
+  if (!response.ok) {
+    const error = new Error(`Calendar feed returned HTTP ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { text: await response.text(), etag: response.headers.get('etag') };
+}
+
+async function fetchChanges(client, account) {
+  const etag = isCursorStale(account, CURSOR_MAX_AGE_DAYS) ? null : account.sync_cursor;
+  const feed = await fetchFeed(client.url, etag);
+  if (!feed) {
+    return { events: [], cursor: etag, fullSync: false };
+  }
+
+  const window = { start: daysFromNow(-SYNC_PAST_DAYS), end: daysFromNow(EXPAND_FUTURE_DAYS) };
+  const events = parseEvents(feed.text).flatMap((event) => expandEvent(event, window));
+  return { events, cursor: feed.etag, fullSync: true, window };
+}
+
+function mapEvent(instance) {
+  return toSyncedEvent(instance, instance.uid);
+}
+
+module.exports = provider;
@@ -0,0 +1,36 @@
+// Calendar provider registry. A provider is a module exporting:
+//
+//   name, displayName        - key stored in calendar_accounts.provider / events.source
+//   isConfigured()           - whether the server can talk to this provider
+//   getClient(account)       - authenticated API client, refreshing tokens as needed
+//   fetchChanges(client, account)
+//                            - { events, cursor, fullSync, window } since account.sync_cursor
+//   mapEvent(remote)         - { external_id, title, description, start_time, end_time,
+//                               all_day, external_updated_at } or { external_id, removed: true }
+//
+// Providers that support two-way sync also implement createEvent, updateEvent
+// and deleteEvent (client, account, event[, { force }]).
+//
+// Providers connected with a URL and credentials instead of OAuth implement
+// connect(details), which validates what the user entered and resolves to the
+// calendar_accounts fields to store (email, access_token, server_url, calendar_id).
+const google = require('./google');
+const outlook = require('./outlook');
+const caldav = require('./caldav');
+const ics = require('./ics');
+
+const providers = { google, outlook, caldav, ics };
+
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unsupported calendar provider: ${name}`);
+  }
+  return provider;
+}
+
+function supportsWriteBack(provider) {
+  return typeof provider.createEvent === 'function';
+}
+
+module.exports = { providers, getProvider, supportsWriteBack };
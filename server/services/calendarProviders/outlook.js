@@ -0,0 +1,189 @@
+const { Client } = require('@microsoft/microsoft-graph-client');
+const { db } = require('../../database');
+const { msalClient, OUTLOOK_SCOPES, CalendarAuthError } = require('../calendarClients');
+const {
+  SYNC_PAST_DAYS,
+  SyncConflictError,
+  daysFromNow,
+  isCursorInvalid,
+  isCursorStale,
+  isNotFound,
+  isRemoteNewer,
+  conflictMessage,
+  getEventRange,
+} = require('./common');
+
+// Graph delta queries are bound to the window of the first request, so the
+// Outlook window is wide and the cursor is renewed before it runs out
+const FUTURE_DAYS = 365;
+const CURSOR_MAX_AGE_DAYS = 30;
+
+const provider = {
+  name: 'outlook',
+  displayName: 'Outlook Calendar',
+  isConfigured: () => !!msalClient,
+  getClient,
+  fetchChanges,
+  mapEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+};
+
+// Get a Microsoft Graph client for an account, refreshing its token if needed
+async function getClient(account) {
+  if (!msalClient) {
+    throw new Error('Outlook Calendar is not configured');
+  }
+
+  let accessToken = account.access_token;
+
+  if (account.token_expires_at && new Date(account.token_expires_at) < new Date() && account.refresh_token) {
+    let tokenResponse;
+    try {
+      tokenResponse = await msalClient.acquireTokenByRefreshToken({
+        refreshToken: account.refresh_token,
+        scopes: OUTLOOK_SCOPES,
+      });
+    } catch (refreshError) {
+      console.error('Token refresh failed:', refreshError);
+      throw new CalendarAuthError('Please reconnect your Outlook account');
+    }
+
+    accessToken = tokenResponse.accessToken;
+    db.prepare(`
+      UPDATE calendar_accounts SET access_token = ?, refresh_token = ?, token_expires_at = ? WHERE id = ?
+    `).run(
+      tokenResponse.accessToken,
+      tokenResponse.refreshToken || account.refresh_token,
+      tokenResponse.expiresOn ? tokenResponse.expiresOn.toISOString() : null,
+      account.id
+    );
+  }
+
+  return Client.init({
+    authProvider: (done) => done(null, accessToken),
+  });
+}
+
+// ==================== SYNC ====================
+
+async function listPages(graphClient, url) {
+  const events = [];
+  let next = url;
+
+  while (next) {
+    const response = await graphClient
+      .api(next)
+      .header('Prefer', 'odata.maxpagesize=100')
+      .get();
+    events.push(...(response.value || []));
+
+    if (response['@odata.deltaLink']) {
+      return { events, cursor: response['@odata.deltaLink'] };
+    }
+    next = response['@odata.nextLink'];
+  }
+
+  return { events, cursor: null };
+}
+
+// Fetch events changed since the stored delta link, or the whole sync window
+// when there is no usable link
+async function fetchChanges(graphClient, account) {
+  if (!isCursorStale(account, CURSOR_MAX_AGE_DAYS)) {
+    try {
+      const changes = await listPages(graphClient, account.sync_cursor);
+      return { ...changes, fullSync: false };
+    } catch (error) {
+      if (!isCursorInvalid(error)) throw error;
+      console.log(`Outlook delta link expired for calendar account ${account.id}, running full sync`);
+    }
+  }
+
+  const window = { start: daysFromNow(-SYNC_PAST_DAYS), end: daysFromNow(FUTURE_DAYS) };
+  const changes = await listPages(
+    graphClient,
+    `/me/calendarView/delta?startDateTime=${window.start.toISOString()}&endDateTime=${window.end.toISOString()}`
+  );
+  return { ...changes, fullSync: true, window };
+}
+
+// Removed events come back from delta queries with an '@removed' marker
+// instead of their details
+function mapEvent(remote) {
+  if (remote.isCancelled || remote['@removed']) {
+    return { external_id: remote.id, removed: true };
+  }
+
+  return {
+    external_id: remote.id,
+    title: remote.subject || 'Untitled',
+    description: remote.bodyPreview || null,
+    start_time: remote.start.dateTime + (remote.start.timeZone === 'UTC' ? 'Z' : ''),
+    end_time: remote.end.dateTime + (remote.end.timeZone === 'UTC' ? 'Z' : ''),
+    all_day: remote.isAllDay ? 1 : 0,
+    external_updated_at: remote.lastModifiedDateTime || null,
+  };
+}
+
+// ==================== WRITE-BACK ====================
+
+function toOutlookEvent(event) {
+  const { start, end } = getEventRange(event);
+  const toGraphTime = (value) => (event.all_day ? `${value}T00:00:00` : value.replace('Z', ''));
+  return {
+    subject: event.title,
+    body: { contentType: 'text', content: event.description || '' },
+    isAllDay: !!event.all_day,
+    start: { dateTime: toGraphTime(start), timeZone: 'UTC' },
+    end: { dateTime: toGraphTime(end), timeZone: 'UTC' },
+  };
+}
+
+async function createEvent(graphClient, account, event) {
+  const data = await graphClient.api('/me/calendar/events').post(toOutlookEvent(event));
+  return { external_id: data.id, external_updated_at: data.lastModifiedDateTime };
+}
+
+async function updateEvent(graphClient, account, event, { force }) {
+  if (!force) {
+    let remote;
+    try {
+      remote = await graphClient.api(`/me/events/${event.external_id}`).get();
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    if (!remote || remote.isCancelled) {
+      throw new SyncConflictError(conflictMessage(provider), { deleted: true });
+    }
+    if (isRemoteNewer(remote.lastModifiedDateTime, event)) {
+      throw new SyncConflictError(conflictMessage(provider), mapEvent(remote));
+    }
+  }
+
+  try {
+    const data = await graphClient.api(`/me/events/${event.external_id}`).patch(toOutlookEvent(event));
+    return { external_id: data.id, external_updated_at: data.lastModifiedDateTime };
+  } catch (error) {
+    if (force && isNotFound(error)) return createEvent(graphClient, account, event);
+    throw error;
+  }
+}
+
+async function deleteEvent(graphClient, account, event, { force }) {
+  try {
+    if (!force) {
+      const remote = await graphClient.api(`/me/events/${event.external_id}`).get();
+      if (!remote.isCancelled && isRemoteNewer(remote.lastModifiedDateTime, event)) {
+        throw new SyncConflictError(conflictMessage(provider), mapEvent(remote));
+      }
+    }
+    await graphClient.api(`/me/events/${event.external_id}`).delete();
+  } catch (error) {
+    if (!isNotFound(error)) throw error;
+  }
+}
+
+module.exports = provider;
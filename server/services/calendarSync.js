@@ -0,0 +1,173 @@
+// Calendar sync. Each account stores a provider cursor (a Google
+// nextSyncToken or a Graph deltaLink) so a sync only fetches what changed
+// since the last one. Without a usable cursor providers fall back to a full
+// resync. The provider-specific parts live in ./calendarProviders.
+const { db } = require('../database');
+const { getProvider } = require('./calendarProviders');
+const { publishCalendarSync } = require('./realtime');
+const { recordAudit } = require('./auditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Automatic syncs back off exponentially on failure, up to this long
+const MAX_BACKOFF_MS = DAY_MS;
+
+// Insert or update the local copy of a provider event
+function upsertSyncedEvent(account, event) {
+  const existing = db.prepare(
+    'SELECT id FROM events WHERE external_id = ? AND calendar_account_id = ?'
+  ).get(event.external_id, account.id);
+
+  if (existing) {
+    db.prepare(`
+      UPDATE events SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ?, external_updated_at = ?
+      WHERE id = ?
+    `).run(
+      event.title,
+      event.description,
+      event.start_time,
+      event.end_time,
+      event.all_day,
+      event.external_updated_at,
+      existing.id
+    );
+  } else {
+    db.prepare(`
+      INSERT INTO events (user_id, title, description, start_time, end_time, all_day, source, external_id, external_updated_at, calendar_account_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      account.user_id,
+      event.title,
+      event.description,
+      event.start_time,
+      event.end_time,
+      event.all_day,
+      account.provider,
+      event.external_id,
+      event.external_updated_at,
+      account.id
+    );
+  }
+}
+
+// ==================== RECONCILIATION ====================
+
+// Delete local copies of provider events, recording each in the audit log
+// (and so for live updates and webhooks) as a change by the account's owner
+function deleteSyncedEvents(account, events) {
+  const remove = db.prepare('DELETE FROM events WHERE id = ?');
+  for (const event of events) {
+    remove.run(event.id);
+    recordAudit('event', 'delete', event, null, account.user_id);
+  }
+  return events.length;
+}
+
+// Delete the local copy of an event that was cancelled or removed upstream.
+// Returns the number of rows removed.
+function removeSyncedEvent(account, externalId) {
+  const events = db.prepare('SELECT * FROM events WHERE external_id = ? AND calendar_account_id = ?')
+    .all(externalId, account.id);
+  return deleteSyncedEvents(account, events);
+}
+
+// After a full sync, delete local events inside the synced window that the
+// provider no longer returned. Returns the number of rows removed.
+function removeMissingEvents(account, seenExternalIds, window) {
+  const seen = new Set(seenExternalIds);
+  const stale = db.prepare('SELECT * FROM events WHERE calendar_account_id = ?').all(account.id).filter((event) => {
+    if (seen.has(event.external_id)) return false;
+    const start = new Date(event.start_time);
+    return start >= window.start && (!window.end || start <= window.end);
+  });
+
+  return deleteSyncedEvents(account, stale);
+}
+
+// ==================== ACCOUNT SYNC ====================
+
+// Fetch changes from the provider and apply them to the local events table
+async function syncProviderEvents(account) {
+  const provider = getProvider(account.provider);
+  const client = await provider.getClient(account);
+  const { events, cursor, fullSync, window } = await provider.fetchChanges(client, account);
+
+  let synced = 0;
+  let removed = 0;
+  const seen = [];
+
+  db.transaction(() => {
+    for (const remote of events) {
+      const event = provider.mapEvent(remote);
+      if (event.removed) {
+        removed += removeSyncedEvent(account, event.external_id);
+        continue;
+      }
+
+      upsertSyncedEvent(account, event);
+      seen.push(event.external_id);
+      synced++;
+    }
+
+    // A full sync sees every event, so anything we didn't get back is gone
+    if (fullSync) {
+      removed += removeMissingEvents(account, seen, window);
+    }
+  })();
+
+  return { synced, removed, cursor, fullSync };
+}
+
+// How long to wait before the next automatic sync of an account
+function getNextSyncDelay(failures) {
+  const interval = getSyncIntervalMs() || MAX_BACKOFF_MS;
+  return Math.min(interval * 2 ** failures, MAX_BACKOFF_MS);
+}
+
+function getSyncIntervalMs() {
+  const minutes = parseInt(process.env.CALENDAR_SYNC_INTERVAL ?? '15');
+  return minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+// Sync one calendar account and record the outcome (last sync time, cursor,
+// last error and failure count) so sync health can be shown to the user.
+// Their open clients are told it finished either way.
+async function syncAccount(account) {
+  try {
+    const { synced, removed, cursor, fullSync } = await syncProviderEvents(account);
+
+    const now = new Date();
+    db.prepare(`
+      UPDATE calendar_accounts
+      SET last_synced_at = ?, sync_cursor = ?, sync_cursor_at = ?,
+          last_sync_error = NULL, sync_failures = 0, next_sync_at = ?
+      WHERE id = ?
+    `).run(
+      now.toISOString(),
+      cursor,
+      fullSync ? now.toISOString() : account.sync_cursor_at,
+      new Date(now.getTime() + getNextSyncDelay(0)).toISOString(),
+      account.id
+    );
+
+    publishCalendarSync(account);
+    return { synced, removed, fullSync };
+  } catch (error) {
+    const failures = (account.sync_failures || 0) + 1;
+    db.prepare(`
+      UPDATE calendar_accounts
+      SET last_sync_error = ?, last_sync_error_at = ?, sync_failures = ?, next_sync_at = ?
+      WHERE id = ?
+    `).run(
+      error.message,
+      new Date().toISOString(),
+      failures,
+      new Date(Date.now() + getNextSyncDelay(failures)).toISOString(),
+      account.id
+    );
+    publishCalendarSync(account, error);
+    throw error;
+  }
+}
+
+module.exports = { syncAccount, getSyncIntervalMs };
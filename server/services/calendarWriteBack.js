@@ -0,0 +1,26 @@
+const { getProvider } = require('./calendarProviders');
+const { SyncConflictError } = require('./calendarProviders/common');
+
+// Create an event on the provider. Returns the external link to store locally.
+async function pushCreate(account, event) {
+  const provider = getProvider(account.provider);
+  const client = await provider.getClient(account);
+  return provider.createEvent(client, account, event);
+}
+
+// Push local changes to an already linked event. Throws SyncConflictError
+// when the provider copy changed since our last sync, unless forced.
+async function pushUpdate(account, event, options = {}) {
+  const provider = getProvider(account.provider);
+  const client = await provider.getClient(account);
+  return provider.updateEvent(client, account, event, options);
+}
+
+// Delete a linked event on the provider
+async function pushDelete(account, event, options = {}) {
+  const provider = getProvider(account.provider);
+  const client = await provider.getClient(account);
+  return provider.deleteEvent(client, account, event, options);
+}
+
+module.exports = { SyncConflictError, pushCreate, pushUpdate, pushDelete };
@@ -0,0 +1,167 @@
+// Comment threads on tasks and projects. Bodies are markdown, rendered by
+// the client. Replies nest under the comment they answer, and @username
+// mentions are stored for the users who can see the task or project.
+const { db } = require('../database');
+const { getItemRole, getProjectRole } = require('./projectAccess');
+const { getActivity } = require('./activity');
+const { createNotification } = require('./notifications');
+
+const COMMENT_ENTITY_TYPES = ['task', 'project'];
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+const EXCERPT_LENGTH = 140;
+
+class CommentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommentError';
+  }
+}
+
+// The task or project a thread belongs to, if the user can see it
+function findEntity(entityType, entityId, userId) {
+  if (!COMMENT_ENTITY_TYPES.includes(entityType)) return null;
+
+  const table = entityType === 'task' ? 'tasks' : 'projects';
+  const entity = db.prepare(`SELECT * FROM ${table} WHERE id = ? AND trash_id IS NULL`).get(entityId);
+  if (!entity) return null;
+
+  const role = entityType === 'task' ? getItemRole(entity, userId) : getProjectRole(entity.id, userId);
+  return role ? entity : null;
+}
+
+// Normalize a comment body, rejecting empty ones
+function normalizeBody(body) {
+  const trimmed = typeof body === 'string' ? body.trim() : '';
+  if (!trimmed) {
+    throw new CommentError('Comment text is required');
+  }
+  return trimmed;
+}
+
+// Usernames mentioned in a body, without trailing punctuation
+function parseMentions(body) {
+  const names = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    names.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+  return [...names].filter(Boolean);
+}
+
+// Replace a comment's mentions with the users its body mentions who can see
+// the thread. Returns the ids of users mentioned for the first time.
+const setMentions = db.transaction((comment) => {
+  const previous = new Set(db.prepare('SELECT user_id FROM comment_mentions WHERE comment_id = ?')
+    .all(comment.id)
+    .map((row) => row.user_id));
+
+  db.prepare('DELETE FROM comment_mentions WHERE comment_id = ?').run(comment.id);
+  const insert = db.prepare('INSERT INTO comment_mentions (comment_id, user_id) VALUES (?, ?)');
+
+  const added = [];
+  for (const name of parseMentions(comment.body)) {
+    const user = db.prepare('SELECT id FROM users WHERE username = ? COLLATE NOCASE').get(name);
+    if (!user || user.id === comment.user_id) continue;
+    if (!findEntity(comment.entity_type, comment.entity_id, user.id)) continue;
+
+    insert.run(comment.id, user.id);
+    if (!previous.has(user.id)) added.push(user.id);
+  }
+  return added;
+});
+
+// Tell users newly mentioned in a comment, in their notifications inbox
+function notifyMentions(comment, userIds, author) {
+  if (userIds.length === 0) return;
+
+  const table = comment.entity_type === 'task' ? 'tasks' : 'projects';
+  const entity = db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(comment.entity_id);
+  const body = comment.body.length > EXCERPT_LENGTH ? `${comment.body.slice(0, EXCERPT_LENGTH)}…` : comment.body;
+
+  for (const userId of userIds) {
+    createNotification(userId, {
+      type: 'mention',
+      entityType: comment.entity_type,
+      entityId: comment.entity_id,
+      title: `${author.username} mentioned you on "${entity.title || entity.name}"`,
+      body,
+    });
+  }
+}
+
+// A comment with its author's username and its mentions
+function getComment(id) {
+  const comment = db.prepare(`
+    SELECT c.*, u.username
+    FROM comments c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.id = ?
+  `).get(id);
+  if (!comment) return null;
+
+  return {
+    ...comment,
+    mentions: db.prepare(`
+      SELECT u.id, u.username FROM comment_mentions m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.comment_id = ?
+      ORDER BY u.username
+    `).all(id),
+  };
+}
+
+// The thread of a task or project: top-level comments (each with nested
+// replies) interleaved with activity entries, oldest first. Entries carry a
+// kind of 'comment' or 'activity'.
+function getThread(entityType, entityId) {
+  const comments = db.prepare(`
+    SELECT c.*, u.username
+    FROM comments c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.entity_type = ? AND c.entity_id = ?
+    ORDER BY c.created_at ASC, c.id ASC
+  `).all(entityType, entityId);
+
+  const mentions = comments.length === 0 ? [] : db.prepare(`
+    SELECT m.comment_id, u.id, u.username FROM comment_mentions m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.comment_id IN (${comments.map(() => '?').join(', ')})
+    ORDER BY u.username
+  `).all(...comments.map((comment) => comment.id));
+
+  const byId = new Map(comments.map((comment) => [comment.id, {
+    ...comment,
+    kind: 'comment',
+    mentions: mentions
+      .filter((mention) => mention.comment_id === comment.id)
+      .map(({ id, username }) => ({ id, username })),
+    replies: [],
+  }]));
+
+  const topLevel = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      topLevel.push(comment);
+    }
+  }
+
+  const activity = getActivity(entityType, entityId).map((entry) => ({ ...entry, kind: 'activity' }));
+
+  // Both lists are already in order, and the sort is stable, so activity
+  // comes first within the same second (e.g. a task's creation)
+  return [...activity, ...topLevel].sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+module.exports = {
+  COMMENT_ENTITY_TYPES,
+  CommentError,
+  findEntity,
+  normalizeBody,
+  parseMentions,
+  setMentions,
+  notifyMentions,
+  getComment,
+  getThread,
+};
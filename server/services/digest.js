@@ -0,0 +1,179 @@
+// Opt-in email digest of overdue tasks, the events ahead (as GET /api/events
+// lists them) and ideas captured since the last one. Daily digests cover
+// today and weekly ones the next seven days; both go out at DIGEST_HOUR,
+// server time, weekly ones on Mondays.
+const { db } = require('../database');
+const { itemVisibility } = require('./projectAccess');
+const { listEvents } = require('./events');
+const { isMailEnabled, appLink, escapeHtml, sendMail } = require('./mailer');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_DIGEST_HOUR = 7;
+const WEEKLY_DIGEST_DAY = 1;
+
+// How often we look for digests that are due
+const TICK_MS = 5 * 60 * 1000;
+
+let running = false;
+
+function getDigestHour() {
+  const hour = parseInt(process.env.DIGEST_HOUR, 10);
+  return hour >= 0 && hour <= 23 ? hour : DEFAULT_DIGEST_HOUR;
+}
+
+// A date as YYYY-MM-DD in the server's zone
+function localDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// SQLite timestamps are UTC without a zone
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// Tasks past their due date that are assigned to the user, or that they
+// created and nobody is assigned to
+function getOverdueTasks(userId, today) {
+  const visibility = itemVisibility(userId);
+  return db.prepare(`
+    SELECT * FROM tasks
+    WHERE ${visibility.clause} AND status != 'completed' AND due_date < ?
+      AND (assignee_id = ? OR (assignee_id IS NULL AND user_id = ?))
+    ORDER BY due_date ASC
+  `).all(...visibility.params, today, userId, userId);
+}
+
+function buildDigest(user, frequency, now = new Date()) {
+  const days = frequency === 'weekly' ? 7 : 1;
+  const lastDay = new Date(now);
+  lastDay.setDate(lastDay.getDate() + days - 1);
+  const today = localDate(now);
+
+  const since = user.digest_sent_at || new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+    .toISOString().replace('T', ' ').slice(0, 19);
+
+  return {
+    frequency,
+    from: today,
+    to: localDate(lastDay),
+    overdue_tasks: getOverdueTasks(user.id, today),
+    events: listEvents(user.id, { startAfter: `${today}T00:00`, startBefore: `${localDate(lastDay)}T23:59:59` }),
+    ideas: db.prepare(`
+      SELECT * FROM ideas WHERE user_id = ? AND trash_id IS NULL AND created_at >= ?
+      ORDER BY created_at DESC
+    `).all(user.id, since),
+  };
+}
+
+function isEmpty(digest) {
+  return digest.overdue_tasks.length === 0 && digest.events.length === 0 && digest.ideas.length === 0;
+}
+
+const dayFormat = new Intl.DateTimeFormat('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+const timeFormat = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit' });
+
+function describeEvent(event, weekly) {
+  const start = new Date(event.start_time);
+  const when = event.all_day ? 'All day' : timeFormat.format(start);
+  return weekly ? `${dayFormat.format(start)}, ${when}` : when;
+}
+
+// The digest as an email: a subject, and the same sections as text and HTML
+function renderDigest(digest) {
+  const weekly = digest.frequency === 'weekly';
+  const sections = [
+    {
+      title: 'Overdue tasks',
+      link: appLink('/tasks'),
+      items: digest.overdue_tasks.map((task) => `${task.title} (due ${task.due_date.slice(0, 10)})`),
+    },
+    {
+      title: weekly ? 'Events this week' : "Today's events",
+      link: appLink('/calendar'),
+      items: digest.events.map((event) => `${describeEvent(event, weekly)}: ${event.title}`),
+    },
+    {
+      title: 'New ideas',
+      link: appLink('/ideas'),
+      items: digest.ideas.map((idea) => idea.title),
+    },
+  ].filter((section) => section.items.length > 0);
+
+  const date = dayFormat.format(new Date(`${digest.from}T00:00`));
+  const subject = weekly ? `Your week ahead from ${date}` : `Your agenda for ${date}`;
+
+  if (sections.length === 0) {
+    const text = 'Nothing overdue, no events and no new ideas. Enjoy!';
+    return { subject, text, html: `<p>${text}</p>` };
+  }
+
+  const text = sections
+    .map((section) => `${section.title}\n${section.items.map((item) => `- ${item}`).join('\n')}\n${section.link}`)
+    .join('\n\n');
+  const html = sections
+    .map((section) => `<h3><a href="${escapeHtml(section.link)}">${escapeHtml(section.title)}</a></h3>`
+      + `<ul>${section.items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`)
+    .join('');
+
+  return { subject, text, html };
+}
+
+async function sendDigest(user, frequency, now = new Date()) {
+  const digest = buildDigest(user, frequency, now);
+  await sendMail({ to: user.email, ...renderDigest(digest) });
+  db.prepare('UPDATE users SET digest_sent_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+  return digest;
+}
+
+// Send the digests due today that haven't gone out yet. Empty ones are
+// skipped but still count as sent.
+async function sendDueDigests() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    if (now.getHours() < getDigestHour()) return;
+
+    const today = localDate(now);
+    const users = db.prepare("SELECT * FROM users WHERE digest_frequency IN ('daily', 'weekly')").all();
+
+    for (const user of users) {
+      if (user.digest_frequency === 'weekly' && now.getDay() !== WEEKLY_DIGEST_DAY) continue;
+      if (user.digest_sent_at && localDate(parseTimestamp(user.digest_sent_at)) === today) continue;
+
+      try {
+        if (isEmpty(buildDigest(user, user.digest_frequency, now))) {
+          db.prepare('UPDATE users SET digest_sent_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+        } else {
+          await sendDigest(user, user.digest_frequency, now);
+        }
+      } catch (error) {
+        console.error(`Digest for user ${user.id} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Email digest error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+// Start sending digests, if SMTP is set up
+function startDigestScheduler() {
+  if (!isMailEnabled()) {
+    console.log('Email is disabled (SMTP_HOST is not set)');
+    return;
+  }
+
+  setInterval(sendDueDigests, TICK_MS);
+  console.log(`Email is sent through ${process.env.SMTP_HOST}, with digests at ${getDigestHour()}:00`);
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  buildDigest,
+  sendDigest,
+  startDigestScheduler,
+};
@@ -0,0 +1,160 @@
+// Import of .ics files into local events. Each VEVENT becomes an event whose
+// external_id is its UID, so importing the same file again updates those
+// events instead of duplicating them. Recurring events become series, like
+// those created in the app, with their changed occurrences as overrides
+// keyed by the UID and recurrence id.
+const { db } = require('../database');
+const { parseEvents, expandEvent, toSyncedEvent, toSeries } = require('./icalendar');
+const { EXPAND_FUTURE_DAYS, daysFromNow } = require('./calendarProviders/common');
+const { RecurrenceError, normalizeRule } = require('./recurrence');
+const { recordAudit } = require('./auditLog');
+
+const MAX_IMPORT_EVENTS = 2000;
+
+// Thrown when an uploaded file can't be imported
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// A recurring event as a series, or null when its recurrence can't be stored
+// as one, e.g. RDATEs or repeating more often than daily
+function planSeries(event) {
+  const series = toSeries(event);
+  if (!series) return null;
+
+  try {
+    return { ...series, recurrence_rule: normalizeRule(series.recurrence_rule) };
+  } catch (error) {
+    if (error instanceof RecurrenceError) return null;
+    throw error;
+  }
+}
+
+// Parse a file and work out what importing it would do, without writing
+// anything. Returns the events, each with the action it would take, and
+// warnings about anything that couldn't be imported as it was.
+function planImport(userId, text) {
+  let parsed;
+  try {
+    parsed = parseEvents(text);
+  } catch (error) {
+    throw new ImportError('Could not read the calendar file. Is it a valid .ics file?');
+  }
+
+  const window = { start: new Date(0), end: daysFromNow(EXPAND_FUTURE_DAYS) };
+  const events = [];
+  const warnings = [];
+  let rows = 0;
+  for (const event of parsed) {
+    const series = event.isRecurring() ? planSeries(event) : null;
+    let planned = series ? [series] : [];
+
+    // Recurrences that can't be a series are imported occurrence by
+    // occurrence, up to a year ahead
+    if (!series) {
+      planned = expandEvent(event, window).map((instance) => toSyncedEvent(instance, instance.uid));
+      if (event.isRecurring()) {
+        warnings.push(`"${event.summary || 'Untitled'}" repeats in a way that can't be imported as a recurring `
+          + `event, so its ${planned.length} occurrences up to a year ahead are imported as separate events`);
+      }
+    }
+
+    for (const item of planned) {
+      events.push(item);
+      rows += 1 + (item.overrides?.length || 0);
+      if (rows > MAX_IMPORT_EVENTS) {
+        throw new ImportError(`This file contains more than ${MAX_IMPORT_EVENTS} events`);
+      }
+    }
+  }
+
+  // Events in the trash are left alone, and imported again as new ones
+  const findExisting = db.prepare(`
+    SELECT id FROM events
+    WHERE user_id = ? AND external_id = ? AND calendar_account_id IS NULL AND trash_id IS NULL
+  `);
+  const withAction = (event) => {
+    const existing = findExisting.get(userId, event.external_id);
+    return { ...event, action: existing ? 'update' : 'create', existing_id: existing?.id || null };
+  };
+
+  return {
+    events: events.map((event) => ({
+      ...withAction(event),
+      ...(event.overrides && { overrides: event.overrides.map(withAction) }),
+    })),
+    warnings,
+  };
+}
+
+// Write a planned event, returning its id. Overrides are written with the
+// series they belong to and share its project.
+function saveImportedEvent(userId, event, projectId, seriesId = null) {
+  const getEvent = db.prepare('SELECT * FROM events WHERE id = ?');
+  const fields = [
+    event.title,
+    event.description,
+    event.start_time,
+    event.end_time,
+    event.all_day,
+    event.external_updated_at,
+    event.timezone || null,
+    event.recurrence_rule || null,
+    event.recurrence_exdates || null,
+    seriesId,
+    seriesId ? event.recurrence_id : null,
+  ];
+
+  if (event.existing_id) {
+    const before = getEvent.get(event.existing_id);
+    db.prepare(`
+      UPDATE events
+      SET title = ?, description = ?, start_time = ?, end_time = ?, all_day = ?, external_updated_at = ?,
+          timezone = ?, recurrence_rule = ?, recurrence_exdates = ?, recurrence_parent_id = ?, recurrence_id = ?,
+          project_id = COALESCE(?, project_id)
+      WHERE id = ?
+    `).run(...fields, projectId, event.existing_id);
+    recordAudit('event', 'update', before, getEvent.get(event.existing_id), userId);
+    return event.existing_id;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO events (
+      title, description, start_time, end_time, all_day, external_updated_at,
+      timezone, recurrence_rule, recurrence_exdates, recurrence_parent_id, recurrence_id,
+      project_id, user_id, external_id
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(...fields, projectId, userId, event.external_id);
+  recordAudit('event', 'create', null, getEvent.get(result.lastInsertRowid), userId);
+  return result.lastInsertRowid;
+}
+
+// Write a planned import. Returns the number of events created and updated,
+// counting a series with its overrides as one.
+function applyImport(userId, plan, projectId) {
+  let created = 0;
+  let updated = 0;
+
+  db.transaction(() => {
+    for (const event of plan.events) {
+      const id = saveImportedEvent(userId, event, projectId);
+      if (event.action === 'update') updated++;
+      else created++;
+
+      if (event.overrides) {
+        const series = db.prepare('SELECT project_id FROM events WHERE id = ?').get(id);
+        for (const override of event.overrides) {
+          saveImportedEvent(userId, override, series.project_id, id);
+        }
+      }
+    }
+  })();
+
+  return { created, updated };
+}
+
+module.exports = { ImportError, planImport, applyImport };
@@ -0,0 +1,52 @@
+// Listing events the way GET /api/events returns them, shared with the
+// email digest
+const { db } = require('../database');
+const { expandUserSeries } = require('./recurrence');
+const { tagFilter, getTaggedIds, attachTags } = require('./tags');
+const { itemVisibility } = require('./projectAccess');
+
+// Add the user's tags to events. Occurrences and edited occurrences of a
+// recurring event share the tags of their series.
+function withTags(events, userId) {
+  return attachTags('event', events, userId, (event) => event.recurrence_parent_id || event.id);
+}
+
+// All events the user can see, including those in projects shared with them,
+// sorted by start. Recurring events are expanded into their occurrences,
+// which carry the series' id and a recurrence_id.
+function listEvents(userId, { projectId, startAfter, startBefore, tag } = {}) {
+  const visibility = itemVisibility(userId);
+  let query = `SELECT * FROM events WHERE ${visibility.clause} AND recurrence_rule IS NULL`;
+  const params = [...visibility.params];
+
+  if (projectId) {
+    query += ' AND project_id = ?';
+    params.push(projectId);
+  }
+
+  if (startAfter) {
+    query += ' AND start_time >= ?';
+    params.push(startAfter);
+  }
+
+  if (startBefore) {
+    query += ' AND start_time <= ?';
+    params.push(startBefore);
+  }
+
+  let occurrences = expandUserSeries(userId, { projectId, startAfter, startBefore });
+
+  if (tag) {
+    const filter = tagFilter('event', tag, userId, 'COALESCE(recurrence_parent_id, id)');
+    query += filter.clause;
+    params.push(...filter.params);
+
+    const taggedSeries = getTaggedIds('event', tag, userId);
+    occurrences = occurrences.filter((occurrence) => taggedSeries.has(occurrence.id));
+  }
+
+  return withTags([...db.prepare(query).all(...params), ...occurrences], userId)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+}
+
+module.exports = { withTags, listEvents };
@@ -0,0 +1,371 @@
+// iCalendar (RFC 5545) helpers shared by the CalDAV and ICS subscription
+// providers: parsing VEVENTs, expanding recurring events into instances and
+// building VEVENTs from local events.
+const ICAL = require('ical.js');
+const { getEventRange } = require('./calendarProviders/common');
+
+const PRODID = '-//The Deck//Calendar//EN';
+
+const TODO_STATUS = { pending: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', completed: 'COMPLETED' };
+const TODO_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+// Safety net for rules that never produce an instance inside the window
+const MAX_OCCURRENCES = 5000;
+
+// ==================== TIME ZONES ====================
+
+function isKnownTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return asUtc - date.getTime();
+}
+
+// A Date as wall-clock time in a named zone, as a floating ICAL.Time
+function utcToZonedTime(date, timeZone) {
+  const wallClock = new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+  return ICAL.Time.fromData({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes(),
+    second: wallClock.getUTCSeconds(),
+  });
+}
+
+// Wall-clock time in a named zone to a Date. The second pass corrects the
+// offset when the first guess lands on the other side of a DST change.
+function zonedTimeToUtc(time, timeZone) {
+  const wallClock = Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+// Convert an ICAL.Time to the format stored in events: a plain date for
+// all-day values, a UTC ISO string otherwise. Feeds often reference IANA
+// zones without including a VTIMEZONE, so those are resolved through Intl.
+function toStoredTime(time, tzid) {
+  if (time.isDate) {
+    return time.toString();
+  }
+  if (time.zone && time.zone.tzid !== 'floating') {
+    return time.toJSDate().toISOString();
+  }
+  if (tzid && isKnownTimeZone(tzid)) {
+    return zonedTimeToUtc(time, tzid).toISOString();
+  }
+  return time.toJSDate().toISOString();
+}
+
+function getTzid(component, name) {
+  const property = component.getFirstProperty(name);
+  return property ? property.getParameter('tzid') : null;
+}
+
+// ==================== PARSING ====================
+
+// Parse an iCalendar document into ICAL.Events. Overridden instances
+// (VEVENTs with a RECURRENCE-ID) are attached to their recurring event.
+function parseEvents(text) {
+  const calendar = new ICAL.Component(ICAL.parse(text));
+
+  for (const vtimezone of calendar.getAllSubcomponents('vtimezone')) {
+    const timezone = new ICAL.Timezone(vtimezone);
+    if (!ICAL.TimezoneService.has(timezone.tzid)) {
+      ICAL.TimezoneService.register(timezone.tzid, timezone);
+    }
+  }
+
+  const events = new Map();
+  const exceptions = [];
+  for (const vevent of calendar.getAllSubcomponents('vevent')) {
+    // ICAL.Event would otherwise relate every RECURRENCE-ID in the calendar
+    // to each event, whatever its UID; they're related by UID below
+    const event = new ICAL.Event(vevent, { exceptions: [] });
+    if (!event.uid || !event.startDate) continue;
+    if (event.isRecurrenceException()) {
+      exceptions.push(event);
+    } else {
+      events.set(event.uid, event);
+    }
+  }
+
+  for (const exception of exceptions) {
+    const parent = events.get(exception.uid);
+    if (parent) {
+      parent.relateException(exception);
+    } else {
+      // An override without its series (e.g. one shared occurrence) stands alone
+      events.set(`${exception.uid}#${exception.recurrenceId.toString()}`, exception);
+    }
+  }
+
+  return [...events.values()];
+}
+
+function toInstance(event, startDate, endDate, recurrenceId) {
+  const { component } = event;
+  const updated = component.getFirstPropertyValue('last-modified') || component.getFirstPropertyValue('dtstamp');
+
+  return {
+    uid: event.uid,
+    recurrence_id: recurrenceId
+      ? toStoredTime(recurrenceId, getTzid(component, 'recurrence-id') || getTzid(component, 'dtstart'))
+      : null,
+    title: event.summary || 'Untitled',
+    description: event.description || null,
+    start_time: toStoredTime(startDate, getTzid(component, 'dtstart')),
+    end_time: endDate
+      ? toStoredTime(endDate, getTzid(component, 'dtend') || getTzid(component, 'dtstart'))
+      : null,
+    all_day: startDate.isDate ? 1 : 0,
+    updated_at: updated ? updated.toJSDate().toISOString() : null,
+  };
+}
+
+// Describe a single VEVENT (ignoring any recurrence rule) as an instance
+function componentToInstance(vevent) {
+  const event = new ICAL.Event(vevent);
+  return toInstance(event, event.startDate, event.endDate, event.recurrenceId);
+}
+
+// Find the VEVENT for an instance in a parsed calendar: the series itself
+// when recurrenceId is null, otherwise the override for that occurrence
+function findEventComponent(calendar, recurrenceId) {
+  return calendar.getAllSubcomponents('vevent').find((vevent) => {
+    const value = vevent.getFirstPropertyValue('recurrence-id');
+    if (!recurrenceId || !value) return !recurrenceId && !value;
+    const tzid = getTzid(vevent, 'recurrence-id') || getTzid(vevent, 'dtstart');
+    return toStoredTime(value, tzid) === recurrenceId;
+  });
+}
+
+// Expand an event into the instances that overlap { start, end }. One-off
+// events come back as a single instance without a recurrence_id.
+function expandEvent(event, window) {
+  if (!event.isRecurring()) {
+    return [toInstance(event, event.startDate, event.endDate, event.recurrenceId)];
+  }
+
+  const instances = [];
+  const iterator = event.iterator();
+  let next;
+  let count = 0;
+
+  while ((next = iterator.next()) && count++ < MAX_OCCURRENCES) {
+    const details = event.getOccurrenceDetails(next);
+    const instance = toInstance(details.item, details.startDate, details.endDate, details.recurrenceId);
+    if (new Date(instance.start_time) > window.end) break;
+    if (new Date(instance.end_time || instance.start_time) < window.start) continue;
+    instances.push(instance);
+  }
+
+  return instances;
+}
+
+// The zone a series repeats in (see recurrence.js): its TZID, or the
+// server's zone for floating times, which are read in it like those of
+// single events. Null for all-day and UTC series, and for zones Intl doesn't
+// know, which then repeat at the same UTC time.
+function getSeriesTimeZone(time, tzid) {
+  if (time.isDate || time.zone === ICAL.Timezone.utcTimezone) return null;
+  if (!tzid) return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isKnownTimeZone(tzid) ? tzid : null;
+}
+
+// Describe a recurring event as a local series: its fields, RRULE and
+// EXDATEs, with its changed occurrences as overrides keyed by the occurrence
+// they replace. Times are stored as for single events, in UTC (or as dates),
+// with the zone the series repeats in as `timezone`. Null when the
+// recurrence isn't a single RRULE (e.g. RDATEs).
+function toSeries(event) {
+  const { component } = event;
+  const rules = component.getAllProperties('rrule');
+  if (rules.length !== 1 || component.hasProperty('rdate')) return null;
+
+  const tzid = getTzid(component, 'dtstart');
+  const convert = (time, timeTzid) => toStoredTime(time, timeTzid || tzid);
+
+  const recur = rules[0].getFirstValue().clone();
+  if (recur.until) {
+    recur.until = event.startDate.isDate
+      ? ICAL.Time.fromDateString(convert(recur.until).slice(0, 10))
+      : ICAL.Time.fromJSDate(new Date(convert(recur.until)), true);
+  }
+
+  const exdates = component.getAllProperties('exdate').flatMap((property) => (
+    property.getValues().map((value) => convert(value, property.getParameter('tzid')))
+  ));
+
+  const overrides = Object.values(event.exceptions).map((exception) => ({
+    ...toSyncedEvent(componentToInstance(exception.component), event.uid),
+    recurrence_id: convert(
+      exception.recurrenceId,
+      getTzid(exception.component, 'recurrence-id') || getTzid(exception.component, 'dtstart')
+    ),
+  }));
+
+  return {
+    ...toSyncedEvent(componentToInstance(component), event.uid),
+    timezone: getSeriesTimeZone(event.startDate, tzid),
+    recurrence_rule: recur.toString(),
+    recurrence_exdates: exdates.length > 0 ? [...new Set(exdates)].join(',') : null,
+    overrides,
+  };
+}
+
+// Map an expanded instance to the fields synced into events. Each instance
+// of a recurring event is stored separately, keyed by its recurrence id.
+function toSyncedEvent(instance, externalId) {
+  return {
+    external_id: instance.recurrence_id ? `${externalId}#${instance.recurrence_id}` : externalId,
+    title: instance.title,
+    description: instance.description,
+    start_time: instance.start_time,
+    end_time: instance.end_time || instance.start_time,
+    all_day: instance.all_day,
+    external_updated_at: instance.updated_at,
+  };
+}
+
+// ==================== BUILDING ====================
+
+function createCalendar() {
+  const calendar = new ICAL.Component(['vcalendar', [], []]);
+  calendar.updatePropertyWithValue('prodid', PRODID);
+  calendar.updatePropertyWithValue('version', '2.0');
+  return calendar;
+}
+
+function toIcalTime(value, allDay) {
+  return allDay ? ICAL.Time.fromDateString(value) : ICAL.Time.fromJSDate(new Date(value), true);
+}
+
+// Write a local event's fields onto a VEVENT, keeping any other properties
+// (attendees, alarms, ...) the calendar app stored on it
+function applyEventFields(vevent, event, updatedAt = new Date()) {
+  const { start, end } = getEventRange(event);
+  const stamp = ICAL.Time.fromJSDate(updatedAt, true);
+
+  vevent.updatePropertyWithValue('summary', event.title);
+  if (event.description) {
+    vevent.updatePropertyWithValue('description', event.description);
+  } else {
+    vevent.removeAllProperties('description');
+  }
+  vevent.removeAllProperties('dtstart');
+  vevent.removeAllProperties('dtend');
+  vevent.removeAllProperties('duration');
+  vevent.addPropertyWithValue('dtstart', toIcalTime(start, event.all_day));
+  vevent.addPropertyWithValue('dtend', toIcalTime(end, event.all_day));
+  vevent.updatePropertyWithValue('dtstamp', stamp);
+  vevent.updatePropertyWithValue('last-modified', stamp);
+  const sequence = vevent.getFirstPropertyValue('sequence');
+  vevent.updatePropertyWithValue('sequence', sequence === null ? 0 : sequence + 1);
+  return vevent;
+}
+
+// Add an EXDATE or RECURRENCE-ID for a stored recurrence id to a VEVENT.
+// The value is written in the zone of the series' DTSTART so that calendar
+// apps can match it to the occurrence.
+function addRecurrenceProperty(vevent, name, master, recurrenceId) {
+  if (recurrenceId.length === 10) {
+    return vevent.addPropertyWithValue(name, ICAL.Time.fromDateString(recurrenceId));
+  }
+
+  const date = new Date(recurrenceId);
+  const tzid = getTzid(master, 'dtstart');
+  let time;
+  if (tzid && ICAL.TimezoneService.has(tzid)) {
+    time = ICAL.Time.fromJSDate(date, true).convertToZone(ICAL.TimezoneService.get(tzid));
+  } else if (tzid && isKnownTimeZone(tzid)) {
+    time = utcToZonedTime(date, tzid);
+  } else {
+    return vevent.addPropertyWithValue(name, ICAL.Time.fromJSDate(date, true));
+  }
+
+  const property = vevent.addPropertyWithValue(name, time);
+  property.setParameter('tzid', tzid);
+  return property;
+}
+
+// Write an event's DTSTART and DTEND as wall-clock times in a named zone, so
+// that a series repeating in it follows its DST changes
+function setEventTimeZone(vevent, timeZone) {
+  for (const name of ['dtstart', 'dtend']) {
+    const property = vevent.getFirstProperty(name);
+    if (!property || property.getFirstValue().isDate) continue;
+    property.setValue(utcToZonedTime(property.getFirstValue().toJSDate(), timeZone));
+    property.setParameter('tzid', timeZone);
+  }
+}
+
+function createEventComponent(uid, event, updatedAt) {
+  const vevent = new ICAL.Component('vevent');
+  vevent.updatePropertyWithValue('uid', uid);
+  return applyEventFields(vevent, event, updatedAt);
+}
+
+// Build a VTODO for a task. Due dates without a time are written as dates.
+function createTodoComponent(uid, task, updatedAt) {
+  const vtodo = new ICAL.Component('vtodo');
+  const stamp = ICAL.Time.fromJSDate(updatedAt, true);
+
+  vtodo.updatePropertyWithValue('uid', uid);
+  vtodo.updatePropertyWithValue('dtstamp', stamp);
+  vtodo.updatePropertyWithValue('last-modified', stamp);
+  vtodo.updatePropertyWithValue('summary', task.title);
+  if (task.description) {
+    vtodo.updatePropertyWithValue('description', task.description);
+  }
+  if (task.due_date) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(task.due_date);
+    vtodo.updatePropertyWithValue('due', toIcalTime(task.due_date, dateOnly));
+  }
+  vtodo.updatePropertyWithValue('status', TODO_STATUS[task.status] || 'NEEDS-ACTION');
+  vtodo.updatePropertyWithValue('priority', TODO_PRIORITY[task.priority] || 0);
+  if (task.status === 'completed') {
+    vtodo.updatePropertyWithValue('percent-complete', 100);
+  }
+  return vtodo;
+}
+
+module.exports = {
+  ICAL,
+  MAX_OCCURRENCES,
+  utcToZonedTime,
+  zonedTimeToUtc,
+  parseEvents,
+  expandEvent,
+  toSyncedEvent,
+  toSeries,
+  componentToInstance,
+  findEventComponent,
+  createCalendar,
+  applyEventFields,
+  addRecurrenceProperty,
+  setEventTimeZone,
+  createEventComponent,
+  createTodoComponent,
+};
@@ -0,0 +1,58 @@
+// Outbound email over SMTP. Mail is only sent when SMTP_HOST is set; point it
+// at a local catcher such as Mailpit (SMTP_HOST=localhost, SMTP_PORT=1025) to
+// try it out.
+const nodemailer = require('nodemailer');
+const { APP_URL } = require('./calendarClients');
+
+const DEFAULT_FROM = 'The Deck <noreply@localhost>';
+
+let transport = null;
+
+function isMailEnabled() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (!transport) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+}
+
+// A link into the app, for email bodies
+function appLink(path) {
+  return `${APP_URL}${path}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().sendMail({
+    from: process.env.SMTP_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = {
+  isMailEnabled,
+  appLink,
+  escapeHtml,
+  sendMail,
+};
@@ -0,0 +1,67 @@
+// A user's notifications inbox. Reminders and mentions are added here and
+// stay until the user dismisses them.
+
+const { db } = require('../database');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function formatNotification(notification) {
+  return { ...notification, read: Boolean(notification.read_at) };
+}
+
+function createNotification(userId, { type, entityType, entityId, title, body }) {
+  const result = db.prepare(`
+    INSERT INTO notifications (user_id, type, entity_type, entity_id, title, body)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, type, entityType, entityId, title, body || null);
+  return result.lastInsertRowid;
+}
+
+function getUnreadCount(userId) {
+  return db.prepare('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL')
+    .get(userId).count;
+}
+
+// Newest first, optionally only unread ones
+function listNotifications(userId, { unreadOnly = false, limit } = {}) {
+  const max = limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+  const notifications = db.prepare(`
+    SELECT * FROM notifications
+    WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(userId, max);
+
+  return { notifications: notifications.map(formatNotification), unread_count: getUnreadCount(userId) };
+}
+
+function getNotification(id, userId) {
+  const notification = db.prepare('SELECT * FROM notifications WHERE id = ? AND user_id = ?').get(id, userId);
+  return notification ? formatNotification(notification) : null;
+}
+
+function setRead(notification, read) {
+  db.prepare('UPDATE notifications SET read_at = ? WHERE id = ?')
+    .run(read ? notification.read_at || new Date().toISOString() : null, notification.id);
+  return getNotification(notification.id, notification.user_id);
+}
+
+function markAllRead(userId) {
+  return db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL')
+    .run(new Date().toISOString(), userId).changes;
+}
+
+function dismissNotification(notification) {
+  db.prepare('DELETE FROM notifications WHERE id = ?').run(notification.id);
+}
+
+module.exports = {
+  createNotification,
+  getUnreadCount,
+  listNotifications,
+  getNotification,
+  setRead,
+  markAllRead,
+  dismissNotification,
+};
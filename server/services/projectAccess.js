@@ -0,0 +1,101 @@
+// Shared projects. A project's owner is projects.user_id; other people join
+// through project_members as viewers or editors once they accept an
+// invitation. Tasks and events in a project follow the caller's role there;
+// those without a project stay private to the user who created them. Items
+// in the trash aren't visible to anyone.
+const { db } = require('../database');
+
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+const MEMBER_ROLES = ['viewer', 'editor'];
+
+// Ids of the projects a user owns or has joined
+const ACCESSIBLE_PROJECTS_SQL = `
+  SELECT id FROM projects WHERE user_id = ? AND trash_id IS NULL
+  UNION
+  SELECT pm.project_id FROM project_members pm
+  JOIN projects p ON p.id = pm.project_id
+  WHERE pm.user_id = ? AND pm.accepted_at IS NOT NULL AND p.trash_id IS NULL
+`;
+
+// SQL condition and params for projects the user can see
+function projectVisibility(userId, column = 'id') {
+  return {
+    clause: `${column} IN (${ACCESSIBLE_PROJECTS_SQL})`,
+    params: [userId, userId],
+  };
+}
+
+// SQL condition and params for tasks or events the user can see: their own
+// ones outside projects, and everything in projects they belong to
+function itemVisibility(userId) {
+  return {
+    clause: `(trash_id IS NULL
+      AND ((project_id IS NULL AND user_id = ?) OR project_id IN (${ACCESSIBLE_PROJECTS_SQL})))`,
+    params: [userId, userId, userId],
+  };
+}
+
+// The user's role on a project: 'owner', 'editor', 'viewer', or null
+function getProjectRole(projectId, userId) {
+  if (!projectId) return null;
+
+  const project = db.prepare('SELECT user_id FROM projects WHERE id = ? AND trash_id IS NULL').get(projectId);
+  if (!project) return null;
+  if (project.user_id === userId) return 'owner';
+
+  const member = db.prepare(
+    'SELECT role FROM project_members WHERE project_id = ? AND user_id = ? AND accepted_at IS NOT NULL'
+  ).get(projectId, userId);
+  return member ? member.role : null;
+}
+
+// The user's role on a task or event, from its project if it has one
+function getItemRole(item, userId) {
+  if (item.project_id) return getProjectRole(item.project_id, userId);
+  return item.user_id === userId ? 'owner' : null;
+}
+
+function hasRole(role, minRole) {
+  return Boolean(role) && ROLE_LEVELS[role] >= ROLE_LEVELS[minRole];
+}
+
+// Whether the user may put tasks and events in a project
+function canEditProject(projectId, userId) {
+  return hasRole(getProjectRole(projectId, userId), 'editor');
+}
+
+// Ids of a project's owner and the members who have joined it, whether or
+// not it's in the trash
+function getProjectUserIds(projectId) {
+  return db.prepare(`
+    SELECT user_id FROM projects WHERE id = ?
+    UNION
+    SELECT user_id FROM project_members WHERE project_id = ? AND accepted_at IS NOT NULL
+  `).all(projectId, projectId).map((row) => row.user_id);
+}
+
+// Ids of the users who can see a project, task, event or idea, trash aside:
+// everyone on its project, or just its owner
+function getItemUserIds(entityType, row) {
+  if (entityType === 'project') return getProjectUserIds(row.id);
+  if (entityType !== 'idea' && row.project_id) return getProjectUserIds(row.project_id);
+  return [row.user_id];
+}
+
+// Add the user's role to each project
+function attachRoles(projects, userId) {
+  return projects.map((project) => ({ ...project, role: getProjectRole(project.id, userId) }));
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  projectVisibility,
+  itemVisibility,
+  getProjectRole,
+  getItemRole,
+  hasRole,
+  canEditProject,
+  getProjectUserIds,
+  getItemUserIds,
+  attachRoles,
+};
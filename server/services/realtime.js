@@ -0,0 +1,103 @@
+// Live updates over Server-Sent Events. Each open stream belongs to a user,
+// and a change is pushed to everyone who can see the changed item, whose
+// client then refetches what it shows. Messages are:
+//   change        { entity_type, action, id, project_id, actor_id }
+//   calendar_sync { account_id, provider, status, error }
+// Changes made in a transaction are pushed once it commits, and not at all if
+// it rolls back.
+const { afterCommit } = require('../database');
+const { getProjectUserIds, getItemUserIds } = require('./projectAccess');
+
+// Comments sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// User id -> their open responses
+const streams = new Map();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Turn a response into a stream of the user's updates until the client goes away
+function openStream(userId, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  send(res, 'ready', {});
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const userStreams = streams.get(userId);
+    userStreams.delete(res);
+    if (userStreams.size === 0) streams.delete(userId);
+  });
+}
+
+function publish(userIds, event, data) {
+  for (const userId of new Set(userIds)) {
+    for (const res of streams.get(userId) || []) {
+      send(res, event, data);
+    }
+  }
+}
+
+// Tell everyone who could see a task, project, event or idea before or after
+// a change that it changed. Trashed items count, so people hear about them
+// being deleted.
+function publishChange(entityType, action, before, after, actorId) {
+  if (streams.size === 0) return;
+
+  afterCommit(() => {
+    const row = after || before;
+    const userIds = [before, after].filter(Boolean).flatMap((version) => getItemUserIds(entityType, version));
+    publish(userIds, 'change', {
+      entity_type: entityType,
+      action,
+      id: row.id,
+      project_id: entityType === 'project' ? row.id : row.project_id || null,
+      actor_id: actorId,
+    });
+  });
+}
+
+// Tell a project's members, and anyone else affected such as an invitee or
+// a removed member, that its membership changed
+function publishMembership(projectId, otherUserIds, actorId) {
+  if (streams.size === 0) return;
+
+  afterCommit(() => {
+    publish([...getProjectUserIds(projectId), ...otherUserIds], 'change', {
+      entity_type: 'project',
+      action: 'members',
+      id: projectId,
+      project_id: projectId,
+      actor_id: actorId,
+    });
+  });
+}
+
+function publishCalendarSync(account, error = null) {
+  publish([account.user_id], 'calendar_sync', {
+    account_id: account.id,
+    provider: account.provider,
+    status: error ? 'failed' : 'synced',
+    error: error ? error.message : null,
+  });
+}
+
+module.exports = {
+  openStream,
+  publishChange,
+  publishMembership,
+  publishCalendarSync,
+};
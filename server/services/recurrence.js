@@ -0,0 +1,668 @@
+// Recurring local events. A series is an event with a recurrence_rule (an
+// RFC 5545 RRULE) whose occurrences are expanded when events are listed.
+// Cancelled occurrences are kept in recurrence_exdates, and an occurrence
+// changed on its own is stored as a separate event (an override) pointing
+// at its series through recurrence_parent_id, with recurrence_id holding the
+// start of the occurrence it replaces.
+//
+// Times keep the form they were saved in. The web app sends wall-clock times
+// ("2026-03-02T09:00"), so a 9:00 meeting stays at 9:00 across DST changes,
+// while UTC times from API clients repeat at the same instant. Imported
+// series store UTC times with the zone they repeat in as `timezone`, and
+// are expanded on that zone's wall clock.
+const { db } = require('../database');
+const { ICAL, MAX_OCCURRENCES, utcToZonedTime, zonedTimeToUtc } = require('./icalendar');
+const { EXPAND_FUTURE_DAYS, daysFromNow } = require('./calendarProviders/common');
+const { copyEntityTags } = require('./tags');
+const { itemVisibility } = require('./projectAccess');
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// How much of a series an edit or delete applies to
+const RECURRENCE_SCOPES = ['this', 'following', 'all'];
+
+// Thrown for invalid rules, times or occurrences
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+// ==================== TIMES ====================
+
+// Series are expanded by date arithmetic that only holds for the Gregorian
+// calendar, so their times have to fall in this range
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2199;
+
+const TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Parse a stored time into an ICAL.Time: a date, a floating wall-clock time,
+// or a UTC time when the value has a zone designator
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value || '');
+  if (!match) {
+    throw new RecurrenceError(`Invalid time: ${value}`);
+  }
+
+  const [, year, month, day, hour, minute, second, zone] = match;
+  if (Number(year) < MIN_YEAR || Number(year) > MAX_YEAR) {
+    throw new RecurrenceError(`Times of repeating events must be between ${MIN_YEAR} and ${MAX_YEAR}`);
+  }
+  if (zone) {
+    return ICAL.Time.fromJSDate(new Date(value), true);
+  }
+  return ICAL.Time.fromData({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    isDate: hour === undefined,
+  });
+}
+
+function formatTime(time) {
+  if (time.zone === ICAL.Timezone.utcTimezone && !time.isDate) {
+    return time.toJSDate().toISOString();
+  }
+  return time.toString();
+}
+
+// The instant a time refers to. Wall-clock times are read in the server's zone.
+function toDate(time) {
+  return new Date(formatTime(time));
+}
+
+function toInstant(value) {
+  return toDate(parseTime(value));
+}
+
+// Move a time by the difference between two others
+function shiftTime(value, from, to) {
+  const time = parseTime(value);
+  time.addDuration(parseTime(to).subtractDate(parseTime(from)));
+  return formatTime(time);
+}
+
+function splitExdates(value) {
+  return value ? value.split(',') : [];
+}
+
+function joinExdates(exdates) {
+  return exdates.length > 0 ? [...new Set(exdates)].join(',') : null;
+}
+
+// ==================== RULES ====================
+
+// Validate a rule and return it in canonical form (null for no rule)
+function normalizeRule(rule) {
+  if (rule === null || rule === undefined || rule === '') {
+    return null;
+  }
+
+  let recur;
+  try {
+    recur = ICAL.Recur.fromString(String(rule).trim().replace(/^RRULE:/i, ''));
+  } catch (error) {
+    throw new RecurrenceError(`Invalid recurrence rule: ${error.message}`);
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(recur.freq)) {
+    throw new RecurrenceError(`Recurrence rule FREQ must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+  return recur.toString();
+}
+
+// The series' rule cut short so that it ends just before `occurrence`
+function endRuleBefore(series, occurrence) {
+  const recur = ICAL.Recur.fromString(series.recurrence_rule);
+  if (recur.count) {
+    recur.count = occurrence.index;
+  } else {
+    const until = occurrence.time.clone();
+    if (until.isDate) {
+      until.adjust(-1, 0, 0, 0);
+    } else {
+      until.adjust(0, 0, 0, -1);
+    }
+    recur.until = until;
+  }
+  return recur.toString();
+}
+
+// The series' rule for a new series starting at `occurrence`
+function continueRule(series, occurrence) {
+  const recur = ICAL.Recur.fromString(series.recurrence_rule);
+  if (recur.count) {
+    recur.count -= occurrence.index;
+  }
+  return recur.toString();
+}
+
+// The rule as written to iCalendar feeds, where DTSTART is in UTC or the
+// series' zone (or a date for all-day events) and UNTIL has to be in UTC
+function toFeedRule(series) {
+  const recur = ICAL.Recur.fromString(series.recurrence_rule);
+  if (recur.until) {
+    recur.until = series.all_day
+      ? ICAL.Time.fromDateString(formatTime(recur.until).slice(0, 10))
+      : ICAL.Time.fromJSDate(toDate(recur.until), true);
+  }
+  return recur;
+}
+
+// A recurrence id (EXDATE or RECURRENCE-ID) in the form DTSTART takes in feeds
+function toFeedRecurrenceId(series, recurrenceId) {
+  if (series.all_day) {
+    return recurrenceId.slice(0, 10);
+  }
+  return toDate(parseTime(recurrenceId)).toISOString();
+}
+
+// ==================== EXPANSION ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Iteration never runs longer than this, whatever the window
+const MAX_ITERATIONS = 2 * MAX_OCCURRENCES;
+
+// Parts that a rule takes from its start when they're left out (RFC 5545
+// 3.3.10), made explicit so the rule still means the same from a later start
+function withImplicitParts(recur, start) {
+  const parts = recur.parts;
+  if (recur.freq === 'MONTHLY' && !parts.BYMONTHDAY && !parts.BYDAY) {
+    recur.setComponent('BYMONTHDAY', [start.day]);
+  }
+  if (recur.freq === 'YEARLY' && !parts.BYMONTHDAY && !parts.BYDAY) {
+    if (!parts.BYMONTH) recur.setComponent('BYMONTH', [start.month]);
+    recur.setComponent('BYMONTHDAY', [start.day]);
+  }
+}
+
+// Whether a series repeats on a zone's wall clock: one with a timezone whose
+// start is in UTC
+function getSeriesTimeZone(series, start) {
+  return series.timezone && start.zone === ICAL.Timezone.utcTimezone ? series.timezone : null;
+}
+
+// Where to start iterating a series to find the occurrences from `from`: a
+// start moved forward by whole periods (days, weeks, months or years of the
+// rule's INTERVAL) so that it stays at least one period before `from`.
+// Rules with COUNT, BYWEEKNO or BYYEARDAY are counted from the series'
+// real start. Series with a zone are iterated in its wall-clock time.
+function getIterationStart(series, from) {
+  const recur = ICAL.Recur.fromString(series.recurrence_rule);
+  let start = parseTime(series.start_time);
+  const timeZone = getSeriesTimeZone(series, start);
+  if (timeZone) {
+    start = utcToZonedTime(toDate(start), timeZone);
+    if (recur.until && !recur.until.isDate) {
+      recur.until = utcToZonedTime(toDate(recur.until), timeZone);
+    }
+  }
+  const parts = recur.parts;
+  if (!from || recur.count || parts.BYWEEKNO || parts.BYYEARDAY) {
+    return { recur, start };
+  }
+
+  const interval = recur.interval || 1;
+  const moved = start.clone();
+  let periods;
+  if (recur.freq === 'DAILY' || recur.freq === 'WEEKLY') {
+    const days = recur.freq === 'DAILY' ? interval : 7 * interval;
+    periods = Math.floor((from - toDate(start)) / (days * DAY_MS)) - 1;
+    if (periods > 0) moved.adjust(periods * days, 0, 0, 0);
+  } else {
+    const months = recur.freq === 'MONTHLY' ? interval : 12 * interval;
+    const elapsed = (from.getFullYear() - start.year) * 12 + from.getMonth() + 1 - start.month;
+    periods = Math.floor(elapsed / months) - 1;
+    if (periods > 0) {
+      withImplicitParts(recur, start);
+      const month = (recur.freq === 'YEARLY' ? 0 : start.month - 1) + periods * months;
+      moved.year = start.year + Math.floor(month / 12);
+      moved.month = (month % 12) + 1;
+      moved.day = 1;
+    }
+  }
+
+  return periods > 0 ? { recur, start: moved } : { recur, start };
+}
+
+// Occurrence times of a series, from `from` on when it's given (plus a few
+// before it). Iteration starts near `from` unless the rule has to be counted
+// from the series' start, and stops after MAX_OCCURRENCES from `from` or
+// MAX_ITERATIONS in all.
+function* iterateSeries(series, from = null) {
+  const { recur, start } = getIterationStart(series, from);
+  const timeZone = getSeriesTimeZone(series, parseTime(series.start_time));
+  const iterator = recur.iterator(start);
+  let next;
+  let count = 0;
+  let iterations = 0;
+
+  while ((next = iterator.next()) && iterations++ < MAX_ITERATIONS) {
+    if (timeZone) {
+      next = ICAL.Time.fromJSDate(zonedTimeToUtc(next, timeZone), true);
+    }
+    if (from && toDate(next) < from) {
+      yield next;
+      continue;
+    }
+    if (count++ >= MAX_OCCURRENCES) break;
+    yield next;
+  }
+}
+
+function getDuration(series) {
+  if (!series.end_time) return null;
+  return parseTime(series.end_time).subtractDate(parseTime(series.start_time));
+}
+
+function toOccurrence(series, time, duration) {
+  let endTime = null;
+  if (duration) {
+    const end = time.clone();
+    end.addDuration(duration);
+    endTime = formatTime(end);
+  }
+  return { ...series, start_time: formatTime(time), end_time: endTime, recurrence_id: formatTime(time) };
+}
+
+// Occurrences of a series starting inside { start, end } (either may be
+// null), leaving out cancelled and overridden ones
+function expandSeries(series, window, overridden = new Set()) {
+  const exdates = new Set(splitExdates(series.recurrence_exdates));
+  const duration = getDuration(series);
+  const occurrences = [];
+
+  for (const time of iterateSeries(series, window.start)) {
+    const start = toDate(time);
+    if (window.end && start > window.end) break;
+    if (window.start && start < window.start) continue;
+
+    const recurrenceId = formatTime(time);
+    if (exdates.has(recurrenceId) || overridden.has(recurrenceId)) continue;
+    occurrences.push(toOccurrence(series, time, duration));
+  }
+
+  return occurrences;
+}
+
+// Expand the series a user can see for GET /api/events, shared projects
+// included. Without an end, occurrences are listed a year ahead.
+function expandUserSeries(userId, { projectId, startAfter, startBefore }) {
+  const window = {
+    start: startAfter ? new Date(startAfter) : null,
+    end: startBefore ? new Date(startBefore) : daysFromNow(EXPAND_FUTURE_DAYS),
+  };
+
+  const visibility = itemVisibility(userId);
+  let query = `SELECT * FROM events WHERE ${visibility.clause} AND recurrence_rule IS NOT NULL`;
+  const params = [...visibility.params];
+  if (projectId) {
+    query += ' AND project_id = ?';
+    params.push(projectId);
+  }
+
+  const seriesList = db.prepare(query).all(...params);
+  if (seriesList.length === 0) return [];
+
+  const overridden = new Map();
+  const overrides = db.prepare(`
+    SELECT recurrence_parent_id, recurrence_id FROM events
+    WHERE recurrence_parent_id IN (${seriesList.map(() => '?').join(', ')}) AND trash_id IS NULL
+  `).all(...seriesList.map((series) => series.id));
+  for (const override of overrides) {
+    if (!overridden.has(override.recurrence_parent_id)) {
+      overridden.set(override.recurrence_parent_id, new Set());
+    }
+    overridden.get(override.recurrence_parent_id).add(override.recurrence_id);
+  }
+
+  return seriesList.flatMap((series) => (
+    expandSeries(series, window, overridden.get(series.id))
+  ));
+}
+
+// Start times of a series' occurrences inside { start, end }, moved ones
+// included, for reminders
+function listOccurrenceStarts(series, window) {
+  const overrides = db.prepare('SELECT * FROM events WHERE recurrence_parent_id = ? AND trash_id IS NULL')
+    .all(series.id);
+  const overridden = new Set(overrides.map((override) => override.recurrence_id));
+
+  const starts = expandSeries(series, window, overridden).map((occurrence) => occurrence.start_time);
+  for (const override of overrides) {
+    const start = toInstant(override.start_time);
+    if (start >= window.start && start <= window.end) starts.push(override.start_time);
+  }
+  return starts;
+}
+
+// Find the occurrence of a series starting at `value`. Its index counts the
+// occurrences before it, as COUNT does. Without COUNT iteration may start
+// part way through the series, so the index is only known to be 0 for the
+// first occurrence and more than 0 for the others.
+function findOccurrence(series, value) {
+  const target = parseTime(value);
+  const recurrenceId = formatTime(target);
+  if (splitExdates(series.recurrence_exdates).includes(recurrenceId)) {
+    return null;
+  }
+
+  let index = 0;
+  for (const time of iterateSeries(series, toDate(target))) {
+    if (formatTime(time) === recurrenceId) {
+      return { recurrence_id: recurrenceId, index, time: time.clone() };
+    }
+    if (toDate(time) > toDate(target)) break;
+    index++;
+  }
+  return null;
+}
+
+// ==================== CHANGES ====================
+
+// Apply the fields of an event update onto an event
+function applyEventChanges(event, changes) {
+  return {
+    ...event,
+    title: changes.title || event.title,
+    description: changes.description !== undefined ? changes.description : event.description,
+    project_id: changes.project_id !== undefined ? changes.project_id : event.project_id,
+    start_time: changes.start_time || event.start_time,
+    end_time: changes.end_time !== undefined ? changes.end_time : event.end_time,
+    all_day: changes.all_day !== undefined ? (changes.all_day ? 1 : 0) : event.all_day,
+  };
+}
+
+function insertEvent(event) {
+  const result = db.prepare(`
+    INSERT INTO events (user_id, project_id, title, description, start_time, end_time, all_day, source, timezone, recurrence_rule, recurrence_exdates, recurrence_parent_id, recurrence_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'local', ?, ?, ?, ?, ?)
+  `).run(
+    event.user_id,
+    event.project_id,
+    event.title,
+    event.description,
+    event.start_time,
+    event.end_time,
+    event.all_day,
+    event.timezone || null,
+    event.recurrence_rule,
+    event.recurrence_exdates,
+    event.recurrence_parent_id,
+    event.recurrence_id
+  );
+  return result.lastInsertRowid;
+}
+
+function updateOverride(id, override) {
+  db.prepare(`
+    UPDATE events
+    SET title = ?, description = ?, project_id = ?, start_time = ?, end_time = ?, all_day = ?, recurrence_id = ?
+    WHERE id = ?
+  `).run(
+    override.title,
+    override.description,
+    override.project_id,
+    override.start_time,
+    override.end_time,
+    override.all_day,
+    override.recurrence_id,
+    id
+  );
+}
+
+function getOverrides(series) {
+  return db.prepare('SELECT * FROM events WHERE recurrence_parent_id = ?').all(series.id);
+}
+
+// The occurrence as it currently looks: its override, or the series' values
+function getOccurrenceEvent(series, occurrence) {
+  const override = db.prepare(
+    'SELECT * FROM events WHERE recurrence_parent_id = ? AND recurrence_id = ?'
+  ).get(series.id, occurrence.recurrence_id);
+  return override || toOccurrence(series, occurrence.time, getDuration(series));
+}
+
+// Whether a recurrence id is at or after an occurrence
+function isFrom(occurrence) {
+  const start = toDate(occurrence.time);
+  return (recurrenceId) => toDate(parseTime(recurrenceId)) >= start;
+}
+
+function updateOccurrence(series, occurrence, changes) {
+  const current = getOccurrenceEvent(series, occurrence);
+  const updated = applyEventChanges(current, changes);
+
+  if (current.recurrence_parent_id) {
+    updateOverride(current.id, updated);
+    return current.id;
+  }
+
+  return insertEvent({
+    ...updated,
+    timezone: null,
+    recurrence_rule: null,
+    recurrence_exdates: null,
+    recurrence_parent_id: series.id,
+    recurrence_id: occurrence.recurrence_id,
+  });
+}
+
+// Edit the whole series. Moving one occurrence moves them all by the same
+// amount; changing the rule starts the series over without its exceptions.
+function updateSeries(series, occurrence, changes) {
+  const current = occurrence ? getOccurrenceEvent(series, occurrence) : series;
+  const updated = applyEventChanges(current, changes);
+  const shift = (value) => shiftTime(value, current.start_time, updated.start_time);
+  const startTime = shift(series.start_time);
+  const rule = changes.recurrence_rule !== undefined ? normalizeRule(changes.recurrence_rule) : series.recurrence_rule;
+  const keepExceptions = rule === series.recurrence_rule;
+
+  db.transaction(() => {
+    // Overrides stay in the series' project
+    const moveOverride = db.prepare('UPDATE events SET recurrence_id = ?, project_id = ? WHERE id = ?');
+    const deleteOverride = db.prepare('DELETE FROM events WHERE id = ?');
+    for (const override of getOverrides(series)) {
+      if (!keepExceptions) {
+        deleteOverride.run(override.id);
+      } else if (override.id === current.id) {
+        // An edited override keeps the changes exactly as they were made to it
+        updateOverride(current.id, { ...updated, recurrence_id: shift(override.recurrence_id) });
+      } else {
+        moveOverride.run(shift(override.recurrence_id), updated.project_id, override.id);
+      }
+    }
+
+    db.prepare(`
+      UPDATE events
+      SET title = ?, description = ?, project_id = ?, start_time = ?, end_time = ?, all_day = ?,
+          recurrence_rule = ?, recurrence_exdates = ?
+      WHERE id = ?
+    `).run(
+      updated.title,
+      updated.description,
+      updated.project_id,
+      startTime,
+      updated.end_time ? shiftTime(updated.end_time, updated.start_time, startTime) : null,
+      updated.all_day,
+      rule,
+      keepExceptions ? joinExdates(splitExdates(series.recurrence_exdates).map(shift)) : null,
+      series.id
+    );
+  })();
+
+  return series.id;
+}
+
+// Split the series: the original ends before the occurrence and a new
+// series with the changes starts at it, taking over the later exceptions.
+function updateFollowing(series, occurrence, changes) {
+  if (occurrence.index === 0) {
+    return updateSeries(series, occurrence, changes);
+  }
+
+  const current = getOccurrenceEvent(series, occurrence);
+  const updated = applyEventChanges(current, changes);
+  const shift = (value) => shiftTime(value, current.start_time, updated.start_time);
+  const isLater = isFrom(occurrence);
+  const continued = continueRule(series, occurrence);
+  const rule = changes.recurrence_rule !== undefined ? normalizeRule(changes.recurrence_rule) : continued;
+  const keepExceptions = rule === continued;
+  const exdates = splitExdates(series.recurrence_exdates);
+
+  return db.transaction(() => {
+    db.prepare('UPDATE events SET recurrence_rule = ?, recurrence_exdates = ? WHERE id = ?').run(
+      endRuleBefore(series, occurrence),
+      joinExdates(exdates.filter((exdate) => !isLater(exdate))),
+      series.id
+    );
+
+    const id = insertEvent({
+      ...updated,
+      timezone: series.timezone,
+      recurrence_rule: rule,
+      recurrence_exdates: keepExceptions ? joinExdates(exdates.filter(isLater).map(shift)) : null,
+      recurrence_parent_id: null,
+      recurrence_id: null,
+    });
+    copyEntityTags('event', series.id, id);
+
+    const moveOverride = db.prepare(
+      'UPDATE events SET recurrence_parent_id = ?, recurrence_id = ?, project_id = ? WHERE id = ?'
+    );
+    const deleteOverride = db.prepare('DELETE FROM events WHERE id = ?');
+    for (const override of getOverrides(series)) {
+      if (!isLater(override.recurrence_id)) continue;
+      // The edited occurrence now starts the new series
+      if (keepExceptions && override.recurrence_id !== occurrence.recurrence_id) {
+        moveOverride.run(id, shift(override.recurrence_id), updated.project_id, override.id);
+      } else {
+        deleteOverride.run(override.id);
+      }
+    }
+
+    return id;
+  })();
+}
+
+function deleteOccurrence(series, occurrence) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM events WHERE recurrence_parent_id = ? AND recurrence_id = ?').run(
+      series.id,
+      occurrence.recurrence_id
+    );
+    db.prepare('UPDATE events SET recurrence_exdates = ? WHERE id = ?').run(
+      joinExdates([...splitExdates(series.recurrence_exdates), occurrence.recurrence_id]),
+      series.id
+    );
+  })();
+}
+
+function deleteFollowing(series, occurrence) {
+  if (occurrence.index === 0) {
+    return deleteSeries(series);
+  }
+
+  const isLater = isFrom(occurrence);
+  db.transaction(() => {
+    const deleteOverride = db.prepare('DELETE FROM events WHERE id = ?');
+    for (const override of getOverrides(series)) {
+      if (isLater(override.recurrence_id)) {
+        deleteOverride.run(override.id);
+      }
+    }
+    db.prepare('UPDATE events SET recurrence_rule = ?, recurrence_exdates = ? WHERE id = ?').run(
+      endRuleBefore(series, occurrence),
+      joinExdates(splitExdates(series.recurrence_exdates).filter((exdate) => !isLater(exdate))),
+      series.id
+    );
+  })();
+}
+
+// Overrides go with the series through ON DELETE CASCADE
+function deleteSeries(series) {
+  db.prepare('DELETE FROM events WHERE id = ?').run(series.id);
+}
+
+// ==================== REQUESTS ====================
+
+// The series an event belongs to: itself, or the series it overrides an
+// occurrence of. Null for one-off events.
+function getSeries(event) {
+  if (event.recurrence_rule) return event;
+  if (event.recurrence_parent_id) {
+    return db.prepare('SELECT * FROM events WHERE id = ?').get(event.recurrence_parent_id);
+  }
+  return null;
+}
+
+// Work out what an edit or delete of a recurring event applies to. Overrides
+// default to just themselves and series to everything; recurrence_id picks
+// the occurrence (the start_time it was listed with).
+function resolveTarget(event, { scope, recurrence_id: recurrenceId }) {
+  const series = getSeries(event);
+  const resolvedScope = scope || (event.recurrence_parent_id ? 'this' : 'all');
+  if (!RECURRENCE_SCOPES.includes(resolvedScope)) {
+    throw new RecurrenceError(`Scope must be one of: ${RECURRENCE_SCOPES.join(', ')}`);
+  }
+
+  const targetId = recurrenceId || event.recurrence_id;
+  if (!targetId) {
+    if (resolvedScope === 'all') {
+      return { series, scope: resolvedScope, occurrence: null };
+    }
+    throw new RecurrenceError('recurrence_id is required to change part of a series');
+  }
+
+  const occurrence = findOccurrence(series, targetId);
+  if (!occurrence) {
+    throw new RecurrenceError('The series has no occurrence at recurrence_id');
+  }
+  return { series, scope: resolvedScope, occurrence };
+}
+
+// Update a recurring event. Returns the id of the event that holds the
+// changes: the override, the series, or the new series for 'following'.
+function updateRecurringEvent(event, changes, options) {
+  const { series, scope, occurrence } = resolveTarget(event, options);
+  if (scope === 'this') return updateOccurrence(series, occurrence, changes);
+  if (scope === 'following') return updateFollowing(series, occurrence, changes);
+  return updateSeries(series, occurrence, changes);
+}
+
+// Whether deleting with these options removes the whole series
+function deletesWholeSeries(event, options) {
+  const { scope, occurrence } = resolveTarget(event, options);
+  return scope === 'all' || (scope === 'following' && occurrence.index === 0);
+}
+
+function deleteRecurringEvent(event, options) {
+  const { series, scope, occurrence } = resolveTarget(event, options);
+  if (scope === 'this') return deleteOccurrence(series, occurrence);
+  if (scope === 'following') return deleteFollowing(series, occurrence);
+  return deleteSeries(series);
+}
+
+module.exports = {
+  RECURRENCE_SCOPES,
+  RecurrenceError,
+  parseTime,
+  formatTime,
+  normalizeRule,
+  splitExdates,
+  toFeedRule,
+  toFeedRecurrenceId,
+  toInstant,
+  expandUserSeries,
+  listOccurrenceStarts,
+  applyEventChanges,
+  getSeries,
+  updateRecurringEvent,
+  deletesWholeSeries,
+  deleteRecurringEvent,
+};
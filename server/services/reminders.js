@@ -0,0 +1,243 @@
+// Reminders before a task's due date or an event's start. They are personal,
+// so anyone who can see the item can set them. A scheduler checks them every
+// minute and adds a notification to the user's inbox when one is due, and
+// emails it when SMTP is set up.
+
+const { db } = require('../database');
+const { getItemRole } = require('./projectAccess');
+const { toInstant, listOccurrenceStarts } = require('./recurrence');
+const { createNotification } = require('./notifications');
+const { isMailEnabled, appLink, escapeHtml, sendMail } = require('./mailer');
+
+const REMINDER_TABLES = { task: 'tasks', event: 'events' };
+
+// Up to four weeks ahead
+const MAX_MINUTES_BEFORE = 4 * 7 * 24 * 60;
+
+// Date-only due dates and all-day events are reminded of as if they started
+// at this hour (server time)
+const ALL_DAY_HOUR = 9;
+
+// How often we look for reminders that are due
+const TICK_MS = 60 * 1000;
+
+let running = false;
+
+class ReminderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReminderError';
+  }
+}
+
+// The task or event a reminder is for, if the user can see it
+function findEntity(entityType, entityId, userId) {
+  const table = REMINDER_TABLES[entityType];
+  if (!table) return null;
+
+  const entity = db.prepare(`SELECT * FROM ${table} WHERE id = ? AND trash_id IS NULL`).get(entityId);
+  return entity && getItemRole(entity, userId) ? entity : null;
+}
+
+function normalizeMinutes(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MINUTES_BEFORE) {
+    throw new ReminderError('minutes_before must be a whole number of minutes, up to four weeks');
+  }
+  return minutes;
+}
+
+function listReminders(userId, entityType, entityId) {
+  return db.prepare(`
+    SELECT * FROM reminders
+    WHERE user_id = ? AND entity_type = ? AND entity_id = ?
+    ORDER BY minutes_before ASC
+  `).all(userId, entityType, entityId);
+}
+
+function getReminder(id, userId) {
+  return db.prepare('SELECT * FROM reminders WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
+function addReminder(userId, entityType, entity, minutesBefore) {
+  const minutes = normalizeMinutes(minutesBefore);
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO reminders (user_id, entity_type, entity_id, minutes_before)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, entityType, entity.id, minutes);
+
+  if (result.changes === 0) {
+    throw new ReminderError('You already have this reminder');
+  }
+  return getReminder(result.lastInsertRowid, userId);
+}
+
+function deleteReminder(reminder) {
+  db.prepare('DELETE FROM reminders WHERE id = ?').run(reminder.id);
+}
+
+// Give the next instance of a recurring task the same reminders
+function copyReminders(fromTaskId, toTaskId) {
+  db.prepare(`
+    INSERT OR IGNORE INTO reminders (user_id, entity_type, entity_id, minutes_before)
+    SELECT user_id, entity_type, ?, minutes_before FROM reminders
+    WHERE entity_type = 'task' AND entity_id = ?
+  `).run(toTaskId, fromTaskId);
+}
+
+// ==================== SCHEDULING ====================
+
+function toStart(value, allDay) {
+  if (allDay || !value.includes('T')) {
+    return toInstant(`${value.slice(0, 10)}T${String(ALL_DAY_HOUR).padStart(2, '0')}:00:00`);
+  }
+  return toInstant(value);
+}
+
+// When the item starts, or each occurrence starting by `until` for a
+// recurring event. Completed tasks have nothing left to remind of.
+function getStarts(entityType, entity, now, until) {
+  if (entityType === 'task') {
+    return entity.due_date && entity.status !== 'completed' ? [toStart(entity.due_date)] : [];
+  }
+  if (!entity.recurrence_rule) {
+    return [toStart(entity.start_time, entity.all_day)];
+  }
+
+  // A day's slack so today's all-day occurrence is still found after midnight
+  const window = { start: new Date(now.getTime() - 24 * 60 * 60 * 1000), end: until };
+  return listOccurrenceStarts(entity, window)
+    .map((startTime) => toStart(startTime, entity.all_day))
+    .sort((a, b) => a - b);
+}
+
+function plural(count, unit) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// How far away a start is, e.g. "in 15 minutes" or "in 1 day"
+function describeLead(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `in ${plural(minutes, 'minute')}`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `in ${plural(hours, 'hour')}`;
+  return `in ${plural(Math.round(hours / 24), 'day')}`;
+}
+
+// Notify the user if one of the reminder's starts is within its lead time
+// and hasn't been reminded of yet, returning the notification. For a series,
+// occurrences up to the latest one due are covered by a single notification
+// about the next one.
+function checkReminder(reminder, now) {
+  const entity = findEntity(reminder.entity_type, reminder.entity_id, reminder.user_id);
+  if (!entity) return null;
+
+  const until = new Date(now.getTime() + reminder.minutes_before * 60 * 1000);
+  const recurring = Boolean(entity.recurrence_rule);
+  // A one-off item moved to a new time is reminded of again
+  const isNew = (start) => {
+    if (!reminder.notified_for) return true;
+    const time = start.toISOString();
+    return recurring ? time > reminder.notified_for : time !== reminder.notified_for;
+  };
+  const due = getStarts(reminder.entity_type, entity, now, until)
+    .filter((start) => start > now && start <= until && isNew(start));
+  if (due.length === 0) return null;
+
+  const lead = describeLead(due[0] - now);
+  const notification = {
+    type: 'reminder',
+    entityType: reminder.entity_type,
+    entityId: entity.id,
+    title: entity.title,
+    body: `${reminder.entity_type === 'task' ? 'Due' : 'Starts'} ${lead}`,
+  };
+  createNotification(reminder.user_id, notification);
+  db.prepare('UPDATE reminders SET notified_for = ? WHERE id = ?')
+    .run(due[due.length - 1].toISOString(), reminder.id);
+  return notification;
+}
+
+// Email a reminder too, unless the user turned that off
+async function emailReminder(userId, notification) {
+  if (!isMailEnabled()) return;
+
+  const user = db.prepare('SELECT email, email_reminders FROM users WHERE id = ?').get(userId);
+  if (!user.email_reminders) return;
+
+  const link = appLink(notification.entityType === 'task' ? '/tasks' : '/calendar');
+  await sendMail({
+    to: user.email,
+    subject: `${notification.title}: ${notification.body.toLowerCase()}`,
+    text: `${notification.title}\n${notification.body}\n\n${link}`,
+    html: `<p><strong>${escapeHtml(notification.title)}</strong><br>${escapeHtml(notification.body)}</p>`
+      + `<p><a href="${escapeHtml(link)}">Open The Deck</a></p>`,
+  });
+}
+
+// Reminders that may be due: those for tasks and events starting between
+// yesterday and a day past their lead time, which leaves room for all-day
+// items and times in the server's zone, and those for recurring events,
+// whose occurrences have to be expanded to tell. checkReminder has the
+// final say.
+function listPossiblyDue(now) {
+  return db.prepare(`
+    SELECT r.* FROM reminders r
+    LEFT JOIN tasks t ON r.entity_type = 'task' AND t.id = r.entity_id
+    LEFT JOIN events e ON r.entity_type = 'event' AND e.id = r.entity_id
+    WHERE (
+      t.id IS NOT NULL AND t.trash_id IS NULL AND t.status != 'completed'
+      AND substr(t.due_date, 1, 10) BETWEEN date(@now, '-1 day')
+        AND date(@now, '+' || r.minutes_before || ' minutes', '+1 day')
+    ) OR (
+      e.id IS NOT NULL AND e.trash_id IS NULL AND (
+        e.recurrence_rule IS NOT NULL
+        OR substr(e.start_time, 1, 10) BETWEEN date(@now, '-1 day')
+          AND date(@now, '+' || r.minutes_before || ' minutes', '+1 day')
+      )
+    )
+  `).all({ now: now.toISOString() });
+}
+
+async function sendDueReminders() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const reminders = listPossiblyDue(now);
+
+    for (const reminder of reminders) {
+      try {
+        const notification = checkReminder(reminder, now);
+        if (notification) await emailReminder(reminder.user_id, notification);
+      } catch (error) {
+        console.error(`Reminder ${reminder.id} failed:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+// Check reminders now and then every minute. Reminders that came due while
+// the server was down are sent at startup if their item hasn't started yet;
+// those for items that already started are skipped.
+function startReminderScheduler() {
+  sendDueReminders();
+  setInterval(sendDueReminders, TICK_MS);
+  console.log('Reminders are checked every minute');
+}
+
+module.exports = {
+  ReminderError,
+  findEntity,
+  listReminders,
+  getReminder,
+  addReminder,
+  deleteReminder,
+  copyReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,26 @@
+// Subtasks: tasks with a parent_task_id, one level deep. Task lists show
+// top-level tasks with their subtasks nested and a progress roll-up.
+const { db } = require('../database');
+
+// Add subtasks, subtask_count and subtasks_completed to each task
+function attachSubtasks(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const subtasks = db.prepare(`
+    SELECT * FROM tasks
+    WHERE parent_task_id IN (${tasks.map(() => '?').join(', ')}) AND trash_id IS NULL
+    ORDER BY created_at ASC, id ASC
+  `).all(...tasks.map((task) => task.id));
+
+  return tasks.map((task) => {
+    const children = subtasks.filter((subtask) => subtask.parent_task_id === task.id);
+    return {
+      ...task,
+      subtasks: children,
+      subtask_count: children.length,
+      subtasks_completed: children.filter((subtask) => subtask.status === 'completed').length,
+    };
+  });
+}
+
+module.exports = { attachSubtasks };
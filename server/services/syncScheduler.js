@@ -0,0 +1,49 @@
+const { db } = require('../database');
+const { syncAccount, getSyncIntervalMs } = require('./calendarSync');
+
+// How often we look for accounts that are due for a sync
+const TICK_MS = 60 * 1000;
+
+let running = false;
+
+// Sync every enabled account whose next sync time has come. Accounts run one
+// after another; failures are recorded per account by syncAccount.
+async function syncDueAccounts() {
+  if (running) return;
+  running = true;
+
+  try {
+    const accounts = db.prepare(`
+      SELECT * FROM calendar_accounts
+      WHERE enabled = 1 AND (next_sync_at IS NULL OR next_sync_at <= ?)
+      ORDER BY next_sync_at ASC
+    `).all(new Date().toISOString());
+
+    for (const account of accounts) {
+      try {
+        await syncAccount(account);
+      } catch (error) {
+        console.error(`Scheduled sync failed for calendar account ${account.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduled calendar sync error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+// Start background syncing of all enabled calendar accounts.
+// Set CALENDAR_SYNC_INTERVAL to 0 to turn it off.
+function startSyncScheduler() {
+  const interval = getSyncIntervalMs();
+  if (!interval) {
+    console.log('Background calendar sync is disabled');
+    return;
+  }
+
+  setInterval(syncDueAccounts, Math.min(TICK_MS, interval));
+  console.log(`Background calendar sync every ${interval / 60000} minutes`);
+}
+
+module.exports = { startSyncScheduler };
@@ -0,0 +1,140 @@
+// Tags: user-defined colored labels that attach to tasks, projects, events
+// and ideas. Entities take a tag_ids list on create/update, and list routes
+// filter with ?tag=, which matches a tag id or name. Tags are personal: on a
+// shared project's items each member sees and sets only their own tags.
+const { db } = require('../database');
+
+const DEFAULT_TAG_COLOR = '#6b7280';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+class TagError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagError';
+  }
+}
+
+// Ids of the user's entities of entityType carrying the tag (id or name)
+const TAGGED_IDS_SQL = `
+  SELECT et.entity_id FROM entity_tags et
+  JOIN tags t ON t.id = et.tag_id
+  WHERE et.entity_type = ? AND t.user_id = ? AND (t.id = ? OR t.name = ?)
+`;
+
+// Validate a tag color, falling back to the default
+function normalizeColor(color) {
+  if (color === undefined || color === null || color === '') return DEFAULT_TAG_COLOR;
+  if (!COLOR_PATTERN.test(color)) {
+    throw new TagError('Color must be a hex value such as #3b82f6');
+  }
+  return color.toLowerCase();
+}
+
+// Normalize a tag name, rejecting empty ones
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new TagError('Tag name is required');
+  }
+  return trimmed;
+}
+
+// Parse tag_ids from a JSON body (array) or a multipart form ("1,2" or "[1,2]")
+function parseTagIds(value) {
+  let ids = value;
+  if (typeof ids === 'string') {
+    ids = ids.replace(/[[\]]/g, '').split(',').filter((id) => id.trim() !== '');
+  }
+  if (!Array.isArray(ids)) {
+    throw new TagError('tag_ids must be a list of tag ids');
+  }
+  const numbers = ids.map(Number);
+  if (numbers.some((id) => !Number.isInteger(id))) {
+    throw new TagError('tag_ids must be a list of tag ids');
+  }
+  return [...new Set(numbers)];
+}
+
+// Validate tag_ids from a request against the user's tags. Returns the ids,
+// or undefined when the request leaves tags unchanged.
+function resolveTagIds(value, userId) {
+  if (value === undefined) return undefined;
+
+  const ids = parseTagIds(value);
+  for (const id of ids) {
+    if (!db.prepare('SELECT id FROM tags WHERE id = ? AND user_id = ?').get(id, userId)) {
+      throw new TagError('Invalid tag');
+    }
+  }
+  return ids;
+}
+
+// Replace the user's tags on an entity with ids from resolveTagIds
+const setEntityTags = db.transaction((userId, entityType, entityId, ids) => {
+  if (ids === undefined) return;
+
+  db.prepare(`
+    DELETE FROM entity_tags
+    WHERE entity_type = ? AND entity_id = ? AND tag_id IN (SELECT id FROM tags WHERE user_id = ?)
+  `).run(entityType, entityId, userId);
+  const insert = db.prepare('INSERT INTO entity_tags (tag_id, entity_type, entity_id) VALUES (?, ?, ?)');
+  for (const id of ids) {
+    insert.run(id, entityType, entityId);
+  }
+});
+
+// Give one entity the same tags as another, e.g. the next instance of a recurring task
+function copyEntityTags(entityType, fromId, toId) {
+  db.prepare(`
+    INSERT OR IGNORE INTO entity_tags (tag_id, entity_type, entity_id)
+    SELECT tag_id, entity_type, ? FROM entity_tags WHERE entity_type = ? AND entity_id = ?
+  `).run(toId, entityType, fromId);
+}
+
+// SQL condition and params limiting a list query to entities with the tag.
+// column is the entity id column, e.g. 'id' or 'tasks.id'.
+function tagFilter(entityType, tag, userId, column = 'id') {
+  return {
+    clause: ` AND ${column} IN (${TAGGED_IDS_SQL})`,
+    params: [entityType, userId, tag, tag],
+  };
+}
+
+// Ids of the entities carrying the tag, for lists built outside SQL
+function getTaggedIds(entityType, tag, userId) {
+  return new Set(db.prepare(TAGGED_IDS_SQL).all(entityType, userId, tag, tag).map((row) => row.entity_id));
+}
+
+// Add the user's tags ({ id, name, color }) to each entity. getId picks the id
+// the tags are stored under, e.g. the series of a recurring event's occurrence.
+function attachTags(entityType, entities, userId, getId = (entity) => entity.id) {
+  if (entities.length === 0) return entities;
+
+  const ids = [...new Set(entities.map(getId))];
+  const rows = db.prepare(`
+    SELECT et.entity_id, t.id, t.name, t.color
+    FROM entity_tags et
+    JOIN tags t ON t.id = et.tag_id
+    WHERE et.entity_type = ? AND t.user_id = ? AND et.entity_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY t.name
+  `).all(entityType, userId, ...ids);
+
+  return entities.map((entity) => ({
+    ...entity,
+    tags: rows
+      .filter((row) => row.entity_id === getId(entity))
+      .map(({ id, name, color }) => ({ id, name, color })),
+  }));
+}
+
+module.exports = {
+  TagError,
+  normalizeColor,
+  normalizeName,
+  resolveTagIds,
+  setEntityTags,
+  copyEntityTags,
+  tagFilter,
+  getTaggedIds,
+  attachTags,
+};
@@ -0,0 +1,121 @@
+// Task dependencies, finish-to-start: a task is blocked until every task it
+// depends on is completed. Dependencies can cross projects but never form
+// a cycle.
+const { db } = require('../database');
+const { itemVisibility } = require('./projectAccess');
+
+class DependencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DependencyError';
+  }
+}
+
+// Normalize a depends_on list from a request body into unique task ids
+function parseDependsOn(value) {
+  if (!Array.isArray(value)) {
+    throw new DependencyError('depends_on must be a list of task ids');
+  }
+  const ids = value.map(Number);
+  if (ids.some((id) => !Number.isInteger(id))) {
+    throw new DependencyError('depends_on must be a list of task ids');
+  }
+  return [...new Set(ids)];
+}
+
+// True when dependsOnId already waits on taskId, directly or through other tasks
+function createsCycle(taskId, dependsOnId) {
+  const row = db.prepare(`
+    WITH RECURSIVE upstream(id) AS (
+      SELECT depends_on_id FROM task_dependencies WHERE task_id = ?
+      UNION
+      SELECT d.depends_on_id FROM task_dependencies d JOIN upstream u ON d.task_id = u.id
+    )
+    SELECT 1 FROM upstream WHERE id = ?
+  `).get(dependsOnId, taskId);
+  return Boolean(row);
+}
+
+// Check a new task's dependencies before it is created; the user has to be
+// able to see each task depended on
+function validateDependencies(ids, userId) {
+  const visibility = itemVisibility(userId);
+  for (const id of ids) {
+    const task = db.prepare(`SELECT id FROM tasks WHERE id = ? AND ${visibility.clause}`).get(id, ...visibility.params);
+    if (!task) {
+      throw new DependencyError('Invalid dependency task');
+    }
+  }
+}
+
+// Replace the tasks taskId depends on. Throws DependencyError, leaving the
+// existing dependencies in place, if any of them is invalid.
+const setDependencies = db.transaction((taskId, ids, userId) => {
+  validateDependencies(ids, userId);
+  db.prepare('DELETE FROM task_dependencies WHERE task_id = ?').run(taskId);
+
+  const insert = db.prepare('INSERT INTO task_dependencies (task_id, depends_on_id) VALUES (?, ?)');
+  for (const id of ids) {
+    if (id === Number(taskId)) {
+      throw new DependencyError("A task can't depend on itself");
+    }
+    if (createsCycle(Number(taskId), id)) {
+      throw new DependencyError('These dependencies would create a cycle');
+    }
+    insert.run(taskId, id);
+  }
+});
+
+// Tasks among ids that aren't completed yet
+function getOpenTasks(ids) {
+  if (ids.length === 0) return [];
+  return db.prepare(`
+    SELECT id, title, status FROM tasks
+    WHERE id IN (${ids.map(() => '?').join(', ')}) AND status != 'completed' AND trash_id IS NULL
+    ORDER BY id
+  `).all(...ids);
+}
+
+// Ids of the tasks taskId depends on
+function getDependencyIds(taskId) {
+  return db.prepare('SELECT depends_on_id FROM task_dependencies WHERE task_id = ? ORDER BY depends_on_id')
+    .all(taskId)
+    .map((row) => row.depends_on_id);
+}
+
+// Add depends_on, blocked_by (the open ones) and blocked to each task.
+// Completed tasks are never blocked.
+function attachDependencies(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const rows = db.prepare(`
+    SELECT d.task_id, d.depends_on_id, t.status
+    FROM task_dependencies d
+    JOIN tasks t ON t.id = d.depends_on_id
+    WHERE d.task_id IN (${tasks.map(() => '?').join(', ')}) AND t.trash_id IS NULL
+    ORDER BY d.depends_on_id
+  `).all(...tasks.map((task) => task.id));
+
+  return tasks.map((task) => {
+    const dependencies = rows.filter((row) => row.task_id === task.id);
+    const blockedBy = dependencies
+      .filter((row) => row.status !== 'completed')
+      .map((row) => row.depends_on_id);
+    return {
+      ...task,
+      depends_on: dependencies.map((row) => row.depends_on_id),
+      blocked_by: blockedBy,
+      blocked: task.status !== 'completed' && blockedBy.length > 0,
+    };
+  });
+}
+
+module.exports = {
+  DependencyError,
+  parseDependsOn,
+  validateDependencies,
+  setDependencies,
+  getOpenTasks,
+  getDependencyIds,
+  attachDependencies,
+};
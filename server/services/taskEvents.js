@@ -0,0 +1,41 @@
+// Tasks with a due date get an all-day "Task Due" event on the calendar,
+// kept in step with the task and removed when the due date is cleared.
+const { db } = require('../database');
+
+// Create or update the calendar event for a task with a due date. The event
+// belongs to whoever created the task.
+function syncTaskEvent(task) {
+  if (!task.due_date) {
+    // No due date - delete associated event if exists
+    if (task.event_id) {
+      db.prepare('DELETE FROM events WHERE id = ?').run(task.event_id);
+      db.prepare('UPDATE tasks SET event_id = NULL WHERE id = ?').run(task.id);
+    }
+    return null;
+  }
+
+  const eventTitle = `Task Due: ${task.title}`;
+  const eventDescription = task.description || `Task "${task.title}" is due`;
+
+  if (task.event_id) {
+    // Update existing event
+    db.prepare(`
+      UPDATE events
+      SET title = ?, description = ?, start_time = ?, project_id = ?, all_day = 1
+      WHERE id = ?
+    `).run(eventTitle, eventDescription, task.due_date, task.project_id, task.event_id);
+    return task.event_id;
+  } else {
+    // Create new event
+    const result = db.prepare(`
+      INSERT INTO events (user_id, project_id, title, description, start_time, all_day)
+      VALUES (?, ?, ?, ?, ?, 1)
+    `).run(task.user_id, task.project_id, eventTitle, eventDescription, task.due_date);
+
+    const eventId = result.lastInsertRowid;
+    db.prepare('UPDATE tasks SET event_id = ? WHERE id = ?').run(eventId, task.id);
+    return eventId;
+  }
+}
+
+module.exports = { syncTaskEvent };
@@ -0,0 +1,83 @@
+// Recurring tasks. A task repeats either on a fixed schedule (recurrence_rule,
+// an RRULE counted from its due date) or a number of days after it was
+// completed (recurrence_after_days). Completing one creates the next
+// instance (see routes/tasks.js).
+const { ICAL, MAX_OCCURRENCES } = require('./icalendar');
+const { RecurrenceError, parseTime, formatTime, normalizeRule } = require('./recurrence');
+
+function getToday() {
+  const now = new Date();
+  return ICAL.Time.fromData({
+    year: now.getFullYear(),
+    month: now.getMonth() + 1,
+    day: now.getDate(),
+    isDate: true,
+  });
+}
+
+// Validate a task's repeat settings and return them normalized
+function normalizeTaskRecurrence({ recurrence_rule: rule, recurrence_after_days: afterDays }) {
+  const recurrence = {
+    recurrence_rule: normalizeRule(rule),
+    recurrence_after_days: afterDays === null || afterDays === undefined || afterDays === '' ? null : Number(afterDays),
+  };
+
+  if (recurrence.recurrence_after_days !== null
+    && (!Number.isInteger(recurrence.recurrence_after_days) || recurrence.recurrence_after_days < 1)) {
+    throw new RecurrenceError('recurrence_after_days must be a whole number of days');
+  }
+  if (recurrence.recurrence_rule && recurrence.recurrence_after_days) {
+    throw new RecurrenceError('A task repeats either on a schedule or after completion, not both');
+  }
+  return recurrence;
+}
+
+// The next scheduled due date: the first occurrence after the current due
+// date that isn't already in the past, so missed instances are skipped.
+// COUNT carries over, so the rule for the next task counts what's left.
+function getNextScheduled(task, today) {
+  const start = task.due_date ? parseTime(task.due_date) : today;
+  const recur = ICAL.Recur.fromString(task.recurrence_rule);
+  const iterator = recur.iterator(start);
+  const todayString = today.toString();
+  let next;
+  let index = 0;
+
+  while ((next = iterator.next()) && index++ < MAX_OCCURRENCES) {
+    if (next.compare(start) <= 0) continue;
+    if (formatTime(next).slice(0, 10) < todayString) continue;
+
+    if (recur.count) {
+      recur.count -= index - 1;
+    }
+    return { due_date: formatTime(next), recurrence_rule: recur.toString() };
+  }
+  return null;
+}
+
+// The due date N days after today, keeping the time of day of the current one
+function getNextAfterCompletion(task, today) {
+  const next = today.clone();
+  next.adjust(task.recurrence_after_days, 0, 0, 0);
+
+  const due = task.due_date ? parseTime(task.due_date) : null;
+  if (due && !due.isDate) {
+    next.isDate = false;
+    next.hour = due.hour;
+    next.minute = due.minute;
+    next.second = due.second;
+    next.zone = due.zone;
+  }
+  return { due_date: formatTime(next), recurrence_rule: null };
+}
+
+// Due date and rule for the task that follows a completed recurring task,
+// or null when it doesn't repeat (or its schedule has ended)
+function getNextInstance(task) {
+  const today = getToday();
+  if (task.recurrence_after_days) return getNextAfterCompletion(task, today);
+  if (task.recurrence_rule) return getNextScheduled(task, today);
+  return null;
+}
+
+module.exports = { normalizeTaskRecurrence, getNextInstance };
@@ -0,0 +1,348 @@
+// Time tracking. Time entries record time someone spent on a task, from a
+// start/stop timer or entered by hand. A running timer is an entry without
+// ended_at, and each user has at most one: starting another stops it. Tasks
+// and projects roll up the time spent on them, and timesheets group time by
+// day, week, project or category in the user's time zone.
+const { db } = require('../database');
+const { getProjectRole, hasRole } = require('./projectAccess');
+
+const GROUP_BY = ['day', 'week', 'project', 'category'];
+const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Seconds an entry has run so far, counting running timers up to now
+const ELAPSED_SQL = `COALESCE(te.duration,
+  CAST(strftime('%s', 'now') AS INTEGER) - CAST(strftime('%s', te.started_at) AS INTEGER))`;
+
+const ENTRY_SQL = `
+  SELECT te.*, u.username, t.title AS task_title, t.project_id,
+         p.name AS project_name, p.category AS project_category
+  FROM time_entries te
+  JOIN tasks t ON t.id = te.task_id AND t.trash_id IS NULL
+  LEFT JOIN projects p ON p.id = t.project_id
+  LEFT JOIN users u ON u.id = te.user_id
+`;
+
+class TimeEntryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeEntryError';
+  }
+}
+
+function parseTime(value, field) {
+  const time = value ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new TimeEntryError(`${field} must be a date and time`);
+  }
+  return new Date(time).toISOString();
+}
+
+// Start, end and duration of an entry entered by hand, from started_at and
+// either ended_at or duration_minutes
+function resolveSpan({ started_at, ended_at, duration_minutes }) {
+  const start = parseTime(started_at, 'started_at');
+
+  let end;
+  if (ended_at) {
+    end = parseTime(ended_at, 'ended_at');
+  } else {
+    const minutes = Number(duration_minutes);
+    if (!duration_minutes || !Number.isFinite(minutes) || minutes <= 0) {
+      throw new TimeEntryError('Give ended_at or a duration_minutes greater than 0');
+    }
+    end = new Date(Date.parse(start) + Math.round(minutes * 60) * 1000).toISOString();
+  }
+
+  const duration = Math.round((Date.parse(end) - Date.parse(start)) / 1000);
+  if (duration <= 0) {
+    throw new TimeEntryError('ended_at must be after started_at');
+  }
+  if (duration > MAX_ENTRY_SECONDS) {
+    throw new TimeEntryError('A time entry can be at most 24 hours');
+  }
+  return { started_at: start, ended_at: end, duration };
+}
+
+function normalizeNote(note) {
+  return typeof note === 'string' && note.trim() ? note.trim() : null;
+}
+
+function getEntry(id) {
+  return db.prepare(`${ENTRY_SQL} WHERE te.id = ?`).get(id) || null;
+}
+
+// Entries on a task by everyone, newest first
+function listTaskEntries(taskId) {
+  return db.prepare(`${ENTRY_SQL} WHERE te.task_id = ? ORDER BY te.started_at DESC, te.id DESC`).all(taskId);
+}
+
+// The user's own entries, newest first
+function listUserEntries(userId, limit) {
+  return db.prepare(`${ENTRY_SQL} WHERE te.user_id = ? ORDER BY te.started_at DESC, te.id DESC LIMIT ?`)
+    .all(userId, limit);
+}
+
+function getRunningTimer(userId) {
+  return db.prepare(`${ENTRY_SQL} WHERE te.user_id = ? AND te.ended_at IS NULL`).get(userId) || null;
+}
+
+// Stop the user's running timer, if any. Returns the stopped entry.
+function stopTimer(userId) {
+  const running = db.prepare('SELECT * FROM time_entries WHERE user_id = ? AND ended_at IS NULL').get(userId);
+  if (!running) return null;
+
+  const endedAt = new Date().toISOString();
+  const duration = Math.max(0, Math.round((Date.parse(endedAt) - Date.parse(running.started_at)) / 1000));
+  db.prepare(`
+    UPDATE time_entries SET ended_at = ?, duration = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(endedAt, duration, running.id);
+  return getEntry(running.id);
+}
+
+// Start a timer on a task, stopping the one already running
+const startTimer = db.transaction((task, userId, note) => {
+  const stopped = stopTimer(userId);
+  const result = db.prepare(`
+    INSERT INTO time_entries (user_id, task_id, started_at, note) VALUES (?, ?, ?, ?)
+  `).run(userId, task.id, new Date().toISOString(), normalizeNote(note));
+  return { entry: getEntry(result.lastInsertRowid), stopped };
+});
+
+function createEntry(task, userId, fields) {
+  const span = resolveSpan(fields);
+  const result = db.prepare(`
+    INSERT INTO time_entries (user_id, task_id, started_at, ended_at, duration, note)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, task.id, span.started_at, span.ended_at, span.duration, normalizeNote(fields.note));
+  return getEntry(result.lastInsertRowid);
+}
+
+// Change an entry's note, times or task. A running timer only takes a new
+// note or start time.
+function updateEntry(entry, fields, taskId = entry.task_id) {
+  const note = fields.note !== undefined ? normalizeNote(fields.note) : entry.note;
+
+  let span;
+  if (!entry.ended_at) {
+    span = { started_at: fields.started_at ? parseTime(fields.started_at, 'started_at') : entry.started_at };
+    if (Date.parse(span.started_at) > Date.now()) {
+      throw new TimeEntryError("A running timer can't start in the future");
+    }
+    span = { ...span, ended_at: null, duration: null };
+  } else if (fields.started_at || fields.ended_at || fields.duration_minutes) {
+    const changesDuration = fields.duration_minutes && !fields.ended_at;
+    span = resolveSpan({
+      started_at: fields.started_at || entry.started_at,
+      ended_at: changesDuration ? null : fields.ended_at || entry.ended_at,
+      duration_minutes: fields.duration_minutes,
+    });
+  } else {
+    span = entry;
+  }
+
+  db.prepare(`
+    UPDATE time_entries
+    SET task_id = ?, started_at = ?, ended_at = ?, duration = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(taskId, span.started_at, span.ended_at, span.duration, note, entry.id);
+  return getEntry(entry.id);
+}
+
+function deleteEntry(entry) {
+  db.prepare('DELETE FROM time_entries WHERE id = ?').run(entry.id);
+}
+
+// Add time_spent (seconds, everyone's, running timers included) to each
+// task. A task's total includes the time on its subtasks.
+function attachTimeTotals(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const ids = tasks.map((task) => task.id);
+  const rows = db.prepare(`
+    SELECT COALESCE(t.parent_task_id, t.id) AS root_id, t.id AS task_id, SUM(${ELAPSED_SQL}) AS seconds
+    FROM time_entries te
+    JOIN tasks t ON t.id = te.task_id AND t.trash_id IS NULL
+    WHERE t.id IN (${placeholders}) OR t.parent_task_id IN (${placeholders})
+    GROUP BY t.id
+  `).all(...ids, ...ids);
+
+  return tasks.map((task) => ({
+    ...task,
+    time_spent: rows
+      .filter((row) => row.task_id === task.id || (!task.parent_task_id && row.root_id === task.id))
+      .reduce((sum, row) => sum + row.seconds, 0),
+  }));
+}
+
+// Add time_spent (seconds) on all of a project's tasks to each project
+function attachProjectTimeTotals(projects) {
+  if (projects.length === 0) return projects;
+
+  const rows = db.prepare(`
+    SELECT t.project_id, SUM(${ELAPSED_SQL}) AS seconds
+    FROM time_entries te
+    JOIN tasks t ON t.id = te.task_id AND t.trash_id IS NULL
+    WHERE t.project_id IN (${projects.map(() => '?').join(', ')})
+    GROUP BY t.project_id
+  `).all(...projects.map((project) => project.id));
+
+  return projects.map((project) => ({
+    ...project,
+    time_spent: (rows.find((row) => row.project_id === project.id) || { seconds: 0 }).seconds,
+  }));
+}
+
+function dateFormatter(timeZone) {
+  try {
+    return {
+      date: new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }),
+      time: new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    };
+  } catch (error) {
+    throw new TimeEntryError('Unknown time zone');
+  }
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// Monday of a date's week
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return shiftDate(date, -((day + 6) % 7));
+}
+
+function groupFor(entry, groupBy) {
+  switch (groupBy) {
+    case 'day':
+      return { key: entry.date, label: entry.date };
+    case 'week': {
+      const monday = weekStart(entry.date);
+      return { key: monday, label: `Week of ${monday}` };
+    }
+    case 'project':
+      return { key: entry.project_id ? String(entry.project_id) : 'none', label: entry.project_name || 'No project' };
+    default:
+      return { key: entry.project_category || 'none', label: entry.project_category || 'No project' };
+  }
+}
+
+// Finished time entries between two dates (inclusive, in the time zone),
+// grouped by day, week, project or category. Entries count on the day they
+// started. The user's own time, or with allUsers everyone's on projectId.
+function getTimesheet(userId, { from, to, groupBy = 'day', timeZone = 'UTC', projectId = null, allUsers = false }) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new TimeEntryError(`group_by must be one of: ${GROUP_BY.join(', ')}`);
+  }
+  const formatter = dateFormatter(timeZone);
+
+  const today = formatter.date.format(new Date());
+  const range = { from: from || `${today.slice(0, 8)}01`, to: to || today };
+  if (!DATE_PATTERN.test(range.from) || !DATE_PATTERN.test(range.to)) {
+    throw new TimeEntryError('from and to must be dates (YYYY-MM-DD)');
+  }
+  if (range.from > range.to) {
+    throw new TimeEntryError('from must not be after to');
+  }
+
+  if (allUsers && !(projectId && hasRole(getProjectRole(projectId, userId), 'owner'))) {
+    throw new TimeEntryError("Only a project's owner can see everyone's time on it");
+  }
+
+  // Entries are stored in UTC, so look a day either side and sort out
+  // local dates afterwards
+  let query = `${ENTRY_SQL} WHERE te.ended_at IS NOT NULL AND te.started_at >= ? AND te.started_at < ?`;
+  const params = [shiftDate(range.from, -1), shiftDate(range.to, 2)];
+  if (!allUsers) {
+    query += ' AND te.user_id = ?';
+    params.push(userId);
+  }
+  if (projectId) {
+    query += ' AND t.project_id = ?';
+    params.push(projectId);
+  }
+  query += ' ORDER BY te.started_at ASC, te.id ASC';
+
+  const entries = db.prepare(query).all(...params)
+    .map((entry) => ({
+      ...entry,
+      date: formatter.date.format(new Date(entry.started_at)),
+      start_time: formatter.time.format(new Date(entry.started_at)),
+      end_time: formatter.time.format(new Date(entry.ended_at)),
+    }))
+    .filter((entry) => entry.date >= range.from && entry.date <= range.to);
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const { key, label } = groupFor(entry, groupBy);
+    if (!groups.has(key)) groups.set(key, { key, label, seconds: 0, entries: [] });
+    const group = groups.get(key);
+    group.seconds += entry.duration;
+    group.entries.push(entry);
+  }
+
+  const sortBy = groupBy === 'day' || groupBy === 'week' ? 'key' : 'label';
+  return {
+    ...range,
+    time_zone: timeZone,
+    group_by: groupBy,
+    total_seconds: entries.reduce((sum, entry) => sum + entry.duration, 0),
+    groups: [...groups.values()].sort((a, b) => a[sortBy].localeCompare(b[sortBy])),
+  };
+}
+
+// A CSV field, quoted when needed. Leading formula characters are escaped
+// so spreadsheets don't evaluate them.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A timesheet as CSV: one row per entry, hours in decimals, then a total
+function timesheetToCsv(timesheet) {
+  const hours = (seconds) => (seconds / 3600).toFixed(2);
+  const rows = [['Group', 'Date', 'Start', 'End', 'Hours', 'Project', 'Category', 'Task', 'Note', 'User']];
+
+  for (const group of timesheet.groups) {
+    for (const entry of group.entries) {
+      rows.push([
+        group.label,
+        entry.date,
+        entry.start_time,
+        entry.end_time,
+        hours(entry.duration),
+        entry.project_name,
+        entry.project_category,
+        entry.task_title,
+        entry.note,
+        entry.username,
+      ]);
+    }
+  }
+  rows.push(['Total', '', '', '', hours(timesheet.total_seconds), '', '', '', '', '']);
+
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  TimeEntryError,
+  getEntry,
+  listTaskEntries,
+  listUserEntries,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  attachTimeTotals,
+  attachProjectTimeTotals,
+  getTimesheet,
+  timesheetToCsv,
+};
@@ -0,0 +1,269 @@
+// Trash. Deleting a project, task, event or idea moves it to the trash along
+// with everything that belongs to it: a project's tasks and events, a task's
+// subtasks and due-date events, a series' edited occurrences. They stay in
+// their tables with trash_id set, so restoring puts them back exactly as they
+// were. Entries are purged for good after TRASH_RETENTION_DAYS.
+const { db } = require('../database');
+const { recordAudit } = require('./auditLog');
+const { removeFiles } = require('./uploads');
+const { removeOrphanedAttachments } = require('./attachments');
+
+const TRASH_TABLES = { task: 'tasks', project: 'projects', event: 'events', idea: 'ideas' };
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often expired entries are looked for
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Projects whose trashed items the user may restore: owned, or joined as an editor
+const EDITABLE_PROJECTS_SQL = `
+  SELECT id FROM projects WHERE user_id = ?
+  UNION
+  SELECT project_id FROM project_members WHERE user_id = ? AND role = 'editor' AND accepted_at IS NOT NULL
+`;
+
+class TrashError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrashError';
+  }
+}
+
+// Days an entry stays in the trash; 0 keeps it until it's emptied by hand
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+function selectByIds(table, ids) {
+  if (ids.length === 0) return [];
+  return db.prepare(`SELECT * FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+}
+
+// Everything that goes into the trash with an item, by table
+function collectRows(entityType, entity) {
+  const rows = { tasks: [], projects: [], events: [], ideas: [] };
+
+  if (entityType === 'project') {
+    rows.projects = [entity];
+    rows.tasks = db.prepare('SELECT * FROM tasks WHERE project_id = ? AND trash_id IS NULL').all(entity.id);
+    rows.events = db.prepare(`
+      SELECT * FROM events
+      WHERE (project_id = ? OR recurrence_parent_id IN (SELECT id FROM events WHERE project_id = ?))
+        AND trash_id IS NULL
+    `).all(entity.id, entity.id);
+  } else if (entityType === 'task') {
+    rows.tasks = [
+      entity,
+      ...db.prepare('SELECT * FROM tasks WHERE parent_task_id = ? AND trash_id IS NULL').all(entity.id),
+    ];
+    rows.events = selectByIds('events', rows.tasks.map((task) => task.event_id).filter(Boolean))
+      .filter((event) => !event.trash_id);
+  } else if (entityType === 'event') {
+    rows.events = db.prepare('SELECT * FROM events WHERE id = ? OR recurrence_parent_id = ?').all(entity.id, entity.id);
+  } else {
+    rows.ideas = [entity];
+  }
+
+  return rows;
+}
+
+// Due-date events are kept in step with their task, so only the task's own
+// changes go in the audit log
+function isTaskDueEvent(eventId) {
+  return Boolean(db.prepare('SELECT id FROM tasks WHERE event_id = ?').get(eventId));
+}
+
+function auditRows(rows, action, userId) {
+  for (const [entityType, table] of Object.entries(TRASH_TABLES)) {
+    for (const row of rows[table]) {
+      if (entityType === 'event' && isTaskDueEvent(row.id)) continue;
+      if (action === 'delete') {
+        recordAudit(entityType, 'delete', row, null, userId);
+      } else {
+        recordAudit(entityType, 'restore', row, { ...row, trash_id: null }, userId);
+      }
+    }
+  }
+}
+
+// Move an item and everything that belongs to it to the trash. Returns the
+// trash entry's id.
+const moveToTrash = db.transaction((entityType, entity, userId) => {
+  const rows = collectRows(entityType, entity);
+
+  const result = db.prepare(`
+    INSERT INTO trash (user_id, entity_type, entity_id, project_id, title)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    entityType,
+    entity.id,
+    entityType === 'project' ? null : entity.project_id || null,
+    entity.title || entity.name
+  );
+
+  for (const table of Object.values(TRASH_TABLES)) {
+    const ids = rows[table].map((row) => row.id);
+    if (ids.length === 0) continue;
+    db.prepare(`UPDATE ${table} SET trash_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`)
+      .run(result.lastInsertRowid, ...ids);
+  }
+
+  auditRows(rows, 'delete', userId);
+  return result.lastInsertRowid;
+});
+
+function formatEntry(entry) {
+  const retentionDays = getRetentionDays();
+  const counts = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM tasks WHERE trash_id = @id) AS tasks,
+      (SELECT COUNT(*) FROM events WHERE trash_id = @id AND recurrence_parent_id IS NULL
+        AND id NOT IN (SELECT event_id FROM tasks WHERE event_id IS NOT NULL)) AS events
+  `).get({ id: entry.id });
+
+  // Counts of what was deleted along with the item itself, leaving out
+  // due-date events and edited occurrences
+  return {
+    ...entry,
+    task_count: counts.tasks - (entry.entity_type === 'task' ? 1 : 0),
+    event_count: counts.events - (entry.entity_type === 'event' ? 1 : 0),
+    purge_at: retentionDays
+      ? new Date(Date.parse(`${entry.deleted_at.replace(' ', 'T')}Z`) + retentionDays * 86400000).toISOString()
+      : null,
+  };
+}
+
+const ENTRY_SQL = `
+  SELECT tr.*, u.username
+  FROM trash tr
+  LEFT JOIN users u ON u.id = tr.user_id
+  WHERE (tr.user_id = ? OR tr.project_id IN (${EDITABLE_PROJECTS_SQL}))
+`;
+
+// Trash entries the user can restore: what they deleted, and what was
+// deleted from projects they can edit. Newest first.
+function listTrash(userId) {
+  return db.prepare(`${ENTRY_SQL} ORDER BY tr.deleted_at DESC, tr.id DESC`)
+    .all(userId, userId, userId)
+    .map(formatEntry);
+}
+
+function findEntry(id, userId) {
+  const entry = db.prepare(`${ENTRY_SQL} AND tr.id = ?`).get(userId, userId, userId, id);
+  return entry ? formatEntry(entry) : null;
+}
+
+function isTrashed(table, id) {
+  const row = db.prepare(`SELECT trash_id FROM ${table} WHERE id = ?`).get(id);
+  return Boolean(row && row.trash_id);
+}
+
+// Take an entry out of the trash, putting back everything deleted with it.
+// Items whose project or parent task is still in the trash have to wait for it.
+const restoreFromTrash = db.transaction((entry, userId) => {
+  const item = db.prepare(`SELECT * FROM ${TRASH_TABLES[entry.entity_type]} WHERE id = ?`).get(entry.entity_id);
+
+  if (entry.entity_type !== 'project' && item.project_id && isTrashed('projects', item.project_id)) {
+    throw new TrashError('Restore the project this was in first');
+  }
+  if (item.parent_task_id && isTrashed('tasks', item.parent_task_id)) {
+    throw new TrashError('Restore the parent task first');
+  }
+
+  const rows = {};
+  for (const table of Object.values(TRASH_TABLES)) {
+    rows[table] = db.prepare(`SELECT * FROM ${table} WHERE trash_id = ?`).all(entry.id);
+    db.prepare(`UPDATE ${table} SET trash_id = NULL WHERE trash_id = ?`).run(entry.id);
+  }
+  db.prepare('DELETE FROM trash WHERE id = ?').run(entry.id);
+
+  auditRows(rows, 'restore', userId);
+  return { ...item, trash_id: null };
+});
+
+// Delete an entry and everything in it for good, with idea recordings and
+// attached files. Tasks and events deleted on their own from a purged
+// project go with it, as they could only be restored without their project.
+function purgeEntry(entry) {
+  const audioPaths = db.prepare('SELECT audio_path FROM ideas WHERE trash_id = ? AND audio_path IS NOT NULL')
+    .all(entry.id)
+    .map((idea) => idea.audio_path);
+
+  db.transaction(() => {
+    for (const table of ['tasks', 'events']) {
+      db.prepare(`
+        DELETE FROM ${table}
+        WHERE trash_id IS NOT NULL AND project_id IN (SELECT id FROM projects WHERE trash_id = ?)
+      `).run(entry.id);
+    }
+    for (const table of ['tasks', 'events', 'ideas', 'projects']) {
+      db.prepare(`DELETE FROM ${table} WHERE trash_id = ?`).run(entry.id);
+    }
+    db.prepare('DELETE FROM trash WHERE id = ?').run(entry.id);
+
+    // Items deleted on their own can go with their parent task or series
+    db.prepare(`
+      DELETE FROM trash WHERE id NOT IN (
+        SELECT trash_id FROM tasks WHERE trash_id IS NOT NULL
+        UNION SELECT trash_id FROM projects WHERE trash_id IS NOT NULL
+        UNION SELECT trash_id FROM events WHERE trash_id IS NOT NULL
+        UNION SELECT trash_id FROM ideas WHERE trash_id IS NOT NULL
+      )
+    `).run();
+  })();
+
+  removeFiles(audioPaths);
+  removeOrphanedAttachments();
+}
+
+// Empty everything the user deleted
+function emptyTrash(userId) {
+  const entries = db.prepare('SELECT * FROM trash WHERE user_id = ?').all(userId);
+  for (const entry of entries) {
+    purgeEntry(entry);
+  }
+  return entries.length;
+}
+
+// Purge entries older than the retention period
+function purgeExpired() {
+  const retentionDays = getRetentionDays();
+  if (!retentionDays) return;
+
+  try {
+    const expired = db.prepare("SELECT * FROM trash WHERE deleted_at <= datetime('now', ?)")
+      .all(`-${retentionDays} days`);
+    for (const entry of expired) {
+      purgeEntry(entry);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+}
+
+// Start purging expired trash in the background.
+// Set TRASH_RETENTION_DAYS to 0 to keep trash until it's emptied by hand.
+function startTrashPurge() {
+  const retentionDays = getRetentionDays();
+  if (!retentionDays) {
+    console.log('Automatic trash purge is disabled');
+    return;
+  }
+
+  purgeExpired();
+  setInterval(purgeExpired, PURGE_INTERVAL_MS);
+  console.log(`Trash is purged after ${retentionDays} days`);
+}
+
+module.exports = {
+  TrashError,
+  getRetentionDays,
+  moveToTrash,
+  listTrash,
+  findEntry,
+  restoreFromTrash,
+  purgeEntry,
+  emptyTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,67 @@
+// Uploaded files: idea recordings and attachments are stored under
+// UPLOAD_PATH in a directory per user, with random names. MAX_FILE_SIZE
+// limits every upload.
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+const uploadPath = process.env.UPLOAD_PATH || './data/uploads';
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// The user's upload directory, created on first use
+function getUserDir(userId) {
+  const userDir = path.join(uploadPath, userId.toString());
+  if (!fs.existsSync(userDir)) {
+    fs.mkdirSync(userDir, { recursive: true });
+  }
+  return userDir;
+}
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, getUserDir(req.user.id));
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname);
+    cb(null, `${uuidv4()}${ext}`);
+  }
+});
+
+// Multer for files of the given MIME types, stored in the uploader's directory
+function createUpload(allowedTypes, invalidTypeMessage) {
+  return multer({
+    storage,
+    limits: { fileSize: maxFileSize },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(invalidTypeMessage));
+      }
+    }
+  });
+}
+
+// A message for a rejected upload
+function describeUploadError(error) {
+  return error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message;
+}
+
+// Remove stored files, ignoring ones that are already gone
+function removeFiles(filePaths) {
+  for (const filePath of filePaths) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+module.exports = {
+  uploadPath,
+  maxFileSize,
+  getUserDir,
+  createUpload,
+  describeUploadError,
+  removeFiles,
+};
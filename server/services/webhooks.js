@@ -0,0 +1,470 @@
+// Outgoing webhooks. A user registers URLs that are POSTed a signed JSON
+// payload when a project, task, event or idea they can see changes, filtered
+// by event name such as "task.completed". Each delivery is logged in
+// webhook_deliveries and retried with exponential backoff until the endpoint
+// answers with a 2xx or it runs out of attempts.
+//
+// Webhooks can't reach loopback, private or link-local addresses, so they
+// can't be used to probe the server's own network, unless
+// WEBHOOK_ALLOW_PRIVATE_URLS is true. Addresses are checked as they're
+// resolved for each request, so a hostname can't be re-pointed after it's
+// registered.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { db, afterCommit } = require('../database');
+const { getItemUserIds } = require('./projectAccess');
+
+const ACTION_EVENTS = { create: 'created', update: 'updated', delete: 'deleted', restore: 'restored' };
+const WEBHOOK_EVENTS = [
+  ...['project', 'task', 'event', 'idea'].flatMap((entityType) =>
+    Object.values(ACTION_EVENTS).map((action) => `${entityType}.${action}`)
+  ),
+  'task.completed',
+];
+
+// Attempts are 30 seconds, then 1, 2, 4 ... 32 minutes apart, so a delivery
+// is given up on about an hour after it was first tried
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 2000;
+const TICK_MS = 15 * 1000;
+const BATCH_SIZE = 50;
+const LOG_RETENTION_DAYS = 30;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+  }
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// The signature of a payload, sent as X-Deck-Signature: sha256=<hex>
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// A webhook as returned by the API. The secret is only included when it's
+// just been generated.
+function formatWebhook(webhook, { withSecret = false } = {}) {
+  const { secret, ...rest } = webhook;
+  return {
+    ...rest,
+    events: JSON.parse(webhook.events),
+    enabled: Boolean(webhook.enabled),
+    ...(withSecret && { secret }),
+  };
+}
+
+function formatDelivery(delivery) {
+  return { ...delivery, payload: JSON.parse(delivery.payload) };
+}
+
+function allowsPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+function isBlockedAddress(address) {
+  // IPv4 addresses written as IPv6, like ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// A dns.lookup for requests that refuses hostnames resolving to a blocked
+// address
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new WebhookError(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Refuse a URL whose host is a blocked IP address. Hostnames are checked
+// when they're looked up.
+function checkHost(url) {
+  if (allowsPrivateUrls()) return;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw new WebhookError('url must not point at this server');
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new WebhookError('url must not be a private or local address');
+  }
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError('url must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError('url must be an http or https URL');
+  }
+  checkHost(parsed);
+  return parsed.toString();
+}
+
+function validateDescription(description) {
+  if (description === undefined || description === null) return null;
+  if (typeof description !== 'string') {
+    throw new WebhookError('description must be text');
+  }
+  return description.trim() || null;
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError('events must be a non-empty list of event names');
+  }
+  const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new WebhookError(`Unknown event: ${unknown.join(', ')}`);
+  }
+  return [...new Set(events)];
+}
+
+function listWebhooks(userId) {
+  return db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+    .all(userId)
+    .map((webhook) => formatWebhook(webhook));
+}
+
+// One of the user's webhooks, as stored
+function getWebhook(id, userId) {
+  return db.prepare('SELECT * FROM webhooks WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
+function createWebhook(userId, { url, events, description }) {
+  const result = db.prepare(`
+    INSERT INTO webhooks (user_id, url, description, events, secret)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    validateUrl(url),
+    validateDescription(description),
+    JSON.stringify(validateEvents(events)),
+    generateSecret()
+  );
+
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid);
+  return formatWebhook(webhook, { withSecret: true });
+}
+
+function updateWebhook(webhook, { url, events, description, enabled }) {
+  db.prepare(`
+    UPDATE webhooks
+    SET url = ?, description = ?, events = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    url !== undefined ? validateUrl(url) : webhook.url,
+    description !== undefined ? validateDescription(description) : webhook.description,
+    events !== undefined ? JSON.stringify(validateEvents(events)) : webhook.events,
+    enabled !== undefined ? (enabled ? 1 : 0) : webhook.enabled,
+    webhook.id
+  );
+
+  return formatWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id));
+}
+
+// Replace a webhook's signing secret, returning the webhook with the new one
+function rotateSecret(webhook) {
+  db.prepare('UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(generateSecret(), webhook.id);
+  return formatWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id), { withSecret: true });
+}
+
+function deleteWebhook(webhook) {
+  db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhook.id);
+}
+
+// A webhook's deliveries, newest first, optionally only those with a status
+function listDeliveries(webhook, { status, limit } = {}) {
+  const max = limit > 0 ? Math.min(limit, MAX_DELIVERY_LIMIT) : DEFAULT_DELIVERY_LIMIT;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw new WebhookError('status must be pending, succeeded or failed');
+  }
+
+  let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ?';
+  const params = [webhook.id];
+
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  params.push(max);
+
+  return db.prepare(query).all(...params).map(formatDelivery);
+}
+
+function getDelivery(id, webhook) {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?').get(id, webhook.id);
+  return delivery ? formatDelivery(delivery) : null;
+}
+
+function insertDelivery(webhookId, event, payload, redeliveryOf = null) {
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, redelivery_of)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(webhookId, event, payload, new Date().toISOString(), redeliveryOf);
+  return result.lastInsertRowid;
+}
+
+// Queue a delivery and send it straight away
+function queueDelivery(webhookId, event, payload, redeliveryOf) {
+  const id = insertDelivery(webhookId, event, payload, redeliveryOf);
+  setImmediate(deliverDueWebhooks);
+  return formatDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+}
+
+// Send a delivery's payload again, as a new delivery
+function redeliver(delivery) {
+  return queueDelivery(delivery.webhook_id, delivery.event, JSON.stringify(delivery.payload), delivery.id);
+}
+
+// Send a ping event, to check a webhook's endpoint and signature handling
+function ping(webhook) {
+  const payload = JSON.stringify({
+    event: 'ping',
+    occurred_at: new Date().toISOString(),
+    webhook: formatWebhook(webhook),
+  });
+  return queueDelivery(webhook.id, 'ping', payload);
+}
+
+// The webhook events a change is: its action, and task.completed when a
+// task becomes completed
+function getChangeEvents(entityType, action, before, after) {
+  const events = [`${entityType}.${ACTION_EVENTS[action]}`];
+  if (entityType === 'task' && after?.status === 'completed' && before?.status !== 'completed') {
+    events.push('task.completed');
+  }
+  return events;
+}
+
+// Queue deliveries of a change for the webhooks of everyone who could see
+// the item before or after it, that listen for it. Called from recordAudit,
+// within the same transaction as the change, so the deliveries roll back
+// with it; sending starts once it commits.
+function queueWebhooks(entityType, action, before, after, changes, actorId) {
+  if (!db.prepare('SELECT 1 FROM webhooks WHERE enabled = 1 LIMIT 1').get()) return;
+
+  const userIds = [...new Set(
+    [before, after].filter(Boolean).flatMap((version) => getItemUserIds(entityType, version))
+  )];
+  const webhooks = db.prepare(`
+    SELECT * FROM webhooks WHERE enabled = 1 AND user_id IN (${userIds.map(() => '?').join(', ')})
+  `).all(...userIds);
+
+  const occurredAt = new Date().toISOString();
+  let queued = false;
+  for (const event of getChangeEvents(entityType, action, before, after)) {
+    const payload = JSON.stringify({
+      event,
+      occurred_at: occurredAt,
+      actor_id: actorId,
+      entity_type: entityType,
+      action,
+      data: after || before,
+      changes,
+    });
+
+    for (const webhook of webhooks) {
+      const events = JSON.parse(webhook.events);
+      if (!events.includes('*') && !events.includes(event)) continue;
+      insertDelivery(webhook.id, event, payload);
+      queued = true;
+    }
+  }
+
+  if (queued) afterCommit(() => setImmediate(deliverDueWebhooks));
+}
+
+// POST a body to a webhook URL, without following redirects. Resolves to
+// the response status and the start of its body.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    checkHost(target);
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowsPrivateUrls() ? undefined : checkedLookup,
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (text.length < RESPONSE_BODY_LIMIT) text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, RESPONSE_BODY_LIMIT) }));
+      response.on('error', reject);
+    });
+
+    const timer = setTimeout(
+      () => request.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`)),
+      REQUEST_TIMEOUT_MS
+    );
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// POST a delivery to its webhook, recording the response and scheduling a
+// retry if it failed
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  let result;
+
+  try {
+    const response = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'The-Deck-Webhooks',
+      'X-Deck-Event': delivery.event,
+      'X-Deck-Delivery': String(delivery.id),
+      'X-Deck-Timestamp': String(timestamp),
+      'X-Deck-Signature': `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`,
+    }, delivery.payload);
+    const ok = response.status >= 200 && response.status < 300;
+    result = {
+      ok,
+      responseStatus: response.status,
+      body: response.body,
+      error: ok ? null : `Endpoint returned HTTP ${response.status}`,
+    };
+  } catch (error) {
+    // A blocked address won't become allowed by retrying
+    const blocked = error instanceof WebhookError;
+    result = { ok: false, blocked, responseStatus: null, body: null, error: error.message };
+  }
+
+  let status = 'pending';
+  if (result.ok) status = 'succeeded';
+  else if (attempts >= MAX_ATTEMPTS || result.blocked) status = 'failed';
+
+  const now = Date.now();
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, last_attempt_at = ?, next_attempt_at = ?,
+        response_status = ?, response_body = ?, error = ?
+    WHERE id = ?
+  `).run(
+    status,
+    attempts,
+    new Date(now).toISOString(),
+    status === 'pending' ? new Date(now + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString() : null,
+    result.responseStatus,
+    result.body,
+    result.error,
+    delivery.id
+  );
+}
+
+let running = false;
+let runAgain = false;
+
+// Send every delivery that's due. Deliveries to disabled webhooks wait until
+// they're enabled again.
+async function deliverDueWebhooks() {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      runAgain = false;
+      const deliveries = db.prepare(`
+        SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = 'pending' AND w.enabled = 1 AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at ASC
+        LIMIT ?
+      `).all(new Date().toISOString(), BATCH_SIZE);
+
+      for (const delivery of deliveries) {
+        try {
+          await attemptDelivery(delivery);
+        } catch (error) {
+          console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+        }
+      }
+      if (deliveries.length === BATCH_SIZE) runAgain = true;
+    } while (runAgain);
+  } finally {
+    running = false;
+  }
+}
+
+function purgeDeliveryLog() {
+  db.prepare(`
+    DELETE FROM webhook_deliveries
+    WHERE status != 'pending' AND created_at < datetime('now', ?)
+  `).run(`-${LOG_RETENTION_DAYS} days`);
+}
+
+// Send deliveries left over from before a restart, then check for due
+// retries every 15 seconds. Old delivery logs are purged daily.
+function startWebhookDelivery() {
+  deliverDueWebhooks();
+  setInterval(deliverDueWebhooks, TICK_MS);
+
+  purgeDeliveryLog();
+  setInterval(purgeDeliveryLog, 24 * 60 * 60 * 1000);
+  console.log(`Webhook deliveries are tried up to ${MAX_ATTEMPTS} times`);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  formatWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  ping,
+  queueWebhooks,
+  startWebhookDelivery,
+};
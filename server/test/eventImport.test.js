@@ -0,0 +1,111 @@
+// Import of .ics files, run with `npm test`. Uses a database of its own, and
+// a server zone other than the calendar's so that times can't come out right
+// by being read in the wrong zone.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deck-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'deck.db');
+process.env.TZ = 'America/New_York';
+
+const { db, initializeDatabase } = require('../database');
+const { planImport, applyImport } = require('../services/eventImport');
+const { expandUserSeries } = require('../services/recurrence');
+
+// Europe/Berlin moves from UTC+1 to UTC+2 on 2026-03-29
+const BERLIN = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Berlin',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...BERLIN, ...events.flat(), 'END:VCALENDAR']
+    .join('\r\n');
+}
+
+function importCalendar(userId, text) {
+  applyImport(userId, planImport(userId, text), null);
+  return (uid) => db.prepare('SELECT * FROM events WHERE user_id = ? AND external_id = ?').get(userId, uid);
+}
+
+let userId;
+
+before(() => {
+  initializeDatabase();
+  userId = db.prepare("INSERT INTO users (username, email, password_hash) VALUES ('test', 'test@example.com', '')")
+    .run().lastInsertRowid;
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a TZID event is stored at its UTC time on either side of a DST change', () => {
+  const find = importCalendar(userId, calendar([
+    'BEGIN:VEVENT',
+    'UID:winter@test',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART;TZID=Europe/Berlin:20260326T100000',
+    'DTEND;TZID=Europe/Berlin:20260326T110000',
+    'SUMMARY:Winter',
+    'END:VEVENT',
+  ], [
+    'BEGIN:VEVENT',
+    'UID:summer@test',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART;TZID=Europe/Berlin:20260402T100000',
+    'DTEND;TZID=Europe/Berlin:20260402T110000',
+    'SUMMARY:Summer',
+    'END:VEVENT',
+  ]));
+
+  assert.equal(find('winter@test').start_time, '2026-03-26T09:00:00.000Z');
+  assert.equal(find('winter@test').end_time, '2026-03-26T10:00:00.000Z');
+  assert.equal(find('summer@test').start_time, '2026-04-02T08:00:00.000Z');
+});
+
+test('a TZID series keeps its wall-clock time across a DST change', () => {
+  const find = importCalendar(userId, calendar([
+    'BEGIN:VEVENT',
+    'UID:weekly@test',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART;TZID=Europe/Berlin:20260305T100000',
+    'DTEND;TZID=Europe/Berlin:20260305T110000',
+    'RRULE:FREQ=WEEKLY;UNTIL=20260416T080000Z',
+    'EXDATE;TZID=Europe/Berlin:20260409T100000',
+    'SUMMARY:Weekly',
+    'END:VEVENT',
+  ]));
+
+  const series = find('weekly@test');
+  assert.equal(series.start_time, '2026-03-05T09:00:00.000Z');
+  assert.equal(series.timezone, 'Europe/Berlin');
+
+  const starts = expandUserSeries(userId, { startAfter: '2026-03-18T00:00:00Z', startBefore: '2026-05-01T00:00:00Z' })
+    .map((occurrence) => occurrence.start_time);
+  assert.deepEqual(starts, [
+    '2026-03-19T09:00:00.000Z',
+    '2026-03-26T09:00:00.000Z',
+    '2026-04-02T08:00:00.000Z',
+    '2026-04-16T08:00:00.000Z',
+  ]);
+});